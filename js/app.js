@@ -16,24 +16,68 @@ const TEEPApp = {
     async init() {
         console.log('Initializing TEEP Tracker...');
 
-        // Wait for storage to be ready
-        await TEEPStorage.init();
+        // Wait for storage to be ready (runs any pending schema migrations)
+        try {
+            await TEEPStorage.init();
+        } catch (error) {
+            this.handleStorageInitError(error);
+            return;
+        }
 
-        // Initialize default qualification types
-        const existingTypes = await TEEPStorage.getQualificationTypes();
-        if (existingTypes.length === 0) {
-            await TEEPQualifications.initializeDefaultTypes();
+        // Encrypted data needs the passphrase before anything can be shown
+        const needsPassphrase = TEEPStorage.isLocked();
+        if (needsPassphrase) {
+            await this.promptUnlock();
         }
 
+        // Lock screen - no need to ask for the PIN right after the passphrase
+        await TEEPLock.init({ startLocked: !needsPassphrase });
+
+        // Load qualification type definitions (seeds the defaults on first run)
+        await TEEPQualifications.loadTypes();
+
         // Load saved theme
         await this.loadTheme();
 
         // Bind events
         this.bindEvents();
 
+        // Unit switcher
+        TEEPWorkspaces.init();
+
         // Initialize roster module
         await TEEPRoster.init();
 
+        // Start recording undo history
+        TEEPHistory.init();
+
+        // Qualification type editor and expiration recalculation
+        TEEPQualTypes.init();
+        TEEPRecalc.init();
+
+        // Waivers - closes out any whose end date has passed
+        await TEEPWaivers.init();
+
+        // Requirement profiles and billets - needed before the dashboard can measure compliance
+        await TEEPRequirements.init();
+        await TEEPBillets.init();
+        TEEPScoring.init();
+
+        // Unit tree - needed before the roster, dashboard and reports can filter by unit
+        await TEEPOrg.init();
+        TEEPBodyComp.init();
+
+        // Status history - returns Marines whose status periods have ended
+        await TEEPStatus.init();
+
+        // Morning report - records today's accountability snapshot
+        await TEEPMorningReport.init();
+
+        // Initialize audit, trash and backup modules
+        await TEEPAudit.init();
+        await TEEPTrash.init();
+        await TEEPBackup.init();
+
         // Render reports list
         TEEPReports.renderReportsList();
 
@@ -46,6 +90,66 @@ const TEEPApp = {
         console.log('TEEP Tracker initialized successfully');
     },
 
+    /**
+     * Show the unlock screen and resolve once the correct passphrase is entered
+     */
+    promptUnlock() {
+        const modal = document.getElementById('unlockModal');
+        const input = document.getElementById('unlockPassphrase');
+        const unlockBtn = document.getElementById('unlockBtn');
+        const errorText = document.getElementById('unlockError');
+
+        modal.classList.add('modal-overlay--active');
+        input.focus();
+
+        return new Promise((resolve) => {
+            const attempt = async () => {
+                unlockBtn.disabled = true;
+                errorText.classList.add('hidden');
+
+                const unlocked = await TEEPStorage.unlock(input.value);
+                unlockBtn.disabled = false;
+
+                if (!unlocked) {
+                    errorText.classList.remove('hidden');
+                    input.select();
+                    return;
+                }
+
+                input.value = '';
+                modal.classList.remove('modal-overlay--active');
+                resolve();
+            };
+
+            unlockBtn.addEventListener('click', attempt);
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') attempt();
+            });
+        });
+    },
+
+    /**
+     * Report a failed database open/upgrade. The pre-migration backup is only
+     * offered when a migration was what failed.
+     */
+    handleStorageInitError(error) {
+        console.error('Storage initialization failed:', error);
+
+        const snapshot = TEEPStorage.migrationFailed ? TEEPStorage.getMigrationSnapshot() : null;
+        if (!snapshot) {
+            alert('Unable to open the TEEP Tracker database: ' + error.message);
+            return;
+        }
+
+        const message = 'The database upgrade failed and was rolled back. Your data has not been changed.\n\n' +
+            'Download the automatic pre-upgrade backup (JSON) for safekeeping?';
+        if (confirm(message)) {
+            const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+            const filename = `teep-tracker-pre-upgrade-backup_${new Date().toISOString().split('T')[0]}.json`;
+            TEEPReports.downloadBlob(blob, filename);
+        }
+    },
+
     /**
      * Bind global event listeners
      */
@@ -115,7 +219,7 @@ const TEEPApp = {
         // Export buttons
         const exportJsonBtn = document.getElementById('exportJsonBtn');
         if (exportJsonBtn) {
-            exportJsonBtn.addEventListener('click', () => TEEPReports.exportJSON());
+            exportJsonBtn.addEventListener('click', () => this.handleJsonExport());
         }
 
         const importJsonBtn = document.getElementById('importJsonBtn');
@@ -123,12 +227,35 @@ const TEEPApp = {
             importJsonBtn.addEventListener('click', () => this.handleJsonImport());
         }
 
+        // Report cards
+        document.querySelectorAll('[data-report][data-format]').forEach(btn => {
+            btn.addEventListener('click', () => this.handleReportExport(btn.dataset.report, btn.dataset.format));
+        });
+
         // Qualification form
-        const qualForm = document.getElementById('qualificationForm');
+        const qualForm = document.getElementById('qualForm');
         if (qualForm) {
             qualForm.addEventListener('submit', (e) => TEEPRoster.handleQualificationSubmit(e));
         }
 
+        const saveQualBtn = document.getElementById('saveQualBtn');
+        if (saveQualBtn) {
+            saveQualBtn.addEventListener('click', () => TEEPRoster.handleQualificationSubmit());
+        }
+
+        ['cancelQualModal', 'closeQualModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => this.closeModal('qualModal'));
+        });
+
+        const addQualBtn = document.getElementById('addQualBtn');
+        if (addQualBtn) {
+            addQualBtn.addEventListener('click', () => {
+                if (TEEPRoster.currentMarine) {
+                    TEEPRoster.showAddQualificationModal(TEEPRoster.currentMarine.id);
+                }
+            });
+        }
+
         // Query builder
         const addConditionBtn = document.getElementById('addConditionBtn');
         if (addConditionBtn) {
@@ -145,14 +272,46 @@ const TEEPApp = {
             clearQueryBtn.addEventListener('click', () => this.clearQuery());
         }
 
+        // Settings
+        const saveSettingsBtn = document.getElementById('saveSettingsBtn');
+        if (saveSettingsBtn) {
+            saveSettingsBtn.addEventListener('click', () => this.saveSettings());
+        }
+
+        const enableEncryptionBtn = document.getElementById('enableEncryptionBtn');
+        if (enableEncryptionBtn) {
+            enableEncryptionBtn.addEventListener('click', () => this.enableEncryption());
+        }
+
+        const disableEncryptionBtn = document.getElementById('disableEncryptionBtn');
+        if (disableEncryptionBtn) {
+            disableEncryptionBtn.addEventListener('click', () => this.disableEncryption());
+        }
+
+        const setPinBtn = document.getElementById('setPinBtn');
+        if (setPinBtn) {
+            setPinBtn.addEventListener('click', () => this.setLockPin());
+        }
+
+        const removePinBtn = document.getElementById('removePinBtn');
+        if (removePinBtn) {
+            removePinBtn.addEventListener('click', () => this.removeLockPin());
+        }
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // Nothing reaches the app behind the lock screen
+            if (TEEPLock.locked) return;
+
             // Escape closes modals
             if (e.key === 'Escape') {
                 document.querySelectorAll('.modal.active').forEach(modal => {
                     this.closeModal(modal.id);
                 });
             }
+
+            // Ctrl+Z / Ctrl+Shift+Z undo and redo
+            TEEPHistory.handleKeydown(e);
         });
     },
 
@@ -179,47 +338,64 @@ const TEEPApp = {
             TEEPRoster.refreshRoster();
         } else if (viewName === 'expirations') {
             this.updateExpirations();
+        } else if (viewName === 'billets') {
+            TEEPBillets.refresh();
+        } else if (viewName === 'org') {
+            TEEPOrg.refresh();
+        } else if (viewName === 'types') {
+            TEEPQualTypes.refresh();
+        } else if (viewName === 'audit') {
+            TEEPAudit.refresh();
+        } else if (viewName === 'trash') {
+            TEEPTrash.refresh();
+        } else if (viewName === 'settings') {
+            this.loadSettings();
         }
     },
 
     /**
-     * Update dashboard stats and alerts
+     * Update dashboard stats and alerts for the unit picked on the dashboard (all units by default)
      */
     async updateDashboard() {
+        const marines = TEEPOrg.filterMarines(await TEEPStorage.getAllMarines(), TEEPOrg.getSelectedUnit('dashboardOrgUnit'));
+        const inScope = new Set(marines.map(m => m.id));
+
         // Get counts
-        const statusCounts = await TEEPStorage.getMarineCountByStatus();
-        const overdueQuals = await TEEPStorage.getOverdueQualifications();
-        const expiring30 = await TEEPStorage.getExpiringQualifications(30);
-        const expiring90 = await TEEPStorage.getExpiringQualifications(90);
+        const overdueQuals = (await TEEPStorage.getOverdueQualifications()).filter(q => inScope.has(q.marineId));
+        const expiring30 = (await TEEPStorage.getExpiringQualifications(30)).filter(q => inScope.has(q.marineId));
+        const compliance = await TEEPRequirements.getUnitCompliance({ marines });
 
         // Update stat cards
-        this.updateStatCard('totalMarines', statusCounts.total);
-        this.updateStatCard('presentMarines', statusCounts.present);
-        this.updateStatCard('overdueQuals', overdueQuals.length);
-        this.updateStatCard('expiring30', expiring30.length);
+        this.updateStatCard('statTotalPersonnel', marines.length);
+        this.updateStatCard('statCurrent', compliance.filter(c => c.compliant).length);
+        this.updateStatCard('statExpiring', expiring30.length);
+        this.updateStatCard('statExpired', overdueQuals.length);
 
         // Update alerts section
-        await this.updateDashboardAlerts(overdueQuals, expiring30);
+        await this.updateDashboardAlerts(overdueQuals, expiring30, compliance, marines);
+
+        // Nag if the last downloaded backup is getting old
+        await TEEPBackup.renderReminder();
     },
 
     /**
      * Update a stat card
      */
     updateStatCard(id, value) {
-        const element = document.querySelector(`[data-stat="${id}"] .stat-value`);
+        const element = document.getElementById(id);
         if (element) {
             element.textContent = value;
         }
     },
 
     /**
-     * Update dashboard alerts
+     * Update dashboard alerts for the Marines shown on the dashboard
      */
-    async updateDashboardAlerts(overdue, expiring) {
+    async updateDashboardAlerts(overdue, expiring, compliance = [], marines = null) {
         const container = document.getElementById('dashboardAlerts');
         if (!container) return;
 
-        const marines = await TEEPStorage.getAllMarines();
+        marines = marines || await TEEPStorage.getAllMarines();
         const marineMap = new Map(marines.map(m => [m.id, m]));
 
         let html = '';
@@ -243,6 +419,40 @@ const TEEPApp = {
             </div>`;
         }
 
+        // Required qualifications never completed or fired unqualified (expired ones are already listed as overdue)
+        const missing = compliance.flatMap(c => c.items
+            .filter(item => ['missing', 'unqualified'].includes(item.status.status))
+            .map(item => ({ marine: c.marine, item })));
+        if (missing.length > 0) {
+            html += `<div class="alert-section alert-danger">
+                <h4>Missing Required Qualifications (${missing.length})</h4>
+                <ul class="alert-list">
+                    ${missing.slice(0, 5).map(({ marine, item }) => `<li>
+                        <span class="marine-name">${marine.rank} ${marine.lastName}, ${marine.firstName}</span>
+                        <span class="qual-name">${item.qualType.name}</span>
+                        <span class="expired-date">${item.status.status === 'unqualified' ? 'Unqualified, required' : 'Required'} by ${item.sources.join(', ')}</span>
+                    </li>`).join('')}
+                    ${missing.length > 5 ? `<li class="more-link">... and ${missing.length - 5} more</li>` : ''}
+                </ul>
+            </div>`;
+        }
+
+        // Outside body composition standards, or behind on BCP re-checks
+        const bodyCompFlags = TEEPBodyComp.getUnitFlags(marines, await TEEPStorage.getAllQualifications());
+        if (bodyCompFlags.length > 0) {
+            html += `<div class="alert-section alert-warning">
+                <h4>Body Composition (${bodyCompFlags.length})</h4>
+                <ul class="alert-list">
+                    ${bodyCompFlags.slice(0, 5).map(({ marine, message }) => `<li>
+                        <span class="marine-name">${marine.rank} ${marine.lastName}, ${marine.firstName}</span>
+                        <span class="qual-name">BCA</span>
+                        <span class="expired-date">${message}</span>
+                    </li>`).join('')}
+                    ${bodyCompFlags.length > 5 ? `<li class="more-link">... and ${bodyCompFlags.length - 5} more</li>` : ''}
+                </ul>
+            </div>`;
+        }
+
         // Expiring soon alerts
         if (expiring.length > 0) {
             html += `<div class="alert-section alert-warning">
@@ -338,11 +548,14 @@ const TEEPApp = {
                     <option value="rank">Rank Is</option>
                     <option value="mos">MOS Is</option>
                     <option value="section">Section Is</option>
+                    <option value="org_unit">In Unit</option>
                     <option value="status">Status Is</option>
+                    <option value="away_on">Away On Date</option>
                 </select>
                 <select class="condition-value" disabled>
                     <option value="">Select Value...</option>
                 </select>
+                <input type="date" class="condition-date" style="display: none" aria-label="Date">
                 <select class="condition-modifier">
                     <option value="current">Must be Current</option>
                     <option value="any">Any Status</option>
@@ -371,8 +584,13 @@ const TEEPApp = {
         valueSelect.innerHTML = '<option value="">Select Value...</option>';
         valueSelect.disabled = !type;
 
-        // Show/hide modifier based on type
+        // Show/hide modifier and date based on type
         modifierSelect.style.display = type === 'qualification' ? 'block' : 'none';
+        const dateInput = condition.querySelector('.condition-date');
+        dateInput.style.display = type === 'away_on' ? 'block' : 'none';
+        if (type === 'away_on' && !dateInput.value) {
+            dateInput.value = TEEPStatus.today();
+        }
 
         if (!type) return;
 
@@ -382,7 +600,7 @@ const TEEPApp = {
             case 'qualification':
                 const categories = TEEPQualifications.getCategories();
                 categories.forEach(cat => {
-                    TEEPQualifications.DEFAULT_QUAL_TYPES[cat.id].forEach(qual => {
+                    TEEPQualifications.getTypesByCategory(cat.id).forEach(qual => {
                         options.push({ value: qual.id, label: `${cat.name}: ${qual.name}` });
                     });
                 });
@@ -408,10 +626,23 @@ const TEEPApp = {
                 });
                 break;
 
+            case 'org_unit':
+                TEEPOrg.getTree().forEach(({ unit }) => {
+                    options.push({ value: unit.id, label: TEEPOrg.getUnitPath(unit.id) });
+                });
+                break;
+
             case 'status':
-                const statuses = ['present', 'leave', 'tad', 'deployment', 'med_hold', 'light_duty', 'legal_hold'];
-                statuses.forEach(status => {
-                    options.push({ value: status, label: TEEPRoster.formatStatus(status) });
+                options.push({ value: TEEPStatus.PRESENT, label: TEEPRoster.formatStatus(TEEPStatus.PRESENT) });
+                TEEPStatus.getAwayStatuses().forEach(status => {
+                    options.push({ value: status.value, label: TEEPRoster.formatStatus(status.value) });
+                });
+                break;
+
+            case 'away_on':
+                options.push({ value: 'any', label: 'Any Status' });
+                TEEPStatus.getAwayStatuses().forEach(status => {
+                    options.push({ value: status.value, label: TEEPRoster.formatStatus(status.value) });
                 });
                 break;
         }
@@ -447,6 +678,7 @@ const TEEPApp = {
             const type = condition.querySelector('.condition-type').value;
             const value = condition.querySelector('.condition-value').value;
             const modifier = condition.querySelector('.condition-modifier').value;
+            const date = condition.querySelector('.condition-date').value;
 
             if (!type || !value) return;
 
@@ -466,9 +698,15 @@ const TEEPApp = {
                 case 'section':
                     query.section = value;
                     break;
+                case 'org_unit':
+                    query.orgUnitId = parseInt(value);
+                    break;
                 case 'status':
                     query.status = value;
                     break;
+                case 'away_on':
+                    query.awayOn = { date: date || TEEPStatus.today(), status: value === 'any' ? null : value };
+                    break;
             }
         });
 
@@ -511,6 +749,7 @@ const TEEPApp = {
                         <th>EDIPI</th>
                         <th>MOS</th>
                         <th>Section</th>
+                        <th>Unit</th>
                         <th>Status</th>
                         <th>Actions</th>
                     </tr>
@@ -523,6 +762,7 @@ const TEEPApp = {
                             <td>${TEEPRoster.escapeHtml(m.edipi || '')}</td>
                             <td>${TEEPRoster.escapeHtml(m.mos || '')}</td>
                             <td>${TEEPRoster.escapeHtml(m.section || '')}</td>
+                            <td>${TEEPRoster.escapeHtml(TEEPOrg.getUnitPath(m.orgUnitId))}</td>
                             <td><span class="status-badge status-${m.status}">${TEEPRoster.formatStatus(m.status)}</span></td>
                             <td>
                                 <button class="btn btn-small btn-secondary" onclick="TEEPRoster.viewMarine(${m.id})">View</button>
@@ -570,6 +810,7 @@ const TEEPApp = {
             EDIPI: m.edipi,
             MOS: m.mos,
             Section: m.section || '',
+            Unit: TEEPOrg.getUnitPath(m.orgUnitId),
             Status: TEEPRoster.formatStatus(m.status)
         }));
 
@@ -752,8 +993,11 @@ const TEEPApp = {
         try {
             let results;
 
+            // The whole file is one undoable operation
+            const historyLabel = `Import ${this.importState.file.name}`;
+
             if (importType === 'marines') {
-                results = await TEEPImport.importMarines(
+                results = await TEEPHistory.run(historyLabel, () => TEEPImport.importMarines(
                     this.importState.parsedData.data,
                     this.importState.mapping,
                     {
@@ -761,7 +1005,7 @@ const TEEPApp = {
                         source: this.importState.source?.id || 'file',
                         fileName: this.importState.file.name
                     }
-                );
+                ));
             } else {
                 const qualType = document.getElementById('importQualificationType')?.value;
                 if (!qualType) {
@@ -769,7 +1013,7 @@ const TEEPApp = {
                     return;
                 }
 
-                results = await TEEPImport.importQualifications(
+                results = await TEEPHistory.run(historyLabel, () => TEEPImport.importQualifications(
                     this.importState.parsedData.data,
                     this.importState.mapping,
                     qualType,
@@ -777,7 +1021,7 @@ const TEEPApp = {
                         source: this.importState.source?.id || 'file',
                         fileName: this.importState.file.name
                     }
-                );
+                ));
             }
 
             // Show results
@@ -792,6 +1036,9 @@ const TEEPApp = {
             await TEEPRoster.loadFilterOptions();
             await this.updateDashboard();
 
+            // Imported EAS dates can change when licenses expire
+            await TEEPRecalc.review({}, historyLabel);
+
         } catch (error) {
             alert('Import failed: ' + error.message);
         }
@@ -819,7 +1066,54 @@ const TEEPApp = {
     },
 
     /**
-     * Handle JSON backup import
+     * Unit and grouping picked above the report cards
+     */
+    getReportOptions() {
+        return {
+            orgUnitId: TEEPOrg.getSelectedUnit('reportOrgUnit'),
+            groupBy: document.getElementById('reportGroupBy')?.value || 'section'
+        };
+    },
+
+    /**
+     * Export a report from its card on the reports view
+     */
+    async handleReportExport(reportId, format) {
+        const reportType = TEEPReports.REPORT_ALIASES[reportId] || reportId;
+        const options = this.getReportOptions();
+        // The morning report card picks the day to report on
+        if (reportType === 'morning_report') {
+            options.date = document.getElementById('morningReportDate')?.value || null;
+        }
+
+        try {
+            if (format === 'pdf') {
+                await TEEPReports.quickExportPDF(reportType, options);
+            } else {
+                await TEEPReports.quickExportCSV(reportType, options);
+            }
+        } catch (error) {
+            alert('Error generating report: ' + error.message);
+        }
+    },
+
+    /**
+     * Handle JSON backup export, encrypted if a backup passphrase was entered
+     */
+    async handleJsonExport() {
+        const passphraseInput = document.getElementById('backupPassphrase');
+        const passphrase = passphraseInput ? passphraseInput.value : '';
+
+        try {
+            await TEEPReports.exportJSON({ passphrase });
+            if (passphraseInput) passphraseInput.value = '';
+        } catch (error) {
+            alert('Export failed: ' + error.message);
+        }
+    },
+
+    /**
+     * Handle JSON backup import - merged into existing data, with conflicts resolved on screen
      */
     async handleJsonImport() {
         const input = document.createElement('input');
@@ -830,23 +1124,7 @@ const TEEPApp = {
             const file = e.target.files[0];
             if (!file) return;
 
-            if (!confirm('This will import data from the backup. Existing data with matching IDs may be affected. Continue?')) {
-                return;
-            }
-
-            try {
-                const results = await TEEPReports.importJSON(file);
-                alert(`Backup Import Complete!\n\nMarines: ${results.marines.added}\nQualifications: ${results.qualifications.added}\nQualification Types: ${results.qualificationTypes.added}`);
-
-                // Refresh everything
-                await TEEPRoster.refreshRoster();
-                await TEEPRoster.loadFilterOptions();
-                await this.updateDashboard();
-                this.closeModal('exportModal');
-
-            } catch (error) {
-                alert('Import failed: ' + error.message);
-            }
+            await TEEPBackup.startMerge(file);
         };
 
         input.click();
@@ -860,7 +1138,7 @@ const TEEPApp = {
     openModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.classList.add('active');
+            modal.classList.add('active', 'modal-overlay--active');
             document.body.style.overflow = 'hidden';
         }
     },
@@ -871,7 +1149,7 @@ const TEEPApp = {
     closeModal(modalId) {
         const modal = document.getElementById(modalId);
         if (modal) {
-            modal.classList.remove('active');
+            modal.classList.remove('active', 'modal-overlay--active');
             document.body.style.overflow = '';
 
             // Reset import if closing import modal
@@ -881,6 +1159,223 @@ const TEEPApp = {
         }
     },
 
+    // ==================== SETTINGS ====================
+
+    /**
+     * Populate the settings view
+     */
+    async loadSettings() {
+        const operatorInput = document.getElementById('settingOperatorName');
+        if (operatorInput) {
+            operatorInput.value = await TEEPStorage.getSetting('operatorName', '');
+        }
+
+        const retentionInput = document.getElementById('settingTrashRetention');
+        if (retentionInput) {
+            retentionInput.value = await TEEPTrash.getRetentionDays();
+        }
+
+        const lockTimeoutInput = document.getElementById('settingLockTimeout');
+        if (lockTimeoutInput) {
+            lockTimeoutInput.value = await TEEPLock.getTimeoutMinutes();
+        }
+
+        const lockOnHiddenInput = document.getElementById('settingLockOnHidden');
+        if (lockOnHiddenInput) {
+            lockOnHiddenInput.checked = await TEEPStorage.getSetting('lockOnHidden', true);
+        }
+
+        const reminderInput = document.getElementById('settingBackupReminder');
+        if (reminderInput) {
+            reminderInput.value = await TEEPBackup.getReminderDays();
+        }
+
+        this.renderEncryptionStatus();
+        this.renderLockStatus();
+        TEEPWorkspaces.renderList();
+        await TEEPBackup.renderSnapshots();
+    },
+
+    /**
+     * Show whether encryption is on and label the buttons to match
+     */
+    renderEncryptionStatus() {
+        const enabled = TEEPStorage.isEncryptionEnabled();
+
+        const status = document.getElementById('encryptionStatus');
+        if (status) {
+            status.textContent = enabled ?
+                'Encryption is ON. EDIPI, phone, email and notes are encrypted on this device.' :
+                'Encryption is OFF. All data is stored in plaintext on this device.';
+        }
+
+        const enableBtn = document.getElementById('enableEncryptionBtn');
+        if (enableBtn) enableBtn.textContent = enabled ? 'Change Passphrase' : 'Enable Encryption';
+
+        const disableBtn = document.getElementById('disableEncryptionBtn');
+        if (disableBtn) disableBtn.classList.toggle('hidden', !enabled);
+    },
+
+    /**
+     * Show whether a lock PIN is set and label the buttons to match
+     */
+    renderLockStatus() {
+        const enabled = TEEPLock.isEnabled();
+
+        const status = document.getElementById('lockStatus');
+        if (status) {
+            status.textContent = enabled ?
+                'Screen lock is ON. The PIN is required when TEEP Tracker opens and after it locks.' :
+                'Screen lock is OFF. Anyone at this workstation can see the roster.';
+        }
+
+        const setBtn = document.getElementById('setPinBtn');
+        if (setBtn) setBtn.textContent = enabled ? 'Change PIN' : 'Set PIN';
+
+        const removeBtn = document.getElementById('removePinBtn');
+        if (removeBtn) removeBtn.classList.toggle('hidden', !enabled);
+    },
+
+    /**
+     * Set or change the lock screen PIN
+     */
+    async setLockPin() {
+        if (!TEEPCrypto.isSupported()) {
+            alert('Screen lock is not available in this browser. Open TEEP Tracker over https or from localhost.');
+            return;
+        }
+
+        const pinInput = document.getElementById('settingLockPin');
+        const confirmInput = document.getElementById('settingLockPinConfirm');
+        const pin = pinInput.value;
+
+        if (pin.length < 4) {
+            alert('PIN must be at least 4 characters');
+            return;
+        }
+        if (pin !== confirmInput.value) {
+            alert('PINs do not match');
+            return;
+        }
+
+        try {
+            await TEEPLock.setPin(pin);
+            pinInput.value = '';
+            confirmInput.value = '';
+            this.renderLockStatus();
+            alert('PIN saved');
+        } catch (error) {
+            alert('Error saving PIN: ' + error.message);
+        }
+    },
+
+    /**
+     * Turn the lock screen off
+     */
+    async removeLockPin() {
+        if (!confirm('Remove the PIN and turn off the lock screen?')) {
+            return;
+        }
+
+        await TEEPLock.removePin();
+        this.renderLockStatus();
+    },
+
+    /**
+     * Enable encryption, or change the passphrase if it is already enabled
+     */
+    async enableEncryption() {
+        if (!TEEPCrypto.isSupported()) {
+            alert('Encryption is not available in this browser. Open TEEP Tracker over https or from localhost.');
+            return;
+        }
+
+        const passphraseInput = document.getElementById('settingPassphrase');
+        const confirmInput = document.getElementById('settingPassphraseConfirm');
+        const passphrase = passphraseInput.value;
+
+        if (passphrase.length < 8) {
+            alert('Passphrase must be at least 8 characters');
+            return;
+        }
+        if (passphrase !== confirmInput.value) {
+            alert('Passphrases do not match');
+            return;
+        }
+        if (!confirm('If you forget this passphrase, encrypted data cannot be recovered. Export an unencrypted backup first if you are unsure. Continue?')) {
+            return;
+        }
+
+        try {
+            await TEEPStorage.enableEncryption(passphrase);
+            TEEPHistory.clear();
+            passphraseInput.value = '';
+            confirmInput.value = '';
+            this.renderEncryptionStatus();
+            alert('Encryption enabled');
+        } catch (error) {
+            alert('Error enabling encryption: ' + error.message);
+        }
+    },
+
+    /**
+     * Decrypt everything and turn encryption off
+     */
+    async disableEncryption() {
+        if (!confirm('Store EDIPI, phone, email and notes in plaintext again?')) {
+            return;
+        }
+
+        try {
+            await TEEPStorage.disableEncryption();
+            TEEPHistory.clear();
+            this.renderEncryptionStatus();
+            alert('Encryption disabled');
+        } catch (error) {
+            alert('Error disabling encryption: ' + error.message);
+        }
+    },
+
+    /**
+     * Save the settings view
+     */
+    async saveSettings() {
+        const operatorInput = document.getElementById('settingOperatorName');
+        if (operatorInput) {
+            await TEEPStorage.setSetting('operatorName', operatorInput.value.trim());
+        }
+
+        const retentionInput = document.getElementById('settingTrashRetention');
+        if (retentionInput) {
+            const days = parseInt(retentionInput.value);
+            const retentionDays = isNaN(days) || days < 0 ? TEEPTrash.DEFAULT_RETENTION_DAYS : days;
+            await TEEPStorage.setSetting('trashRetentionDays', retentionDays);
+            await TEEPStorage.purgeExpiredTrash(retentionDays);
+        }
+
+        const lockTimeoutInput = document.getElementById('settingLockTimeout');
+        if (lockTimeoutInput) {
+            const minutes = parseInt(lockTimeoutInput.value);
+            await TEEPStorage.setSetting('lockTimeoutMinutes',
+                isNaN(minutes) || minutes < 0 ? TEEPLock.DEFAULT_TIMEOUT_MINUTES : minutes);
+        }
+
+        const lockOnHiddenInput = document.getElementById('settingLockOnHidden');
+        if (lockOnHiddenInput) {
+            await TEEPStorage.setSetting('lockOnHidden', lockOnHiddenInput.checked);
+        }
+
+        const reminderInput = document.getElementById('settingBackupReminder');
+        if (reminderInput) {
+            const days = parseInt(reminderInput.value);
+            await TEEPStorage.setSetting('backupReminderDays',
+                isNaN(days) || days < 0 ? TEEPBackup.DEFAULT_REMINDER_DAYS : days);
+            await TEEPBackup.renderReminder();
+        }
+
+        alert('Settings saved');
+    },
+
     // ==================== THEME ====================
 
     /**
@@ -0,0 +1,197 @@
+/**
+ * TEEP Tracker - Audit Module
+ * Displays, filters, and exports the audit trail of roster and qualification changes
+ */
+
+const TEEPAudit = {
+    // State
+    filters: {
+        marineId: 'all',
+        qualificationType: 'all',
+        startDate: '',
+        endDate: ''
+    },
+    lastEntries: [],
+
+    /**
+     * Display labels
+     */
+    ORIGIN_LABELS: {
+        manual: 'Manual Entry',
+        import: 'File Import',
+        restore: 'Backup Restore',
+        recalculation: 'Recalculation',
+        automatic: 'Automatic'
+    },
+
+    ACTION_LABELS: {
+        create: 'Created',
+        update: 'Updated',
+        delete: 'Deleted'
+    },
+
+    /**
+     * Initialize the audit module
+     */
+    async init() {
+        this.bindEvents();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const filterBtn = document.getElementById('auditFilterBtn');
+        if (filterBtn) {
+            filterBtn.addEventListener('click', () => this.applyFilters());
+        }
+
+        const exportBtn = document.getElementById('auditExportBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportCSV());
+        }
+    },
+
+    /**
+     * Apply filters from filter controls
+     */
+    applyFilters() {
+        const marineId = document.getElementById('auditFilterMarine')?.value || 'all';
+        this.filters.marineId = marineId === 'all' ? 'all' : parseInt(marineId);
+        this.filters.qualificationType = document.getElementById('auditFilterQualType')?.value || 'all';
+        this.filters.startDate = document.getElementById('auditFilterStart')?.value || '';
+        this.filters.endDate = document.getElementById('auditFilterEnd')?.value || '';
+        this.refresh();
+    },
+
+    /**
+     * Refresh the audit view
+     */
+    async refresh() {
+        await this.loadFilterOptions();
+        this.lastEntries = await TEEPStorage.getAuditLog(this.filters);
+        this.renderAuditTable(this.lastEntries);
+    },
+
+    /**
+     * Load filter dropdown options. Marines come from the log itself so
+     * entries for deleted Marines can still be found.
+     */
+    async loadFilterOptions() {
+        const entries = await TEEPStorage.getAuditLog();
+
+        const marineSelect = document.getElementById('auditFilterMarine');
+        if (marineSelect) {
+            const marines = new Map();
+            entries.forEach(entry => {
+                if (entry.marineId && !marines.has(entry.marineId)) {
+                    marines.set(entry.marineId, entry.marineName || `Marine #${entry.marineId}`);
+                }
+            });
+
+            marineSelect.innerHTML = '<option value="all">All Marines</option>' +
+                Array.from(marines.entries())
+                    .sort((a, b) => a[1].localeCompare(b[1]))
+                    .map(([id, name]) => `<option value="${id}">${TEEPRoster.escapeHtml(name)}</option>`)
+                    .join('');
+            marineSelect.value = String(this.filters.marineId);
+        }
+
+        const typeSelect = document.getElementById('auditFilterQualType');
+        if (typeSelect) {
+            typeSelect.innerHTML = '<option value="all">All Qualifications</option>' +
+                TEEPQualifications.getAllQualificationTypes({ includeRetired: true })
+                    .map(type => `<option value="${type.id}">${TEEPRoster.escapeHtml(type.name)}</option>`)
+                    .join('');
+            typeSelect.value = this.filters.qualificationType;
+        }
+    },
+
+    /**
+     * Render the audit table
+     */
+    renderAuditTable(entries) {
+        const tbody = document.querySelector('#auditTable tbody');
+        if (!tbody) return;
+
+        const count = document.getElementById('auditCount');
+        if (count) count.textContent = entries.length;
+
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center">No changes recorded</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = entries.map(entry => `
+            <tr>
+                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>${TEEPRoster.escapeHtml(entry.operator || '')}</td>
+                <td>${this.ORIGIN_LABELS[entry.origin] || TEEPRoster.escapeHtml(entry.origin || '')}</td>
+                <td>${this.ACTION_LABELS[entry.action] || entry.action}</td>
+                <td>${TEEPRoster.escapeHtml(entry.marineName || '')}</td>
+                <td>${TEEPRoster.escapeHtml(this.formatSubject(entry))}</td>
+                <td class="audit-changes">${TEEPRoster.escapeHtml(this.formatChanges(entry))}</td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * What record the entry is about
+     */
+    formatSubject(entry) {
+        if (entry.entity === 'qualification') {
+            return TEEPReports.getQualLabel(entry.qualificationType);
+        }
+        if (entry.entity === 'waiver') {
+            return `${TEEPReports.getQualLabel(entry.qualificationType)} Waiver`;
+        }
+        if (entry.entity === 'billet') {
+            return `${TEEPBillets.getBilletName(entry.billetId)} Billet`;
+        }
+        return 'Roster Record';
+    },
+
+    /**
+     * Summarize field changes as "field: before -> after"
+     */
+    formatChanges(entry) {
+        const changes = Object.entries(entry.changes || {}).map(([field, change]) => {
+            if (entry.action === 'create') return `${field}: ${this.formatValue(change.after)}`;
+            if (entry.action === 'delete') return `${field}: ${this.formatValue(change.before)}`;
+            return `${field}: ${this.formatValue(change.before)} -> ${this.formatValue(change.after)}`;
+        });
+
+        if (entry.note) changes.push(`Note: ${entry.note}`);
+        return changes.join('; ');
+    },
+
+    /**
+     * Format a single field value
+     */
+    formatValue(value) {
+        if (value === null || value === undefined || value === '') return '(blank)';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    },
+
+    /**
+     * Export the currently filtered entries as CSV
+     */
+    exportCSV() {
+        const data = this.lastEntries.map(entry => ({
+            Timestamp: entry.timestamp,
+            Operator: entry.operator || '',
+            Origin: this.ORIGIN_LABELS[entry.origin] || entry.origin,
+            Action: this.ACTION_LABELS[entry.action] || entry.action,
+            Marine: entry.marineName || '',
+            Record: this.formatSubject(entry),
+            Changes: this.formatChanges(entry)
+        }));
+
+        TEEPReports.exportCSV({
+            title: 'Audit Trail',
+            columns: ['Timestamp', 'Operator', 'Origin', 'Action', 'Marine', 'Record', 'Changes'],
+            data
+        });
+    }
+};
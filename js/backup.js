@@ -0,0 +1,1433 @@
+/**
+ * TEEP Tracker - Backup Module
+ * Backup validation and checksums, merge-aware restore, rolling local
+ * snapshots, and the backup reminder
+ */
+
+const TEEPBackup = {
+    // Bump when the layout of backup.data changes
+    // 2: waivers, requirementProfiles, billets, billetAssignments, morningReports, orgUnits
+    SCHEMA_VERSION: 2,
+
+    DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+    TIMESTAMP_PATTERN: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/,
+    EDIPI_PATTERN: /^\d{10}$/,
+
+    // Marine fields holding YYYY-MM-DD dates
+    MARINE_DATE_FIELDS: ['eas', 'pebd', 'dor', 'dob'],
+
+    // Fields that never count as a difference between two copies of a record.
+    // Unit IDs differ between databases, so a merge leaves Marines already on file in their units.
+    MERGE_IGNORED_FIELDS: ['id', 'marineId', 'createdAt', 'updatedAt', 'expirationDate', 'dueDate', 'extensionDays', 'expiredAt', 'orgUnitId'],
+
+    // Rolling snapshot retention
+    SNAPSHOT_DAYS: 7,
+    SNAPSHOT_WEEKS: 4,
+    PRE_RESTORE_SNAPSHOTS: 3,
+    SNAPSHOT_CHECK_MS: 60 * 60 * 1000,
+
+    SNAPSHOT_REASON_LABELS: {
+        daily: 'Daily',
+        manual: 'Manual',
+        'pre-restore': 'Before restore'
+    },
+
+    DEFAULT_REMINDER_DAYS: 7,
+
+    // Names shown for settings on the merge screen
+    SETTING_LABELS: {
+        operatorName: 'Operator name',
+        trashRetentionDays: 'Trash retention (days)',
+        backupReminderDays: 'Backup reminder (days)',
+        lockTimeoutMinutes: 'Auto-lock timeout (minutes)',
+        lockOnHidden: 'Lock when hidden',
+        theme: 'Theme',
+        scoringTables: 'PFT/CFT scoring tables',
+        bodyCompTables: 'Body composition tables'
+    },
+
+    // State
+    pendingBackup: null,
+    mergePlan: null,
+
+    /**
+     * Initialize the backup module and start taking daily snapshots
+     */
+    async init() {
+        this.bindEvents();
+
+        try {
+            await this.takeScheduledSnapshot();
+        } catch (error) {
+            console.error('Snapshot failed:', error);
+        }
+
+        // Long-running tabs still get a snapshot each day
+        setInterval(() => {
+            this.takeScheduledSnapshot().catch(error => console.error('Snapshot failed:', error));
+        }, this.SNAPSHOT_CHECK_MS);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const applyBtn = document.getElementById('applyMergeBtn');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.applyMergeFromModal());
+        }
+
+        const cancelBtn = document.getElementById('cancelMergeBtn');
+        if (cancelBtn) {
+            cancelBtn.addEventListener('click', () => this.closeMerge());
+        }
+
+        const closeBtn = document.getElementById('closeMergeModal');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.closeMerge());
+        }
+
+        const snapshotBtn = document.getElementById('takeSnapshotBtn');
+        if (snapshotBtn) {
+            snapshotBtn.addEventListener('click', () => this.takeSnapshotNow());
+        }
+
+        const reminderBtn = document.getElementById('backupReminderBtn');
+        if (reminderBtn) {
+            reminderBtn.addEventListener('click', () => TEEPApp.openModal('exportModal'));
+        }
+
+        const body = document.getElementById('mergeBody');
+        if (body) {
+            // Show the per-field choices only for conflicts resolved field by field
+            body.addEventListener('change', (e) => {
+                if (e.target.classList.contains('merge-choice')) {
+                    const fields = document.getElementById(`mergeFields${e.target.dataset.index}`);
+                    if (fields) fields.classList.toggle('hidden', e.target.value !== 'fields');
+                }
+            });
+        }
+    },
+
+    // ==================== INTEGRITY ====================
+
+    /**
+     * Stamp a backup with its schema version and a SHA-256 checksum of its data
+     */
+    async addIntegrity(backup) {
+        backup.schemaVersion = this.SCHEMA_VERSION;
+        backup.checksum = {
+            algorithm: 'SHA-256',
+            value: await TEEPCrypto.sha256(JSON.stringify(backup.data))
+        };
+        return backup;
+    },
+
+    /**
+     * Check a backup before it is restored. Errors block the restore; warnings don't.
+     */
+    async validateBackup(backup) {
+        const result = { errors: [], warnings: [] };
+        const error = message => result.errors.push(message);
+        const warn = message => result.warnings.push(message);
+
+        if (!backup || typeof backup.data !== 'object' || backup.data === null) {
+            error('Not a TEEP Tracker backup file');
+            return result;
+        }
+
+        // Schema version and checksum (missing on backups made before they existed)
+        if (backup.schemaVersion === undefined) {
+            warn('Older backup without a schema version');
+        } else if (backup.schemaVersion > this.SCHEMA_VERSION) {
+            error(`Backup was made by a newer version of TEEP Tracker (schema ${backup.schemaVersion}). Update the app first.`);
+        }
+
+        if (!backup.checksum) {
+            warn('Backup has no checksum, so corruption or hand edits cannot be detected');
+        } else if (backup.checksum.value !== await TEEPCrypto.sha256(JSON.stringify(backup.data))) {
+            error('Checksum does not match - the file is corrupted or was edited by hand');
+        }
+
+        const data = backup.data;
+        ['marines', 'qualifications', 'waivers', 'qualificationTypes', 'requirementProfiles', 'billets', 'billetAssignments', 'morningReports', 'orgUnits', 'auditLog'].forEach(key => {
+            if (data[key] !== undefined && !Array.isArray(data[key])) {
+                error(`"${key}" must be a list`);
+            }
+        });
+        if (result.errors.length > 0) return result;
+
+        // Marines
+        const marineIds = new Set();
+        const edipis = new Set();
+        (data.marines || []).forEach((marine, i) => {
+            const label = `Marine ${i + 1}${marine.lastName ? ` (${marine.lastName})` : ''}`;
+
+            if (marine.id === undefined || marine.id === null) {
+                error(`${label}: missing id`);
+            } else if (marineIds.has(marine.id)) {
+                error(`${label}: duplicate id ${marine.id}`);
+            } else {
+                marineIds.add(marine.id);
+            }
+
+            if (!marine.lastName || !marine.firstName) {
+                error(`${label}: last and first name are required`);
+            }
+
+            if (!marine.edipi) {
+                warn(`${label}: no EDIPI, will be matched by name`);
+            } else {
+                if (!this.EDIPI_PATTERN.test(String(marine.edipi))) {
+                    warn(`${label}: EDIPI "${marine.edipi}" is not 10 digits`);
+                }
+                if (edipis.has(String(marine.edipi))) {
+                    error(`${label}: EDIPI ${marine.edipi} appears more than once`);
+                }
+                edipis.add(String(marine.edipi));
+            }
+
+            if (marine.gender && !TEEPScoring.GENDERS[marine.gender]) {
+                warn(`${label}: gender "${marine.gender}" is not male or female, so PFT/CFT events can't be scored`);
+            }
+
+            this.MARINE_DATE_FIELDS.forEach(field => {
+                if (marine[field] && !this.isValidDate(marine[field])) {
+                    error(`${label}: ${field} "${marine[field]}" is not a valid YYYY-MM-DD date`);
+                }
+            });
+
+            (marine.statusHistory || []).forEach(period => {
+                ['startDate', 'plannedEndDate', 'endDate'].forEach(field => {
+                    if ((field === 'startDate' || period[field]) && !this.isValidDate(period[field])) {
+                        error(`${label}: status period ${field} "${period[field] || ''}" is not a valid YYYY-MM-DD date`);
+                    }
+                });
+            });
+            if (marine.statusHistory && TEEPStatus.validatePeriods(marine.statusHistory).length > 0) {
+                warn(`${label}: status history has overlapping or out-of-order periods`);
+            }
+        });
+
+        // Qualifications
+        (data.qualifications || []).forEach((qual, i) => {
+            const label = `Qualification ${i + 1}${qual.type ? ` (${qual.type})` : ''}`;
+
+            if (!qual.type) {
+                error(`${label}: missing type`);
+            }
+            if (!this.isValidDate(qual.completionDate)) {
+                error(`${label}: completion date "${qual.completionDate || ''}" is not a valid YYYY-MM-DD date`);
+            }
+            // Calculated dates are stored as Date objects, and exported as ISO timestamps
+            ['expirationDate', 'dueDate'].forEach(field => {
+                if (qual[field] && !this.isValidStoredDate(qual[field])) {
+                    error(`${label}: ${field} "${qual[field]}" is not a valid date`);
+                }
+            });
+            if (!marineIds.has(qual.marineId)) {
+                error(`${label}: belongs to Marine id ${qual.marineId}, which is not in the backup`);
+            }
+        });
+
+        // Waivers
+        (data.waivers || []).forEach((waiver, i) => {
+            const label = `Waiver ${i + 1}${waiver.type ? ` (${waiver.type})` : ''}`;
+
+            if (!waiver.type) {
+                error(`${label}: missing qualification type`);
+            }
+            if (!Object.values(TEEPQualifications.WAIVER_KINDS).includes(waiver.kind)) {
+                error(`${label}: unknown kind "${waiver.kind || ''}"`);
+            }
+            ['startDate', 'endDate'].forEach(field => {
+                if ((field === 'startDate' || waiver[field]) && !this.isValidDate(waiver[field])) {
+                    error(`${label}: ${field} "${waiver[field] || ''}" is not a valid YYYY-MM-DD date`);
+                }
+            });
+            if (!marineIds.has(waiver.marineId)) {
+                error(`${label}: belongs to Marine id ${waiver.marineId}, which is not in the backup`);
+            }
+        });
+
+        // Qualification types
+        (data.qualificationTypes || []).forEach((type, i) => {
+            if (!type.id || !type.name) {
+                error(`Qualification type ${i + 1}: id and name are required`);
+            }
+        });
+
+        // Requirement profiles
+        (data.requirementProfiles || []).forEach((profile, i) => {
+            if (!profile.name || !Array.isArray(profile.qualTypes)) {
+                error(`Requirement profile ${i + 1}: name and a list of qualification types are required`);
+            }
+        });
+
+        // Billet catalog and assignments
+        const billetIds = new Set();
+        (data.billets || []).forEach((billet, i) => {
+            if (billet.id === undefined || billet.id === null || !billet.name) {
+                error(`Billet ${i + 1}: id and name are required`);
+            }
+            billetIds.add(billet.id);
+        });
+
+        (data.billetAssignments || []).forEach((assignment, i) => {
+            const label = `Billet assignment ${i + 1}`;
+
+            if (!billetIds.has(assignment.billetId)) {
+                error(`${label}: refers to billet id ${assignment.billetId}, which is not in the backup`);
+            }
+            ['startDate', 'endDate'].forEach(field => {
+                if ((field === 'startDate' || assignment[field]) && !this.isValidDate(assignment[field])) {
+                    error(`${label}: ${field} "${assignment[field] || ''}" is not a valid YYYY-MM-DD date`);
+                }
+            });
+            if (!marineIds.has(assignment.marineId)) {
+                error(`${label}: belongs to Marine id ${assignment.marineId}, which is not in the backup`);
+            }
+        });
+
+        // Organization tree
+        const unitIds = new Set((data.orgUnits || []).map(unit => unit.id));
+        (data.orgUnits || []).forEach((unit, i) => {
+            const label = `Unit ${i + 1}${unit.name ? ` (${unit.name})` : ''}`;
+
+            if (unit.id === undefined || unit.id === null || !unit.name) {
+                error(`${label}: id and name are required`);
+            }
+            if (unit.parentId && !unitIds.has(unit.parentId)) {
+                warn(`${label}: parent unit id ${unit.parentId} is not in the backup, so it will sit at the top level`);
+            }
+            Object.entries(TEEPOrg.LEADER_FIELDS).forEach(([field, position]) => {
+                if (unit[field] && !marineIds.has(unit[field])) {
+                    warn(`${label}: ${position.toLowerCase()} is Marine id ${unit[field]}, which is not in the backup`);
+                }
+            });
+        });
+
+        (data.marines || []).forEach((marine, i) => {
+            if (marine.orgUnitId && !unitIds.has(marine.orgUnitId)) {
+                warn(`Marine ${i + 1}${marine.lastName ? ` (${marine.lastName})` : ''}: unit id ${marine.orgUnitId} is not in the backup, so the Marine will show as unassigned`);
+            }
+        });
+
+        // Audit log
+        (data.auditLog || []).forEach((entry, i) => {
+            if (isNaN(new Date(entry.timestamp).getTime())) {
+                error(`Audit entry ${i + 1}: invalid timestamp`);
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Whether a value is a real calendar date in YYYY-MM-DD form
+     */
+    isValidDate(value) {
+        if (typeof value !== 'string' || !this.DATE_PATTERN.test(value)) return false;
+
+        const date = new Date(value + 'T00:00:00Z');
+        return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+    },
+
+    /**
+     * Whether a value is a calculated date as records hold it: a Date in the
+     * database or a snapshot, an ISO timestamp once written to a file, or YYYY-MM-DD
+     */
+    isValidStoredDate(value) {
+        if (Object.prototype.toString.call(value) === '[object Date]') return !isNaN(value.getTime());
+        if (typeof value !== 'string') return false;
+        if (this.DATE_PATTERN.test(value)) return this.isValidDate(value);
+        return this.TIMESTAMP_PATTERN.test(value) && !isNaN(new Date(value).getTime());
+    },
+
+    // ==================== MERGE PLAN ====================
+
+    /**
+     * Compare a backup against the open database. Nothing is written.
+     */
+    async analyzeMerge(backup) {
+        const data = backup.data;
+        const existingMarines = await TEEPStorage.getAllMarines();
+        const existingTypes = await TEEPStorage.getQualificationTypes();
+        const existingProfiles = await TEEPStorage.getRequirementProfiles();
+        const existingBillets = await TEEPStorage.getBillets();
+        const existingUnits = await TEEPStorage.getOrgUnits();
+        const existingSettings = await TEEPStorage.getAllSettings();
+        const existingReports = await TEEPStorage.getMorningReports();
+
+        const byEdipi = new Map();
+        const byName = new Map();
+        existingMarines.forEach(marine => {
+            if (marine.edipi) byEdipi.set(String(marine.edipi), marine);
+            byName.set(this.nameKey(marine), marine);
+        });
+
+        const plan = {
+            marines: [],
+            qualifications: [],
+            waivers: [],
+            qualificationTypes: [],
+            requirementProfiles: [],
+            billets: [],
+            billetAssignments: [],
+            orgUnits: [],
+            morningReports: [],
+            settings: [],
+            auditLog: data.auditLog || []
+        };
+
+        // Marines: matched by EDIPI, or by name when the backup has no EDIPI
+        (data.marines || []).forEach(theirs => {
+            const mine = theirs.edipi ?
+                byEdipi.get(String(theirs.edipi)) :
+                byName.get(this.nameKey(theirs));
+
+            if (!mine) {
+                plan.marines.push({ action: 'add', theirs });
+                return;
+            }
+
+            const fields = Object.keys(this.diffFields(mine, theirs));
+            if (fields.length === 0) {
+                plan.marines.push({ action: 'unchanged', theirs, mine });
+                return;
+            }
+
+            plan.marines.push({
+                action: 'conflict',
+                theirs,
+                mine,
+                fields,
+                // Default to whichever copy was edited last
+                newer: new Date(theirs.updatedAt || 0) > new Date(mine.updatedAt || 0) ? 'theirs' : 'mine'
+            });
+        });
+
+        // Qualifications: identical copies of one already on file are skipped
+        const incomingByBackupId = new Map(plan.marines.map(item => [item.theirs.id, item]));
+        const existingQuals = new Map();
+        const existingWaivers = new Map();
+        const existingAssignments = new Map();
+        for (const item of plan.marines) {
+            if (item.mine) {
+                existingQuals.set(item.mine.id, await TEEPStorage.getQualificationsByMarine(item.mine.id));
+                existingWaivers.set(item.mine.id, await TEEPStorage.getWaiversByMarine(item.mine.id));
+                existingAssignments.set(item.mine.id, await TEEPStorage.getBilletAssignmentsByMarine(item.mine.id));
+            }
+        }
+
+        const seen = new Set();
+        (data.qualifications || []).forEach(qual => {
+            const item = incomingByBackupId.get(qual.marineId);
+            if (!item) {
+                plan.qualifications.push({ action: 'orphan', theirs: qual });
+                return;
+            }
+
+            const key = `${qual.marineId}|${this.recordKey(qual)}`;
+            const onFile = item.mine ? existingQuals.get(item.mine.id) || [] : [];
+            const duplicate = seen.has(key) || onFile.some(existing => this.recordKey(existing) === this.recordKey(qual));
+            seen.add(key);
+
+            plan.qualifications.push({ action: duplicate ? 'duplicate' : 'add', theirs: qual, marine: item });
+        });
+
+        // Waivers: same rules as qualifications
+        (data.waivers || []).forEach(waiver => {
+            const item = incomingByBackupId.get(waiver.marineId);
+            if (!item) {
+                plan.waivers.push({ action: 'orphan', theirs: waiver });
+                return;
+            }
+
+            const key = `waiver|${waiver.marineId}|${this.recordKey(waiver)}`;
+            const onFile = item.mine ? existingWaivers.get(item.mine.id) || [] : [];
+            const duplicate = seen.has(key) || onFile.some(existing => this.recordKey(existing) === this.recordKey(waiver));
+            seen.add(key);
+
+            plan.waivers.push({ action: duplicate ? 'duplicate' : 'add', theirs: waiver, marine: item });
+        });
+
+        // Qualification types: only ones this database doesn't have yet
+        const typeIds = new Set(existingTypes.map(type => type.id));
+        (data.qualificationTypes || []).forEach(type => {
+            plan.qualificationTypes.push({ action: typeIds.has(type.id) ? 'unchanged' : 'add', theirs: type });
+        });
+
+        // Billets: matched by name, never overwritten
+        const billetsByName = new Map(existingBillets.map(billet => [billet.name.trim().toLowerCase(), billet]));
+        (data.billets || []).forEach(billet => {
+            const mine = billetsByName.get((billet.name || '').trim().toLowerCase());
+            plan.billets.push(mine ? { action: 'unchanged', theirs: billet, mine } : { action: 'add', theirs: billet });
+        });
+
+        // Billet assignments: the same billet (by name) and start date is a duplicate
+        const theirBilletNames = new Map((data.billets || []).map(billet => [billet.id, (billet.name || '').trim().toLowerCase()]));
+        const myBilletNames = new Map(existingBillets.map(billet => [billet.id, billet.name.trim().toLowerCase()]));
+        (data.billetAssignments || []).forEach(assignment => {
+            const item = incomingByBackupId.get(assignment.marineId);
+            if (!item) {
+                plan.billetAssignments.push({ action: 'orphan', theirs: assignment });
+                return;
+            }
+
+            const billetName = theirBilletNames.get(assignment.billetId);
+            const key = `billet|${assignment.marineId}|${billetName}|${assignment.startDate}`;
+            const onFile = item.mine ? existingAssignments.get(item.mine.id) || [] : [];
+            const duplicate = seen.has(key) || onFile.some(existing =>
+                myBilletNames.get(existing.billetId) === billetName && existing.startDate === assignment.startDate);
+            seen.add(key);
+
+            plan.billetAssignments.push({ action: duplicate ? 'duplicate' : 'add', theirs: assignment, marine: item });
+        });
+
+        // Units: matched by their full path of names, never overwritten. Parents come first.
+        const unitPath = (units, unit) => {
+            const chain = [];
+            while (unit && !chain.includes(unit)) {
+                chain.unshift(unit);
+                unit = units.get(unit.parentId);
+            }
+            return chain.map(u => (u.name || '').trim().toLowerCase());
+        };
+        const myUnits = new Map(existingUnits.map(unit => [unit.id, unit]));
+        const myUnitsByPath = new Map(existingUnits.map(unit => [JSON.stringify(unitPath(myUnits, unit)), unit]));
+        const theirUnits = new Map((data.orgUnits || []).map(unit => [unit.id, unit]));
+        (data.orgUnits || [])
+            .map(unit => ({ unit, path: unitPath(theirUnits, unit) }))
+            .sort((a, b) => a.path.length - b.path.length)
+            .forEach(({ unit, path }) => {
+                const mine = myUnitsByPath.get(JSON.stringify(path));
+                plan.orgUnits.push(mine ? { action: 'unchanged', theirs: unit, mine } : { action: 'add', theirs: unit });
+            });
+
+        // Requirement profiles: matched by name, never overwritten
+        const profileNames = new Set(existingProfiles.map(profile => profile.name.trim().toLowerCase()));
+        (data.requirementProfiles || []).forEach(profile => {
+            const name = (profile.name || '').trim().toLowerCase();
+            plan.requirementProfiles.push({ action: profileNames.has(name) ? 'unchanged' : 'add', theirs: profile });
+            profileNames.add(name);
+        });
+
+        // Morning reports: one per date, never overwritten
+        const reportDates = new Set(existingReports.map(report => report.date));
+        (data.morningReports || []).forEach(snapshot => {
+            plan.morningReports.push({ action: reportDates.has(snapshot.date) ? 'unchanged' : 'add', theirs: snapshot });
+            reportDates.add(snapshot.date);
+        });
+
+        // Settings: device-only ones never travel, differing values need a decision
+        Object.entries(data.settings || {}).forEach(([key, theirs]) => {
+            if (TEEPStorage.LOCAL_SETTINGS.includes(key)) return;
+            if (!(key in existingSettings)) {
+                plan.settings.push({ action: 'add', key, theirs });
+                return;
+            }
+
+            const mine = existingSettings[key];
+            const same = JSON.stringify(mine) === JSON.stringify(theirs);
+            plan.settings.push({ action: same ? 'unchanged' : 'conflict', key, theirs, mine });
+        });
+
+        return plan;
+    },
+
+    /**
+     * Match key for Marines without an EDIPI
+     */
+    nameKey(marine) {
+        return `${(marine.lastName || '').trim().toLowerCase()}|${(marine.firstName || '').trim().toLowerCase()}`;
+    },
+
+    /**
+     * Comparable form of a record, minus bookkeeping fields
+     */
+    recordKey(record) {
+        const comparable = {};
+        Object.keys(record).sort().forEach(field => {
+            if (this.MERGE_IGNORED_FIELDS.includes(field)) return;
+            if (record[field] === undefined || record[field] === null || record[field] === '') return;
+            comparable[field] = record[field];
+        });
+        return JSON.stringify(comparable);
+    },
+
+    /**
+     * Fields that differ between my copy and theirs
+     */
+    diffFields(mine, theirs) {
+        const changes = TEEPStorage.diffRecords(mine, theirs);
+        this.MERGE_IGNORED_FIELDS.forEach(field => delete changes[field]);
+
+        // Blank on both sides is not a change
+        Object.keys(changes).forEach(field => {
+            const { before, after } = changes[field];
+            if ((before === null || before === '') && (after === null || after === '')) {
+                delete changes[field];
+            }
+        });
+
+        return changes;
+    },
+
+    /**
+     * Build the merged Marine for a conflict resolution
+     * ({ choice: 'mine' | 'theirs' | 'fields', fields: { field: 'mine' | 'theirs' } })
+     */
+    resolveMarine(item, resolution) {
+        const merged = { ...item.mine };
+
+        item.fields.forEach(field => {
+            const take = resolution.choice === 'fields' ? resolution.fields[field] : resolution.choice;
+            if (take !== 'theirs') return;
+
+            if (item.theirs[field] === undefined) {
+                delete merged[field];
+            } else {
+                merged[field] = item.theirs[field];
+            }
+        });
+
+        return merged;
+    },
+
+    /**
+     * Apply a merge plan. resolutions is keyed by the plan index of each conflict;
+     * resolutions.settings holds 'mine' or 'theirs' by the plan index of each setting.
+     * Returns a report of exactly what changed.
+     */
+    async applyMerge(plan, resolutions = {}) {
+        const options = { origin: TEEPStorage.AUDIT_ORIGINS.RESTORE, note: 'Merged from backup' };
+        const report = {
+            marines: { added: [], updated: [], unchanged: 0, keptMine: 0 },
+            qualifications: { added: 0, duplicates: 0, orphans: 0 },
+            waivers: { added: 0, duplicates: 0 },
+            qualificationTypes: { added: 0 },
+            requirementProfiles: { added: 0 },
+            billets: { added: 0 },
+            billetAssignments: { added: 0, duplicates: 0 },
+            orgUnits: { added: 0 },
+            morningReports: { added: 0 },
+            settings: { added: [], replaced: [], kept: 0 },
+            auditLog: { added: 0 },
+            errors: []
+        };
+
+        // Backup Marine ID -> ID in this database
+        const idMap = new Map();
+
+        for (const type of plan.qualificationTypes) {
+            if (type.action !== 'add') continue;
+            try {
+                await TEEPStorage.saveQualificationType(type.theirs);
+                report.qualificationTypes.added++;
+            } catch (error) {
+                report.errors.push(`Qualification type ${type.theirs.name || type.theirs.id}: ${error.message}`);
+            }
+        }
+
+        // Backup billet ID -> ID in this database
+        const billetIdMap = new Map();
+        for (const billet of plan.billets) {
+            if (billet.action !== 'add') {
+                billetIdMap.set(billet.theirs.id, billet.mine.id);
+                continue;
+            }
+            try {
+                const { id, ...record } = billet.theirs;
+                billetIdMap.set(id, await TEEPStorage.saveBillet(record));
+                report.billets.added++;
+            } catch (error) {
+                report.errors.push(`Billet ${billet.theirs.name}: ${error.message}`);
+            }
+        }
+
+        // Backup unit ID -> ID in this database. Leaders are filled in once the Marines are.
+        const unitIdMap = new Map();
+        const addedUnits = [];
+        for (const unit of plan.orgUnits) {
+            if (unit.action !== 'add') {
+                unitIdMap.set(unit.theirs.id, unit.mine.id);
+                continue;
+            }
+            try {
+                const { id, ...theirs } = unit.theirs;
+                const record = { ...theirs, parentId: unitIdMap.get(theirs.parentId) || null, leaderId: null, assistantId: null };
+                record.id = await TEEPStorage.saveOrgUnit(record);
+                unitIdMap.set(id, record.id);
+                addedUnits.push({ theirs: unit.theirs, record });
+                report.orgUnits.added++;
+            } catch (error) {
+                report.errors.push(`Unit ${unit.theirs.name}: ${error.message}`);
+            }
+        }
+
+        for (const profile of plan.requirementProfiles) {
+            if (profile.action !== 'add') continue;
+            try {
+                const { id, ...record } = profile.theirs;
+                await TEEPStorage.saveRequirementProfile(record);
+                report.requirementProfiles.added++;
+            } catch (error) {
+                report.errors.push(`Requirement profile ${profile.theirs.name}: ${error.message}`);
+            }
+        }
+
+        for (const [index, item] of plan.marines.entries()) {
+            const name = this.formatName(item.theirs);
+
+            try {
+                if (item.action === 'add') {
+                    const { id, ...marine } = item.theirs;
+                    idMap.set(id, await TEEPStorage.addMarine({ ...marine, orgUnitId: unitIdMap.get(marine.orgUnitId) || null }, options));
+                    report.marines.added.push(name);
+                    continue;
+                }
+
+                idMap.set(item.theirs.id, item.mine.id);
+
+                if (item.action === 'unchanged') {
+                    report.marines.unchanged++;
+                    continue;
+                }
+
+                const resolution = resolutions[index] || { choice: item.newer };
+                const merged = this.resolveMarine(item, resolution);
+                const changed = Object.keys(this.diffFields(item.mine, merged));
+
+                if (changed.length === 0) {
+                    report.marines.keptMine++;
+                } else {
+                    await TEEPStorage.updateMarine(merged, options);
+                    report.marines.updated.push({ name, fields: changed });
+                }
+            } catch (error) {
+                report.errors.push(`${name}: ${error.message}`);
+            }
+        }
+
+        for (const { theirs, record } of addedUnits) {
+            const leaderId = idMap.get(theirs.leaderId) || null;
+            const assistantId = idMap.get(theirs.assistantId) || null;
+            if (!leaderId && !assistantId) continue;
+
+            try {
+                await TEEPStorage.saveOrgUnit({ ...record, leaderId, assistantId });
+            } catch (error) {
+                report.errors.push(`Unit ${record.name}: ${error.message}`);
+            }
+        }
+
+        for (const qual of plan.qualifications) {
+            if (qual.action === 'duplicate') {
+                report.qualifications.duplicates++;
+                continue;
+            }
+
+            const marineId = idMap.get(qual.theirs.marineId);
+            if (qual.action === 'orphan' || !marineId) {
+                report.qualifications.orphans++;
+                continue;
+            }
+
+            try {
+                const { id, ...record } = qual.theirs;
+                await TEEPStorage.addQualification({ ...record, marineId }, options);
+                report.qualifications.added++;
+            } catch (error) {
+                report.errors.push(`${TEEPReports.getQualLabel(qual.theirs.type)}: ${error.message}`);
+            }
+        }
+
+        for (const waiver of plan.waivers) {
+            const marineId = idMap.get(waiver.theirs.marineId);
+            if (waiver.action !== 'add' || !marineId) {
+                report.waivers.duplicates += waiver.action === 'duplicate' ? 1 : 0;
+                continue;
+            }
+
+            try {
+                const { id, ...record } = waiver.theirs;
+                await TEEPStorage.addWaiver({ ...record, marineId }, options);
+                report.waivers.added++;
+            } catch (error) {
+                report.errors.push(`${TEEPReports.getQualLabel(waiver.theirs.type)} waiver: ${error.message}`);
+            }
+        }
+
+        for (const assignment of plan.billetAssignments) {
+            const marineId = idMap.get(assignment.theirs.marineId);
+            const billetId = billetIdMap.get(assignment.theirs.billetId);
+            if (assignment.action !== 'add' || !marineId || !billetId) {
+                report.billetAssignments.duplicates += assignment.action === 'duplicate' ? 1 : 0;
+                continue;
+            }
+
+            try {
+                const { id, ...record } = assignment.theirs;
+                await TEEPStorage.addBilletAssignment({ ...record, marineId, billetId }, options);
+                report.billetAssignments.added++;
+            } catch (error) {
+                report.errors.push(`Billet assignment: ${error.message}`);
+            }
+        }
+
+        for (const snapshot of plan.morningReports) {
+            if (snapshot.action !== 'add') continue;
+            try {
+                await TEEPStorage.saveMorningReport({
+                    ...snapshot.theirs,
+                    entries: (snapshot.theirs.entries || []).map(entry => ({
+                        ...entry,
+                        marineId: idMap.get(entry.marineId) || null,
+                        orgUnitId: unitIdMap.get(entry.orgUnitId) || null
+                    }))
+                });
+                report.morningReports.added++;
+            } catch (error) {
+                report.errors.push(`Morning report ${snapshot.theirs.date}: ${error.message}`);
+            }
+        }
+
+        const settingChoices = resolutions.settings || {};
+        for (const [index, setting] of plan.settings.entries()) {
+            if (setting.action === 'unchanged') continue;
+            if (setting.action === 'conflict' && settingChoices[index] !== 'theirs') {
+                report.settings.kept++;
+                continue;
+            }
+
+            try {
+                await TEEPStorage.setSetting(setting.key, setting.theirs);
+                report.settings[setting.action === 'add' ? 'added' : 'replaced'].push(this.getSettingLabel(setting.key));
+            } catch (error) {
+                report.errors.push(`Setting ${this.getSettingLabel(setting.key)}: ${error.message}`);
+            }
+        }
+
+        if (plan.auditLog.length > 0) {
+            try {
+                const entries = plan.auditLog.map(entry => idMap.has(entry.marineId) ?
+                    { ...entry, marineId: idMap.get(entry.marineId) } : entry);
+                report.auditLog.added = await TEEPStorage.importAuditLog(entries);
+            } catch (error) {
+                report.errors.push(`Audit log: ${error.message}`);
+            }
+        }
+
+        return report;
+    },
+
+    /**
+     * Display name of a setting
+     */
+    getSettingLabel(key) {
+        return this.SETTING_LABELS[key] || key;
+    },
+
+    /**
+     * Format a setting value for the merge screen. Tables are too large to show.
+     */
+    formatSetting(value) {
+        if (value === null || value === undefined) return 'Default';
+        if (typeof value === 'object') return 'Customized';
+        return TEEPAudit.formatValue(value);
+    },
+
+    /**
+     * "Rank Last, First" for reports
+     */
+    formatName(marine) {
+        return `${marine.rank || ''} ${marine.lastName || ''}, ${marine.firstName || ''}`.trim();
+    },
+
+    // ==================== MERGE UI ====================
+
+    /**
+     * Read a backup file, validate it, and open the merge screen with a dry run
+     * of what the restore would do. Nothing is written until Merge is clicked.
+     */
+    async startMerge(file) {
+        let validation;
+        try {
+            this.pendingBackup = await TEEPReports.readBackupFile(file);
+            validation = await this.validateBackup(this.pendingBackup);
+            this.mergePlan = validation.errors.length === 0 ? await this.analyzeMerge(this.pendingBackup) : null;
+        } catch (error) {
+            alert('Import failed: ' + error.message);
+            return;
+        }
+
+        this.renderMergePlan(this.mergePlan, validation);
+        TEEPApp.closeModal('exportModal');
+        TEEPApp.openModal('mergeModal');
+    },
+
+    /**
+     * Render validation problems, the dry-run summary, and a resolution form for each conflict
+     */
+    renderMergePlan(plan, validation = { errors: [], warnings: [] }) {
+        const body = document.getElementById('mergeBody');
+        if (!body) return;
+
+        const applyBtn = document.getElementById('applyMergeBtn');
+        const problems = this.renderValidation(validation);
+
+        if (!plan) {
+            if (applyBtn) applyBtn.classList.add('hidden');
+            body.innerHTML = problems;
+            return;
+        }
+
+        const count = (items, action) => items.filter(item => item.action === action).length;
+        const conflicts = plan.marines
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => item.action === 'conflict');
+        const settingConflicts = plan.settings
+            .map((setting, index) => ({ setting, index }))
+            .filter(({ setting }) => setting.action === 'conflict');
+
+        if (applyBtn) {
+            applyBtn.classList.remove('hidden');
+            applyBtn.textContent = 'Merge';
+        }
+
+        let html = problems + `
+            <h4 class="mb-2">What this restore will do</h4>
+            <ul class="merge-summary mb-4">
+                <li><strong>${count(plan.marines, 'add')}</strong> new Marines will be added</li>
+                <li><strong>${count(plan.marines, 'unchanged')}</strong> Marines already match</li>
+                <li><strong>${conflicts.length}</strong> Marines differ and need a decision</li>
+                <li><strong>${count(plan.qualifications, 'add')}</strong> qualifications will be added,
+                    <strong>${count(plan.qualifications, 'duplicate')}</strong> duplicates skipped</li>
+                <li><strong>${count(plan.waivers, 'add')}</strong> waivers will be added,
+                    <strong>${count(plan.waivers, 'duplicate')}</strong> duplicates skipped</li>
+                <li><strong>${count(plan.qualificationTypes, 'add')}</strong> new qualification types</li>
+                <li><strong>${count(plan.requirementProfiles, 'add')}</strong> new requirement profiles</li>
+                <li><strong>${count(plan.billets, 'add')}</strong> new billets,
+                    <strong>${count(plan.billetAssignments, 'add')}</strong> billet assignments will be added</li>
+                <li><strong>${count(plan.orgUnits, 'add')}</strong> new units</li>
+                <li><strong>${count(plan.morningReports, 'add')}</strong> morning reports will be added,
+                    <strong>${count(plan.morningReports, 'unchanged')}</strong> dates already on file</li>
+                <li><strong>${count(plan.settings, 'add')}</strong> settings will be added,
+                    <strong>${settingConflicts.length}</strong> differ and need a decision</li>
+            </ul>
+        `;
+
+        if (count(plan.qualifications, 'orphan') > 0) {
+            html += `<div class="alert alert--warning mb-4">${count(plan.qualifications, 'orphan')} qualifications in the backup belong to no Marine and will be skipped.</div>`;
+        }
+
+        html += conflicts.map(({ item, index }) => `
+            <div class="merge-conflict">
+                <div class="merge-conflict__header">
+                    <strong>${TEEPRoster.escapeHtml(this.formatName(item.mine))}</strong>
+                    <span class="text-secondary text-sm">
+                        Mine updated ${TEEPQualifications.formatDate(item.mine.updatedAt)} &bull;
+                        Theirs updated ${TEEPQualifications.formatDate(item.theirs.updatedAt)}
+                    </span>
+                </div>
+                <div class="flex gap-3 mb-2">
+                    ${['mine', 'theirs', 'fields'].map(choice => `
+                        <label class="checkbox-label">
+                            <input type="radio" class="merge-choice" name="mergeChoice${index}" data-index="${index}" value="${choice}"
+                                ${item.newer === choice ? 'checked' : ''}>
+                            ${choice === 'mine' ? 'Keep mine' : choice === 'theirs' ? 'Take theirs' : 'Field by field'}
+                        </label>
+                    `).join('')}
+                </div>
+                <table class="table merge-fields hidden" id="mergeFields${index}">
+                    <thead>
+                        <tr><th>Field</th><th>Mine</th><th>Theirs</th></tr>
+                    </thead>
+                    <tbody>
+                        ${item.fields.map(field => `
+                            <tr>
+                                <td>${TEEPRoster.escapeHtml(field)}</td>
+                                ${['mine', 'theirs'].map(side => `
+                                    <td>
+                                        <label class="checkbox-label">
+                                            <input type="radio" name="mergeField${index}_${field}" value="${side}"
+                                                ${item.newer === side ? 'checked' : ''}>
+                                            ${TEEPRoster.escapeHtml(TEEPAudit.formatValue(item[side][field]))}
+                                        </label>
+                                    </td>
+                                `).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('');
+
+        if (settingConflicts.length > 0) {
+            html += `
+                <div class="merge-conflict">
+                    <div class="merge-conflict__header">
+                        <strong>Settings</strong>
+                    </div>
+                    <table class="table merge-fields">
+                        <thead>
+                            <tr><th>Setting</th><th>Keep mine</th><th>Replace with theirs</th></tr>
+                        </thead>
+                        <tbody>
+                            ${settingConflicts.map(({ setting, index }) => `
+                                <tr>
+                                    <td>${TEEPRoster.escapeHtml(this.getSettingLabel(setting.key))}</td>
+                                    ${['mine', 'theirs'].map(side => `
+                                        <td>
+                                            <label class="checkbox-label">
+                                                <input type="radio" name="mergeSetting${index}" value="${side}"
+                                                    ${side === 'mine' ? 'checked' : ''}>
+                                                ${TEEPRoster.escapeHtml(this.formatSetting(setting[side]))}
+                                            </label>
+                                        </td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
+
+        body.innerHTML = html;
+    },
+
+    /**
+     * Validation errors and warnings as alert blocks
+     */
+    renderValidation(validation) {
+        const list = items => `<ul class="merge-report__list">${items.map(item => `<li>${TEEPRoster.escapeHtml(item)}</li>`).join('')}</ul>`;
+        let html = '';
+
+        if (validation.errors.length > 0) {
+            html += `<div class="alert alert--error mb-4"><div><strong>This backup cannot be restored (${validation.errors.length} problem${validation.errors.length === 1 ? '' : 's'}):</strong>${list(validation.errors)}</div></div>`;
+        }
+        if (validation.warnings.length > 0) {
+            html += `<div class="alert alert--warning mb-4"><div><strong>Warnings:</strong>${list(validation.warnings)}</div></div>`;
+        }
+
+        return html;
+    },
+
+    /**
+     * Collect the conflict choices from the merge screen
+     */
+    readResolutions(plan) {
+        const resolutions = {};
+
+        plan.marines.forEach((item, index) => {
+            if (item.action !== 'conflict') return;
+
+            const choice = document.querySelector(`input[name="mergeChoice${index}"]:checked`)?.value || item.newer;
+            const fields = {};
+            item.fields.forEach(field => {
+                fields[field] = document.querySelector(`input[name="mergeField${index}_${field}"]:checked`)?.value || item.newer;
+            });
+
+            resolutions[index] = { choice, fields };
+        });
+
+        resolutions.settings = {};
+        plan.settings.forEach((setting, index) => {
+            if (setting.action !== 'conflict') return;
+            resolutions.settings[index] = document.querySelector(`input[name="mergeSetting${index}"]:checked`)?.value || 'mine';
+        });
+
+        return resolutions;
+    },
+
+    /**
+     * Apply the merge with the choices on screen, then show the report
+     */
+    async applyMergeFromModal() {
+        if (!this.mergePlan) return;
+
+        const plan = this.mergePlan;
+        const resolutions = this.readResolutions(plan);
+        this.mergePlan = null;
+
+        try {
+            const report = await TEEPHistory.run('Merge backup', () => this.applyMerge(plan, resolutions));
+            this.renderMergeReport(report);
+
+            // The backup may have brought custom qualification types
+            await TEEPQualifications.loadTypes();
+            await TEEPRequirements.loadProfiles();
+            await TEEPBillets.loadBillets();
+            await TEEPOrg.loadUnits();
+            TEEPOrg.renderUnitSelects();
+            await TEEPRoster.refreshRoster();
+            await TEEPRoster.loadFilterOptions();
+            await TEEPApp.updateDashboard();
+            await TEEPApp.loadTheme();
+            await TEEPApp.loadSettings();
+
+            // Merged types or EAS dates may not match the stored expirations
+            await TEEPRecalc.review({}, 'Merged backup');
+        } catch (error) {
+            alert('Merge failed: ' + error.message);
+        }
+    },
+
+    /**
+     * Show what the merge changed
+     */
+    renderMergeReport(report) {
+        const body = document.getElementById('mergeBody');
+        if (!body) return;
+
+        const list = items => items.length === 0 ? '' :
+            `<ul class="merge-report__list">${items.map(item => `<li>${TEEPRoster.escapeHtml(item)}</li>`).join('')}</ul>`;
+
+        body.innerHTML = `
+            <h4 class="mb-2">Merge complete</h4>
+            <ul class="merge-summary mb-4">
+                <li><strong>${report.marines.added.length}</strong> Marines added${list(report.marines.added)}</li>
+                <li><strong>${report.marines.updated.length}</strong> Marines updated${list(report.marines.updated.map(u => `${u.name}: ${u.fields.join(', ')}`))}</li>
+                <li><strong>${report.marines.keptMine}</strong> conflicts kept as they were</li>
+                <li><strong>${report.marines.unchanged}</strong> Marines already matched</li>
+                <li><strong>${report.qualifications.added}</strong> qualifications added</li>
+                <li><strong>${report.qualifications.duplicates}</strong> duplicate qualifications skipped</li>
+                ${report.qualifications.orphans ? `<li><strong>${report.qualifications.orphans}</strong> qualifications without a Marine skipped</li>` : ''}
+                <li><strong>${report.waivers.added}</strong> waivers added, <strong>${report.waivers.duplicates}</strong> duplicates skipped</li>
+                <li><strong>${report.qualificationTypes.added}</strong> qualification types added</li>
+                <li><strong>${report.requirementProfiles.added}</strong> requirement profiles added</li>
+                <li><strong>${report.billets.added}</strong> billets added, <strong>${report.billetAssignments.added}</strong> billet assignments added,
+                    <strong>${report.billetAssignments.duplicates}</strong> duplicates skipped</li>
+                <li><strong>${report.orgUnits.added}</strong> units added</li>
+                <li><strong>${report.morningReports.added}</strong> morning reports added</li>
+                <li><strong>${report.settings.added.length + report.settings.replaced.length}</strong> settings applied${list([...report.settings.added, ...report.settings.replaced])},
+                    <strong>${report.settings.kept}</strong> kept as they were</li>
+                <li><strong>${report.auditLog.added}</strong> audit entries carried over</li>
+            </ul>
+            ${report.errors.length ? `<div class="alert alert--error">Errors:${list(report.errors)}</div>` : ''}
+        `;
+
+        const applyBtn = document.getElementById('applyMergeBtn');
+        if (applyBtn) applyBtn.classList.add('hidden');
+    },
+
+    /**
+     * Close the merge screen and drop any pending backup
+     */
+    closeMerge() {
+        this.pendingBackup = null;
+        this.mergePlan = null;
+        TEEPApp.closeModal('mergeModal');
+    },
+
+    // ==================== SNAPSHOTS ====================
+
+    /**
+     * Take today's snapshot if there isn't one yet, then prune old ones
+     */
+    async takeScheduledSnapshot() {
+        const snapshots = await TEEPStorage.getSnapshots();
+        const today = this.localDay(new Date());
+        if (snapshots.some(s => s.reason === 'daily' && s.day === today)) return;
+
+        await this.createSnapshot('daily');
+        await this.pruneSnapshots();
+    },
+
+    /**
+     * Save the current data as a snapshot
+     */
+    async createSnapshot(reason) {
+        const backup = await this.addIntegrity(await TEEPStorage.exportAllData());
+        const now = new Date();
+
+        return TEEPStorage.addSnapshot({
+            createdAt: now.toISOString(),
+            day: this.localDay(now),
+            week: this.weekStart(now),
+            reason,
+            counts: {
+                marines: backup.data.marines.length,
+                qualifications: backup.data.qualifications.length
+            },
+            backup
+        });
+    },
+
+    /**
+     * Keep the newest daily snapshot for each of the last SNAPSHOT_DAYS days, the
+     * oldest one of each of the last SNAPSHOT_WEEKS weeks, and the last few
+     * pre-restore snapshots. Manual snapshots stay until deleted by hand.
+     * Everything else is deleted.
+     */
+    async pruneSnapshots() {
+        const snapshots = await TEEPStorage.getSnapshots();
+        const keep = new Set();
+
+        const daily = snapshots.filter(s => s.reason === 'daily');
+        const days = [...new Set(daily.map(s => s.day))].slice(0, this.SNAPSHOT_DAYS);
+        days.forEach(day => keep.add(daily.find(s => s.day === day).id));
+
+        const weeks = [...new Set(daily.map(s => s.week))].slice(0, this.SNAPSHOT_WEEKS);
+        weeks.forEach(week => {
+            const inWeek = daily.filter(s => s.week === week);
+            keep.add(inWeek[inWeek.length - 1].id);
+        });
+
+        snapshots.filter(s => s.reason === 'pre-restore')
+            .slice(0, this.PRE_RESTORE_SNAPSHOTS)
+            .forEach(s => keep.add(s.id));
+
+        snapshots.filter(s => s.reason === 'manual').forEach(s => keep.add(s.id));
+
+        for (const snapshot of snapshots) {
+            if (!keep.has(snapshot.id)) {
+                await TEEPStorage.deleteSnapshot(snapshot.id);
+            }
+        }
+    },
+
+    /**
+     * YYYY-MM-DD in local time
+     */
+    localDay(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Local date of the Monday starting the week
+     */
+    weekStart(date) {
+        const monday = new Date(date);
+        monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+        return this.localDay(monday);
+    },
+
+    /**
+     * What restoring a backup of this database would change, compared by record ID
+     */
+    async diffAgainstCurrent(backup) {
+        const compare = (current, incoming) => {
+            const currentById = new Map(current.map(r => [r.id, r]));
+            const incomingById = new Map(incoming.map(r => [r.id, r]));
+            const result = { added: [], removed: [], changed: [] };
+
+            incoming.forEach(record => {
+                const existing = currentById.get(record.id);
+                if (!existing) {
+                    result.added.push({ before: null, after: record });
+                } else if (Object.keys(TEEPStorage.diffRecords(existing, record)).length > 0) {
+                    result.changed.push({ before: existing, after: record });
+                }
+            });
+            current.forEach(record => {
+                if (!incomingById.has(record.id)) {
+                    result.removed.push({ before: record, after: null });
+                }
+            });
+
+            return result;
+        };
+
+        return {
+            marines: compare(await TEEPStorage.getAllMarines(), backup.data.marines || []),
+            qualifications: compare(await TEEPStorage.getAllQualifications(), backup.data.qualifications || []),
+            waivers: compare(await TEEPStorage.getAllWaivers(), backup.data.waivers || []),
+            billetAssignments: compare(await TEEPStorage.getAllBilletAssignments(), backup.data.billetAssignments || [])
+        };
+    },
+
+    /**
+     * Plain-text summary of a diff for the restore confirmation
+     */
+    formatDiffSummary(diff) {
+        const names = items => items.slice(0, 5).map(item => this.formatName(item.after || item.before)).join('; ') +
+            (items.length > 5 ? `; and ${items.length - 5} more` : '');
+        const line = (label, items) => `${label}: ${items.length}${items.length ? ` (${names(items)})` : ''}`;
+
+        return [
+            line('Marines brought back', diff.marines.added),
+            line('Marines removed', diff.marines.removed),
+            line('Marines changed', diff.marines.changed),
+            `Qualifications brought back: ${diff.qualifications.added.length}`,
+            `Qualifications removed: ${diff.qualifications.removed.length}`,
+            `Qualifications changed: ${diff.qualifications.changed.length}`,
+            `Waivers brought back: ${diff.waivers.added.length}`,
+            `Waivers removed: ${diff.waivers.removed.length}`,
+            `Waivers changed: ${diff.waivers.changed.length}`,
+            `Billet assignments brought back: ${diff.billetAssignments.added.length}`,
+            `Billet assignments removed: ${diff.billetAssignments.removed.length}`,
+            `Billet assignments changed: ${diff.billetAssignments.changed.length}`
+        ].join('\n');
+    },
+
+    /**
+     * Restore a snapshot over the current data after showing what will change.
+     * The current data is snapshotted first so the restore itself can be reversed.
+     */
+    async restoreSnapshot(id) {
+        try {
+            const snapshot = await TEEPStorage.getSnapshot(id);
+            if (!snapshot || !snapshot.backup) {
+                throw new Error('Snapshot not found');
+            }
+
+            const validation = await this.validateBackup(snapshot.backup);
+            if (validation.errors.length > 0) {
+                throw new Error(validation.errors[0]);
+            }
+
+            const diff = await this.diffAgainstCurrent(snapshot.backup);
+            const when = new Date(snapshot.createdAt).toLocaleString();
+            if (!confirm(`Restore the snapshot from ${when}?\n\n${this.formatDiffSummary(diff)}\n\nYour current data will be saved as a snapshot first.`)) {
+                return;
+            }
+
+            await this.createSnapshot('pre-restore');
+            await TEEPStorage.replaceAllData(snapshot.backup);
+
+            const options = { origin: TEEPStorage.AUDIT_ORIGINS.RESTORE, note: `Restored snapshot from ${when}` };
+            const marinesAfter = new Map((snapshot.backup.data.marines || []).map(m => [m.id, m]));
+            for (const change of [...diff.marines.added, ...diff.marines.removed, ...diff.marines.changed]) {
+                await TEEPStorage.logAudit('marine', change.before, change.after, options);
+            }
+            for (const change of [...diff.qualifications.added, ...diff.qualifications.removed, ...diff.qualifications.changed]) {
+                const qual = change.after || change.before;
+                const marine = marinesAfter.get(qual.marineId) || await TEEPStorage.getMarine(qual.marineId);
+                await TEEPStorage.logAudit('qualification', change.before, change.after, { ...options, marine });
+            }
+            for (const change of [...diff.waivers.added, ...diff.waivers.removed, ...diff.waivers.changed]) {
+                const waiver = change.after || change.before;
+                const marine = marinesAfter.get(waiver.marineId) || await TEEPStorage.getMarine(waiver.marineId);
+                await TEEPStorage.logAudit('waiver', change.before, change.after, { ...options, marine });
+            }
+            for (const change of [...diff.billetAssignments.added, ...diff.billetAssignments.removed, ...diff.billetAssignments.changed]) {
+                const assignment = change.after || change.before;
+                const marine = marinesAfter.get(assignment.marineId) || await TEEPStorage.getMarine(assignment.marineId);
+                await TEEPStorage.logAudit('billet', change.before, change.after, { ...options, marine });
+            }
+
+            // Undo history refers to records that no longer exist in that form
+            TEEPHistory.clear();
+            await this.pruneSnapshots();
+
+            await TEEPQualifications.loadTypes();
+            await TEEPRequirements.loadProfiles();
+            await TEEPBillets.loadBillets();
+            await TEEPOrg.loadUnits();
+            TEEPOrg.renderUnitSelects();
+            await TEEPRoster.refreshRoster();
+            await TEEPRoster.loadFilterOptions();
+            await TEEPApp.updateDashboard();
+            await this.renderSnapshots();
+            alert('Snapshot restored');
+        } catch (error) {
+            alert('Error restoring snapshot: ' + error.message);
+        }
+    },
+
+    /**
+     * Download a snapshot as a regular JSON backup
+     */
+    async downloadSnapshot(id) {
+        const snapshot = await TEEPStorage.getSnapshot(id);
+        if (!snapshot || !snapshot.backup) return;
+
+        const blob = new Blob([JSON.stringify(snapshot.backup, null, 2)], { type: 'application/json' });
+        TEEPReports.downloadBlob(blob, `teep-tracker-snapshot_${snapshot.day}.json`);
+        await this.markDownloaded();
+    },
+
+    /**
+     * Take a snapshot on demand from the settings view
+     */
+    async takeSnapshotNow() {
+        try {
+            await this.createSnapshot('manual');
+            await this.renderSnapshots();
+        } catch (error) {
+            alert('Error taking snapshot: ' + error.message);
+        }
+    },
+
+    /**
+     * Delete a snapshot
+     */
+    async deleteSnapshot(id) {
+        if (!confirm('Delete this snapshot?')) return;
+
+        await TEEPStorage.deleteSnapshot(id);
+        await this.renderSnapshots();
+    },
+
+    /**
+     * Render the snapshots table in settings
+     */
+    async renderSnapshots() {
+        const tbody = document.querySelector('#snapshotTable tbody');
+        if (!tbody) return;
+
+        const snapshots = await TEEPStorage.getSnapshots();
+        if (snapshots.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center">No snapshots yet</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = snapshots.map(snapshot => `
+            <tr>
+                <td>${new Date(snapshot.createdAt).toLocaleString()}</td>
+                <td>${this.SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason}</td>
+                <td>${snapshot.counts.marines}</td>
+                <td>${snapshot.counts.qualifications}</td>
+                <td class="actions">
+                    <button class="btn btn--sm btn--primary" onclick="TEEPBackup.restoreSnapshot(${snapshot.id})">Restore</button>
+                    <button class="btn btn--sm btn--outline" onclick="TEEPBackup.downloadSnapshot(${snapshot.id})">Download</button>
+                    <button class="btn btn--sm btn--danger" onclick="TEEPBackup.deleteSnapshot(${snapshot.id})">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    // ==================== BACKUP REMINDER ====================
+
+    /**
+     * Record that a backup left the browser
+     */
+    async markDownloaded() {
+        await TEEPStorage.setSetting('lastBackupDownloadedAt', new Date().toISOString());
+        await this.renderReminder();
+    },
+
+    /**
+     * Get the reminder threshold in days (0 = never remind)
+     */
+    async getReminderDays() {
+        return TEEPStorage.getSetting('backupReminderDays', this.DEFAULT_REMINDER_DAYS);
+    },
+
+    /**
+     * Show the dashboard banner when the last downloaded backup is too old
+     */
+    async renderReminder() {
+        const banner = document.getElementById('backupReminder');
+        if (!banner) return;
+
+        const threshold = await this.getReminderDays();
+        const last = await TEEPStorage.getSetting('lastBackupDownloadedAt', null);
+        const days = last ? Math.floor((Date.now() - new Date(last)) / 86400000) : null;
+        const hasData = (await TEEPStorage.getAllMarines()).length > 0;
+
+        const show = threshold > 0 && hasData && (days === null || days >= threshold);
+        banner.classList.toggle('hidden', !show);
+        if (!show) return;
+
+        const text = document.getElementById('backupReminderText');
+        if (text) {
+            text.textContent = days === null ?
+                'No backup has been downloaded from this unit yet.' :
+                `Last backup downloaded ${days} day${days === 1 ? '' : 's'} ago.`;
+        }
+    }
+};
@@ -0,0 +1,489 @@
+/**
+ * TEEP Tracker - Billets Module
+ * Billet catalog with required qualifications, and dated assignment of Marines to billets
+ */
+
+const TEEPBillets = {
+    /**
+     * Billets seeded into a new database
+     */
+    DEFAULT_BILLETS: [
+        {
+            name: 'Range Safety Officer',
+            description: 'Range safety for live-fire training',
+            authorized: 1,
+            requiredQuals: ['rifle_qual', 'pistol_qual']
+        },
+        {
+            name: 'CACO',
+            description: 'Casualty Assistance Calls Officer',
+            authorized: 2,
+            requiredQuals: ['caco']
+        },
+        {
+            name: 'SAPR Victim Advocate',
+            description: 'Sexual Assault Prevention and Response',
+            authorized: 2,
+            requiredQuals: ['sharp']
+        },
+        {
+            name: 'EO Representative',
+            description: 'Equal Opportunity Representative',
+            authorized: 1,
+            requiredQuals: []
+        },
+        {
+            name: 'Duty NCO',
+            description: 'Duty NCO rotation',
+            authorized: 7,
+            requiredQuals: ['pistol_qual']
+        }
+    ],
+
+    // State
+    billets: [],
+    editingId: null,
+
+    /**
+     * Initialize the billets module
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadBillets();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const newBtn = document.getElementById('newBilletBtn');
+        if (newBtn) {
+            newBtn.addEventListener('click', () => this.showEditor());
+        }
+
+        const assignBtn = document.getElementById('assignBilletBtn');
+        if (assignBtn) {
+            assignBtn.addEventListener('click', () => this.showAssignmentModal());
+        }
+
+        const saveBtn = document.getElementById('saveBilletBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleSave());
+        }
+
+        ['cancelBilletModal', 'closeBilletModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('billetModal'));
+        });
+
+        const saveAssignmentBtn = document.getElementById('saveAssignmentBtn');
+        if (saveAssignmentBtn) {
+            saveAssignmentBtn.addEventListener('click', () => this.handleAssignmentSave());
+        }
+
+        ['cancelAssignmentModal', 'closeAssignmentModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('assignmentModal'));
+        });
+    },
+
+    /**
+     * Load the billet catalog from storage into the cache
+     */
+    async loadBillets() {
+        this.billets = await TEEPStorage.getBillets();
+        return this.billets;
+    },
+
+    /**
+     * Get billets, sorted by name. Retired billets only with includeRetired.
+     */
+    getBillets(options = {}) {
+        return this.billets
+            .filter(b => options.includeRetired || !b.retired)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Get a billet by ID (retired billets included)
+     */
+    getBillet(id) {
+        return this.billets.find(b => b.id === id) || null;
+    },
+
+    /**
+     * Billet name for display
+     */
+    getBilletName(id) {
+        return this.getBillet(id)?.name || 'Unknown';
+    },
+
+    /**
+     * Check if an assignment is in effect on a date. The end date is the last day in the billet.
+     */
+    isAssignmentActive(assignment, date = new Date()) {
+        return TEEPQualifications.isWaiverActive(assignment, date);
+    },
+
+    /**
+     * Names of the billets a Marine currently holds
+     */
+    getActiveBilletNames(assignments) {
+        return assignments
+            .filter(a => this.isAssignmentActive(a))
+            .map(a => this.getBillet(a.billetId))
+            .filter(Boolean)
+            .map(b => b.name);
+    },
+
+    // ==================== CATALOG VIEW ====================
+
+    /**
+     * Refresh the billets view
+     */
+    async refresh() {
+        const tbody = document.querySelector('#billetTable tbody');
+        if (!tbody) return;
+
+        const billets = this.getBillets({ includeRetired: true });
+        if (billets.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center">No billets</td></tr>';
+            return;
+        }
+
+        const marines = await TEEPStorage.getAllMarines();
+        const marineMap = new Map(marines.map(m => [m.id, m]));
+        const active = (await TEEPStorage.getAllBilletAssignments()).filter(a => this.isAssignmentActive(a));
+
+        tbody.innerHTML = billets.map(billet => {
+            const incumbents = active.filter(a => a.billetId === billet.id);
+            const fill = this.getFillStatus(billet, incumbents.length);
+
+            return `
+                <tr>
+                    <td>
+                        ${TEEPRoster.escapeHtml(billet.name)}
+                        ${billet.retired ? ' <span class="badge badge--secondary">Retired</span>' : ''}
+                        ${billet.description ? `<div class="text-sm text-secondary">${TEEPRoster.escapeHtml(billet.description)}</div>` : ''}
+                    </td>
+                    <td>${TEEPRoster.escapeHtml((billet.requiredQuals || []).map(id => TEEPReports.getQualLabel(id)).join(', ') || 'None')}</td>
+                    <td><span class="badge ${fill.class}">${incumbents.length}/${billet.authorized || 0} ${fill.label}</span></td>
+                    <td>
+                        ${incumbents.map(a => {
+                            const marine = marineMap.get(a.marineId);
+                            return marine ?
+                                `<div><a href="#" onclick="TEEPRoster.viewMarine(${marine.id}); return false;">${TEEPRoster.escapeHtml(`${marine.rank} ${marine.lastName}`)}</a></div>` :
+                                '';
+                        }).join('')}
+                    </td>
+                    <td class="actions">
+                        ${billet.retired ? '' : `<button class="btn btn--sm btn--primary" onclick="TEEPBillets.showAssignmentModal({ billetId: ${billet.id} })">Assign</button>`}
+                        <button class="btn btn--sm btn--outline" onclick="TEEPBillets.showEditor(${billet.id})">Edit</button>
+                        ${billet.retired ?
+                            `<button class="btn btn--sm btn--outline" onclick="TEEPBillets.setRetired(${billet.id}, false)">Reinstate</button>` :
+                            `<button class="btn btn--sm btn--danger" onclick="TEEPBillets.setRetired(${billet.id}, true)">Retire</button>`}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    },
+
+    /**
+     * Fill status of a billet: vacant, partially filled, filled, or over strength
+     */
+    getFillStatus(billet, filled) {
+        const authorized = billet.authorized || 0;
+        if (filled === 0) return { status: 'vacant', label: 'Vacant', class: 'badge--error' };
+        if (filled < authorized) return { status: 'partial', label: 'Partial', class: 'badge--warning' };
+        if (filled > authorized) return { status: 'over', label: 'Over', class: 'badge--info' };
+        return { status: 'filled', label: 'Filled', class: 'badge--success' };
+    },
+
+    /**
+     * Open the editor for a new billet, or an existing one when an ID is given
+     */
+    showEditor(id = null) {
+        const billet = id ? this.getBillet(id) : null;
+        if (id && !billet) {
+            alert('Billet not found');
+            return;
+        }
+        this.editingId = id;
+
+        document.getElementById('billetModalTitle').textContent = billet ? `Edit ${billet.name}` : 'New Billet';
+        document.getElementById('billetName').value = billet ? billet.name : '';
+        document.getElementById('billetDescription').value = billet ? billet.description || '' : '';
+        document.getElementById('billetAuthorized').value = billet ? billet.authorized || 0 : 1;
+
+        const selected = new Set(billet?.requiredQuals || []);
+        document.getElementById('billetRequiredQuals').innerHTML = TEEPQualifications.getCategories().map(category => `
+            <div class="requirement-types__group">
+                <strong>${TEEPRoster.escapeHtml(category.name)}</strong>
+                ${TEEPQualifications.getTypesByCategory(category.id).map(type => `
+                    <label class="checkbox-label">
+                        <input type="checkbox" class="checkbox" value="${type.id}" ${selected.has(type.id) ? 'checked' : ''}>
+                        ${TEEPRoster.escapeHtml(type.name)}
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+
+        this.showError('');
+        TEEPApp.openModal('billetModal');
+    },
+
+    /**
+     * Save the billet editor
+     */
+    async handleSave() {
+        const existing = this.editingId ? this.getBillet(this.editingId) : {};
+        const billet = {
+            ...existing,
+            name: document.getElementById('billetName').value.trim(),
+            description: document.getElementById('billetDescription').value.trim(),
+            authorized: parseInt(document.getElementById('billetAuthorized').value) || 0,
+            requiredQuals: [...document.querySelectorAll('#billetRequiredQuals input:checked')].map(input => input.value)
+        };
+
+        if (!billet.name) {
+            this.showError('Name is required');
+            return;
+        }
+        if (this.billets.some(b => b.id !== billet.id && b.name.toLowerCase() === billet.name.toLowerCase())) {
+            this.showError(`A billet named "${billet.name}" already exists`);
+            return;
+        }
+
+        try {
+            await TEEPStorage.saveBillet(billet);
+            await this.loadBillets();
+            TEEPApp.closeModal('billetModal');
+            await this.refreshAfterChange();
+        } catch (error) {
+            alert('Error saving billet: ' + error.message);
+        }
+    },
+
+    /**
+     * Retire a billet or bring it back. Assignments are kept.
+     */
+    async setRetired(id, retired) {
+        const billet = this.getBillet(id);
+        if (!billet) return;
+
+        if (retired && !confirm(`Retire ${billet.name}? It will no longer be offered for new assignments. Past and current assignments are kept.`)) {
+            return;
+        }
+
+        try {
+            await TEEPStorage.saveBillet({ ...billet, retired });
+            await this.loadBillets();
+            await this.refreshAfterChange();
+        } catch (error) {
+            alert('Error updating billet: ' + error.message);
+        }
+    },
+
+    /**
+     * Show or clear the billet editor error
+     */
+    showError(message) {
+        const error = document.getElementById('billetError');
+        if (!error) return;
+
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    },
+
+    // ==================== ASSIGNMENTS ====================
+
+    /**
+     * Render the billets section of the Marine detail view
+     */
+    renderMarineBillets(marine, assignments) {
+        const sorted = [...assignments].sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+
+        return `
+            <div class="qualifications-section">
+                <div class="section-header">
+                    <h4>Billets</h4>
+                    <button class="btn btn--sm btn--outline" onclick="TEEPBillets.showAssignmentModal({ marineId: ${marine.id} })">
+                        Assign Billet
+                    </button>
+                </div>
+
+                ${sorted.length === 0 ? `
+                    <p class="no-quals">No billet assignments</p>
+                ` : `
+                    <table class="quals-table">
+                        <thead>
+                            <tr>
+                                <th>Billet</th>
+                                <th>Assigned</th>
+                                <th>Ends</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${sorted.map(assignment => {
+                                const active = this.isAssignmentActive(assignment);
+                                return `
+                                    <tr class="${active ? '' : 'qual-record--inactive'}">
+                                        <td>${TEEPRoster.escapeHtml(this.getBilletName(assignment.billetId))}</td>
+                                        <td>${TEEPQualifications.formatDate(assignment.startDate)}</td>
+                                        <td>${assignment.endDate ? TEEPQualifications.formatDate(assignment.endDate) : 'Open-ended'}</td>
+                                        <td>${active ? '<span class="badge badge--success">Current</span>' : `<span class="badge badge--secondary">${new Date(assignment.startDate) > new Date() ? 'Pending' : 'Ended'}</span>`}</td>
+                                        <td class="actions">
+                                            <button class="btn btn--sm btn--outline" onclick="TEEPBillets.showAssignmentModal({ marineId: ${marine.id}, assignmentId: ${assignment.id} })">Edit</button>
+                                            ${active ? `<button class="btn btn--sm btn--outline" onclick="TEEPBillets.endAssignment(${assignment.id})">End Today</button>` : ''}
+                                            <button class="btn btn--sm btn--danger" onclick="TEEPBillets.deleteAssignment(${assignment.id})">Delete</button>
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `;
+    },
+
+    /**
+     * Open the assignment form. options.marineId / options.billetId preselect,
+     * options.assignmentId edits an existing assignment.
+     */
+    async showAssignmentModal(options = {}) {
+        const assignment = options.assignmentId ? await TEEPStorage.getBilletAssignment(options.assignmentId) : null;
+        const marineId = assignment ? assignment.marineId : options.marineId;
+        const billetId = assignment ? assignment.billetId : options.billetId;
+
+        const marines = await TEEPStorage.getAllMarines();
+        marines.sort((a, b) => (a.lastName || '').localeCompare(b.lastName || '') || (a.firstName || '').localeCompare(b.firstName || ''));
+
+        document.getElementById('assignmentMarine').innerHTML = marines.map(m =>
+            `<option value="${m.id}">${TEEPRoster.escapeHtml(`${m.lastName}, ${m.firstName} (${m.rank})`)}</option>`
+        ).join('');
+
+        // A retired billet stays selectable only on the assignment that already uses it
+        document.getElementById('assignmentBillet').innerHTML = this.getBillets({ includeRetired: true })
+            .filter(b => !b.retired || b.id === billetId)
+            .map(b => `<option value="${b.id}">${TEEPRoster.escapeHtml(b.name)}</option>`)
+            .join('');
+
+        document.getElementById('assignmentModalTitle').textContent = assignment ? 'Edit Billet Assignment' : 'Assign Billet';
+        document.getElementById('assignmentId').value = assignment ? assignment.id : '';
+        if (marineId) document.getElementById('assignmentMarine').value = marineId;
+        if (billetId) document.getElementById('assignmentBillet').value = billetId;
+        document.getElementById('assignmentStart').value = assignment ? assignment.startDate : new Date().toISOString().split('T')[0];
+        document.getElementById('assignmentEnd').value = assignment ? assignment.endDate || '' : '';
+
+        TEEPApp.openModal('assignmentModal');
+    },
+
+    /**
+     * Save the assignment form
+     */
+    async handleAssignmentSave() {
+        const assignmentId = parseInt(document.getElementById('assignmentId').value) || null;
+        const assignment = {
+            marineId: parseInt(document.getElementById('assignmentMarine').value),
+            billetId: parseInt(document.getElementById('assignmentBillet').value),
+            startDate: document.getElementById('assignmentStart').value,
+            endDate: document.getElementById('assignmentEnd').value || null
+        };
+
+        if (!assignment.marineId || !assignment.billetId || !assignment.startDate) {
+            alert('Marine, billet and start date are required');
+            return;
+        }
+        if (assignment.endDate && assignment.endDate < assignment.startDate) {
+            alert('End date cannot be before the start date');
+            return;
+        }
+
+        const marine = await TEEPStorage.getMarine(assignment.marineId);
+        const billet = this.getBillet(assignment.billetId);
+        if (!marine || !billet) {
+            alert('Marine or billet not found');
+            return;
+        }
+
+        // Warn before putting more Marines in a billet than it is authorized
+        if (!assignmentId) {
+            const filled = (await TEEPStorage.getAllBilletAssignments())
+                .filter(a => a.billetId === billet.id && this.isAssignmentActive(a)).length;
+            if (billet.authorized && filled >= billet.authorized &&
+                !confirm(`${billet.name} already has ${filled} of ${billet.authorized} authorized. Assign anyway?`)) {
+                return;
+            }
+        }
+
+        try {
+            const label = `${assignmentId ? 'Edit' : 'Assign'} ${billet.name} billet for ${marine.rank} ${marine.lastName}`;
+            if (assignmentId) {
+                const existing = await TEEPStorage.getBilletAssignment(assignmentId);
+                await TEEPHistory.run(label, () => TEEPStorage.updateBilletAssignment({ ...existing, ...assignment, id: assignmentId }, { marine }));
+            } else {
+                await TEEPHistory.run(label, () => TEEPStorage.addBilletAssignment(assignment, { marine }));
+            }
+
+            TEEPApp.closeModal('assignmentModal');
+            await this.refreshAfterChange(assignment.marineId);
+        } catch (error) {
+            alert('Error saving billet assignment: ' + error.message);
+        }
+    },
+
+    /**
+     * End an assignment today
+     */
+    async endAssignment(id) {
+        const assignment = await TEEPStorage.getBilletAssignment(id);
+        if (!assignment) return;
+
+        try {
+            const today = new Date().toISOString().split('T')[0];
+            await TEEPHistory.run(`End ${this.getBilletName(assignment.billetId)} billet`, () =>
+                TEEPStorage.updateBilletAssignment({ ...assignment, endDate: today })
+            );
+            await this.refreshAfterChange(assignment.marineId);
+        } catch (error) {
+            alert('Error ending billet assignment: ' + error.message);
+        }
+    },
+
+    /**
+     * Delete an assignment entered in error
+     */
+    async deleteAssignment(id) {
+        const assignment = await TEEPStorage.getBilletAssignment(id);
+        if (!assignment) return;
+
+        if (!confirm('Delete this billet assignment? Use "End Today" instead if the Marine held the billet and has left it.')) {
+            return;
+        }
+
+        try {
+            await TEEPHistory.run(`Delete ${this.getBilletName(assignment.billetId)} billet assignment`, () =>
+                TEEPStorage.deleteBilletAssignment(id)
+            );
+            await this.refreshAfterChange(assignment.marineId);
+        } catch (error) {
+            alert('Error deleting billet assignment: ' + error.message);
+        }
+    },
+
+    /**
+     * Refresh whatever shows billets after a change
+     */
+    async refreshAfterChange(marineId = null) {
+        await this.refresh();
+
+        if (marineId && document.getElementById('viewMarineModal')?.classList.contains('active')) {
+            await TEEPRoster.viewMarine(marineId);
+        }
+
+        if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
+            await TEEPApp.updateDashboard();
+        }
+    }
+};
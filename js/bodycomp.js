@@ -0,0 +1,651 @@
+/**
+ * TEEP Tracker - Body Composition Module
+ * BCA height/weight and tape calculations, standards, and body composition program tracking
+ */
+
+const TEEPBodyComp = {
+    // Qualification type whose records carry BCA measurements
+    BCA_TYPE: 'bca',
+
+    RESULTS: {
+        within: { label: 'Within Height/Weight', class: 'badge--success' },
+        within_bf: { label: 'Within Body Fat', class: 'badge--success' },
+        outside: { label: 'Outside Standards', class: 'badge--error' },
+        underweight: { label: 'Below Minimum Weight', class: 'badge--warning' }
+    },
+
+    MEASUREMENT_LABELS: {
+        neck: 'Neck',
+        waist: 'Waist',
+        hip: 'Hips',
+        abdomen: 'Abdomen'
+    },
+
+    // Body composition program length and re-check interval when enrolling
+    PROGRAM_DEFAULTS: {
+        lengthMonths: 6,
+        recheckDays: 30
+    },
+
+    /**
+     * Default standards. Weight limits are listed by whole inch from minHeight;
+     * body fat limits by the scoring age brackets. A Marine within the maximum
+     * weight meets standards; over it, the tape method decides. Methods:
+     * - linear: intercept + sum of coefficient x measurement (weight in lb, sites in inches)
+     * - log: intercept + circumference x log10(add sites - subtract sites) + height x log10(height)
+     */
+    DEFAULT_TABLES: {
+        method: 'one_site',
+        methods: {
+            one_site: {
+                name: 'One-site tape (abdomen/waist)',
+                type: 'linear',
+                male: { intercept: -26.97, coefficients: { weight: -0.12, abdomen: 1.99 } },
+                female: { intercept: -9.15, coefficients: { weight: -0.015, waist: 1.27 } }
+            },
+            circumference: {
+                name: 'Circumference (neck, abdomen/waist and hips)',
+                type: 'log',
+                male: { intercept: 36.76, circumference: 86.010, height: -70.041, add: ['abdomen'], subtract: ['neck'] },
+                female: { intercept: -78.387, circumference: 163.205, height: -97.684, add: ['waist', 'hip'], subtract: ['neck'] }
+            }
+        },
+        bodyFat: {
+            male: [18, 18, 19, 19, 20, 20, 21, 21],
+            female: [26, 26, 27, 27, 28, 28, 29, 29]
+        },
+        weight: {
+            male: {
+                minHeight: 58,
+                min: [91, 94, 97, 100, 104, 107, 110, 114, 117, 121, 125, 128, 132, 136, 140, 144, 148, 152, 156, 160, 164, 168, 173],
+                max: [131, 136, 141, 145, 150, 155, 160, 165, 170, 175, 181, 186, 191, 197, 202, 208, 214, 220, 225, 231, 237, 244, 250]
+            },
+            female: {
+                minHeight: 58,
+                min: [91, 94, 97, 100, 104, 107, 110, 114, 117, 121, 125, 128, 132, 136, 140, 144, 148, 152, 156, 160, 164, 168, 173],
+                max: [119, 124, 128, 132, 136, 141, 145, 150, 155, 159, 164, 169, 174, 179, 184, 189, 194, 200, 205, 210, 216, 221, 227]
+            }
+        }
+    },
+
+    // Marine the Add Qualification form is assessing
+    formMarine: null,
+
+    /**
+     * Initialize the body composition module
+     */
+    init() {
+        this.bindEvents();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('qualType')?.addEventListener('change', () => this.renderInputs());
+        document.getElementById('qualDate')?.addEventListener('change', () => this.updatePreview());
+        document.getElementById('qualBodyCompGroup')?.addEventListener('input', () => this.updatePreview());
+
+        document.getElementById('saveBcpBtn')?.addEventListener('click', () => this.handleProgramSave());
+        ['cancelBcpModal', 'closeBcpModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('bcpModal'));
+        });
+
+        document.getElementById('editBodyCompTablesBtn')?.addEventListener('click', () => this.showTablesEditor());
+        document.getElementById('saveBodyCompTablesBtn')?.addEventListener('click', () => this.handleTablesSave());
+        document.getElementById('resetBodyCompTablesBtn')?.addEventListener('click', () => this.resetTables());
+        ['cancelBodyCompTablesModal', 'closeBodyCompTablesModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('bodyCompTablesModal'));
+        });
+    },
+
+    // ==================== STANDARDS ====================
+
+    /**
+     * Standards in use: the unit's saved tables, or the defaults
+     */
+    async getTables() {
+        return await TEEPStorage.getSetting('bodyCompTables', null) || this.DEFAULT_TABLES;
+    },
+
+    /**
+     * Check a set of standards. Returns a list of problems (empty when valid).
+     */
+    validateTables(tables) {
+        const errors = [];
+        if (!tables || typeof tables !== 'object') {
+            return ['Standards must be an object'];
+        }
+        const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+        const method = tables.methods?.[tables.method];
+        if (!method) {
+            errors.push(`Method "${tables.method}" is not one of the listed methods`);
+        }
+
+        Object.entries(tables.methods || {}).forEach(([id, definition]) => {
+            if (!['linear', 'log'].includes(definition.type)) {
+                errors.push(`${id}: type must be linear or log`);
+            }
+            Object.keys(TEEPScoring.GENDERS).forEach(gender => {
+                const formula = definition[gender];
+                if (!formula || !isNumber(formula.intercept)) {
+                    errors.push(`${id}: ${gender} formula needs a numeric intercept`);
+                } else if (definition.type === 'linear' && (!formula.coefficients || typeof formula.coefficients !== 'object' ||
+                    !Object.values(formula.coefficients).every(isNumber))) {
+                    errors.push(`${id}: ${gender} formula needs numeric coefficients`);
+                } else if (definition.type === 'log' && (!isNumber(formula.circumference) || !isNumber(formula.height))) {
+                    errors.push(`${id}: ${gender} formula needs numeric circumference and height coefficients`);
+                } else if (definition.type === 'log' && (!Array.isArray(formula.add) || formula.add.length === 0 ||
+                    (formula.subtract !== undefined && !Array.isArray(formula.subtract)))) {
+                    errors.push(`${id}: ${gender} formula needs a list of sites to add (and optionally to subtract)`);
+                } else if (this.getTapeSites(definition, gender).some(site => !this.MEASUREMENT_LABELS[site])) {
+                    errors.push(`${id}: ${gender} sites must be ${Object.keys(this.MEASUREMENT_LABELS).join(', ')}`);
+                }
+            });
+        });
+
+        Object.keys(TEEPScoring.GENDERS).forEach(gender => {
+            const bodyFat = tables.bodyFat?.[gender];
+            if (!Array.isArray(bodyFat) || bodyFat.length !== TEEPScoring.AGE_BRACKETS.length || !bodyFat.every(isNumber)) {
+                errors.push(`bodyFat.${gender} needs ${TEEPScoring.AGE_BRACKETS.length} percentages, one per age bracket`);
+            }
+
+            const weight = tables.weight?.[gender];
+            const valid = weight && Number.isInteger(weight.minHeight) &&
+                Array.isArray(weight.min) && Array.isArray(weight.max) &&
+                weight.min.length > 0 && weight.min.length === weight.max.length &&
+                [...weight.min, ...weight.max].every(isNumber);
+            if (!valid) {
+                errors.push(`weight.${gender} needs minHeight and matching min and max lists of numbers`);
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Tape sites a method measures for a gender
+     */
+    getTapeSites(method, gender) {
+        const formula = method[gender] || {};
+        if (method.type === 'linear') {
+            return Object.keys(formula.coefficients || {}).filter(key => key !== 'weight' && key !== 'height');
+        }
+        return [...(formula.add || []), ...(formula.subtract || [])];
+    },
+
+    /**
+     * Minimum and maximum weight for a height, rounded to the nearest inch and
+     * held to the ends of the table
+     */
+    getWeightStandard(tables, gender, height) {
+        const standard = tables.weight[gender];
+        const index = Math.min(Math.max(Math.round(height) - standard.minHeight, 0), standard.max.length - 1);
+        return { min: standard.min[index], max: standard.max[index] };
+    },
+
+    /**
+     * Body fat percentage (whole percent) from the tape method
+     */
+    calculateBodyFat(tables, gender, height, weight, measurements) {
+        const method = tables.methods[tables.method];
+        const formula = method[gender];
+        let percent;
+
+        if (method.type === 'linear') {
+            const values = { ...measurements, weight, height };
+            percent = Object.entries(formula.coefficients)
+                .reduce((sum, [key, coefficient]) => sum + coefficient * values[key], formula.intercept);
+        } else {
+            const sum = keys => (keys || []).reduce((total, key) => total + measurements[key], 0);
+            const circumference = sum(formula.add) - sum(formula.subtract);
+            if (circumference <= 0) {
+                throw new Error('Tape measurements don\'t add up; check the neck measurement');
+            }
+            percent = formula.intercept + formula.circumference * Math.log10(circumference) + formula.height * Math.log10(height);
+        }
+
+        return Math.max(0, Math.round(percent));
+    },
+
+    /**
+     * Assess a Marine against the standards. Tape measurements are only needed
+     * when the Marine is over the maximum weight. Returns the breakdown stored
+     * on the BCA record.
+     */
+    async assess(marine, { height, weight, measurements = {} }, completionDate) {
+        if (!TEEPScoring.GENDERS[marine.gender] || !marine.dob) {
+            throw new Error(`${marine.rank} ${marine.lastName} needs a gender and date of birth on their record before a BCA can be calculated`);
+        }
+        if (!(height > 0) || !(weight > 0)) {
+            throw new Error('Height and weight are required');
+        }
+
+        const tables = await this.getTables();
+        const age = TEEPScoring.getAge(marine.dob, completionDate);
+        const standard = this.getWeightStandard(tables, marine.gender, height);
+        const breakdown = {
+            gender: marine.gender,
+            age,
+            height,
+            weight,
+            minWeight: standard.min,
+            maxWeight: standard.max,
+            maxBodyFat: tables.bodyFat[marine.gender][TEEPScoring.getBracketIndex(age)]
+        };
+
+        if (weight < standard.min) {
+            return { ...breakdown, result: 'underweight' };
+        }
+        if (weight <= standard.max) {
+            return { ...breakdown, result: 'within' };
+        }
+
+        const method = tables.methods[tables.method];
+        const sites = this.getTapeSites(method, marine.gender);
+        const missing = sites.filter(site => !(measurements[site] > 0));
+        if (missing.length > 0) {
+            throw new Error(`Over the ${standard.max} lb maximum for ${Math.round(height)}"; tape ${missing.map(site => this.MEASUREMENT_LABELS[site].toLowerCase()).join(' and ')} to check body fat`);
+        }
+
+        const bodyFat = this.calculateBodyFat(tables, marine.gender, height, weight, measurements);
+        return {
+            ...breakdown,
+            method: tables.method,
+            measurements: Object.fromEntries(sites.map(site => [site, measurements[site]])),
+            bodyFat,
+            result: bodyFat <= breakdown.maxBodyFat ? 'within_bf' : 'outside'
+        };
+    },
+
+    /**
+     * One-line description of a stored breakdown
+     */
+    describeBreakdown(breakdown) {
+        if (!breakdown) return '';
+
+        const parts = [`${breakdown.height}" ${breakdown.weight} lb (max ${breakdown.maxWeight})`];
+        if (breakdown.bodyFat !== undefined) {
+            parts.push(`${breakdown.bodyFat}% body fat (max ${breakdown.maxBodyFat}%)`);
+        }
+        return parts.join(', ');
+    },
+
+    /**
+     * Badge for a stored breakdown's result
+     */
+    renderResultBadge(breakdown) {
+        const result = breakdown && this.RESULTS[breakdown.result];
+        return result ? `<span class="badge ${result.class}">${result.label}</span>` : '';
+    },
+
+    // ==================== QUALIFICATION FORM ====================
+
+    /**
+     * Get the Add Qualification form ready for a Marine
+     */
+    async prepareForm(marineId) {
+        this.formMarine = await TEEPStorage.getMarine(marineId);
+        await this.renderInputs();
+    },
+
+    /**
+     * Show measurement inputs when the selected type is the BCA
+     */
+    async renderInputs() {
+        const group = document.getElementById('qualBodyCompGroup');
+        const container = document.getElementById('qualBcaTapeInputs');
+        if (!group || !container) return;
+
+        const isBca = document.getElementById('qualType')?.value === this.BCA_TYPE;
+        group.classList.toggle('hidden', !isBca);
+        document.getElementById('qualBcaHeight').value = '';
+        document.getElementById('qualBcaWeight').value = '';
+
+        const tables = await this.getTables();
+        const method = tables.methods[tables.method];
+        const gender = this.formMarine?.gender;
+        const sites = isBca && method && TEEPScoring.GENDERS[gender] ? this.getTapeSites(method, gender) : [];
+
+        container.innerHTML = sites.map(site => `
+            <div class="form-group">
+                <label class="label" for="qualBca_${site}">${this.MEASUREMENT_LABELS[site]} (in)</label>
+                <input type="number" class="input" id="qualBca_${site}" data-site="${site}" min="0" step="0.5">
+            </div>
+        `).join('');
+
+        this.updatePreview();
+    },
+
+    /**
+     * Measurements from the form, or null when height and weight were left blank
+     */
+    readInputs() {
+        if (document.getElementById('qualType')?.value !== this.BCA_TYPE) return null;
+
+        const height = parseFloat(document.getElementById('qualBcaHeight')?.value);
+        const weight = parseFloat(document.getElementById('qualBcaWeight')?.value);
+        if (isNaN(height) && isNaN(weight)) return null;
+
+        const measurements = {};
+        document.querySelectorAll('#qualBcaTapeInputs [data-site]').forEach(input => {
+            const value = parseFloat(input.value);
+            if (!isNaN(value)) measurements[input.dataset.site] = value;
+        });
+
+        return { height, weight, measurements };
+    },
+
+    /**
+     * Assess the entered measurements and show the result
+     */
+    async updatePreview() {
+        const preview = document.getElementById('qualBcaPreview');
+        if (!preview) return;
+
+        const inputs = this.readInputs();
+        if (!inputs || !this.formMarine) {
+            preview.textContent = 'Enter height and weight. Tape measurements are only needed over the maximum weight.';
+            return;
+        }
+
+        try {
+            const completionDate = document.getElementById('qualDate')?.value || new Date().toISOString().split('T')[0];
+            const breakdown = await this.assess(this.formMarine, inputs, completionDate);
+            preview.textContent = `${this.RESULTS[breakdown.result].label}: ${this.describeBreakdown(breakdown)}`;
+        } catch (error) {
+            preview.textContent = error.message;
+        }
+    },
+
+    // ==================== BODY COMPOSITION PROGRAM ====================
+
+    /**
+     * The program a Marine is currently enrolled in, or null
+     */
+    getActiveProgram(marine) {
+        return (marine.bodyCompPrograms || []).find(program => !program.completedDate) || null;
+    },
+
+    /**
+     * Re-check dates required during a program, from the first interval after
+     * enrollment through the scheduled end
+     */
+    getRecheckSchedule(program) {
+        const dates = [];
+        const end = new Date(program.endDate);
+        const date = new Date(program.startDate);
+
+        date.setDate(date.getDate() + program.recheckDays);
+        while (date <= end) {
+            dates.push(date.toISOString().split('T')[0]);
+            date.setDate(date.getDate() + program.recheckDays);
+        }
+        return dates;
+    },
+
+    /**
+     * Next re-check due: one interval after the latest BCA since enrollment
+     * (or after enrollment itself), never later than the program end
+     */
+    getNextRecheck(program, qualifications) {
+        const latest = TEEPQualifications.getLatestQualification(qualifications, this.BCA_TYPE);
+        const from = latest && latest.completionDate >= program.startDate ? latest.completionDate : program.startDate;
+
+        const due = new Date(from);
+        due.setDate(due.getDate() + program.recheckDays);
+        const next = due.toISOString().split('T')[0];
+        return next < program.endDate ? next : program.endDate;
+    },
+
+    /**
+     * Marines needing attention: latest BCA outside standards without a program,
+     * and programs with a re-check past due
+     */
+    getUnitFlags(marines, allQuals) {
+        const today = new Date().toISOString().split('T')[0];
+        const flags = [];
+
+        marines.forEach(marine => {
+            const quals = allQuals.filter(q => q.marineId === marine.id);
+            const latest = TEEPQualifications.getLatestQualification(quals, this.BCA_TYPE);
+            const program = this.getActiveProgram(marine);
+
+            if (program) {
+                const next = this.getNextRecheck(program, quals);
+                if (next < today) {
+                    flags.push({ marine, message: `BCP re-check due ${TEEPQualifications.formatDate(next)}` });
+                }
+            } else if (latest?.bodyComp?.result === 'outside') {
+                flags.push({ marine, message: `Outside standards ${TEEPQualifications.formatDate(latest.completionDate)}, not enrolled in BCP` });
+            }
+        });
+
+        return flags;
+    },
+
+    /**
+     * Render the body composition section of the Marine detail view
+     */
+    renderMarineBodyComp(marine, qualifications) {
+        const latest = TEEPQualifications.getLatestQualification(qualifications, this.BCA_TYPE);
+        const program = this.getActiveProgram(marine);
+        const past = (marine.bodyCompPrograms || []).filter(p => p.completedDate);
+
+        return `
+            <div class="qualifications-section">
+                <div class="section-header">
+                    <h4>Body Composition</h4>
+                    ${program ? `
+                        <button class="btn btn--sm btn--outline" onclick="TEEPBodyComp.recordRecheck(${marine.id})">Record Re-check</button>
+                        <button class="btn btn--sm btn--outline" onclick="TEEPBodyComp.completeProgram(${marine.id})">Complete Program</button>
+                    ` : `
+                        <button class="btn btn--sm btn--outline" onclick="TEEPBodyComp.showProgramModal(${marine.id})">Enroll in BCP</button>
+                    `}
+                </div>
+                <div class="details-grid">
+                    <div class="detail-item">
+                        <label>Latest BCA</label>
+                        <span>${latest ? `${TEEPQualifications.formatDate(latest.completionDate)} ${this.renderResultBadge(latest.bodyComp)}` : 'None'}</span>
+                    </div>
+                    ${latest?.bodyComp ? `
+                        <div class="detail-item">
+                            <label>Measurements</label>
+                            <span>${TEEPRoster.escapeHtml(this.describeBreakdown(latest.bodyComp))}</span>
+                        </div>
+                    ` : ''}
+                    ${program ? `
+                        <div class="detail-item">
+                            <label>BCP Enrolled</label>
+                            <span>${TEEPQualifications.formatDate(program.startDate)} - ${TEEPQualifications.formatDate(program.endDate)}</span>
+                        </div>
+                        <div class="detail-item">
+                            <label>Next Re-check</label>
+                            <span>${TEEPQualifications.formatDate(this.getNextRecheck(program, qualifications))}</span>
+                        </div>
+                        <div class="detail-item">
+                            <label>Re-check Schedule</label>
+                            <span>${this.getRecheckSchedule(program).map(date => TEEPQualifications.formatDate(date)).join(', ') || 'None'}</span>
+                        </div>
+                    ` : ''}
+                    ${past.length > 0 ? `
+                        <div class="detail-item">
+                            <label>Past Programs</label>
+                            <span>${past.map(p => TEEPRoster.escapeHtml(`${TEEPQualifications.formatDate(p.startDate)} - ${TEEPQualifications.formatDate(p.completedDate)}${p.outcome ? ` (${p.outcome})` : ''}`)).join('<br>')}</span>
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    },
+
+    /**
+     * Open the Add Qualification form on the BCA for a re-check
+     */
+    recordRecheck(marineId) {
+        TEEPRoster.showAddQualificationModal(marineId);
+
+        const select = document.getElementById('qualType');
+        if (select) {
+            select.value = this.BCA_TYPE;
+            select.dispatchEvent(new Event('change'));
+        }
+    },
+
+    /**
+     * Open the enrollment form
+     */
+    showProgramModal(marineId) {
+        document.getElementById('bcpMarineId').value = marineId;
+        document.getElementById('bcpStart').value = new Date().toISOString().split('T')[0];
+        document.getElementById('bcpLength').value = this.PROGRAM_DEFAULTS.lengthMonths;
+        document.getElementById('bcpRecheck').value = this.PROGRAM_DEFAULTS.recheckDays;
+        document.getElementById('bcpNotes').value = '';
+
+        TEEPApp.openModal('bcpModal');
+    },
+
+    /**
+     * Save the enrollment form
+     */
+    async handleProgramSave() {
+        const marineId = parseInt(document.getElementById('bcpMarineId').value);
+        const startDate = document.getElementById('bcpStart').value;
+        const lengthMonths = parseInt(document.getElementById('bcpLength').value);
+        const recheckDays = parseInt(document.getElementById('bcpRecheck').value);
+
+        if (!startDate || !(lengthMonths > 0) || !(recheckDays > 0)) {
+            alert('Start date, program length and re-check interval are required');
+            return;
+        }
+
+        const marine = await TEEPStorage.getMarine(marineId);
+        if (!marine) {
+            alert('Marine not found');
+            return;
+        }
+
+        const end = new Date(startDate);
+        end.setMonth(end.getMonth() + lengthMonths);
+        const program = {
+            startDate,
+            endDate: end.toISOString().split('T')[0],
+            recheckDays,
+            notes: document.getElementById('bcpNotes').value.trim() || null
+        };
+
+        try {
+            await TEEPHistory.run(`Enroll ${marine.rank} ${marine.lastName} in BCP`, () => TEEPStorage.updateMarine({
+                ...marine,
+                bodyCompPrograms: [...(marine.bodyCompPrograms || []), program]
+            }));
+
+            TEEPApp.closeModal('bcpModal');
+            await this.refreshAfterChange(marineId);
+        } catch (error) {
+            alert('Error enrolling in BCP: ' + error.message);
+        }
+    },
+
+    /**
+     * Close out the active program with an outcome
+     */
+    async completeProgram(marineId) {
+        const marine = await TEEPStorage.getMarine(marineId);
+        const program = marine && this.getActiveProgram(marine);
+        if (!program) return;
+
+        const outcome = prompt('Program outcome (e.g., Met standards, Extended, Processed for separation):', 'Met standards');
+        if (outcome === null) return;
+
+        try {
+            const today = new Date().toISOString().split('T')[0];
+            await TEEPHistory.run(`Complete BCP for ${marine.rank} ${marine.lastName}`, () => TEEPStorage.updateMarine({
+                ...marine,
+                bodyCompPrograms: marine.bodyCompPrograms.map(p => p === program ?
+                    { ...p, completedDate: today, outcome: outcome.trim() || null } :
+                    p)
+            }));
+            await this.refreshAfterChange(marineId);
+        } catch (error) {
+            alert('Error completing BCP: ' + error.message);
+        }
+    },
+
+    /**
+     * Refresh the Marine detail view and dashboard after a change
+     */
+    async refreshAfterChange(marineId) {
+        await TEEPRoster.viewMarine(marineId);
+
+        if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
+            TEEPApp.updateDashboard();
+        }
+    },
+
+    // ==================== STANDARDS EDITOR ====================
+
+    /**
+     * Open the standards editor
+     */
+    async showTablesEditor() {
+        document.getElementById('bodyCompTablesJson').value = JSON.stringify(await this.getTables(), null, 2);
+        this.showError('');
+        TEEPApp.openModal('bodyCompTablesModal');
+    },
+
+    /**
+     * Save the edited standards
+     */
+    async handleTablesSave() {
+        let tables;
+        try {
+            tables = JSON.parse(document.getElementById('bodyCompTablesJson').value);
+        } catch (error) {
+            this.showError('Not valid JSON: ' + error.message);
+            return;
+        }
+
+        const errors = this.validateTables(tables);
+        if (errors.length > 0) {
+            this.showError(errors.join('. '));
+            return;
+        }
+
+        try {
+            await TEEPStorage.setSetting('bodyCompTables', tables);
+            TEEPApp.closeModal('bodyCompTablesModal');
+        } catch (error) {
+            alert('Error saving body composition standards: ' + error.message);
+        }
+    },
+
+    /**
+     * Go back to the default standards
+     */
+    async resetTables() {
+        if (!confirm('Replace the body composition standards with the defaults? BCAs already recorded are not changed.')) {
+            return;
+        }
+
+        try {
+            await TEEPStorage.setSetting('bodyCompTables', null);
+            document.getElementById('bodyCompTablesJson').value = JSON.stringify(this.DEFAULT_TABLES, null, 2);
+            this.showError('');
+        } catch (error) {
+            alert('Error resetting body composition standards: ' + error.message);
+        }
+    },
+
+    /**
+     * Show or clear the editor error
+     */
+    showError(message) {
+        const error = document.getElementById('bodyCompTablesError');
+        if (!error) return;
+
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+};
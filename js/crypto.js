@@ -0,0 +1,191 @@
+/**
+ * TEEP Tracker - Crypto Module
+ * Passphrase-based encryption (PBKDF2 + AES-GCM) for PII at rest and for backups
+ */
+
+const TEEPCrypto = {
+    PBKDF2_ITERATIONS: 310000,
+    SALT_BYTES: 16,
+    IV_BYTES: 12,
+
+    // Plaintext sealed with the data key so a passphrase can be checked
+    VERIFIER_TEXT: 'teep-tracker',
+
+    BACKUP_FORMAT: 'teep-tracker-encrypted-backup',
+
+    // Unlocked keys for the open database ({ dataKey, indexKey }), null when locked
+    keys: null,
+
+    /**
+     * Check that WebCrypto is available (requires https or localhost)
+     */
+    isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    },
+
+    /**
+     * Derive an AES-GCM data key and an HMAC index key from a passphrase
+     */
+    async deriveKeys(passphrase, salt) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+        );
+
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt, iterations: this.PBKDF2_ITERATIONS, hash: 'SHA-256' },
+            baseKey,
+            512
+        );
+
+        const dataKey = await crypto.subtle.importKey(
+            'raw', bits.slice(0, 32), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']
+        );
+        const indexKey = await crypto.subtle.importKey(
+            'raw', bits.slice(32, 64), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+
+        return { dataKey, indexKey };
+    },
+
+    /**
+     * Encrypt a JSON-serializable value
+     */
+    async encryptJSON(dataKey, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(this.IV_BYTES));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, dataKey, plaintext);
+
+        return {
+            iv: this.toBase64(iv),
+            data: this.toBase64(new Uint8Array(ciphertext))
+        };
+    },
+
+    /**
+     * Decrypt a value sealed by encryptJSON
+     */
+    async decryptJSON(dataKey, payload) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(payload.iv) },
+            dataKey,
+            this.fromBase64(payload.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    },
+
+    /**
+     * Deterministic keyed hash, so an encrypted value can still be looked up by index
+     */
+    async blindIndex(indexKey, value) {
+        const signature = await crypto.subtle.sign('HMAC', indexKey, new TextEncoder().encode(String(value)));
+        return 'h:' + Array.from(new Uint8Array(signature))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    },
+
+    /**
+     * Create the stored encryption config for a new passphrase
+     */
+    async createConfig(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+        const keys = await this.deriveKeys(passphrase, salt);
+
+        return {
+            config: {
+                enabled: true,
+                salt: this.toBase64(salt),
+                iterations: this.PBKDF2_ITERATIONS,
+                verifier: await this.encryptJSON(keys.dataKey, this.VERIFIER_TEXT)
+            },
+            keys
+        };
+    },
+
+    /**
+     * Derive keys from a passphrase and check them against the stored config.
+     * Resolves the keys, or null if the passphrase is wrong.
+     */
+    async unlockConfig(config, passphrase) {
+        const keys = await this.deriveKeys(passphrase, this.fromBase64(config.salt));
+
+        try {
+            const check = await this.decryptJSON(keys.dataKey, config.verifier);
+            return check === this.VERIFIER_TEXT ? keys : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * SHA-256 of a string, hex encoded
+     */
+    async sha256(text) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    },
+
+    // ==================== BACKUPS ====================
+
+    /**
+     * Check whether a parsed backup file is encrypted
+     */
+    isEncryptedBackup(backup) {
+        return !!backup && backup.format === this.BACKUP_FORMAT;
+    },
+
+    /**
+     * Encrypt a full backup with its own passphrase
+     */
+    async encryptBackup(backup, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(this.SALT_BYTES));
+        const { dataKey } = await this.deriveKeys(passphrase, salt);
+
+        return {
+            format: this.BACKUP_FORMAT,
+            version: 1,
+            exportDate: backup.exportDate,
+            salt: this.toBase64(salt),
+            payload: await this.encryptJSON(dataKey, backup)
+        };
+    },
+
+    /**
+     * Decrypt a backup produced by encryptBackup
+     */
+    async decryptBackup(encrypted, passphrase) {
+        const { dataKey } = await this.deriveKeys(passphrase, this.fromBase64(encrypted.salt));
+
+        try {
+            return await this.decryptJSON(dataKey, encrypted.payload);
+        } catch (error) {
+            throw new Error('Wrong passphrase or corrupted backup file');
+        }
+    },
+
+    // ==================== ENCODING ====================
+
+    /**
+     * Bytes to base64
+     */
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(b => {
+            binary += String.fromCharCode(b);
+        });
+        return btoa(binary);
+    },
+
+    /**
+     * Base64 to bytes
+     */
+    fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+};
@@ -0,0 +1,301 @@
+/**
+ * TEEP Tracker - History Module
+ * Command-based undo/redo for roster and qualification changes
+ */
+
+const TEEPHistory = {
+    MAX_COMMANDS: 50,
+
+    // State
+    undoStack: [],
+    redoStack: [],
+    currentCommand: null,
+    busy: false,
+
+    // Store name -> audit entity
+    AUDITED_STORES: {
+        marines: 'marine',
+        qualifications: 'qualification',
+        waivers: 'waiver',
+        billetAssignments: 'billet'
+    },
+
+    /**
+     * Initialize the history module
+     */
+    init() {
+        TEEPStorage.onChange(change => this.recordChange(change));
+        this.bindEvents();
+        this.renderPanel();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const toggleBtn = document.getElementById('historyBtn');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', () => this.togglePanel());
+        }
+
+        const closeBtn = document.getElementById('closeHistoryPanel');
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.togglePanel(false));
+        }
+
+        const undoBtn = document.getElementById('undoBtn');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undo());
+        }
+
+        const redoBtn = document.getElementById('redoBtn');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+    },
+
+    /**
+     * Run an action as a single undoable command. Every storage change made
+     * while it runs (including nested run() calls) is grouped under one label.
+     */
+    async run(label, action) {
+        if (this.currentCommand) {
+            return action();
+        }
+
+        this.currentCommand = { label, timestamp: new Date().toISOString(), changes: [] };
+
+        try {
+            return await action();
+        } finally {
+            const command = this.currentCommand;
+            this.currentCommand = null;
+            this.commit(command);
+        }
+    },
+
+    /**
+     * Collect a storage change into the running command
+     */
+    recordChange(change) {
+        if (this.currentCommand) {
+            this.currentCommand.changes.push(change);
+        }
+    },
+
+    /**
+     * Push a finished command onto the undo stack
+     */
+    commit(command) {
+        command.changes = this.collapseChanges(command.changes);
+        if (command.changes.length === 0) return;
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.MAX_COMMANDS) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.renderPanel();
+    },
+
+    /**
+     * Reduce several changes to the same record to one first-before/last-after pair
+     */
+    collapseChanges(changes) {
+        const byRecord = new Map();
+
+        changes.forEach(change => {
+            const id = `${change.storeName}|${change.key}`;
+            const existing = byRecord.get(id);
+            if (existing) {
+                existing.after = change.after;
+            } else {
+                byRecord.set(id, { ...change });
+            }
+        });
+
+        // Drop records that were created and removed within the same command
+        return Array.from(byRecord.values()).filter(change => change.before || change.after);
+    },
+
+    /**
+     * Forget all undo/redo history
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.renderPanel();
+    },
+
+    /**
+     * Undo the most recent command
+     */
+    async undo() {
+        // Leave the command on the stack while another undo/redo is running
+        if (this.busy) return;
+
+        const command = this.undoStack.pop();
+        if (!command) return;
+
+        if (await this.applyCommand(command, 'undo')) {
+            this.redoStack.push(command);
+        }
+        this.renderPanel();
+    },
+
+    /**
+     * Redo the most recently undone command
+     */
+    async redo() {
+        // Leave the command on the stack while another undo/redo is running
+        if (this.busy) return;
+
+        const command = this.redoStack.pop();
+        if (!command) return;
+
+        if (await this.applyCommand(command, 'redo')) {
+            this.undoStack.push(command);
+        }
+        this.renderPanel();
+    },
+
+    /**
+     * Move every record in a command to its before (undo) or after (redo) state.
+     * Refuses if any record was changed outside the history since.
+     */
+    async applyCommand(command, direction) {
+        if (this.busy) return false;
+        this.busy = true;
+
+        const isUndo = direction === 'undo';
+        const verb = isUndo ? 'Undo' : 'Redo';
+
+        try {
+            const changes = isUndo ? [...command.changes].reverse() : command.changes;
+            const current = [];
+
+            for (const change of changes) {
+                const record = await TEEPStorage.getRecord(change.storeName, change.key);
+                const expected = isUndo ? change.after : change.before;
+
+                if (JSON.stringify(record) !== JSON.stringify(expected)) {
+                    alert(`Cannot ${verb.toLowerCase()} "${command.label}": the affected records have changed since. It has been removed from history.`);
+                    return false;
+                }
+                current.push(record);
+            }
+
+            await TEEPStorage.applyChanges(changes.map(change => ({
+                storeName: change.storeName,
+                key: change.key,
+                record: isUndo ? change.before : change.after
+            })));
+
+            // Undo and redo are mutations too - keep the audit trail complete
+            for (let i = 0; i < changes.length; i++) {
+                const { storeName } = changes[i];
+                const entity = this.AUDITED_STORES[storeName];
+                const target = isUndo ? changes[i].before : changes[i].after;
+                if (entity) {
+                    await TEEPStorage.logAudit(
+                        entity,
+                        await TEEPStorage.decodeRecord(storeName, current[i]),
+                        await TEEPStorage.decodeRecord(storeName, target),
+                        { note: `${verb}: ${command.label}` }
+                    );
+                }
+            }
+
+            await this.refreshViews();
+            return true;
+        } catch (error) {
+            alert(`${verb} failed: ${error.message}`);
+            return false;
+        } finally {
+            this.busy = false;
+        }
+    },
+
+    /**
+     * Refresh anything that shows stored data
+     */
+    async refreshViews() {
+        await TEEPOrg.loadUnits();
+        TEEPOrg.renderUnitSelects();
+        await TEEPRoster.refreshRoster();
+        await TEEPRoster.loadFilterOptions();
+        await TEEPApp.updateDashboard();
+        TEEPApp.showView(TEEPApp.currentView);
+
+        const marineModal = document.getElementById('viewMarineModal');
+        if (TEEPRoster.currentMarine && marineModal?.classList.contains('active')) {
+            const marine = await TEEPStorage.getMarine(TEEPRoster.currentMarine.id);
+            if (marine) {
+                await TEEPRoster.viewMarine(marine.id);
+            } else {
+                TEEPApp.closeModal('viewMarineModal');
+            }
+        }
+    },
+
+    /**
+     * Handle Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y). Text fields keep their native undo.
+     */
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        const tag = e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || e.target.isContentEditable) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    },
+
+    /**
+     * Show or hide the history panel
+     */
+    togglePanel(show) {
+        const panel = document.getElementById('historyPanel');
+        if (!panel) return;
+
+        const visible = show === undefined ? panel.classList.contains('hidden') : show;
+        panel.classList.toggle('hidden', !visible);
+    },
+
+    /**
+     * Render the history panel
+     */
+    renderPanel() {
+        const undoBtn = document.getElementById('undoBtn');
+        const redoBtn = document.getElementById('redoBtn');
+        if (undoBtn) undoBtn.disabled = this.undoStack.length === 0;
+        if (redoBtn) redoBtn.disabled = this.redoStack.length === 0;
+
+        const list = document.getElementById('historyList');
+        if (!list) return;
+
+        if (this.undoStack.length === 0 && this.redoStack.length === 0) {
+            list.innerHTML = '<li class="history-item history-item--empty">No changes yet this session</li>';
+            return;
+        }
+
+        const renderItem = (command, modifier) => `
+            <li class="history-item ${modifier}">
+                <span class="history-item__label">${TEEPRoster.escapeHtml(command.label)}</span>
+                <span class="history-item__meta">${new Date(command.timestamp).toLocaleTimeString()} &bull; ${command.changes.length} record${command.changes.length === 1 ? '' : 's'}</span>
+            </li>
+        `;
+
+        // Redo entries (undone) on top, then the undo stack newest first
+        list.innerHTML = [
+            ...this.redoStack.map(command => renderItem(command, 'history-item--undone')),
+            ...[...this.undoStack].reverse().map(command => renderItem(command, ''))
+        ].join('');
+    }
+};
@@ -117,6 +117,30 @@ const TEEPImport = {
             ],
             transform: (value) => TEEPImport.parseDate(value)
         },
+        dob: {
+            field: 'dob',
+            label: 'Date of Birth',
+            required: false,
+            patterns: [
+                /^dob$/i,
+                /^date[\s_-]?of[\s_-]?birth$/i,
+                /^birth[\s_-]?date$/i
+            ],
+            transform: (value) => TEEPImport.parseDate(value)
+        },
+        gender: {
+            field: 'gender',
+            label: 'Gender',
+            required: false,
+            patterns: [
+                /^gender$/i,
+                /^sex$/i
+            ],
+            transform: (value) => {
+                const letter = String(value || '').trim().charAt(0).toUpperCase();
+                return letter === 'M' ? 'male' : letter === 'F' ? 'female' : null;
+            }
+        },
 
         // Unit Info
         section: {
@@ -538,6 +562,7 @@ const TEEPImport = {
             skipped: 0,
             errors: []
         };
+        const auditOptions = { origin: TEEPStorage.AUDIT_ORIGINS.IMPORT, note: options.fileName || null };
 
         for (let i = 0; i < data.length; i++) {
             const row = data[i];
@@ -569,13 +594,13 @@ const TEEPImport = {
                     if (options.updateExisting) {
                         marine.id = existing.id;
                         marine.createdAt = existing.createdAt;
-                        await TEEPStorage.updateMarine(marine);
+                        await TEEPStorage.updateMarine(marine, auditOptions);
                         results.updated++;
                     } else {
                         results.skipped++;
                     }
                 } else {
-                    await TEEPStorage.addMarine(marine);
+                    await TEEPStorage.addMarine(marine, auditOptions);
                     results.added++;
                 }
             } catch (error) {
@@ -615,6 +640,7 @@ const TEEPImport = {
             skipped: 0,
             errors: []
         };
+        const auditOptions = { origin: TEEPStorage.AUDIT_ORIGINS.IMPORT, note: options.fileName || null };
 
         for (let i = 0; i < data.length; i++) {
             const row = data[i];
@@ -658,18 +684,29 @@ const TEEPImport = {
 
                 // Create qualification record
                 const qualTypeObj = TEEPQualifications.getQualificationType(qualType);
+                const context = qualTypeObj ? TEEPQualifications.getDateContext(
+                    marine, await TEEPStorage.getQualificationsByMarine(marine.id), qualType, completionDate
+                ) : {};
+                const dates = qualTypeObj ?
+                    TEEPQualifications.calculateDates(qualTypeObj, completionDate, marine.eas, context) :
+                    { dueDate: null, expirationDate: null, extensionDays: 0 };
                 const qualification = {
                     marineId: marine.id,
                     type: qualType,
                     completionDate: completionDate,
-                    expirationDate: qualTypeObj ?
-                        TEEPQualifications.calculateExpiration(qualTypeObj, completionDate, marine.eas) :
-                        null,
+                    expirationDate: dates.expirationDate,
+                    dueDate: dates.dueDate,
+                    extensionDays: dates.extensionDays,
                     score: score,
                     source: options.source || 'import'
                 };
 
-                await TEEPStorage.addQualification(qualification);
+                const classification = TEEPQualifications.getClassificationKey(qualTypeObj, score);
+                if (classification) {
+                    qualification.classification = classification;
+                }
+
+                await TEEPStorage.addQualification(qualification, { ...auditOptions, marine });
                 results.added++;
 
             } catch (error) {
@@ -0,0 +1,221 @@
+/**
+ * TEEP Tracker - Lock Module
+ * PIN/passphrase lock screen with idle auto-lock and failed-attempt lockout
+ */
+
+const TEEPLock = {
+    DEFAULT_TIMEOUT_MINUTES: 15,
+    MAX_ATTEMPTS: 5,
+    LOCKOUT_MINUTES: 5,
+    IDLE_CHECK_MS: 15000,
+
+    ACTIVITY_EVENTS: ['mousemove', 'mousedown', 'keydown', 'touchstart', 'wheel'],
+
+    // State
+    config: null,
+    locked: false,
+    lastActivity: Date.now(),
+    idleTimer: null,
+    lockoutTimer: null,
+
+    /**
+     * Initialize the lock module. Starts locked if a PIN is set, unless
+     * options.startLocked is false (e.g. the user just entered the encryption passphrase).
+     */
+    async init(options = {}) {
+        this.config = await TEEPStorage.getSetting('lockConfig', null);
+        this.bindEvents();
+        this.updateLockButton();
+
+        if (this.config && options.startLocked !== false) {
+            this.lock();
+        }
+
+        this.idleTimer = setInterval(() => this.checkIdle(), this.IDLE_CHECK_MS);
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        this.ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true });
+        });
+
+        document.addEventListener('visibilitychange', async () => {
+            if (document.hidden && this.config && await TEEPStorage.getSetting('lockOnHidden', true)) {
+                this.lock();
+            }
+        });
+
+        const lockBtn = document.getElementById('lockBtn');
+        if (lockBtn) {
+            lockBtn.addEventListener('click', () => this.lock());
+        }
+
+        const unlockBtn = document.getElementById('lockUnlockBtn');
+        if (unlockBtn) {
+            unlockBtn.addEventListener('click', () => this.attemptUnlock());
+        }
+
+        const pinInput = document.getElementById('lockPin');
+        if (pinInput) {
+            pinInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.attemptUnlock();
+            });
+        }
+    },
+
+    /**
+     * Whether a PIN has been set
+     */
+    isEnabled() {
+        return !!this.config;
+    },
+
+    /**
+     * Get the idle timeout in minutes (0 = never auto-lock)
+     */
+    async getTimeoutMinutes() {
+        return TEEPStorage.getSetting('lockTimeoutMinutes', this.DEFAULT_TIMEOUT_MINUTES);
+    },
+
+    /**
+     * Lock if idle longer than the configured timeout
+     */
+    async checkIdle() {
+        if (!this.config || this.locked) return;
+
+        const minutes = await this.getTimeoutMinutes();
+        if (minutes > 0 && Date.now() - this.lastActivity >= minutes * 60000) {
+            this.lock();
+        }
+    },
+
+    /**
+     * Lock the app: blur everything and show the lock screen
+     */
+    lock() {
+        if (!this.config || this.locked) return;
+
+        this.locked = true;
+        document.body.classList.add('app-locked');
+        document.getElementById('lockScreen')?.classList.remove('hidden');
+
+        const pinInput = document.getElementById('lockPin');
+        if (pinInput) {
+            pinInput.value = '';
+            pinInput.focus();
+        }
+
+        this.renderLockout();
+    },
+
+    /**
+     * Hide the lock screen
+     */
+    unlockScreen() {
+        this.locked = false;
+        this.lastActivity = Date.now();
+        document.body.classList.remove('app-locked');
+        document.getElementById('lockScreen')?.classList.add('hidden');
+        this.showError('');
+    },
+
+    /**
+     * Check the entered PIN. Attempts and lockout are stored so a reload doesn't reset them.
+     */
+    async attemptUnlock() {
+        const pinInput = document.getElementById('lockPin');
+        if (!pinInput || await this.getLockoutRemaining() > 0) return;
+
+        const keys = await TEEPCrypto.unlockConfig(this.config, pinInput.value);
+        pinInput.value = '';
+
+        if (keys) {
+            await TEEPStorage.setSetting('lockFailedAttempts', 0);
+            this.unlockScreen();
+            return;
+        }
+
+        const attempts = await TEEPStorage.getSetting('lockFailedAttempts', 0) + 1;
+        if (attempts >= this.MAX_ATTEMPTS) {
+            await TEEPStorage.setSetting('lockFailedAttempts', 0);
+            await TEEPStorage.setSetting('lockLockoutUntil', Date.now() + this.LOCKOUT_MINUTES * 60000);
+            this.renderLockout();
+        } else {
+            await TEEPStorage.setSetting('lockFailedAttempts', attempts);
+            const remaining = this.MAX_ATTEMPTS - attempts;
+            this.showError(`Incorrect PIN. ${remaining} attempt${remaining === 1 ? '' : 's'} left before lockout.`);
+        }
+    },
+
+    /**
+     * Milliseconds left in the current lockout
+     */
+    async getLockoutRemaining() {
+        const until = await TEEPStorage.getSetting('lockLockoutUntil', 0);
+        return Math.max(0, until - Date.now());
+    },
+
+    /**
+     * Disable the PIN field and count down while locked out
+     */
+    async renderLockout() {
+        clearTimeout(this.lockoutTimer);
+
+        const remaining = await this.getLockoutRemaining();
+        const pinInput = document.getElementById('lockPin');
+        const unlockBtn = document.getElementById('lockUnlockBtn');
+        if (pinInput) pinInput.disabled = remaining > 0;
+        if (unlockBtn) unlockBtn.disabled = remaining > 0;
+
+        if (remaining > 0) {
+            const seconds = Math.ceil(remaining / 1000);
+            this.showError(`Too many failed attempts. Try again in ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}.`);
+            this.lockoutTimer = setTimeout(() => this.renderLockout(), 1000);
+        } else {
+            this.showError('');
+            pinInput?.focus();
+        }
+    },
+
+    /**
+     * Show or clear the lock screen error
+     */
+    showError(message) {
+        const error = document.getElementById('lockError');
+        if (!error) return;
+
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    },
+
+    /**
+     * Set or change the PIN
+     */
+    async setPin(pin) {
+        const { config } = await TEEPCrypto.createConfig(pin);
+        await TEEPStorage.setSetting('lockConfig', config);
+        this.config = config;
+        this.updateLockButton();
+    },
+
+    /**
+     * Remove the PIN and turn the lock screen off
+     */
+    async removePin() {
+        await TEEPStorage.setSetting('lockConfig', null);
+        this.config = null;
+        this.updateLockButton();
+    },
+
+    /**
+     * Only show the header lock button when a PIN is set
+     */
+    updateLockButton() {
+        document.getElementById('lockBtn')?.classList.toggle('hidden', !this.config);
+    }
+};
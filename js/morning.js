@@ -0,0 +1,219 @@
+/**
+ * TEEP Tracker - Morning Report Module
+ * Daily accountability snapshots by section, unit and status, stored so each day
+ * can be compared with the one before
+ */
+
+const TEEPMorningReport = {
+    /**
+     * Strength categories, in report column order, and the Marine statuses in each.
+     * Statuses not listed here are reported as Other.
+     */
+    CATEGORIES: {
+        pfd: { label: 'PFD', statuses: ['present', 'light_duty', 'restriction', 'legal_hold', 'pcs_pending', 'eas_pending'] },
+        leave: { label: 'Leave', statuses: ['leave'] },
+        tad: { label: 'TAD', statuses: ['tad', 'school'] },
+        deployed: { label: 'Deployed', statuses: ['deployment'] },
+        siq: { label: 'SIQ', statuses: ['siq'] },
+        hospital: { label: 'Hospital', statuses: ['med_hold'] }
+    },
+
+    OTHER: { label: 'Other' },
+
+    /**
+     * Initialize the morning report module and record today's snapshot if there isn't one yet
+     */
+    async init() {
+        const today = TEEPStatus.today();
+        if (!await TEEPStorage.getMorningReport(today)) {
+            await this.takeSnapshot(today);
+        }
+    },
+
+    // ==================== SNAPSHOTS ====================
+
+    /**
+     * Strength category for a status
+     */
+    getCategory(status) {
+        return Object.keys(this.CATEGORIES).find(key => this.CATEGORIES[key].statuses.includes(status)) || 'other';
+    },
+
+    /**
+     * Label for a strength category
+     */
+    getCategoryLabel(category) {
+        return (this.CATEGORIES[category] || this.OTHER).label;
+    },
+
+    /**
+     * Accountability snapshot for a date: every Marine's section, unit and the
+     * status their status history gives for that day
+     */
+    buildSnapshot(marines, date) {
+        return {
+            date,
+            takenAt: new Date().toISOString(),
+            entries: marines.map(marine => {
+                const status = TEEPStatus.getStatusOn(marine, date);
+                return {
+                    marineId: marine.id,
+                    rank: marine.rank || '',
+                    lastName: marine.lastName || '',
+                    firstName: marine.firstName || '',
+                    section: marine.section || 'Unassigned',
+                    orgUnitId: marine.orgUnitId || null,
+                    officer: ['officer', 'warrant'].includes(TEEPQualifications.getRankGroup(marine.rank)),
+                    status,
+                    category: this.getCategory(status)
+                };
+            })
+        };
+    },
+
+    /**
+     * Build and store the snapshot for a date, replacing any taken earlier that day
+     */
+    async takeSnapshot(date) {
+        const marines = await TEEPStorage.getAllMarines();
+        const snapshot = this.buildSnapshot(marines, date);
+        await TEEPStorage.saveMorningReport(snapshot);
+        return snapshot;
+    },
+
+    /**
+     * Snapshot for a date. Today's is retaken so it reflects the latest changes;
+     * a stored one is used for past days, and other days are worked out from
+     * status history without being stored.
+     */
+    async getSnapshot(date) {
+        const today = TEEPStatus.today();
+        if (date === today) {
+            return this.takeSnapshot(date);
+        }
+
+        const stored = date < today ? await TEEPStorage.getMorningReport(date) : null;
+        return stored || this.buildSnapshot(await TEEPStorage.getAllMarines(), date);
+    },
+
+    // ==================== SUMMARY & COMPARISON ====================
+
+    /**
+     * Strength breakdown per section (or unit level, see TEEPOrg.getGroupName),
+     * with a total row last
+     */
+    summarize(snapshot, groupBy = 'section') {
+        const rows = new Map();
+        const blank = group => ({
+            group,
+            officers: 0,
+            enlisted: 0,
+            assigned: 0,
+            counts: Object.fromEntries([...Object.keys(this.CATEGORIES), 'other'].map(key => [key, 0]))
+        });
+        const total = blank('Total');
+
+        snapshot.entries.forEach(entry => {
+            const group = TEEPOrg.getGroupName(entry, groupBy);
+            if (!rows.has(group)) rows.set(group, blank(group));
+            [rows.get(group), total].forEach(row => {
+                row.assigned++;
+                row[entry.officer ? 'officers' : 'enlisted']++;
+                row.counts[entry.category]++;
+            });
+        });
+
+        return [...[...rows.values()].sort((a, b) => a.group.localeCompare(b.group)), total];
+    },
+
+    /**
+     * Differences from a prior snapshot: Marines joined, dropped, and those
+     * whose strength category changed
+     */
+    compare(snapshot, prior) {
+        if (!prior) return null;
+
+        const before = new Map(prior.entries.map(entry => [entry.marineId, entry]));
+        const after = new Map(snapshot.entries.map(entry => [entry.marineId, entry]));
+
+        return {
+            joined: snapshot.entries.filter(entry => !before.has(entry.marineId)),
+            dropped: prior.entries.filter(entry => !after.has(entry.marineId)),
+            changed: snapshot.entries
+                .filter(entry => before.has(entry.marineId) && before.get(entry.marineId).status !== entry.status)
+                .map(entry => ({ entry, from: before.get(entry.marineId).status }))
+        };
+    },
+
+    /**
+     * Signed difference for a change column ('' without a prior snapshot)
+     */
+    formatChange(current, previous) {
+        if (previous === undefined) return '';
+        const diff = current - previous;
+        return diff > 0 ? `+${diff}` : String(diff);
+    },
+
+    // ==================== REPORT ====================
+
+    /**
+     * Only the entries for Marines who were in a unit (or beneath it) when the snapshot was taken
+     */
+    scopeSnapshot(snapshot, unitId) {
+        return snapshot && unitId ? { ...snapshot, entries: TEEPOrg.filterMarines(snapshot.entries, unitId) } : snapshot;
+    },
+
+    /**
+     * Morning report for options.date (default today) in the strength breakdown
+     * layout, with the changes since the prior snapshot as an appendix.
+     * options.orgUnitId and options.groupBy scope and group it as for other reports.
+     */
+    async generateReport(options = {}) {
+        const date = options.date || TEEPStatus.today();
+        const snapshot = this.scopeSnapshot(await this.getSnapshot(date), options.orgUnitId);
+        const prior = this.scopeSnapshot(await TEEPStorage.getPreviousMorningReport(date), options.orgUnitId);
+
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
+        const groupOf = entry => TEEPOrg.getGroupName(entry, options.groupBy);
+        const priorRows = prior ? new Map(this.summarize(prior, options.groupBy).map(row => [row.group, row])) : new Map();
+        const categories = Object.keys(this.CATEGORIES);
+        const columns = [group, 'Off', 'Enl', 'Assigned', ...categories.map(key => this.getCategoryLabel(key)), 'Other', 'Chg Assigned', 'Chg PFD'];
+
+        const data = this.summarize(snapshot, options.groupBy).map(row => {
+            const previous = priorRows.get(row.group);
+            const result = {
+                [group]: row.group,
+                Off: row.officers,
+                Enl: row.enlisted,
+                Assigned: row.assigned
+            };
+            categories.forEach(key => { result[this.getCategoryLabel(key)] = row.counts[key]; });
+            result.Other = row.counts.other;
+            result['Chg Assigned'] = this.formatChange(row.assigned, prior ? previous?.assigned || 0 : undefined);
+            result['Chg PFD'] = this.formatChange(row.counts.pfd, prior ? previous?.counts.pfd || 0 : undefined);
+            return result;
+        });
+
+        const name = entry => `${entry.rank} ${entry.lastName}, ${entry.firstName}`;
+        const changes = this.compare(snapshot, prior);
+        const changeRows = changes ? [
+            ...changes.joined.map(entry => ({ Marine: name(entry), [group]: groupOf(entry), From: 'Joined', To: TEEPRoster.formatStatus(entry.status) })),
+            ...changes.dropped.map(entry => ({ Marine: name(entry), [group]: groupOf(entry), From: TEEPRoster.formatStatus(entry.status), To: 'Dropped' })),
+            ...changes.changed.map(({ entry, from }) => ({ Marine: name(entry), [group]: groupOf(entry), From: TEEPRoster.formatStatus(from), To: TEEPRoster.formatStatus(entry.status) }))
+        ] : [];
+
+        return {
+            title: `Morning Report ${date}`,
+            generated: new Date().toISOString(),
+            recordCount: snapshot.entries.length,
+            grouped: true,
+            columns,
+            data,
+            appendix: [{
+                title: prior ? `Changes since ${prior.date}` : 'No prior report to compare with',
+                columns: ['Marine', group, 'From', 'To'],
+                data: changeRows
+            }]
+        };
+    }
+};
@@ -0,0 +1,499 @@
+/**
+ * TEEP Tracker - Organization Module
+ * Unit tree (company, platoon, squad, team) with leaders per unit, drag-and-drop
+ * assignment of Marines, and the unit filters and groupings used across the app
+ */
+
+const TEEPOrg = {
+    /**
+     * Unit levels, largest first. A new sub-unit defaults to the level below its parent.
+     */
+    KINDS: {
+        company: { label: 'Company', plural: 'Companies' },
+        platoon: { label: 'Platoon', plural: 'Platoons' },
+        squad: { label: 'Squad', plural: 'Squads' },
+        team: { label: 'Fire Team', plural: 'Fire Teams' }
+    },
+
+    /**
+     * Leader positions on every unit -> display label
+     */
+    LEADER_FIELDS: {
+        leaderId: 'Leader',
+        assistantId: 'Assistant'
+    },
+
+    // Unit filter selects kept in step with the tree
+    UNIT_SELECTS: ['filterOrgUnit', 'dashboardOrgUnit', 'reportOrgUnit'],
+
+    // State
+    units: [],
+    editingId: null,
+
+    /**
+     * Initialize the organization module
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadUnits();
+        this.renderUnitSelects();
+
+        const groupBy = document.getElementById('reportGroupBy');
+        if (groupBy) {
+            groupBy.innerHTML = ['section', ...Object.keys(this.KINDS)]
+                .map(key => `<option value="${key}">By ${this.getGroupLabel(key)}</option>`)
+                .join('');
+        }
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const newBtn = document.getElementById('newOrgUnitBtn');
+        if (newBtn) {
+            newBtn.addEventListener('click', () => this.showEditor());
+        }
+
+        const saveBtn = document.getElementById('saveOrgUnitBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleSave());
+        }
+
+        ['cancelOrgUnitModal', 'closeOrgUnitModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('orgUnitModal'));
+        });
+
+        document.getElementById('dashboardOrgUnit')?.addEventListener('change', () => TEEPApp.updateDashboard());
+
+        // Marines are dragged between units (and the unassigned list) on the organization view
+        const board = document.getElementById('orgBoard');
+        if (!board) return;
+
+        board.addEventListener('dragstart', (e) => {
+            const chip = e.target.closest('[data-marine-id]');
+            if (!chip) return;
+            e.dataTransfer.setData('text/plain', chip.dataset.marineId);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+
+        board.addEventListener('dragover', (e) => {
+            const target = e.target.closest('[data-drop-unit]');
+            if (!target) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.highlightDropTarget(target);
+        });
+
+        board.addEventListener('drop', (e) => {
+            const target = e.target.closest('[data-drop-unit]');
+            if (!target) return;
+            e.preventDefault();
+            this.highlightDropTarget(null);
+
+            const marineId = parseInt(e.dataTransfer.getData('text/plain'));
+            if (marineId) {
+                this.assignMarine(marineId, parseInt(target.dataset.dropUnit) || null);
+            }
+        });
+
+        board.addEventListener('dragend', () => this.highlightDropTarget(null));
+    },
+
+    /**
+     * Load the unit tree from storage into the cache
+     */
+    async loadUnits() {
+        this.units = await TEEPStorage.getOrgUnits();
+        return this.units;
+    },
+
+    // ==================== TREE ====================
+
+    /**
+     * Get a unit by ID
+     */
+    getUnit(id) {
+        return this.units.find(u => u.id === id) || null;
+    },
+
+    /**
+     * Parent of a unit, or null at the top level (or when the parent is gone)
+     */
+    getParentId(unit) {
+        return unit.parentId && this.getUnit(unit.parentId) ? unit.parentId : null;
+    },
+
+    /**
+     * Direct sub-units of a unit (top-level units for null), sorted by name
+     */
+    getChildren(parentId = null) {
+        return this.units
+            .filter(u => this.getParentId(u) === parentId)
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    },
+
+    /**
+     * Units below a parent in tree order, each with its depth
+     */
+    getTree(parentId = null, depth = 0) {
+        return this.getChildren(parentId).flatMap(unit => [{ unit, depth }, ...this.getTree(unit.id, depth + 1)]);
+    },
+
+    /**
+     * IDs of a unit and every unit beneath it
+     */
+    getDescendantIds(unitId) {
+        return new Set([unitId, ...this.getTree(unitId).map(({ unit }) => unit.id)]);
+    },
+
+    /**
+     * A unit and its parents, nearest first
+     */
+    getAncestors(unitId) {
+        const chain = [];
+        let unit = this.getUnit(unitId);
+        while (unit && !chain.includes(unit)) {
+            chain.push(unit);
+            unit = this.getUnit(this.getParentId(unit));
+        }
+        return chain;
+    },
+
+    /**
+     * Full name of a unit, e.g. "Alpha Co / 1st Plt / 2nd Sqd" ('' when not found)
+     */
+    getUnitPath(unitId) {
+        return this.getAncestors(unitId).reverse().map(u => u.name).join(' / ');
+    },
+
+    /**
+     * Label for a unit level
+     */
+    getKindLabel(kind) {
+        return this.KINDS[kind]?.label || 'Unit';
+    },
+
+    /**
+     * Default level for a new sub-unit of parent
+     */
+    getChildKind(parent) {
+        const kinds = Object.keys(this.KINDS);
+        if (!parent || !kinds.includes(parent.kind)) return kinds[0];
+        return kinds[Math.min(kinds.indexOf(parent.kind) + 1, kinds.length - 1)];
+    },
+
+    // ==================== FILTERS & GROUPING ====================
+
+    /**
+     * Marines assigned to a unit or anything beneath it. No unit means everyone.
+     */
+    filterMarines(marines, unitId) {
+        if (!unitId) return marines;
+        const ids = this.getDescendantIds(unitId);
+        return marines.filter(m => ids.has(m.orgUnitId));
+    },
+
+    /**
+     * Heading for a grouping: the free-text section, or a level of the unit tree
+     */
+    getGroupLabel(groupBy = 'section', plural = false) {
+        const kind = this.KINDS[groupBy];
+        if (!kind) return plural ? 'Sections' : 'Section';
+        return plural ? kind.plural : kind.label;
+    },
+
+    /**
+     * Group a Marine (or morning report entry) falls in: its section, or the
+     * unit at the grouping level that it belongs to
+     */
+    getGroupName(marine, groupBy = 'section', fallback = 'Unassigned') {
+        if (!this.KINDS[groupBy]) return marine.section || fallback;
+
+        const unit = this.getAncestors(marine.orgUnitId).find(u => u.kind === groupBy);
+        return unit ? this.getUnitPath(unit.id) : fallback;
+    },
+
+    /**
+     * Unit picked in a unit select, or null for all units
+     */
+    getSelectedUnit(selectId) {
+        return parseInt(document.getElementById(selectId)?.value) || null;
+    },
+
+    /**
+     * Options for a unit select, indented by depth
+     */
+    renderUnitOptions(selected = null, blankLabel = 'All Units') {
+        return `<option value="">${blankLabel}</option>` + this.getTree().map(({ unit, depth }) =>
+            `<option value="${unit.id}" ${unit.id === selected ? 'selected' : ''}>${'&nbsp;&nbsp;&nbsp;'.repeat(depth)}${TEEPRoster.escapeHtml(unit.name)}</option>`
+        ).join('');
+    },
+
+    /**
+     * Refill the unit filters, keeping each selection while its unit still exists
+     */
+    renderUnitSelects() {
+        this.UNIT_SELECTS.forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const selected = parseInt(select.value) || null;
+            select.innerHTML = this.renderUnitOptions(this.getUnit(selected) ? selected : null);
+        });
+    },
+
+    // ==================== ORGANIZATION VIEW ====================
+
+    /**
+     * Refresh the organization view
+     */
+    async refresh() {
+        const tree = document.getElementById('orgTree');
+        if (!tree) return;
+
+        const marines = await TEEPStorage.getAllMarines();
+        marines.sort((a, b) => TEEPQualifications.compareRanks(a.rank, b.rank) ||
+            (a.lastName || '').localeCompare(b.lastName || ''));
+
+        // Marines whose unit no longer exists are shown as unassigned
+        const context = { byUnit: new Map(), marineMap: new Map(marines.map(m => [m.id, m])) };
+        marines.forEach(marine => {
+            const key = this.getUnit(marine.orgUnitId) ? marine.orgUnitId : null;
+            if (!context.byUnit.has(key)) context.byUnit.set(key, []);
+            context.byUnit.get(key).push(marine);
+        });
+
+        const roots = this.getChildren(null);
+        tree.innerHTML = roots.length === 0 ?
+            '<p class="text-secondary">No units yet. Add a company to start the tree.</p>' :
+            roots.map(unit => this.renderUnit(unit, context)).join('');
+
+        const unassigned = context.byUnit.get(null) || [];
+        const count = document.getElementById('orgUnassignedCount');
+        if (count) count.textContent = unassigned.length;
+
+        const pool = document.getElementById('orgUnassigned');
+        if (pool) {
+            pool.innerHTML = unassigned.length === 0 ?
+                '<span class="text-sm text-secondary">Every Marine is assigned to a unit</span>' :
+                unassigned.map(marine => this.renderMarineChip(marine)).join('');
+        }
+    },
+
+    /**
+     * Render a unit, its Marines and its sub-units
+     */
+    renderUnit(unit, context) {
+        const members = context.byUnit.get(unit.id) || [];
+        const strength = [...this.getDescendantIds(unit.id)]
+            .reduce((total, id) => total + (context.byUnit.get(id) || []).length, 0);
+        const leaders = Object.entries(this.LEADER_FIELDS)
+            .map(([field, label]) => {
+                const marine = context.marineMap.get(unit[field]);
+                return marine ? TEEPRoster.escapeHtml(`${label}: ${marine.rank} ${marine.lastName}`) : '';
+            })
+            .filter(Boolean)
+            .join(' &bull; ');
+
+        return `
+            <div class="org-unit" data-drop-unit="${unit.id}">
+                <div class="org-unit__header">
+                    <div>
+                        <strong>${TEEPRoster.escapeHtml(unit.name)}</strong>
+                        <span class="badge badge--secondary">${this.getKindLabel(unit.kind)}</span>
+                        <span class="text-sm text-secondary">${strength} Marine${strength === 1 ? '' : 's'}</span>
+                        ${leaders ? `<div class="text-sm text-secondary">${leaders}</div>` : ''}
+                    </div>
+                    <div class="actions">
+                        <button class="btn btn--sm btn--outline" onclick="TEEPOrg.showEditor(null, ${unit.id})">+ Sub-unit</button>
+                        <button class="btn btn--sm btn--outline" onclick="TEEPOrg.showEditor(${unit.id})">Edit</button>
+                        <button class="btn btn--sm btn--danger" onclick="TEEPOrg.deleteUnit(${unit.id})">Delete</button>
+                    </div>
+                </div>
+                <div class="org-unit__members">
+                    ${members.map(marine => this.renderMarineChip(marine)).join('') || '<span class="text-sm text-secondary">Drag Marines here</span>'}
+                </div>
+                ${this.getChildren(unit.id).map(child => this.renderUnit(child, context)).join('')}
+            </div>
+        `;
+    },
+
+    /**
+     * Draggable Marine name
+     */
+    renderMarineChip(marine) {
+        return `<span class="org-marine" draggable="true" data-marine-id="${marine.id}" title="Drag to another unit">${TEEPRoster.escapeHtml(`${marine.rank} ${marine.lastName}, ${marine.firstName}`)}</span>`;
+    },
+
+    /**
+     * Outline the unit a Marine is being dragged over (null clears it)
+     */
+    highlightDropTarget(target) {
+        document.querySelectorAll('.org-drop--over').forEach(el => {
+            if (el !== target) el.classList.remove('org-drop--over');
+        });
+        if (target) target.classList.add('org-drop--over');
+    },
+
+    /**
+     * Move a Marine into a unit, or out of the tree with null
+     */
+    async assignMarine(marineId, unitId) {
+        const marine = await TEEPStorage.getMarine(marineId);
+        if (!marine || (marine.orgUnitId || null) === unitId) return;
+
+        const unit = this.getUnit(unitId);
+        try {
+            await TEEPHistory.run(`Move ${marine.rank} ${marine.lastName} to ${unit ? unit.name : 'unassigned'}`, () =>
+                TEEPStorage.updateMarine({ ...marine, orgUnitId: unitId })
+            );
+            await this.refreshAfterChange();
+        } catch (error) {
+            alert('Error assigning Marine: ' + error.message);
+        }
+    },
+
+    // ==================== UNIT EDITOR ====================
+
+    /**
+     * Open the editor for a new unit (under parentId when given), or an existing one
+     */
+    async showEditor(id = null, parentId = null) {
+        const unit = id ? this.getUnit(id) : null;
+        if (id && !unit) {
+            alert('Unit not found');
+            return;
+        }
+        this.editingId = id;
+
+        const parent = this.getUnit(unit ? this.getParentId(unit) : parentId);
+        document.getElementById('orgUnitModalTitle').textContent = unit ? `Edit ${unit.name}` :
+            parent ? `New Unit in ${parent.name}` : 'New Unit';
+        document.getElementById('orgUnitName').value = unit ? unit.name : '';
+
+        document.getElementById('orgUnitKind').innerHTML = Object.entries(this.KINDS)
+            .map(([key, kind]) => `<option value="${key}">${kind.label}</option>`)
+            .join('');
+        document.getElementById('orgUnitKind').value = unit?.kind || this.getChildKind(parent);
+
+        // A unit can't be moved under itself or anything beneath it
+        const excluded = unit ? this.getDescendantIds(unit.id) : new Set();
+        document.getElementById('orgUnitParent').innerHTML = '<option value="">(Top level)</option>' +
+            this.getTree()
+                .filter(({ unit: option }) => !excluded.has(option.id))
+                .map(({ unit: option, depth }) => `<option value="${option.id}">${'&nbsp;&nbsp;&nbsp;'.repeat(depth)}${TEEPRoster.escapeHtml(option.name)}</option>`)
+                .join('');
+        document.getElementById('orgUnitParent').value = parent ? parent.id : '';
+
+        const marines = await TEEPStorage.getAllMarines();
+        marines.sort((a, b) => (a.lastName || '').localeCompare(b.lastName || '') || (a.firstName || '').localeCompare(b.firstName || ''));
+        const marineOptions = '<option value="">None</option>' + marines.map(m =>
+            `<option value="${m.id}">${TEEPRoster.escapeHtml(`${m.lastName}, ${m.firstName} (${m.rank})`)}</option>`
+        ).join('');
+        document.getElementById('orgUnitLeader').innerHTML = marineOptions;
+        document.getElementById('orgUnitLeader').value = unit?.leaderId || '';
+        document.getElementById('orgUnitAssistant').innerHTML = marineOptions;
+        document.getElementById('orgUnitAssistant').value = unit?.assistantId || '';
+
+        this.showError('');
+        TEEPApp.openModal('orgUnitModal');
+    },
+
+    /**
+     * Save the unit editor
+     */
+    async handleSave() {
+        const existing = this.editingId ? this.getUnit(this.editingId) : {};
+        const unit = {
+            ...existing,
+            name: document.getElementById('orgUnitName').value.trim(),
+            kind: document.getElementById('orgUnitKind').value,
+            parentId: parseInt(document.getElementById('orgUnitParent').value) || null,
+            leaderId: parseInt(document.getElementById('orgUnitLeader').value) || null,
+            assistantId: parseInt(document.getElementById('orgUnitAssistant').value) || null
+        };
+
+        if (!unit.name) {
+            this.showError('Name is required');
+            return;
+        }
+        if (this.units.some(u => u.id !== unit.id && this.getParentId(u) === unit.parentId &&
+            u.name.toLowerCase() === unit.name.toLowerCase())) {
+            const parent = this.getUnit(unit.parentId);
+            this.showError(`${parent ? parent.name : 'The top level'} already has a unit named "${unit.name}"`);
+            return;
+        }
+        if (unit.leaderId && unit.leaderId === unit.assistantId) {
+            this.showError('The leader and assistant must be different Marines');
+            return;
+        }
+
+        try {
+            await TEEPStorage.saveOrgUnit(unit);
+            await this.loadUnits();
+            TEEPApp.closeModal('orgUnitModal');
+            await this.refreshAfterChange();
+        } catch (error) {
+            alert('Error saving unit: ' + error.message);
+        }
+    },
+
+    /**
+     * Delete a unit. Its sub-units and Marines move up to its parent.
+     */
+    async deleteUnit(id) {
+        const unit = this.getUnit(id);
+        if (!unit) return;
+
+        const parent = this.getUnit(this.getParentId(unit));
+        const children = this.getChildren(id);
+        const marines = (await TEEPStorage.getAllMarines()).filter(m => m.orgUnitId === id);
+
+        const moves = [];
+        if (children.length > 0) {
+            moves.push(`${children.length} sub-unit${children.length === 1 ? '' : 's'} move up to ${parent ? parent.name : 'the top level'}`);
+        }
+        if (marines.length > 0) {
+            moves.push(`${marines.length} Marine${marines.length === 1 ? '' : 's'} ${parent ? `move to ${parent.name}` : 'become unassigned'}`);
+        }
+        if (!confirm(`Delete ${unit.name}?${moves.length > 0 ? ` ${moves.join('; ')}.` : ''}`)) {
+            return;
+        }
+
+        try {
+            await TEEPHistory.run(`Delete ${unit.name}`, () => TEEPStorage.deleteOrgUnit(id, parent ? parent.id : null));
+            await this.loadUnits();
+            await this.refreshAfterChange();
+        } catch (error) {
+            alert('Error deleting unit: ' + error.message);
+        }
+    },
+
+    /**
+     * Show or clear the unit editor error
+     */
+    showError(message) {
+        const error = document.getElementById('orgUnitError');
+        if (!error) return;
+
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    },
+
+    /**
+     * Refresh whatever shows units after a change
+     */
+    async refreshAfterChange() {
+        this.renderUnitSelects();
+        await this.refresh();
+
+        // A deleted unit drops out of the roster filter too
+        TEEPRoster.filters.orgUnitId = this.getSelectedUnit('filterOrgUnit') || 'all';
+        await TEEPRoster.refreshRoster();
+
+        if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
+            await TEEPApp.updateDashboard();
+        }
+    }
+};
@@ -7,7 +7,7 @@ const TEEPQualifications = {
     /**
      * Qualification cycle types
      * - calendar_window: Must complete within date range (e.g., PFT Jan-Jun)
-     * - fiscal_year: Must complete during fiscal year (Oct-Sep)
+     * - fiscal_year: Must complete during fiscal year (Oct-Sep unless the type sets its own start)
      * - rolling: Expires X months/years from completion
      * - one_time: Never expires once earned
      */
@@ -19,7 +19,56 @@ const TEEPQualifications = {
     },
 
     /**
-     * Default qualification types organized by category
+     * Record statuses. Superseded and erroneous records stay in the history
+     * but never count toward a Marine's current status.
+     */
+    RECORD_STATUSES: {
+        ACTIVE: 'active',
+        SUPERSEDED: 'superseded',
+        ERRONEOUS: 'erroneous'
+    },
+
+    /**
+     * Waiver kinds. While active, each replaces a missing, expiring or expired status.
+     * - waived: temporarily excused (e.g. medical PFT waiver)
+     * - exempt: permanently excused (e.g. swim qual exemption)
+     * - na: the requirement doesn't apply (e.g. deployed during the CFT window)
+     */
+    WAIVER_KINDS: {
+        WAIVED: 'waived',
+        EXEMPT: 'exempt',
+        NOT_APPLICABLE: 'na'
+    },
+
+    /**
+     * Progression families. Types in a family carry a level (1 = first step);
+     * earning a level also counts as earning every level below it.
+     */
+    PROGRESSIONS: {
+        mcmap: 'MCMAP Belt',
+        enlisted_pme: 'Enlisted PME'
+    },
+
+    /**
+     * Classification that means the score did not qualify. A record classified
+     * this way never satisfies the requirement.
+     */
+    UNQUALIFIED: 'unqualified',
+
+    // Badge colors for the standard classifications; others show as secondary
+    CLASSIFICATION_BADGES: {
+        expert: 'badge--success',
+        sharpshooter: 'badge--info',
+        marksman: 'badge--secondary',
+        unqualified: 'badge--error'
+    },
+
+    // Qualification type definitions from the qualificationTypes store, set by loadTypes()
+    types: null,
+
+    /**
+     * Default qualification types organized by category. Seeded into the
+     * qualificationTypes store; units can edit, retire, or add to them.
      */
     DEFAULT_QUAL_TYPES: {
         fitness: [
@@ -80,7 +129,13 @@ const TEEPQualifications = {
                 category: 'weapons',
                 cycleType: 'fiscal_year',
                 required: false,
-                trackScore: true
+                trackScore: true,
+                scoreRanges: {
+                    expert: { min: 354, max: 400 },
+                    sharpshooter: { min: 330, max: 353 },
+                    marksman: { min: 295, max: 329 },
+                    unqualified: { min: 0, max: 294 }
+                }
             }
         ],
         training: [
@@ -115,6 +170,29 @@ const TEEPQualifications = {
                 category: 'training',
                 cycleType: 'fiscal_year',
                 required: true
+            },
+            {
+                id: 'opsec',
+                name: 'OPSEC',
+                fullName: 'OPSEC Awareness',
+                category: 'training',
+                cycleType: 'fiscal_year',
+                required: true
+            },
+            {
+                id: 'at_level1',
+                name: 'AT Level 1',
+                fullName: 'Antiterrorism Level 1',
+                category: 'training',
+                cycleType: 'fiscal_year',
+                required: true
+            },
+            {
+                id: 'sere',
+                name: 'SERE 100.2',
+                fullName: 'Survival, Evasion, Resistance and Escape 100.2',
+                category: 'training',
+                cycleType: 'fiscal_year'
             }
         ],
         licenses: [
@@ -153,6 +231,14 @@ const TEEPQualifications = {
                 cycleType: 'rolling',
                 expirationMonths: 48,
                 easAware: true
+            },
+            {
+                id: 'caco',
+                name: 'CACO',
+                fullName: 'Casualty Assistance Calls Officer',
+                category: 'licenses',
+                cycleType: 'rolling',
+                expirationMonths: 12
             }
         ],
         combat: [
@@ -162,7 +248,8 @@ const TEEPQualifications = {
                 fullName: 'MCMAP Tan Belt',
                 category: 'combat',
                 cycleType: 'one_time',
-                level: 1
+                level: 1,
+                progression: 'mcmap'
             },
             {
                 id: 'mcmap_gray',
@@ -170,7 +257,9 @@ const TEEPQualifications = {
                 fullName: 'MCMAP Gray Belt',
                 category: 'combat',
                 cycleType: 'one_time',
-                level: 2
+                level: 2,
+                progression: 'mcmap',
+                prerequisites: ['mcmap_tan']
             },
             {
                 id: 'mcmap_green',
@@ -178,7 +267,9 @@ const TEEPQualifications = {
                 fullName: 'MCMAP Green Belt',
                 category: 'combat',
                 cycleType: 'one_time',
-                level: 3
+                level: 3,
+                progression: 'mcmap',
+                prerequisites: ['mcmap_gray']
             },
             {
                 id: 'mcmap_brown',
@@ -186,7 +277,9 @@ const TEEPQualifications = {
                 fullName: 'MCMAP Brown Belt',
                 category: 'combat',
                 cycleType: 'one_time',
-                level: 4
+                level: 4,
+                progression: 'mcmap',
+                prerequisites: ['mcmap_green']
             },
             {
                 id: 'mcmap_black',
@@ -194,7 +287,17 @@ const TEEPQualifications = {
                 fullName: 'MCMAP Black Belt (1st Degree)',
                 category: 'combat',
                 cycleType: 'one_time',
-                level: 5
+                level: 5,
+                progression: 'mcmap',
+                prerequisites: ['mcmap_brown']
+            },
+            {
+                id: 'mcmap_instructor',
+                name: 'MAI',
+                fullName: 'MCMAP Martial Arts Instructor',
+                category: 'combat',
+                cycleType: 'one_time',
+                prerequisites: ['mcmap_green']
             },
             {
                 id: 'swim_qual',
@@ -247,7 +350,9 @@ const TEEPQualifications = {
                 fullName: "Corporal's Course",
                 category: 'pme',
                 cycleType: 'one_time',
-                requiredRank: 'Cpl'
+                requiredRank: 'Cpl',
+                level: 1,
+                progression: 'enlisted_pme'
             },
             {
                 id: 'sergeants_course',
@@ -255,7 +360,9 @@ const TEEPQualifications = {
                 fullName: "Sergeant's Course",
                 category: 'pme',
                 cycleType: 'one_time',
-                requiredRank: 'Sgt'
+                requiredRank: 'Sgt',
+                level: 2,
+                progression: 'enlisted_pme'
             },
             {
                 id: 'career_course',
@@ -263,7 +370,9 @@ const TEEPQualifications = {
                 fullName: 'Career Course',
                 category: 'pme',
                 cycleType: 'one_time',
-                requiredRank: 'SSgt'
+                requiredRank: 'SSgt',
+                level: 3,
+                progression: 'enlisted_pme'
             },
             {
                 id: 'advanced_course',
@@ -271,7 +380,10 @@ const TEEPQualifications = {
                 fullName: 'Advanced Course',
                 category: 'pme',
                 cycleType: 'one_time',
-                requiredRank: 'GySgt'
+                requiredRank: 'GySgt',
+                level: 4,
+                progression: 'enlisted_pme',
+                prerequisites: ['career_course']
             }
         ]
     },
@@ -318,6 +430,15 @@ const TEEPQualifications = {
         '2ndLt', '1stLt', 'Capt', 'Maj', 'LtCol', 'Col'
     ],
 
+    /**
+     * Rank groups, so "Sgt and above" doesn't sweep in warrant officers and officers
+     */
+    RANK_GROUPS: {
+        enlisted: ['Pvt', 'PFC', 'LCpl', 'Cpl', 'Sgt', 'SSgt', 'GySgt', 'MSgt', 'FirstSgt', 'MGySgt', 'SgtMaj'],
+        warrant: ['WO', 'CWO2', 'CWO3', 'CWO4', 'CWO5'],
+        officer: ['2ndLt', '1stLt', 'Capt', 'Maj', 'LtCol', 'Col']
+    },
+
     /**
      * Normalize a rank to standard format
      */
@@ -357,70 +478,344 @@ const TEEPQualifications = {
     },
 
     /**
-     * Calculate expiration date for a qualification
+     * Get the group (enlisted, warrant, officer) a rank belongs to, or null if unknown
      */
-    calculateExpiration(qualType, completionDate, marineEas = null) {
-        const completion = new Date(completionDate);
+    getRankGroup(rank) {
+        const normalized = this.normalizeRank(rank);
+        return Object.keys(this.RANK_GROUPS).find(group => this.RANK_GROUPS[group].includes(normalized)) || null;
+    },
 
-        switch (qualType.cycleType) {
-            case 'one_time':
-                return null; // Never expires
+    /**
+     * Check if a rank falls between minRank and maxRank (inclusive, either may be empty).
+     * Bounds only match ranks in their own group.
+     */
+    isRankInRange(rank, minRank = null, maxRank = null) {
+        if (!minRank && !maxRank) return true;
+
+        const normalized = this.normalizeRank(rank);
+        const group = this.getRankGroup(minRank || maxRank);
+        if (!group || this.getRankGroup(normalized) !== group) return false;
+
+        const order = this.RANK_GROUPS[group];
+        const index = order.indexOf(normalized);
+        if (minRank && index < order.indexOf(this.normalizeRank(minRank))) return false;
+        if (maxRank && index > order.indexOf(this.normalizeRank(maxRank))) return false;
+        return true;
+    },
 
-            case 'calendar_window':
-                // Expires at end of next window
-                const endMonth = qualType.windowEnd.month - 1; // JS months are 0-indexed
-                const endDay = qualType.windowEnd.day;
-                let expYear = completion.getFullYear();
-
-                // If completed during the window, expires at end of next year's window
-                // If completed outside window, expires at end of current year's window
-                const windowEnd = new Date(expYear, endMonth, endDay);
-                if (completion <= windowEnd) {
-                    expYear += 1;
-                } else {
-                    expYear += 2;
-                }
+    // ==================== PERIOD MODELS ====================
 
-                return new Date(expYear, endMonth, endDay);
+    /**
+     * Period validity for calendar_window and fiscal_year types
+     * - next_period: a completion stays valid through the end of the next period
+     * - current_period: a completion covers only its own period; the Marine is
+     *   due again by the end of the following one
+     */
+    PERIOD_VALIDITY: {
+        NEXT_PERIOD: 'next_period',
+        CURRENT_PERIOD: 'current_period'
+    },
 
-            case 'fiscal_year':
-                // Expires at end of fiscal year (Sep 30)
-                let fy = this.getFiscalYear(completion);
-                // If completed in current FY, expires at end of next FY
-                return new Date(fy + 1, 8, 30); // Sep 30 of next FY
+    // Period lengths that divide the year evenly
+    PERIOD_LENGTHS: {
+        12: 'Annual',
+        6: 'Semiannual',
+        4: 'Every 4 months',
+        3: 'Quarterly',
+        2: 'Every 2 months',
+        1: 'Monthly'
+    },
+
+    /**
+     * Parse a date, reading YYYY-MM-DD strings as local calendar days
+     */
+    toLocalDate(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+        return new Date(value);
+    },
+
+    /**
+     * Period length in months for a type (12 unless configured)
+     */
+    getPeriodMonths(qualType) {
+        return qualType.periodMonths || 12;
+    },
+
+    /**
+     * First month (1-12) of a fiscal_year type's year (October unless configured)
+     */
+    getFiscalYearStart(qualType) {
+        return qualType.fiscalYearStart || 10;
+    },
+
+    /**
+     * Period validity for a type (next_period unless configured)
+     */
+    getPeriodValidity(qualType) {
+        return qualType.validity || this.PERIOD_VALIDITY.NEXT_PERIOD;
+    },
+
+    /**
+     * Month and day on which a type's periods end, repeating every period length.
+     * Windows end on their window end; fiscal years on the last day of the month
+     * before the fiscal year starts. A window ending on the last day of its month
+     * ends every period on the last day of the month (Jun 30 -> Dec 31,
+     * Feb 28 -> Aug 31). February is checked against a non-leap year.
+     */
+    getPeriodAnchor(qualType) {
+        if (qualType.cycleType === this.CYCLE_TYPES.FISCAL_YEAR) {
+            const month = (this.getFiscalYearStart(qualType) + 10) % 12 + 1;
+            return { month, day: 31 };
+        }
+        const { month, day } = qualType.windowEnd;
+        const monthEnd = day >= new Date(2001, month, 0).getDate();
+        return { month, day: monthEnd ? 31 : day };
+    },
+
+    /**
+     * End of a period, clamped to the last day of short months
+     */
+    buildPeriodEnd(year, monthIndex, day) {
+        const lastDay = new Date(year, monthIndex + 1, 0).getDate();
+        return new Date(year, monthIndex, Math.min(day, lastDay));
+    },
+
+    /**
+     * End of the period containing a date, shifted by offset periods.
+     * A date falling on a period end belongs to that period.
+     */
+    getPeriodEnd(anchor, periodMonths, date, offset = 0) {
+        const day = this.toLocalDate(date);
+        const target = new Date(day.getFullYear(), day.getMonth(), day.getDate());
+        // Nearest period-end month at or after the date's month
+        const steps = ((anchor.month - 1 - target.getMonth()) % periodMonths + periodMonths) % periodMonths;
+        let monthIndex = target.getMonth() + steps;
+        let end = this.buildPeriodEnd(target.getFullYear(), monthIndex, anchor.day);
+        if (end < target) {
+            monthIndex += periodMonths;
+        }
+        monthIndex += offset * periodMonths;
+        return this.buildPeriodEnd(target.getFullYear(), monthIndex, anchor.day);
+    },
+
+    /**
+     * Due and expiration dates for a completion. The due date is when the next
+     * completion is required; the expiration date is when this one stops
+     * counting as current. They differ only for current_period types, where the
+     * Marine is expired but not yet overdue through the following period.
+     *
+     * context.previousExpiration (the Marine's prior record of the type) applies
+     * the type's renewal window; context.statusHistory (the Marine's status
+     * periods) extends both dates by days spent deployed or on medical hold.
+     */
+    calculateDates(qualType, completionDate, marineEas = null, context = {}) {
+        let dueDate;
+        let expirationDate;
+
+        switch (qualType.cycleType) {
+            case 'calendar_window':
+            case 'fiscal_year': {
+                const anchor = this.getPeriodAnchor(qualType);
+                const periodMonths = this.getPeriodMonths(qualType);
+                dueDate = this.getPeriodEnd(anchor, periodMonths, completionDate, 1);
+                expirationDate = this.getPeriodValidity(qualType) === this.PERIOD_VALIDITY.CURRENT_PERIOD ?
+                    this.getPeriodEnd(anchor, periodMonths, completionDate) :
+                    dueDate;
+                break;
+            }
 
             case 'rolling':
-                // Expires X months from completion
-                const expirationMonths = qualType.expirationMonths || 12;
-                const expiration = new Date(completion);
-                expiration.setMonth(expiration.getMonth() + expirationMonths);
-
-                // Check EAS-aware licenses
-                if (qualType.easAware && marineEas) {
-                    const eas = new Date(marineEas);
-                    if (eas < expiration) {
-                        return eas;
-                    }
+                // Renewed too early: the record leaves the previous cycle as it stands
+                if (this.isEarlyRenewal(qualType, completionDate, context.previousExpiration)) {
+                    const previous = new Date(context.previousExpiration);
+                    return { dueDate: previous, expirationDate: previous, extensionDays: 0 };
                 }
-
-                return expiration;
+                expirationDate = this.calculateRollingExpiration(qualType, completionDate, context.previousExpiration);
+                dueDate = expirationDate;
+                break;
 
             default:
-                return null;
+                return { dueDate: null, expirationDate: null, extensionDays: 0 }; // Never expires
         }
+
+        const extensionDays = this.getExtensionDays(qualType, completionDate, dueDate, context.statusHistory);
+        dueDate = this.addDays(dueDate, extensionDays);
+        expirationDate = this.addDays(expirationDate, extensionDays);
+
+        // EAS-aware licenses end at EAS, extension or not
+        if (qualType.cycleType === this.CYCLE_TYPES.ROLLING && qualType.easAware && marineEas) {
+            const eas = new Date(marineEas);
+            if (eas < expirationDate) {
+                expirationDate = eas;
+                dueDate = eas;
+            }
+        }
+
+        return { dueDate, expirationDate, extensionDays };
     },
 
     /**
-     * Get fiscal year for a date
-     * FY starts Oct 1 of previous calendar year
+     * Expiration X months from completion. With a renewal window, a renewal made
+     * inside it runs from the previous expiration, so renewing early never
+     * shortens the cycle.
      */
-    getFiscalYear(date) {
-        const d = new Date(date);
-        const month = d.getMonth(); // 0-11
+    calculateRollingExpiration(qualType, completionDate, previousExpiration = null) {
+        const expirationMonths = qualType.expirationMonths || 12;
+        let expiration = this.toLocalDate(completionDate);
+
+        if (this.getEarliestRenewal(qualType, previousExpiration) && expiration <= new Date(previousExpiration)) {
+            expiration = new Date(previousExpiration);
+        }
+
+        expiration.setMonth(expiration.getMonth() + expirationMonths);
+        return expiration;
+    },
+
+    /**
+     * Calculate expiration date for a qualification
+     */
+    calculateExpiration(qualType, completionDate, marineEas = null, context = {}) {
+        return this.calculateDates(qualType, completionDate, marineEas, context).expirationDate;
+    },
+
+    /**
+     * Calculate the date by which a qualification must be completed again
+     */
+    calculateDueDate(qualType, completionDate, marineEas = null, context = {}) {
+        return this.calculateDates(qualType, completionDate, marineEas, context).dueDate;
+    },
+
+    /**
+     * Context for calculating a record's dates: the expiration of the Marine's
+     * latest active record of the type completed before it, and their status history
+     */
+    getDateContext(marine, qualifications, type, completionDate) {
+        const completion = this.toLocalDate(completionDate);
+        const previous = qualifications
+            .filter(q => q.type === type && this.isActiveRecord(q) && q.completionDate &&
+                this.toLocalDate(q.completionDate) < completion)
+            .sort((a, b) => new Date(b.completionDate) - new Date(a.completionDate))[0];
+
+        return {
+            previousExpiration: previous?.expirationDate || null,
+            statusHistory: marine?.statusHistory || []
+        };
+    },
+
+    /**
+     * Date shifted by a number of days
+     */
+    addDays(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    },
+
+    // ==================== GRACE, RENEWAL & EXTENSIONS ====================
+
+    /**
+     * Marine statuses that extend expirations for types that allow it
+     */
+    EXTENSION_STATUSES: ['deployment', 'med_hold'],
+
+    /**
+     * Earliest date a renewal counts, or null when the type has no renewal window
+     * or there is nothing to renew
+     */
+    getEarliestRenewal(qualType, previousExpiration) {
+        if (!previousExpiration || !Number.isInteger(qualType.renewalWindowDays)) return null;
+        return this.addDays(previousExpiration, -qualType.renewalWindowDays);
+    },
+
+    /**
+     * Whether a completion comes before the earliest allowed renewal date. It is
+     * kept in the history but doesn't count as a renewal.
+     */
+    isEarlyRenewal(qualType, completionDate, previousExpiration) {
+        const earliest = this.getEarliestRenewal(qualType, previousExpiration);
+        return !!earliest && this.toLocalDate(completionDate) < earliest;
+    },
+
+    /**
+     * Whether days deployed or on medical hold extend a type's expirations.
+     * Rolling types extend unless turned off; others only when turned on.
+     */
+    extendsForStatus(qualType) {
+        return qualType.extendForStatus ?? qualType.cycleType === this.CYCLE_TYPES.ROLLING;
+    },
+
+    /**
+     * Days a Marine spent in an extension status between completion and the
+     * deadline. The deadline moves out by those days, which can take in more of a
+     * later period, so this repeats until the count settles. Open periods count
+     * through their planned end date, or through today once that has passed or
+     * when none was given.
+     */
+    getExtensionDays(qualType, completionDate, deadline, statusHistory = []) {
+        if (!deadline || !this.extendsForStatus(qualType)) return 0;
+
+        const periods = statusHistory.filter(p => this.EXTENSION_STATUSES.includes(p.status) && p.startDate);
+        if (periods.length === 0) return 0;
+
+        const start = this.toLocalDate(completionDate);
+        const today = this.toLocalDate(new Date().toISOString().split('T')[0]);
+        let days = 0;
+
+        for (let i = 0; i < 10; i++) {
+            const end = this.addDays(deadline, days);
+            const total = periods.reduce((sum, period) => {
+                const from = Math.max(this.toLocalDate(period.startDate), start);
+                const open = period.plannedEndDate ? Math.max(this.toLocalDate(period.plannedEndDate), today) : today;
+                const to = Math.min(period.endDate ? this.toLocalDate(period.endDate) : open, end);
+                return sum + Math.max(0, Math.round((to - from) / (1000 * 60 * 60 * 24)));
+            }, 0);
+            if (total === days) break;
+            days = total;
+        }
+
+        return days;
+    },
+
+    /**
+     * Last day a record still counts as current after expiring, per its type's grace period
+     */
+    getGraceEnd(qualification) {
+        if (!qualification.expirationDate) return null;
+        const graceDays = this.getQualificationType(qualification.type)?.graceDays || 0;
+        return this.addDays(qualification.expirationDate, graceDays);
+    },
+
+    /**
+     * Date a record is overdue after: its due date, or its expiration when
+     * recorded before due dates were tracked
+     */
+    getDueDate(qualification) {
+        return qualification.dueDate || qualification.expirationDate || null;
+    },
+
+    /**
+     * Date a record is overdue after once any grace period is counted
+     */
+    getOverdueDate(qualification) {
+        const dueDate = this.getDueDate(qualification);
+        const graceEnd = this.getGraceEnd(qualification);
+        if (!dueDate || !graceEnd) return dueDate || graceEnd;
+        return new Date(Math.max(new Date(dueDate), graceEnd));
+    },
+
+    /**
+     * Get fiscal year for a date. A fiscal year is named for the calendar year
+     * it ends in; by default it starts Oct 1 of the previous calendar year.
+     */
+    getFiscalYear(date, startMonth = 10) {
+        const d = this.toLocalDate(date);
+        const month = d.getMonth() + 1; // 1-12
         const year = d.getFullYear();
 
-        // Oct (9), Nov (10), Dec (11) are in next fiscal year
-        if (month >= 9) {
+        if (startMonth > 1 && month >= startMonth) {
             return year + 1;
         }
         return year;
@@ -449,13 +844,23 @@ const TEEPQualifications = {
     },
 
     /**
-     * Get qualification status
+     * Get qualification status. An active waiver for the same Marine and type
+     * replaces anything short of current.
      */
-    getQualificationStatus(qualification) {
+    getQualificationStatus(qualification, waiver = null) {
+        if (waiver && this.isWaiverActive(waiver)) {
+            const status = this.getQualificationStatus(qualification);
+            return status.status === 'current' ? status : this.getWaiverStatus(waiver);
+        }
+
         if (!qualification.completionDate) {
             return { status: 'missing', label: 'Not Completed', class: 'status-expired' };
         }
 
+        if (this.getRecordClassification(qualification) === this.UNQUALIFIED) {
+            return { status: 'unqualified', label: 'Unqualified', class: 'status-expired' };
+        }
+
         if (!qualification.expirationDate) {
             return { status: 'current', label: 'Current', class: 'status-current' };
         }
@@ -468,6 +873,16 @@ const TEEPQualifications = {
         ninetyDaysOut.setDate(ninetyDaysOut.getDate() + 90);
 
         if (expiration < now) {
+            // Grace periods still count as current, but are flagged
+            const graceEnd = this.getGraceEnd(qualification);
+            if (graceEnd > expiration && graceEnd >= now) {
+                return { status: 'grace', label: `Grace until ${this.formatDate(graceEnd)}`, class: 'status-warning' };
+            }
+
+            const dueDate = qualification.dueDate ? new Date(qualification.dueDate) : null;
+            if (dueDate && dueDate >= now) {
+                return { status: 'due', label: `Due by ${this.formatDate(dueDate)}`, class: 'status-caution' };
+            }
             return { status: 'expired', label: 'Expired', class: 'status-expired' };
         }
 
@@ -483,9 +898,181 @@ const TEEPQualifications = {
     },
 
     /**
-     * Get all qualification types as a flat array
+     * Status shown for a Marine excused by a waiver
+     */
+    getWaiverStatus(waiver) {
+        const labels = {
+            waived: 'Waived',
+            exempt: 'Exempt',
+            na: 'N/A'
+        };
+        return { status: waiver.kind, label: labels[waiver.kind] || 'Waived', class: 'status-waived' };
+    },
+
+    /**
+     * Whether a status means the Marine is excused rather than deficient
+     */
+    isExcusedStatus(status) {
+        return Object.values(this.WAIVER_KINDS).includes(status);
+    },
+
+    /**
+     * Check if a waiver is in effect on a date. The end date is the last covered day.
+     */
+    isWaiverActive(waiver, date = new Date()) {
+        if (waiver.startDate && this.toLocalDate(waiver.startDate) > date) return false;
+        if (!waiver.endDate) return true;
+
+        const end = this.toLocalDate(waiver.endDate);
+        end.setHours(23, 59, 59, 999);
+        return end >= date;
+    },
+
+    /**
+     * Map of active waivers keyed by "marineId|type"
+     */
+    indexActiveWaivers(waivers) {
+        const index = new Map();
+        waivers.forEach(waiver => {
+            if (this.isWaiverActive(waiver)) {
+                index.set(`${waiver.marineId}|${waiver.type}`, waiver);
+            }
+        });
+        return index;
+    },
+
+    /**
+     * Check if a record counts toward status (not superseded or erroneous)
+     */
+    isActiveRecord(qualification) {
+        return !qualification.recordStatus || qualification.recordStatus === this.RECORD_STATUSES.ACTIVE;
+    },
+
+    /**
+     * Get the most recent active record of a type from a Marine's qualifications
+     */
+    getLatestQualification(qualifications, type) {
+        return qualifications
+            .filter(q => q.type === type && this.isActiveRecord(q))
+            .sort((a, b) => new Date(b.completionDate) - new Date(a.completionDate))[0] || null;
+    },
+
+    /**
+     * Reduce qualifications to the most recent active record per Marine and type
+     */
+    getLatestQualifications(qualifications) {
+        const latest = new Map();
+
+        qualifications.forEach(qual => {
+            if (!this.isActiveRecord(qual)) return;
+
+            const key = `${qual.marineId}|${qual.type}`;
+            const existing = latest.get(key);
+            if (!existing || new Date(qual.completionDate) > new Date(existing.completionDate)) {
+                latest.set(key, qual);
+            }
+        });
+
+        return Array.from(latest.values());
+    },
+
+    /**
+     * Group a Marine's qualifications by type, each list newest first.
+     * Includes superseded and erroneous records.
+     */
+    getQualificationHistory(qualifications) {
+        const history = {};
+
+        qualifications.forEach(qual => {
+            if (!history[qual.type]) {
+                history[qual.type] = [];
+            }
+            history[qual.type].push(qual);
+        });
+
+        Object.values(history).forEach(records => {
+            records.sort((a, b) => new Date(b.completionDate) - new Date(a.completionDate));
+        });
+
+        return history;
+    },
+
+    /**
+     * Classification key for a score from the type's scoreRanges (e.g. expert), or null.
+     * A score typed as the classification itself ("Expert") is recognized too.
+     */
+    getClassificationKey(qualType, score) {
+        if (!qualType || !qualType.scoreRanges || score === null || score === undefined || score === '') {
+            return null;
+        }
+
+        const value = Number(score);
+        if (isNaN(value)) {
+            const key = String(score).trim().toLowerCase();
+            return qualType.scoreRanges[key] ? key : null;
+        }
+
+        const match = Object.entries(qualType.scoreRanges)
+            .find(([, range]) => value >= range.min && value <= range.max);
+        return match ? match[0] : null;
+    },
+
+    /**
+     * Classification for a score from the type's scoreRanges (e.g. Expert), or null
+     */
+    getScoreClassification(qualType, score) {
+        const key = this.getClassificationKey(qualType, score);
+        return key ? this.formatClassification(key) : null;
+    },
+
+    /**
+     * Classification of a record: the one stored when it was entered (ranges in
+     * force at the time), or derived from its score for older records
      */
-    getAllQualificationTypes() {
+    getRecordClassification(qualification) {
+        if (qualification.classification) {
+            return qualification.classification;
+        }
+        return this.getClassificationKey(this.getQualificationType(qualification.type), qualification.score);
+    },
+
+    /**
+     * Format a classification key for display, e.g. sharpshooter -> Sharpshooter
+     */
+    formatClassification(key) {
+        return key ? key.charAt(0).toUpperCase() + key.slice(1) : '';
+    },
+
+    /**
+     * Check a type's score ranges. Returns a list of problems (empty when valid).
+     */
+    validateScoreRanges(scoreRanges) {
+        const errors = [];
+        const ranges = Object.entries(scoreRanges);
+
+        ranges.forEach(([key, range]) => {
+            if (!/^[a-z0-9_]+$/.test(key)) {
+                errors.push(`Classification "${key}" must use only lowercase letters, numbers, and underscores`);
+            } else if (!range || typeof range.min !== 'number' || typeof range.max !== 'number' || range.min > range.max) {
+                errors.push(`${this.formatClassification(key)} needs a minimum no higher than its maximum`);
+            }
+        });
+
+        ranges.forEach(([key, range], i) => {
+            ranges.slice(i + 1).forEach(([otherKey, other]) => {
+                if (range && other && range.min <= other.max && other.min <= range.max) {
+                    errors.push(`${this.formatClassification(key)} and ${this.formatClassification(otherKey)} ranges overlap`);
+                }
+            });
+        });
+
+        return errors;
+    },
+
+    /**
+     * Get the built-in default types as a flat array
+     */
+    getDefaultQualificationTypes() {
         const types = [];
         for (const category of Object.keys(this.DEFAULT_QUAL_TYPES)) {
             types.push(...this.DEFAULT_QUAL_TYPES[category]);
@@ -494,25 +1081,370 @@ const TEEPQualifications = {
     },
 
     /**
-     * Get qualification type by ID
+     * Load type definitions from storage, seeding any defaults the unit doesn't have yet
+     */
+    async loadTypes() {
+        const stored = await TEEPStorage.getQualificationTypes();
+        const storedIds = new Set(stored.map(t => t.id));
+
+        const defaults = this.getDefaultQualificationTypes();
+        const missing = defaults.filter(t => !storedIds.has(t.id));
+        for (const qualType of missing) {
+            await TEEPStorage.saveQualificationType(qualType);
+            stored.push(qualType);
+        }
+
+        if (missing.length > 0) {
+            console.log(`Initialized ${missing.length} default qualification types`);
+        }
+
+        // Built-in types saved before prerequisites existed pick up the default rules.
+        // Types saved from the editor always have the fields, so edits are kept.
+        for (const qualType of stored) {
+            const defaultType = defaults.find(t => t.id === qualType.id);
+            if (!defaultType || qualType.prerequisites !== undefined) continue;
+
+            qualType.prerequisites = defaultType.prerequisites || [];
+            qualType.progression = defaultType.progression || null;
+            if (defaultType.level !== undefined && qualType.level === undefined) {
+                qualType.level = defaultType.level;
+            }
+            await TEEPStorage.saveQualificationType(qualType);
+        }
+
+        // Likewise for score ranges; the editor saves null when a unit removes them
+        for (const qualType of stored) {
+            const defaultType = defaults.find(t => t.id === qualType.id);
+            if (!defaultType?.scoreRanges || qualType.scoreRanges !== undefined) continue;
+
+            qualType.scoreRanges = defaultType.scoreRanges;
+            await TEEPStorage.saveQualificationType(qualType);
+        }
+
+        this.types = stored;
+        return stored;
+    },
+
+    /**
+     * Get all qualification types as a flat array. Retired types are left out
+     * unless options.includeRetired is set.
+     */
+    getAllQualificationTypes(options = {}) {
+        // Fall back to the defaults until loadTypes() has run (e.g. during migrations)
+        const types = this.types || this.getDefaultQualificationTypes();
+        return options.includeRetired ? [...types] : types.filter(t => !t.retired);
+    },
+
+    /**
+     * Get qualification type by ID (retired types included, so history still resolves)
      */
     getQualificationType(id) {
-        for (const category of Object.keys(this.DEFAULT_QUAL_TYPES)) {
-            const found = this.DEFAULT_QUAL_TYPES[category].find(q => q.id === id);
-            if (found) return found;
+        return this.getAllQualificationTypes({ includeRetired: true }).find(q => q.id === id) || null;
+    },
+
+    /**
+     * Get the active types in a category, sorted by name
+     */
+    getTypesByCategory(category, options = {}) {
+        return this.getAllQualificationTypes(options)
+            .filter(t => t.category === category)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Get qualification categories. Built-in categories come first, then any custom ones.
+     */
+    getCategories(options = {}) {
+        const types = this.getAllQualificationTypes(options);
+        const custom = [...new Set(types.map(t => t.category))]
+            .filter(c => !this.DEFAULT_QUAL_TYPES[c])
+            .sort();
+
+        return [...Object.keys(this.DEFAULT_QUAL_TYPES), ...custom]
+            .map(key => ({
+                id: key,
+                name: this.formatCategoryName(key),
+                count: types.filter(t => t.category === key).length
+            }))
+            .filter(category => category.count > 0);
+    },
+
+    /**
+     * Check a type definition. Returns a list of problems (empty when valid).
+     */
+    validateQualificationType(qualType) {
+        const errors = [];
+        const cycleTypes = Object.values(this.CYCLE_TYPES);
+
+        if (!qualType.id || !/^[a-z0-9_]+$/.test(qualType.id)) {
+            errors.push('ID must use only lowercase letters, numbers, and underscores');
+        }
+        if (!qualType.name || !qualType.name.trim()) {
+            errors.push('Name is required');
+        }
+        if (!qualType.category || !qualType.category.trim()) {
+            errors.push('Category is required');
+        }
+        if (!cycleTypes.includes(qualType.cycleType)) {
+            errors.push(`Cycle type must be one of: ${cycleTypes.join(', ')}`);
+        }
+
+        if (qualType.cycleType === this.CYCLE_TYPES.CALENDAR_WINDOW) {
+            ['windowStart', 'windowEnd'].forEach(field => {
+                const value = qualType[field];
+                const valid = value && value.month >= 1 && value.month <= 12 &&
+                    value.day >= 1 && value.day <= new Date(2000, value.month, 0).getDate();
+                if (!valid) {
+                    errors.push(`${field === 'windowStart' ? 'Window start' : 'Window end'} is not a valid month and day`);
+                }
+            });
+        }
+
+        const periodic = [this.CYCLE_TYPES.CALENDAR_WINDOW, this.CYCLE_TYPES.FISCAL_YEAR].includes(qualType.cycleType);
+        if (periodic && qualType.periodMonths !== undefined && !this.PERIOD_LENGTHS[qualType.periodMonths]) {
+            errors.push('Period length must divide the year evenly (1, 2, 3, 4, 6 or 12 months)');
+        }
+        if (periodic && qualType.validity !== undefined &&
+            !Object.values(this.PERIOD_VALIDITY).includes(qualType.validity)) {
+            errors.push(`Validity must be one of: ${Object.values(this.PERIOD_VALIDITY).join(', ')}`);
         }
+        if (qualType.cycleType === this.CYCLE_TYPES.FISCAL_YEAR && qualType.fiscalYearStart !== undefined &&
+            !(Number.isInteger(qualType.fiscalYearStart) && qualType.fiscalYearStart >= 1 && qualType.fiscalYearStart <= 12)) {
+            errors.push('Fiscal year start must be a month from 1 to 12');
+        }
+        if (qualType.cycleType === this.CYCLE_TYPES.CALENDAR_WINDOW && qualType.windowStart && qualType.windowEnd &&
+            this.PERIOD_LENGTHS[this.getPeriodMonths(qualType)]) {
+            const windowMonths = (qualType.windowEnd.month - qualType.windowStart.month + 12) % 12 + 1;
+            if (windowMonths > this.getPeriodMonths(qualType)) {
+                errors.push(`The window spans ${windowMonths} months, longer than the ${this.getPeriodMonths(qualType)}-month period`);
+            }
+        }
+
+        if (qualType.cycleType === this.CYCLE_TYPES.ROLLING &&
+            !(Number.isInteger(qualType.expirationMonths) && qualType.expirationMonths > 0)) {
+            errors.push('Rolling qualifications need a whole number of months until expiration');
+        }
+
+        if (qualType.graceDays !== undefined && qualType.graceDays !== null &&
+            !(Number.isInteger(qualType.graceDays) && qualType.graceDays >= 0)) {
+            errors.push('Grace period must be a whole number of days');
+        }
+        if (qualType.renewalWindowDays !== undefined && qualType.renewalWindowDays !== null &&
+            !(Number.isInteger(qualType.renewalWindowDays) && qualType.renewalWindowDays >= 0)) {
+            errors.push('Renewal window must be a whole number of days');
+        }
+
+        if (qualType.requiredRank && !this.RANK_ORDER.includes(qualType.requiredRank)) {
+            errors.push(`Unknown rank "${qualType.requiredRank}"`);
+        }
+
+        if (qualType.scoreRanges) {
+            errors.push(...this.validateScoreRanges(qualType.scoreRanges));
+        }
+
+        if (qualType.progression && !(Number.isInteger(qualType.level) && qualType.level > 0)) {
+            errors.push('Types in a progression need a whole-number level of 1 or more');
+        }
+
+        const prerequisites = qualType.prerequisites || [];
+        if (prerequisites.includes(qualType.id)) {
+            errors.push('A type cannot be its own prerequisite');
+        } else if (this.types) {
+            const unknown = prerequisites.filter(id => !this.getQualificationType(id));
+            if (unknown.length > 0) {
+                errors.push(`Unknown prerequisite ${unknown.join(', ')}`);
+            } else if (this.hasPrerequisiteCycle(qualType)) {
+                errors.push('Prerequisites cannot loop back to this type');
+            }
+        }
+
+        return errors;
+    },
+
+    /**
+     * True when following prerequisites from a (possibly unsaved) type leads back to it
+     */
+    hasPrerequisiteCycle(qualType) {
+        const lookup = id => id === qualType.id ? qualType : this.getQualificationType(id);
+        const visited = new Set();
+        const pending = [...(qualType.prerequisites || [])];
+
+        while (pending.length > 0) {
+            const id = pending.pop();
+            if (id === qualType.id) return true;
+            if (visited.has(id)) continue;
+
+            visited.add(id);
+            pending.push(...(lookup(id)?.prerequisites || []));
+        }
+
+        return false;
+    },
+
+    /**
+     * Validate and save a type definition, then refresh the cached list
+     */
+    async saveQualificationType(qualType) {
+        const errors = this.validateQualificationType(qualType);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        const record = {
+            ...qualType,
+            name: qualType.name.trim(),
+            category: qualType.category.trim(),
+            updatedAt: new Date().toISOString()
+        };
+
+        await TEEPStorage.saveQualificationType(record);
+        await this.loadTypes();
+        return record;
+    },
+
+    /**
+     * Retire a type (hidden from pickers, existing records kept) or bring it back
+     */
+    async setQualificationTypeRetired(id, retired) {
+        const qualType = this.getQualificationType(id);
+        if (!qualType) {
+            throw new Error('Qualification type not found');
+        }
+
+        return this.saveQualificationType({ ...qualType, retired: !!retired });
+    },
+
+    // ==================== PREREQUISITES & PROGRESSIONS ====================
+
+    /**
+     * Display name for a progression family
+     */
+    getProgressionName(progression) {
+        return this.PROGRESSIONS[progression] ||
+            progression.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    },
+
+    /**
+     * Progression families in use, each with its active types ordered by level
+     */
+    getProgressions() {
+        const families = new Map();
+
+        this.getAllQualificationTypes()
+            .filter(t => t.progression)
+            .forEach(type => {
+                if (!families.has(type.progression)) {
+                    families.set(type.progression, []);
+                }
+                families.get(type.progression).push(type);
+            });
+
+        return Array.from(families.entries()).map(([id, types]) => ({
+            id,
+            name: this.getProgressionName(id),
+            types: types.sort((a, b) => a.level - b.level)
+        }));
+    },
+
+    /**
+     * The active record that shows a Marine earned a type: a record of the type
+     * itself, or of a higher level in the same progression. Only records completed
+     * on or before asOf count when it is given.
+     */
+    findAchievement(qualifications, typeId, asOf = null) {
+        const qualType = this.getQualificationType(typeId);
+        const earns = record => {
+            if (record.type === typeId) return true;
+            const recordType = qualType?.progression ? this.getQualificationType(record.type) : null;
+            return !!recordType && recordType.progression === qualType.progression && recordType.level > qualType.level;
+        };
+
+        return qualifications
+            .filter(q => this.isActiveRecord(q) && earns(q))
+            .filter(q => !asOf || q.completionDate <= asOf)
+            .sort((a, b) => new Date(a.completionDate) - new Date(b.completionDate))[0] || null;
+    },
+
+    /**
+     * Prerequisites of a type a Marine hasn't met, as { type, reason } pairs.
+     * With a completion date, prerequisites finished after it don't count.
+     */
+    checkPrerequisites(qualType, qualifications, completionDate = null) {
+        return (qualType?.prerequisites || []).reduce((unmet, id) => {
+            if (this.findAchievement(qualifications, id, completionDate)) {
+                return unmet;
+            }
+
+            const prerequisite = this.getQualificationType(id) || { id, name: id };
+            unmet.push({
+                type: prerequisite,
+                reason: completionDate && this.findAchievement(qualifications, id) ?
+                    `completed after ${this.formatDate(completionDate)}` :
+                    'no record'
+            });
+            return unmet;
+        }, []);
+    },
+
+    /**
+     * Highest level a Marine has reached in a progression: { type, qualification }, or null
+     */
+    getHighestAchieved(qualifications, progression) {
+        const family = this.getProgressions().find(p => p.id === progression);
+        if (!family) return null;
+
+        for (const type of [...family.types].reverse()) {
+            const qualification = this.getLatestQualification(qualifications, type.id);
+            if (qualification) {
+                return { type, qualification };
+            }
+        }
+
         return null;
     },
 
     /**
-     * Get qualification categories
+     * Types a Marine has not earned but now meets every prerequisite for. Within a
+     * progression only the next level is offered. Types with neither prerequisites
+     * nor a progression are left out, as are types above the Marine's rank group.
      */
-    getCategories() {
-        return Object.keys(this.DEFAULT_QUAL_TYPES).map(key => ({
-            id: key,
-            name: this.formatCategoryName(key),
-            count: this.DEFAULT_QUAL_TYPES[key].length
+    getNextEligible(marine, qualifications) {
+        const group = this.getRankGroup(marine.rank);
+        const highest = new Map(this.getProgressions().map(family => {
+            const achieved = this.getHighestAchieved(qualifications, family.id);
+            return [family.id, achieved ? achieved.type.level : 0];
         }));
+
+        return this.getAllQualificationTypes()
+            .filter(type => type.progression || (type.prerequisites || []).length > 0)
+            .filter(type => !type.requiredRank || !group || this.getRankGroup(type.requiredRank) === group)
+            .filter(type => !this.findAchievement(qualifications, type.id))
+            .filter(type => !type.progression || type.level === this.getNextLevel(type.progression, highest.get(type.progression)))
+            .filter(type => this.checkPrerequisites(type, qualifications).length === 0)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * The lowest level in a progression above the given one, or null at the top
+     */
+    getNextLevel(progression, level) {
+        const levels = this.getAllQualificationTypes()
+            .filter(t => t.progression === progression && t.level > level)
+            .map(t => t.level);
+        return levels.length > 0 ? Math.min(...levels) : null;
+    },
+
+    /**
+     * Format a cycle type for display
+     */
+    formatCycleType(cycleType) {
+        const labels = {
+            calendar_window: 'Calendar Window',
+            fiscal_year: 'Fiscal Year',
+            rolling: 'Rolling',
+            one_time: 'One-Time'
+        };
+        return labels[cycleType] || cycleType;
     },
 
     /**
@@ -560,25 +1492,13 @@ const TEEPQualifications = {
         return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
     },
 
-    /**
-     * Initialize default qualification types in storage
-     */
-    async initializeDefaultTypes() {
-        const types = this.getAllQualificationTypes();
-
-        for (const qualType of types) {
-            await TEEPStorage.saveQualificationType(qualType);
-        }
-
-        console.log(`Initialized ${types.length} default qualification types`);
-    },
-
     /**
      * Get Marines with a specific qualification
      */
     async getMarinesWithQualification(qualTypeId, options = {}) {
         const allMarines = await TEEPStorage.getAllMarines();
         const allQuals = await TEEPStorage.getAllQualifications();
+        const waivers = this.indexActiveWaivers(await TEEPStorage.getAllWaivers());
 
         const results = [];
 
@@ -588,28 +1508,27 @@ const TEEPQualifications = {
                 if (marine.status !== options.status) continue;
             }
 
-            // Find qualifications for this Marine
-            const marineQuals = allQuals.filter(q =>
-                q.marineId === marine.id && q.type === qualTypeId
+            // Find the most recent active record for this Marine
+            const latestQual = this.getLatestQualification(
+                allQuals.filter(q => q.marineId === marine.id),
+                qualTypeId
             );
 
-            if (marineQuals.length === 0) {
+            const waiver = waivers.get(`${marine.id}|${qualTypeId}`) || null;
+
+            if (!latestQual) {
                 if (options.includeMissing) {
                     results.push({
                         marine,
                         qualification: null,
-                        status: this.getQualificationStatus({})
+                        waiver,
+                        status: this.getQualificationStatus({}, waiver)
                     });
                 }
                 continue;
             }
 
-            // Get most recent qualification
-            const latestQual = marineQuals.sort((a, b) =>
-                new Date(b.completionDate) - new Date(a.completionDate)
-            )[0];
-
-            const status = this.getQualificationStatus(latestQual);
+            const status = this.getQualificationStatus(latestQual, waiver);
 
             // Filter by current only if specified
             if (options.currentOnly && status.status !== 'current') {
@@ -619,6 +1538,7 @@ const TEEPQualifications = {
             results.push({
                 marine,
                 qualification: latestQual,
+                waiver,
                 status
             });
         }
@@ -627,11 +1547,14 @@ const TEEPQualifications = {
     },
 
     /**
-     * Query for Marines matching qualification criteria
+     * Query for Marines matching qualification criteria.
+     * A waived Marine doesn't hold the qualification, so only matches a
+     * requirement with allowWaived set (e.g. compliance checks).
      */
     async queryMarines(query) {
         const allMarines = await TEEPStorage.getAllMarines();
         const allQuals = await TEEPStorage.getAllQualifications();
+        const waivers = this.indexActiveWaivers(await TEEPStorage.getAllWaivers());
 
         let results = [...allMarines];
 
@@ -640,11 +1563,21 @@ const TEEPQualifications = {
             results = results.filter(m => m.status === query.status);
         }
 
+        // Apply away-on-date filter from status history
+        if (query.awayOn) {
+            results = TEEPStatus.getAwayOn(results, query.awayOn.date, query.awayOn.status).map(entry => entry.marine);
+        }
+
         // Apply section filter
         if (query.section && query.section !== 'all') {
             results = results.filter(m => m.section === query.section);
         }
 
+        // Apply unit filter, taking in every unit beneath the one given
+        if (query.orgUnitId) {
+            results = TEEPOrg.filterMarines(results, query.orgUnitId);
+        }
+
         // Apply rank filter
         if (query.rank && query.rank !== 'all') {
             results = results.filter(m => this.normalizeRank(m.rank) === query.rank);
@@ -661,17 +1594,17 @@ const TEEPQualifications = {
                 const marineQuals = allQuals.filter(q => q.marineId === marine.id);
 
                 return query.qualifications.every(reqQual => {
-                    const matchingQuals = marineQuals.filter(q => q.type === reqQual.type);
+                    const latestQual = this.getLatestQualification(marineQuals, reqQual.type);
+                    const waiver = waivers.get(`${marine.id}|${reqQual.type}`) || null;
+                    const status = this.getQualificationStatus(latestQual || {}, waiver);
 
-                    if (matchingQuals.length === 0) {
-                        return reqQual.required === false;
+                    if (reqQual.allowWaived && this.isExcusedStatus(status.status)) {
+                        return true;
                     }
 
-                    const latestQual = matchingQuals.sort((a, b) =>
-                        new Date(b.completionDate) - new Date(a.completionDate)
-                    )[0];
-
-                    const status = this.getQualificationStatus(latestQual);
+                    if (!latestQual) {
+                        return reqQual.required === false;
+                    }
 
                     // Check if current qualification is required
                     if (reqQual.mustBeCurrent && status.status !== 'current') {
@@ -0,0 +1,525 @@
+/**
+ * TEEP Tracker - Qualification Types Module
+ * Admin view for creating, editing, retiring, and categorizing qualification types
+ */
+
+const TEEPQualTypes = {
+    MONTHS: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+
+    // State
+    showRetired: false,
+    editingId: null,
+
+    /**
+     * Initialize the qualification types module
+     */
+    init() {
+        this.bindEvents();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const newBtn = document.getElementById('newQualTypeBtn');
+        if (newBtn) {
+            newBtn.addEventListener('click', () => this.showEditor());
+        }
+
+        const showRetired = document.getElementById('showRetiredTypes');
+        if (showRetired) {
+            showRetired.addEventListener('change', () => {
+                this.showRetired = showRetired.checked;
+                this.refresh();
+            });
+        }
+
+        const saveBtn = document.getElementById('saveQualTypeBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleSave());
+        }
+
+        ['cancelQualTypeModal', 'closeQualTypeModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('qualTypeModal'));
+        });
+
+        const cycleSelect = document.getElementById('qualTypeCycle');
+        if (cycleSelect) {
+            cycleSelect.addEventListener('change', () => this.updateCycleFields());
+        }
+
+        const categorySelect = document.getElementById('qualTypeCategory');
+        if (categorySelect) {
+            categorySelect.addEventListener('change', () => {
+                document.getElementById('qualTypeNewCategoryGroup')?.classList.toggle('hidden', categorySelect.value !== '__new');
+            });
+        }
+
+        const progressionSelect = document.getElementById('qualTypeProgression');
+        if (progressionSelect) {
+            progressionSelect.addEventListener('change', () => this.updateProgressionFields());
+        }
+
+        // Suggest an ID from the name while creating
+        const nameInput = document.getElementById('qualTypeName');
+        if (nameInput) {
+            nameInput.addEventListener('input', () => {
+                const idInput = document.getElementById('qualTypeId');
+                if (idInput && !this.editingId && !idInput.dataset.edited) {
+                    idInput.value = this.slugify(nameInput.value);
+                }
+            });
+        }
+
+        const idInput = document.getElementById('qualTypeId');
+        if (idInput) {
+            idInput.addEventListener('input', () => {
+                idInput.dataset.edited = 'true';
+            });
+        }
+
+        // Row actions carry the type ID in data attributes rather than inline handlers
+        document.querySelector('#qualTypeTable tbody')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-type-action]');
+            if (!button) return;
+
+            const id = button.closest('[data-type-id]').dataset.typeId;
+            const action = button.dataset.typeAction;
+            if (action === 'edit') {
+                this.showEditor(id);
+            } else {
+                this.setRetired(id, action === 'retire');
+            }
+        });
+    },
+
+    /**
+     * Refresh the qualification types view
+     */
+    async refresh() {
+        const allQuals = await TEEPStorage.getAllQualifications();
+        const recordCounts = new Map();
+        allQuals.forEach(q => recordCounts.set(q.type, (recordCounts.get(q.type) || 0) + 1));
+
+        this.renderTypeTable(recordCounts);
+        await TEEPRequirements.renderProfiles();
+    },
+
+    /**
+     * Render the types table, grouped by category
+     */
+    renderTypeTable(recordCounts) {
+        const tbody = document.querySelector('#qualTypeTable tbody');
+        if (!tbody) return;
+
+        const options = { includeRetired: this.showRetired };
+        const categories = TEEPQualifications.getCategories(options);
+
+        const count = document.getElementById('qualTypeCount');
+        if (count) count.textContent = TEEPQualifications.getAllQualificationTypes(options).length;
+
+        if (categories.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">No qualification types</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = categories.map(category => `
+            <tr class="table__group">
+                <td colspan="6"><strong>${TEEPRoster.escapeHtml(category.name)}</strong></td>
+            </tr>
+            ${TEEPQualifications.getTypesByCategory(category.id, options).map(type => `
+                <tr>
+                    <td>
+                        ${TEEPRoster.escapeHtml(type.name)}
+                        ${type.fullName && type.fullName !== type.name ? `<div class="text-sm text-secondary">${TEEPRoster.escapeHtml(type.fullName)}</div>` : ''}
+                        ${this.describeProgression(type) ? `<div class="text-sm text-secondary">${TEEPRoster.escapeHtml(this.describeProgression(type))}</div>` : ''}
+                        ${type.scoreRanges ? `<div class="text-sm text-secondary">${TEEPRoster.escapeHtml(this.formatScoreRanges(type.scoreRanges))}</div>` : ''}
+                    </td>
+                    <td>${TEEPQualifications.formatCycleType(type.cycleType)}</td>
+                    <td>${TEEPRoster.escapeHtml(this.describeExpiration(type))}</td>
+                    <td>${type.required ? 'All Marines' : type.requiredRank ? `${type.requiredRank} and above` : 'No'}</td>
+                    <td>
+                        ${recordCounts.get(type.id) || 0}
+                        ${type.retired ? ' <span class="badge badge--secondary">Retired</span>' : ''}
+                    </td>
+                    <td class="actions" data-type-id="${TEEPRoster.escapeAttribute(type.id)}">
+                        <button class="btn btn--sm btn--outline" data-type-action="edit">Edit</button>
+                        ${type.retired ?
+                            '<button class="btn btn--sm btn--primary" data-type-action="reinstate">Reinstate</button>' :
+                            '<button class="btn btn--sm btn--danger" data-type-action="retire">Retire</button>'}
+                    </td>
+                </tr>
+            `).join('')}
+        `).join('');
+    },
+
+    /**
+     * One-line description of when a type expires, with any grace period
+     */
+    describeExpiration(type) {
+        const cycle = this.describeCycle(type);
+        return type.graceDays ? `${cycle}, ${type.graceDays}-day grace` : cycle;
+    },
+
+    /**
+     * When a type expires under its cycle
+     */
+    describeCycle(type) {
+        switch (type.cycleType) {
+            case 'calendar_window':
+                return `${this.describePeriod(type, 'Window')} ${this.formatMonthDay(type.windowStart)} - ${this.formatMonthDay(type.windowEnd)}` +
+                    (this.isCurrentPeriod(type) ? ', due by end of next' : '');
+            case 'fiscal_year': {
+                const start = TEEPQualifications.getFiscalYearStart(type);
+                const period = TEEPQualifications.getPeriodMonths(type) === 12 ? 'fiscal year' :
+                    `${this.describePeriod(type, '').toLowerCase()} period`;
+                return (this.isCurrentPeriod(type) ? `End of ${period}, due by end of next` : `End of next ${period}`) +
+                    (start !== 10 ? ` (FY starts ${this.MONTHS[start - 1]})` : '');
+            }
+            case 'rolling':
+                return `${type.expirationMonths} months${type.easAware ? ' (or EAS if sooner)' : ''}` +
+                    (Number.isInteger(type.renewalWindowDays) ? `, renew within ${type.renewalWindowDays} days` : '');
+            case 'one_time':
+                return 'Never expires';
+            default:
+                return '';
+        }
+    },
+
+    /**
+     * Period length label ('Semiannual window'); just the noun for annual periods
+     */
+    describePeriod(type, noun) {
+        const months = TEEPQualifications.getPeriodMonths(type);
+        if (months === 12) return noun;
+        const label = TEEPQualifications.PERIOD_LENGTHS[months] || `Every ${months} months`;
+        return noun ? `${label} ${noun.toLowerCase()}` : label;
+    },
+
+    /**
+     * Whether a completion only counts for its own period
+     */
+    isCurrentPeriod(type) {
+        return TEEPQualifications.getPeriodValidity(type) === TEEPQualifications.PERIOD_VALIDITY.CURRENT_PERIOD;
+    },
+
+    /**
+     * One-line description of a type's progression level and prerequisites
+     */
+    describeProgression(type) {
+        const parts = [];
+        if (type.progression) {
+            parts.push(`${TEEPQualifications.getProgressionName(type.progression)} level ${type.level}`);
+        }
+        if (type.prerequisites && type.prerequisites.length > 0) {
+            parts.push('Requires ' + type.prerequisites
+                .map(id => TEEPQualifications.getQualificationType(id)?.name || id)
+                .join(', '));
+        }
+        return parts.join(' · ');
+    },
+
+    /**
+     * Format score ranges for the editor, e.g. expert 305-350, marksman 250-279
+     */
+    formatScoreRanges(scoreRanges) {
+        return Object.entries(scoreRanges || {})
+            .map(([key, range]) => `${key} ${range.min}-${range.max}`)
+            .join(', ');
+    },
+
+    /**
+     * Parse score ranges typed in the editor. Returns null when blank.
+     */
+    parseScoreRanges(text) {
+        const segments = text.split(',').map(s => s.trim()).filter(Boolean);
+        if (segments.length === 0) return null;
+
+        const scoreRanges = {};
+        segments.forEach(segment => {
+            const match = segment.match(/^(.+?)\s+(\d+)\s*-\s*(\d+)$/);
+            if (!match) {
+                throw new Error(`Score classification "${segment}" should look like "expert 305-350"`);
+            }
+            scoreRanges[this.slugify(match[1])] = { min: Number(match[2]), max: Number(match[3]) };
+        });
+        return scoreRanges;
+    },
+
+    /**
+     * Format a { month, day } pair, e.g. Jun 30
+     */
+    formatMonthDay(value) {
+        return value ? `${this.MONTHS[value.month - 1] || '?'} ${value.day}` : '?';
+    },
+
+    /**
+     * Turn a name into a type ID
+     */
+    slugify(name) {
+        return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    },
+
+    /**
+     * Open the editor for a new type, or an existing one when an ID is given
+     */
+    showEditor(id = null) {
+        const type = id ? TEEPQualifications.getQualificationType(id) : null;
+        if (id && !type) {
+            alert('Qualification type not found');
+            return;
+        }
+        this.editingId = id;
+
+        document.getElementById('qualTypeModalTitle').textContent = type ? `Edit ${type.name}` : 'New Qualification Type';
+
+        // Category choices: every existing category plus a new one
+        const categorySelect = document.getElementById('qualTypeCategory');
+        categorySelect.innerHTML = TEEPQualifications.getCategories({ includeRetired: true })
+            .map(c => `<option value="${TEEPRoster.escapeHtml(c.id)}">${TEEPRoster.escapeHtml(c.name)}</option>`)
+            .join('') + '<option value="__new">New category...</option>';
+
+        const idInput = document.getElementById('qualTypeId');
+        idInput.value = type ? type.id : '';
+        idInput.disabled = !!type;
+        delete idInput.dataset.edited;
+
+        document.getElementById('qualTypeName').value = type ? type.name : '';
+        document.getElementById('qualTypeFullName').value = type ? (type.fullName || '') : '';
+        categorySelect.value = type ? type.category : categorySelect.options[0]?.value || '__new';
+        document.getElementById('qualTypeNewCategory').value = '';
+        document.getElementById('qualTypeNewCategoryGroup').classList.toggle('hidden', categorySelect.value !== '__new');
+        document.getElementById('qualTypeCycle').value = type ? type.cycleType : 'fiscal_year';
+
+        const windowStart = type?.windowStart || { month: 1, day: 1 };
+        const windowEnd = type?.windowEnd || { month: 12, day: 31 };
+        document.getElementById('qualTypeStartMonth').value = windowStart.month;
+        document.getElementById('qualTypeStartDay').value = windowStart.day;
+        document.getElementById('qualTypeEndMonth').value = windowEnd.month;
+        document.getElementById('qualTypeEndDay').value = windowEnd.day;
+        document.getElementById('qualTypeFiscalStart').value = type ? TEEPQualifications.getFiscalYearStart(type) : 10;
+        document.getElementById('qualTypePeriodMonths').value = type ? TEEPQualifications.getPeriodMonths(type) : 12;
+        document.getElementById('qualTypeValidity').value = type ?
+            TEEPQualifications.getPeriodValidity(type) :
+            TEEPQualifications.PERIOD_VALIDITY.NEXT_PERIOD;
+        document.getElementById('qualTypeExpirationMonths').value = type?.expirationMonths || 12;
+        document.getElementById('qualTypeEasAware').checked = !!type?.easAware;
+        document.getElementById('qualTypeRenewalWindow').value = type?.renewalWindowDays ?? '';
+        document.getElementById('qualTypeGraceDays').value = type?.graceDays || '';
+        document.getElementById('qualTypeExtendForStatus').checked = TEEPQualifications.extendsForStatus(type || { cycleType: 'fiscal_year' });
+        document.getElementById('qualTypeRequiredRank').innerHTML = '<option value="">No rank requirement</option>' +
+            TEEPQualifications.RANK_ORDER.map(rank => `<option value="${rank}">${rank}</option>`).join('');
+        document.getElementById('qualTypeRequiredRank').value = type?.requiredRank || '';
+        document.getElementById('qualTypeRequired').checked = !!type?.required;
+        document.getElementById('qualTypeTrackScore').checked = !!type?.trackScore;
+        document.getElementById('qualTypeScoreRanges').value = this.formatScoreRanges(type?.scoreRanges);
+
+        // Progression choices: every family in use plus a new one
+        const progressionSelect = document.getElementById('qualTypeProgression');
+        const progressionIds = [...new Set([
+            ...Object.keys(TEEPQualifications.PROGRESSIONS),
+            ...TEEPQualifications.getAllQualificationTypes({ includeRetired: true }).map(t => t.progression).filter(Boolean)
+        ])];
+        progressionSelect.innerHTML = '<option value="">None</option>' +
+            progressionIds.map(id => `<option value="${TEEPRoster.escapeHtml(id)}">${TEEPRoster.escapeHtml(TEEPQualifications.getProgressionName(id))}</option>`).join('') +
+            '<option value="__new">New progression...</option>';
+        progressionSelect.value = type?.progression || '';
+        document.getElementById('qualTypeNewProgression').value = '';
+        document.getElementById('qualTypeLevel').value = type?.level || 1;
+
+        const selectedPrerequisites = new Set(type?.prerequisites || []);
+        document.getElementById('qualTypePrerequisites').innerHTML = TEEPQualifications.getCategories().map(category => `
+            <div class="requirement-types__group">
+                <strong>${TEEPRoster.escapeHtml(category.name)}</strong>
+                ${TEEPQualifications.getTypesByCategory(category.id).filter(t => t.id !== id).map(t => `
+                    <label class="checkbox-label">
+                        <input type="checkbox" class="checkbox" value="${t.id}" ${selectedPrerequisites.has(t.id) ? 'checked' : ''}>
+                        ${TEEPRoster.escapeHtml(t.name)}
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+
+        this.showError('');
+        this.updateCycleFields();
+        this.updateProgressionFields();
+        TEEPApp.openModal('qualTypeModal');
+    },
+
+    /**
+     * Only show the fields that apply to the selected cycle type
+     */
+    updateCycleFields() {
+        const cycleType = document.getElementById('qualTypeCycle')?.value;
+        document.getElementById('qualTypeWindowFields')?.classList.toggle('hidden', cycleType !== 'calendar_window');
+        document.getElementById('qualTypePeriodFields')?.classList.toggle('hidden', !['calendar_window', 'fiscal_year'].includes(cycleType));
+        document.getElementById('qualTypeFiscalStartGroup')?.classList.toggle('hidden', cycleType !== 'fiscal_year');
+        document.getElementById('qualTypeRollingFields')?.classList.toggle('hidden', cycleType !== 'rolling');
+        document.getElementById('qualTypeExpiringFields')?.classList.toggle('hidden', cycleType === 'one_time');
+    },
+
+    /**
+     * Only ask for a level (and a name for a new progression) when one is chosen
+     */
+    updateProgressionFields() {
+        const progression = document.getElementById('qualTypeProgression')?.value;
+        document.getElementById('qualTypeLevelGroup')?.classList.toggle('hidden', !progression);
+        document.getElementById('qualTypeNewProgressionGroup')?.classList.toggle('hidden', progression !== '__new');
+    },
+
+    /**
+     * Build a type definition from the editor form
+     */
+    readForm() {
+        const existing = this.editingId ? TEEPQualifications.getQualificationType(this.editingId) : {};
+        const categorySelect = document.getElementById('qualTypeCategory').value;
+        const cycleType = document.getElementById('qualTypeCycle').value;
+
+        // Start from the stored definition so fields this form doesn't edit survive
+        const type = {
+            ...existing,
+            id: this.editingId || document.getElementById('qualTypeId').value.trim(),
+            name: document.getElementById('qualTypeName').value,
+            fullName: document.getElementById('qualTypeFullName').value.trim() || null,
+            category: categorySelect === '__new' ?
+                this.slugify(document.getElementById('qualTypeNewCategory').value) :
+                categorySelect,
+            cycleType,
+            required: document.getElementById('qualTypeRequired').checked,
+            trackScore: document.getElementById('qualTypeTrackScore').checked,
+            scoreRanges: this.parseScoreRanges(document.getElementById('qualTypeScoreRanges').value)
+        };
+
+        delete type.windowStart;
+        delete type.windowEnd;
+        delete type.periodMonths;
+        delete type.fiscalYearStart;
+        delete type.validity;
+        delete type.expirationMonths;
+        delete type.easAware;
+        delete type.renewalWindowDays;
+        delete type.graceDays;
+        delete type.extendForStatus;
+        delete type.requiredRank;
+        delete type.level;
+
+        // Prerequisites on retired types aren't shown as checkboxes, so keep them
+        const hiddenPrerequisites = (existing.prerequisites || [])
+            .filter(id => TEEPQualifications.getQualificationType(id)?.retired);
+        type.prerequisites = [
+            ...hiddenPrerequisites,
+            ...[...document.querySelectorAll('#qualTypePrerequisites input:checked')].map(input => input.value)
+        ];
+
+        const progression = document.getElementById('qualTypeProgression').value;
+        type.progression = progression === '__new' ?
+            this.slugify(document.getElementById('qualTypeNewProgression').value) || null :
+            progression || null;
+        if (type.progression) {
+            type.level = parseInt(document.getElementById('qualTypeLevel').value);
+        }
+
+        const requiredRank = document.getElementById('qualTypeRequiredRank').value;
+        if (requiredRank) {
+            type.requiredRank = requiredRank;
+        }
+
+        if (cycleType === 'calendar_window' || cycleType === 'fiscal_year') {
+            type.periodMonths = parseInt(document.getElementById('qualTypePeriodMonths').value);
+            type.validity = document.getElementById('qualTypeValidity').value;
+        }
+        if (cycleType === 'fiscal_year') {
+            type.fiscalYearStart = parseInt(document.getElementById('qualTypeFiscalStart').value);
+        }
+
+        if (cycleType === 'calendar_window') {
+            type.windowStart = {
+                month: parseInt(document.getElementById('qualTypeStartMonth').value),
+                day: parseInt(document.getElementById('qualTypeStartDay').value)
+            };
+            type.windowEnd = {
+                month: parseInt(document.getElementById('qualTypeEndMonth').value),
+                day: parseInt(document.getElementById('qualTypeEndDay').value)
+            };
+        } else if (cycleType === 'rolling') {
+            type.expirationMonths = parseInt(document.getElementById('qualTypeExpirationMonths').value);
+            type.easAware = document.getElementById('qualTypeEasAware').checked;
+            const renewalWindow = document.getElementById('qualTypeRenewalWindow').value;
+            if (renewalWindow !== '') {
+                type.renewalWindowDays = parseInt(renewalWindow);
+            }
+        }
+
+        if (cycleType !== 'one_time') {
+            type.graceDays = parseInt(document.getElementById('qualTypeGraceDays').value) || 0;
+            type.extendForStatus = document.getElementById('qualTypeExtendForStatus').checked;
+        }
+
+        return type;
+    },
+
+    /**
+     * Save the editor form
+     */
+    async handleSave() {
+        let type;
+        try {
+            type = this.readForm();
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        if (!this.editingId && TEEPQualifications.getQualificationType(type.id)) {
+            this.showError(`A qualification type with ID "${type.id}" already exists`);
+            return;
+        }
+
+        const errors = TEEPQualifications.validateQualificationType(type);
+        if (errors.length > 0) {
+            this.showError(errors.join('. '));
+            return;
+        }
+
+        try {
+            await TEEPQualifications.saveQualificationType(type);
+            TEEPApp.closeModal('qualTypeModal');
+            await this.refresh();
+
+            // Stored expirations were calculated with the old rules
+            await TEEPRecalc.review({ typeIds: [type.id] }, `${type.name.trim()} type ${this.editingId ? 'edited' : 'created'}`);
+        } catch (error) {
+            alert('Error saving qualification type: ' + error.message);
+        }
+    },
+
+    /**
+     * Retire a type or bring it back
+     */
+    async setRetired(id, retired) {
+        const type = TEEPQualifications.getQualificationType(id);
+        if (!type) return;
+
+        if (retired && !confirm(`Retire ${type.name}? It will no longer be offered when adding qualifications or counted in reports. Existing records are kept.`)) {
+            return;
+        }
+
+        try {
+            await TEEPQualifications.setQualificationTypeRetired(id, retired);
+            await this.refresh();
+        } catch (error) {
+            alert('Error updating qualification type: ' + error.message);
+        }
+    },
+
+    /**
+     * Show or clear the editor error
+     */
+    showError(message) {
+        const error = document.getElementById('qualTypeError');
+        if (!error) return;
+
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+};
@@ -0,0 +1,184 @@
+/**
+ * TEEP Tracker - Recalculation Module
+ * Finds stored expiration dates that no longer match the type rules or a Marine's EAS,
+ * previews the differences, and applies them as one change
+ */
+
+const TEEPRecalc = {
+    // State
+    pendingChanges: null,
+    pendingReason: '',
+
+    /**
+     * Initialize the recalculation module
+     */
+    init() {
+        this.bindEvents();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const applyBtn = document.getElementById('applyRecalcBtn');
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.applyPending());
+        }
+
+        ['cancelRecalcBtn', 'closeRecalcModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => this.closePreview());
+        });
+
+        const recalcAllBtn = document.getElementById('recalcAllBtn');
+        if (recalcAllBtn) {
+            recalcAllBtn.addEventListener('click', async () => {
+                const found = await this.review({}, 'Manual recalculation');
+                if (!found) alert('All stored expiration dates are up to date.');
+            });
+        }
+    },
+
+    /**
+     * Find qualifications whose stored expiration differs from a fresh calculation.
+     * options.typeIds / options.marineIds narrow the search.
+     */
+    async findChanges(options = {}) {
+        const marines = await TEEPStorage.getAllMarines();
+        const marineMap = new Map(marines.map(m => [m.id, m]));
+        const typeIds = options.typeIds ? new Set(options.typeIds) : null;
+        const marineIds = options.marineIds ? new Set(options.marineIds) : null;
+
+        const quals = await TEEPStorage.getAllQualifications();
+        const changes = [];
+
+        // Renewals run from the previous record's expiration, so work oldest first
+        // and hand each fresh expiration on to the Marine's next record of the type
+        const previous = new Map();
+        quals.sort((a, b) => new Date(a.completionDate) - new Date(b.completionDate)).forEach(qual => {
+            if (typeIds && !typeIds.has(qual.type)) return;
+            if (marineIds && !marineIds.has(qual.marineId)) return;
+            if (!qual.completionDate) return;
+
+            const qualType = TEEPQualifications.getQualificationType(qual.type);
+            if (!qualType) return;
+
+            const marine = marineMap.get(qual.marineId);
+            const key = `${qual.marineId}|${qual.type}`;
+            const prior = previous.get(key);
+            const { dueDate, expirationDate, extensionDays } = TEEPQualifications.calculateDates(
+                qualType, qual.completionDate, marine ? marine.eas : null, {
+                    previousExpiration: prior && prior.completionDate !== qual.completionDate ? prior.expirationDate : null,
+                    statusHistory: marine?.statusHistory || []
+                }
+            );
+            if (TEEPQualifications.isActiveRecord(qual)) {
+                previous.set(key, { completionDate: qual.completionDate, expirationDate });
+            }
+
+            if (this.dateKey(expirationDate) !== this.dateKey(qual.expirationDate) ||
+                this.dateKey(dueDate) !== this.dateKey(TEEPQualifications.getDueDate(qual))) {
+                changes.push({
+                    qual,
+                    marine,
+                    qualType,
+                    before: qual.expirationDate || null,
+                    after: expirationDate,
+                    dueDate,
+                    extensionDays
+                });
+            }
+        });
+
+        return changes.sort((a, b) =>
+            (a.marine?.lastName || '').localeCompare(b.marine?.lastName || '') ||
+            a.qualType.name.localeCompare(b.qualType.name)
+        );
+    },
+
+    /**
+     * Local calendar day of a date, for comparison ('' when empty)
+     */
+    dateKey(value) {
+        if (!value) return '';
+        const d = new Date(value);
+        return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+    },
+
+    /**
+     * Look for stale expirations and, if any, show the preview. Resolves true if changes were found.
+     */
+    async review(options, reason) {
+        const changes = await this.findChanges(options);
+        if (changes.length === 0) return false;
+
+        this.pendingChanges = changes;
+        this.pendingReason = reason;
+        this.renderPreview(changes, reason);
+        TEEPApp.openModal('recalcModal');
+        return true;
+    },
+
+    /**
+     * Render the preview table
+     */
+    renderPreview(changes, reason) {
+        const summary = document.getElementById('recalcSummary');
+        if (summary) {
+            summary.textContent = `${reason}: ${changes.length} stored expiration date${changes.length === 1 ? ' no longer matches' : 's no longer match'} the current rules.`;
+        }
+
+        const tbody = document.querySelector('#recalcTable tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = changes.map(change => `
+            <tr>
+                <td>${TEEPRoster.escapeHtml(change.marine ? `${change.marine.rank || ''} ${change.marine.lastName || ''}, ${change.marine.firstName || ''}` : 'Unknown')}</td>
+                <td>${TEEPRoster.escapeHtml(change.qualType.name)}</td>
+                <td>${TEEPQualifications.formatDate(change.qual.completionDate)}</td>
+                <td>${change.before ? TEEPQualifications.formatDate(change.before) : 'Never'}</td>
+                <td><strong>${change.after ? TEEPQualifications.formatDate(change.after) : 'Never'}</strong>${this.dateKey(change.dueDate) !== this.dateKey(change.after) ? ` (due ${TEEPQualifications.formatDate(change.dueDate)})` : ''}</td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * Write the previewed changes in one transaction, with an audit note
+     */
+    async applyPending() {
+        const changes = this.pendingChanges;
+        const reason = this.pendingReason;
+        if (!changes) return;
+
+        this.closePreview();
+
+        try {
+            const updated = changes.map(change => ({
+                ...change.qual,
+                expirationDate: change.after,
+                dueDate: change.dueDate,
+                extensionDays: change.extensionDays
+            }));
+            await TEEPHistory.run(`Recalculate ${changes.length} expiration date${changes.length === 1 ? '' : 's'}`, () =>
+                TEEPStorage.updateQualifications(updated, {
+                    origin: TEEPStorage.AUDIT_ORIGINS.RECALCULATION,
+                    note: `Expiration recalculated: ${reason}`
+                })
+            );
+
+            if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
+                await TEEPApp.updateDashboard();
+            }
+        } catch (error) {
+            alert('Error recalculating expirations: ' + error.message);
+        }
+    },
+
+    /**
+     * Close the preview without changing anything
+     */
+    closePreview() {
+        this.pendingChanges = null;
+        this.pendingReason = '';
+        TEEPApp.closeModal('recalcModal');
+    }
+};
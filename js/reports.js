@@ -37,13 +37,56 @@ const TEEPReports = {
             id: 'annual_training',
             name: 'Annual Training Status',
             description: 'FY annual training completion status'
+        },
+        compliance: {
+            id: 'compliance',
+            name: 'Requirements Compliance',
+            description: 'Required vs. satisfied qualifications per Marine'
+        },
+        billet_roster: {
+            id: 'billet_roster',
+            name: 'Special Billet Roster',
+            description: 'Billet fill status and whether incumbents hold the required qualifications'
+        },
+        range_day: {
+            id: 'range_day',
+            name: 'Range Day Summary',
+            description: 'Weapons classification counts by section or unit'
+        },
+        morning_report: {
+            id: 'morning_report',
+            name: 'Morning Report',
+            description: 'Daily strength breakdown by section or unit and status, compared with the prior day'
         }
     },
 
     /**
-     * Generate a report
+     * Report card names on the reports view -> report types
+     */
+    REPORT_ALIASES: {
+        'full-roster': 'full_roster',
+        'training-matrix': 'training_matrix',
+        'license-roster': 'license_roster',
+        'expiration': 'expiring_quals',
+        'fy-training': 'annual_training',
+        'billet-roster': 'billet_roster',
+        'range-day': 'range_day',
+        'morning-report': 'morning_report'
+    },
+
+    /**
+     * Generate a report. options.orgUnitId limits it to a unit and everything
+     * beneath it; options.groupBy is 'section' or a unit level (see TEEPOrg.KINDS).
      */
     async generateReport(reportType, options = {}) {
+        const report = await this.buildReport(reportType, options);
+        return this.applyOrgOptions(report, options);
+    },
+
+    /**
+     * Run the generator for a report type
+     */
+    async buildReport(reportType, options = {}) {
         switch (reportType) {
             case 'full_roster':
                 return this.generateFullRoster(options);
@@ -57,16 +100,52 @@ const TEEPReports = {
                 return this.generatePftCftTracker(options);
             case 'annual_training':
                 return this.generateAnnualTraining(options);
+            case 'compliance':
+                return this.generateCompliance(options);
+            case 'billet_roster':
+                return this.generateBilletRoster(options);
+            case 'range_day':
+                return this.generateRangeDay(options);
+            case 'morning_report':
+                return TEEPMorningReport.generateReport(options);
             default:
                 throw new Error('Unknown report type: ' + reportType);
         }
     },
 
+    /**
+     * Marines a report covers: everyone, or those in options.orgUnitId and the units beneath it
+     */
+    async getMarines(options = {}) {
+        return TEEPOrg.filterMarines(await TEEPStorage.getAllMarines(), options.orgUnitId);
+    },
+
+    /**
+     * Name the unit a report covers in its title, and keep each group's rows
+     * together when a per-Marine report is grouped by a unit level. Reports
+     * flagged grouped already lay out their own groups.
+     */
+    applyOrgOptions(report, options = {}) {
+        if (options.orgUnitId) {
+            report.title = `${report.title} - ${TEEPOrg.getUnitPath(options.orgUnitId)}`;
+        }
+
+        const column = TEEPOrg.getGroupLabel(options.groupBy);
+        if (!report.grouped && TEEPOrg.KINDS[options.groupBy] && report.columns.includes(column)) {
+            // Sorting is stable, so rows keep their order within a group; Marines outside the level go last
+            report.data.sort((a, b) => (a[column] === '') - (b[column] === '') ||
+                String(a[column]).localeCompare(String(b[column]), undefined, { numeric: true }));
+        }
+
+        return report;
+    },
+
     /**
      * Generate Full Roster Report
      */
     async generateFullRoster(options = {}) {
-        const marines = await TEEPStorage.getAllMarines();
+        const marines = await this.getMarines(options);
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
 
         // Sort by rank then name
         marines.sort((a, b) => {
@@ -82,7 +161,7 @@ const TEEPReports = {
             MI: m.middleInitial || '',
             EDIPI: m.edipi,
             MOS: m.mos,
-            Section: m.section || '',
+            [group]: TEEPOrg.getGroupName(m, options.groupBy, ''),
             Billet: m.billet || '',
             EAS: m.eas ? TEEPQualifications.formatDate(m.eas) : '',
             Status: TEEPRoster.formatStatus(m.status)
@@ -92,7 +171,7 @@ const TEEPReports = {
             title: 'Full Roster Report',
             generated: new Date().toISOString(),
             recordCount: data.length,
-            columns: ['Rank', 'Last Name', 'First Name', 'MI', 'EDIPI', 'MOS', 'Section', 'Billet', 'EAS', 'Status'],
+            columns: ['Rank', 'Last Name', 'First Name', 'MI', 'EDIPI', 'MOS', group, 'Billet', 'EAS', 'Status'],
             data: data
         };
     },
@@ -101,11 +180,15 @@ const TEEPReports = {
      * Generate Training Matrix
      */
     async generateTrainingMatrix(options = {}) {
-        const marines = await TEEPStorage.getAllMarines();
+        const marines = await this.getMarines(options);
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
         const allQuals = await TEEPStorage.getAllQualifications();
+        const waivers = TEEPQualifications.indexActiveWaivers(await TEEPStorage.getAllWaivers());
 
-        // Get key qualification types to track
-        const keyQuals = ['pft', 'cft', 'rifle_qual', 'annual_training', 'cyber_awareness', 'pha'];
+        // Get key qualification types to track (skipping any the unit has retired)
+        const activeIds = new Set(TEEPQualifications.getAllQualificationTypes().map(t => t.id));
+        const keyQuals = ['pft', 'cft', 'rifle_qual', 'annual_training', 'cyber_awareness', 'pha']
+            .filter(id => activeIds.has(id));
 
         // Sort marines
         marines.sort((a, b) => {
@@ -119,14 +202,15 @@ const TEEPReports = {
             const row = {
                 Rank: m.rank,
                 Name: `${m.lastName}, ${m.firstName}`,
-                Section: m.section || ''
+                [group]: TEEPOrg.getGroupName(m, options.groupBy, '')
             };
 
             // Add each qualification status
             keyQuals.forEach(qualType => {
-                const qual = marineQuals.find(q => q.type === qualType);
-                if (qual) {
-                    const status = TEEPQualifications.getQualificationStatus(qual);
+                const qual = TEEPQualifications.getLatestQualification(marineQuals, qualType);
+                const waiver = waivers.get(`${m.id}|${qualType}`);
+                if (qual || waiver) {
+                    const status = TEEPQualifications.getQualificationStatus(qual || {}, waiver);
                     row[this.getQualLabel(qualType)] = status.status === 'current' ? 'Current' :
                         status.status === 'expired' ? 'EXPIRED' : status.label;
                 } else {
@@ -137,7 +221,7 @@ const TEEPReports = {
             return row;
         });
 
-        const columns = ['Rank', 'Name', 'Section', ...keyQuals.map(q => this.getQualLabel(q))];
+        const columns = ['Rank', 'Name', group, ...keyQuals.map(q => this.getQualLabel(q))];
 
         return {
             title: 'Training Matrix',
@@ -152,25 +236,29 @@ const TEEPReports = {
      * Generate License Roster
      */
     async generateLicenseRoster(options = {}) {
-        const marines = await TEEPStorage.getAllMarines();
+        const marines = await this.getMarines(options);
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
         const allQuals = await TEEPStorage.getAllQualifications();
 
-        const licenseTypes = ['license_hmmwv', 'license_7ton', 'license_forklift', 'license_lav'];
+        const waivers = TEEPQualifications.indexActiveWaivers(await TEEPStorage.getAllWaivers());
+
+        const licenseTypes = TEEPQualifications.getTypesByCategory('licenses').map(t => t.id);
         const data = [];
 
         marines.forEach(m => {
-            const marineQuals = allQuals.filter(q =>
-                q.marineId === m.id && licenseTypes.includes(q.type)
-            );
+            const marineQuals = allQuals.filter(q => q.marineId === m.id);
+            const licenses = licenseTypes
+                .map(type => TEEPQualifications.getLatestQualification(marineQuals, type))
+                .filter(Boolean);
 
-            marineQuals.forEach(qual => {
+            licenses.forEach(qual => {
                 const qualType = TEEPQualifications.getQualificationType(qual.type);
-                const status = TEEPQualifications.getQualificationStatus(qual);
+                const status = TEEPQualifications.getQualificationStatus(qual, waivers.get(`${m.id}|${qual.type}`));
 
                 data.push({
                     Rank: m.rank,
                     Name: `${m.lastName}, ${m.firstName}`,
-                    Section: m.section || '',
+                    [group]: TEEPOrg.getGroupName(m, options.groupBy, ''),
                     License: qualType?.name || qual.type,
                     'Issue Date': TEEPQualifications.formatDate(qual.completionDate),
                     'Expiration': qual.expirationDate ? TEEPQualifications.formatDate(qual.expirationDate) : 'N/A',
@@ -191,7 +279,7 @@ const TEEPReports = {
             title: 'License Roster',
             generated: new Date().toISOString(),
             recordCount: data.length,
-            columns: ['Rank', 'Name', 'Section', 'License', 'Issue Date', 'Expiration', 'Status', 'EAS'],
+            columns: ['Rank', 'Name', group, 'License', 'Issue Date', 'Expiration', 'Status', 'EAS'],
             data: data
         };
     },
@@ -201,7 +289,8 @@ const TEEPReports = {
      */
     async generateExpiringQuals(options = {}) {
         const days = options.days || 90;
-        const marines = await TEEPStorage.getAllMarines();
+        const marines = await this.getMarines(options);
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
         const marineMap = new Map(marines.map(m => [m.id, m]));
 
         // Get overdue and expiring
@@ -222,7 +311,7 @@ const TEEPReports = {
             data.push({
                 Rank: marine.rank,
                 Name: `${marine.lastName}, ${marine.firstName}`,
-                Section: marine.section || '',
+                [group]: TEEPOrg.getGroupName(marine, options.groupBy, ''),
                 Qualification: qualType?.name || qual.type,
                 'Completed': TEEPQualifications.formatDate(qual.completionDate),
                 'Expires': TEEPQualifications.formatDate(qual.expirationDate),
@@ -238,7 +327,7 @@ const TEEPReports = {
             title: `Expiring Qualifications (Next ${days} Days)`,
             generated: new Date().toISOString(),
             recordCount: data.length,
-            columns: ['Rank', 'Name', 'Section', 'Qualification', 'Completed', 'Expires', 'Days', 'Status'],
+            columns: ['Rank', 'Name', group, 'Qualification', 'Completed', 'Expires', 'Days', 'Status'],
             data: data
         };
     },
@@ -247,8 +336,10 @@ const TEEPReports = {
      * Generate PFT/CFT Tracker
      */
     async generatePftCftTracker(options = {}) {
-        const marines = await TEEPStorage.getAllMarines();
+        const marines = await this.getMarines(options);
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
         const allQuals = await TEEPStorage.getAllQualifications();
+        const waivers = TEEPQualifications.indexActiveWaivers(await TEEPStorage.getAllWaivers());
 
         marines.sort((a, b) => {
             const rankCompare = TEEPQualifications.compareRanks(a.rank, b.rank);
@@ -259,25 +350,33 @@ const TEEPReports = {
         const data = marines.map(m => {
             const marineQuals = allQuals.filter(q => q.marineId === m.id);
 
-            const pft = marineQuals.find(q => q.type === 'pft');
-            const cft = marineQuals.find(q => q.type === 'cft');
-            const bca = marineQuals.find(q => q.type === 'bca');
+            const pft = TEEPQualifications.getLatestQualification(marineQuals, 'pft');
+            const cft = TEEPQualifications.getLatestQualification(marineQuals, 'cft');
+            const bca = TEEPQualifications.getLatestQualification(marineQuals, 'bca');
 
-            const pftStatus = pft ? TEEPQualifications.getQualificationStatus(pft) : null;
-            const cftStatus = cft ? TEEPQualifications.getQualificationStatus(cft) : null;
-            const bcaStatus = bca ? TEEPQualifications.getQualificationStatus(bca) : null;
+            const statusOf = (qual, type) => {
+                const waiver = waivers.get(`${m.id}|${type}`);
+                return qual || waiver ? TEEPQualifications.getQualificationStatus(qual || {}, waiver) : null;
+            };
+            const pftStatus = statusOf(pft, 'pft');
+            const cftStatus = statusOf(cft, 'cft');
+            const bcaStatus = statusOf(bca, 'bca');
 
             return {
                 Rank: m.rank,
                 Name: `${m.lastName}, ${m.firstName}`,
-                Section: m.section || '',
+                [group]: TEEPOrg.getGroupName(m, options.groupBy, ''),
                 'PFT Date': pft ? TEEPQualifications.formatDate(pft.completionDate) : 'N/A',
                 'PFT Score': pft?.score || 'N/A',
+                'PFT Class': TEEPScoring.formatClass(pft?.scoreBreakdown) || 'N/A',
                 'PFT Status': pftStatus?.label || 'Missing',
                 'CFT Date': cft ? TEEPQualifications.formatDate(cft.completionDate) : 'N/A',
                 'CFT Score': cft?.score || 'N/A',
+                'CFT Class': TEEPScoring.formatClass(cft?.scoreBreakdown) || 'N/A',
                 'CFT Status': cftStatus?.label || 'Missing',
-                'BCA Status': bcaStatus?.label || 'Missing'
+                'BCA Status': bcaStatus?.label || 'Missing',
+                'BCA Result': bca?.bodyComp ? TEEPBodyComp.RESULTS[bca.bodyComp.result]?.label || '' : 'N/A',
+                BCP: TEEPBodyComp.getActiveProgram(m) ? 'Enrolled' : ''
             };
         });
 
@@ -285,7 +384,7 @@ const TEEPReports = {
             title: 'PFT/CFT Tracker',
             generated: new Date().toISOString(),
             recordCount: data.length,
-            columns: ['Rank', 'Name', 'Section', 'PFT Date', 'PFT Score', 'PFT Status', 'CFT Date', 'CFT Score', 'CFT Status', 'BCA Status'],
+            columns: ['Rank', 'Name', group, 'PFT Date', 'PFT Score', 'PFT Class', 'PFT Status', 'CFT Date', 'CFT Score', 'CFT Class', 'CFT Status', 'BCA Status', 'BCA Result', 'BCP'],
             data: data
         };
     },
@@ -294,11 +393,20 @@ const TEEPReports = {
      * Generate Annual Training Status
      */
     async generateAnnualTraining(options = {}) {
-        const marines = await TEEPStorage.getAllMarines();
+        const marines = await this.getMarines(options);
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
         const allQuals = await TEEPStorage.getAllQualifications();
+        const waivers = TEEPQualifications.indexActiveWaivers(await TEEPStorage.getAllWaivers());
         const currentFY = TEEPQualifications.getCurrentFiscalYear();
 
-        const trainingTypes = ['annual_training', 'cyber_awareness', 'sharp', 'suicide_prevention'];
+        // Training required of each Marine by type flags, billets and requirement profiles
+        const assignmentsByMarine = await TEEPRequirements.getAssignmentsByMarine();
+        const requiredByMarine = new Map(marines.map(m => [
+            m.id, new Set(TEEPRequirements.getRequirements(m, assignmentsByMarine.get(m.id) || []).map(r => r.type))
+        ]));
+        const trainingTypes = TEEPQualifications.getTypesByCategory('training')
+            .filter(t => marines.some(m => requiredByMarine.get(m.id).has(t.id)))
+            .map(t => t.id);
 
         marines.sort((a, b) => {
             const rankCompare = TEEPQualifications.compareRanks(a.rank, b.rank);
@@ -311,31 +419,43 @@ const TEEPReports = {
             const row = {
                 Rank: m.rank,
                 Name: `${m.lastName}, ${m.firstName}`,
-                Section: m.section || ''
+                [group]: TEEPOrg.getGroupName(m, options.groupBy, '')
             };
 
+            const required = requiredByMarine.get(m.id);
             let completedCount = 0;
+            let excusedCount = 0;
+            let requiredCount = 0;
 
             trainingTypes.forEach(qualType => {
-                const qual = marineQuals.find(q => q.type === qualType);
                 const qualTypeInfo = TEEPQualifications.getQualificationType(qualType);
                 const label = qualTypeInfo?.name || qualType;
+                if (!required.has(qualType)) {
+                    row[label] = 'N/A';
+                    return;
+                }
+                requiredCount++;
 
-                if (qual) {
-                    const status = TEEPQualifications.getQualificationStatus(qual);
+                const qual = TEEPQualifications.getLatestQualification(marineQuals, qualType);
+                const waiver = waivers.get(`${m.id}|${qualType}`);
+
+                if (qual || waiver) {
+                    const status = TEEPQualifications.getQualificationStatus(qual || {}, waiver);
                     row[label] = status.status === 'current' ? 'Complete' : status.label;
                     if (status.status === 'current') completedCount++;
+                    if (TEEPQualifications.isExcusedStatus(status.status)) excusedCount++;
                 } else {
                     row[label] = 'Incomplete';
                 }
             });
 
-            row['Completion'] = `${completedCount}/${trainingTypes.length}`;
+            // Waived training doesn't count against the Marine
+            row['Completion'] = `${completedCount}/${requiredCount - excusedCount}`;
 
             return row;
         });
 
-        const columns = ['Rank', 'Name', 'Section', ...trainingTypes.map(t => {
+        const columns = ['Rank', 'Name', group, ...trainingTypes.map(t => {
             const info = TEEPQualifications.getQualificationType(t);
             return info?.name || t;
         }), 'Completion'];
@@ -349,6 +469,184 @@ const TEEPReports = {
         };
     },
 
+    /**
+     * Generate Requirements Compliance report
+     */
+    async generateCompliance(options = {}) {
+        const marines = await this.getMarines(options);
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
+        const compliance = await TEEPRequirements.getUnitCompliance({ marines });
+
+        compliance.sort((a, b) => {
+            const rankCompare = TEEPQualifications.compareRanks(a.marine.rank, b.marine.rank);
+            if (rankCompare !== 0) return rankCompare;
+            return (a.marine.lastName || '').localeCompare(b.marine.lastName || '');
+        });
+
+        const data = compliance.map(c => ({
+            Rank: c.marine.rank,
+            Name: `${c.marine.lastName}, ${c.marine.firstName}`,
+            [group]: TEEPOrg.getGroupName(c.marine, options.groupBy, ''),
+            MOS: c.marine.mos || '',
+            Required: c.required,
+            Satisfied: c.satisfied,
+            Compliance: `${c.percent}%`,
+            Deficiencies: c.items
+                .filter(item => !item.satisfied)
+                .map(item => `${item.qualType.name} (${item.status.label})`)
+                .join('; ')
+        }));
+
+        const compliant = compliance.filter(c => c.compliant).length;
+
+        return {
+            title: `Requirements Compliance (${compliant} of ${compliance.length} Marines fully compliant)`,
+            generated: new Date().toISOString(),
+            recordCount: data.length,
+            columns: ['Rank', 'Name', group, 'MOS', 'Required', 'Satisfied', 'Compliance', 'Deficiencies'],
+            data: data
+        };
+    },
+
+    /**
+     * Generate Range Day Summary: classification counts per section (or unit level)
+     * for every type with score ranges (or just options.typeId). Only records still in
+     * their qualification period count as fired.
+     */
+    async generateRangeDay(options = {}) {
+        const marines = await this.getMarines(options);
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
+        const allQuals = await TEEPStorage.getAllQualifications();
+        const types = TEEPQualifications.getAllQualificationTypes()
+            .filter(t => t.scoreRanges && (!options.typeId || t.id === options.typeId));
+
+        // Classification columns, best first, across every type in the report
+        const classifications = [];
+        types.forEach(type => {
+            Object.entries(type.scoreRanges)
+                .sort(([, a], [, b]) => b.max - a.max)
+                .forEach(([key]) => {
+                    if (!classifications.includes(key)) classifications.push(key);
+                });
+        });
+        const labels = classifications.map(key => TEEPQualifications.formatClassification(key));
+
+        const groupOf = m => TEEPOrg.getGroupName(m, options.groupBy);
+        const groups = [...new Set(marines.map(groupOf))].sort();
+        const data = [];
+        const now = new Date();
+
+        types.forEach(type => {
+            // Judged on the dates, since unqualified records never report as expired
+            const latest = new Map(TEEPQualifications.getLatestQualifications(allQuals.filter(q => q.type === type.id))
+                .filter(q => !q.expirationDate || TEEPQualifications.getGraceEnd(q) >= now)
+                .map(q => [q.marineId, q]));
+
+            const summarize = (name, members) => {
+                const row = { Qualification: type.name, [group]: name, Assigned: members.length };
+                classifications.forEach((key, i) => { row[labels[i]] = 0; });
+
+                let fired = 0;
+                members.forEach(m => {
+                    const qual = latest.get(m.id);
+                    if (!qual) return;
+
+                    fired++;
+                    const classification = TEEPQualifications.getRecordClassification(qual);
+                    if (classifications.includes(classification)) {
+                        row[labels[classifications.indexOf(classification)]]++;
+                    }
+                });
+
+                const qualified = fired - (row[TEEPQualifications.formatClassification(TEEPQualifications.UNQUALIFIED)] || 0);
+                row.Fired = fired;
+                row['Not Fired'] = members.length - fired;
+                row['Qualified %'] = members.length > 0 ? `${Math.round(qualified / members.length * 100)}%` : '-';
+                return row;
+            };
+
+            groups.forEach(name => {
+                data.push(summarize(name, marines.filter(m => groupOf(m) === name)));
+            });
+            data.push(summarize(`All ${TEEPOrg.getGroupLabel(options.groupBy, true)}`, marines));
+        });
+
+        return {
+            title: 'Range Day Summary',
+            generated: new Date().toISOString(),
+            recordCount: data.length,
+            grouped: true,
+            columns: ['Qualification', group, 'Assigned', 'Fired', ...labels, 'Not Fired', 'Qualified %'],
+            data: data
+        };
+    },
+
+    /**
+     * Generate Special Billet Roster
+     */
+    async generateBilletRoster(options = {}) {
+        const marines = await this.getMarines(options);
+        const group = TEEPOrg.getGroupLabel(options.groupBy);
+        const marineMap = new Map(marines.map(m => [m.id, m]));
+        const allQuals = await TEEPStorage.getAllQualifications();
+        const waivers = TEEPQualifications.indexActiveWaivers(await TEEPStorage.getAllWaivers());
+        const active = (await TEEPStorage.getAllBilletAssignments()).filter(a => TEEPBillets.isAssignmentActive(a));
+
+        const data = [];
+        let vacancies = 0;
+        let unqualified = 0;
+
+        TEEPBillets.getBillets().forEach(billet => {
+            const incumbents = active
+                .filter(a => a.billetId === billet.id && marineMap.has(a.marineId))
+                .sort((a, b) => TEEPQualifications.compareRanks(marineMap.get(b.marineId).rank, marineMap.get(a.marineId).rank));
+            const fill = TEEPBillets.getFillStatus(billet, incumbents.length);
+            const requiredLabel = (billet.requiredQuals || []).map(id => this.getQualLabel(id)).join(', ');
+            const base = {
+                Billet: billet.name,
+                Fill: `${incumbents.length}/${billet.authorized || 0} ${fill.label}`,
+                'Required Quals': requiredLabel
+            };
+
+            incumbents.forEach(assignment => {
+                const marine = marineMap.get(assignment.marineId);
+                const marineQuals = allQuals.filter(q => q.marineId === marine.id);
+                const missing = (billet.requiredQuals || []).filter(typeId => {
+                    const qual = TEEPQualifications.getLatestQualification(marineQuals, typeId);
+                    const status = TEEPQualifications.getQualificationStatus(qual || {}, waivers.get(`${marine.id}|${typeId}`));
+                    return !TEEPRequirements.isSatisfied(status.status);
+                });
+                if (missing.length > 0) unqualified++;
+
+                data.push({
+                    ...base,
+                    Rank: marine.rank,
+                    Name: `${marine.lastName}, ${marine.firstName}`,
+                    [group]: TEEPOrg.getGroupName(marine, options.groupBy, ''),
+                    Assigned: TEEPQualifications.formatDate(assignment.startDate),
+                    Ends: assignment.endDate ? TEEPQualifications.formatDate(assignment.endDate) : '',
+                    Qualified: missing.length === 0 ? 'Yes' : `No - missing ${missing.map(id => this.getQualLabel(id)).join(', ')}`
+                });
+            });
+
+            // One line per open seat
+            const open = Math.max((billet.authorized || 0) - incumbents.length, incumbents.length === 0 ? 1 : 0);
+            vacancies += Math.max((billet.authorized || 0) - incumbents.length, 0);
+            for (let i = 0; i < open; i++) {
+                data.push({ ...base, Rank: '', Name: 'VACANT', [group]: '', Assigned: '', Ends: '', Qualified: '' });
+            }
+        });
+
+        return {
+            title: `Special Billet Roster (${vacancies} vacant, ${unqualified} incumbent${unqualified === 1 ? '' : 's'} missing quals)`,
+            generated: new Date().toISOString(),
+            recordCount: data.length,
+            grouped: true,
+            columns: ['Billet', 'Fill', 'Required Quals', 'Rank', 'Name', group, 'Assigned', 'Ends', 'Qualified'],
+            data: data
+        };
+    },
+
     /**
      * Get qualification label
      */
@@ -366,10 +664,18 @@ const TEEPReports = {
             return;
         }
 
-        const csvContent = Papa.unparse(report.data, {
+        let csvContent = Papa.unparse(report.data, {
             columns: report.columns
         });
 
+        // Supporting tables follow the main one, each under its title
+        (report.appendix || []).forEach(table => {
+            csvContent += `\r\n\r\n${Papa.unparse([[table.title]])}`;
+            if (table.data.length > 0) {
+                csvContent += `\r\n${Papa.unparse(table.data, { columns: table.columns })}`;
+            }
+        });
+
         const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
         const filename = `${report.title.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
 
@@ -426,6 +732,25 @@ const TEEPReports = {
             margin: { top: 35, left: 14, right: 14 }
         });
 
+        // Supporting tables follow the main one, each under its title
+        (report.appendix || []).forEach(table => {
+            const titleY = doc.lastAutoTable.finalY + 10;
+            doc.setFontSize(11);
+            doc.setFont('helvetica', 'bold');
+            doc.text(table.title, 14, titleY);
+            doc.setFont('helvetica', 'normal');
+
+            if (table.data.length === 0) return;
+            doc.autoTable({
+                head: [table.columns],
+                body: table.data.map(row => table.columns.map(col => String(row[col] ?? ''))),
+                startY: titleY + 4,
+                styles: { fontSize: 8, cellPadding: 2 },
+                headStyles: { fillColor: [196, 30, 58], textColor: 255, fontStyle: 'bold' },
+                margin: { left: 14, right: 14 }
+            });
+        });
+
         // Footer
         const pageCount = doc.internal.getNumberOfPages();
         for (let i = 1; i <= pageCount; i++) {
@@ -444,15 +769,21 @@ const TEEPReports = {
     },
 
     /**
-     * Export all data as JSON backup
+     * Export all data as JSON backup. Pass options.passphrase to encrypt the file.
      */
-    async exportJSON() {
-        const backup = await TEEPStorage.exportAllData();
+    async exportJSON(options = {}) {
+        let backup = await TEEPBackup.addIntegrity(await TEEPStorage.exportAllData());
+        if (options.passphrase) {
+            backup = await TEEPCrypto.encryptBackup(backup, options.passphrase);
+        }
+
         const jsonContent = JSON.stringify(backup, null, 2);
         const blob = new Blob([jsonContent], { type: 'application/json' });
-        const filename = `teep-tracker-backup_${new Date().toISOString().split('T')[0]}.json`;
+        const unit = TEEPWorkspaces.getActive().name.replace(/[^a-z0-9]/gi, '_');
+        const filename = `teep-tracker-backup_${unit}_${new Date().toISOString().split('T')[0]}.json`;
 
         this.downloadBlob(blob, filename);
+        await TEEPBackup.markDownloaded();
     },
 
     /**
@@ -473,20 +804,36 @@ const TEEPReports = {
      * Import from JSON backup
      */
     async importJSON(file) {
+        const backup = await this.readBackupFile(file);
+        return TEEPStorage.importFromBackup(backup);
+    },
+
+    /**
+     * Read and parse a JSON backup file, asking for the passphrase if it is encrypted
+     */
+    async readBackupFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
 
             reader.onload = async (e) => {
                 try {
-                    const backup = JSON.parse(e.target.result);
+                    let backup = JSON.parse(e.target.result);
+
+                    if (TEEPCrypto.isEncryptedBackup(backup)) {
+                        const passphrase = prompt('This backup is encrypted. Enter its passphrase:');
+                        if (!passphrase) {
+                            reject(new Error('A passphrase is required to import this backup'));
+                            return;
+                        }
+                        backup = await TEEPCrypto.decryptBackup(backup, passphrase);
+                    }
 
                     if (!backup.data) {
                         reject(new Error('Invalid backup file format'));
                         return;
                     }
 
-                    const results = await TEEPStorage.importFromBackup(backup);
-                    resolve(results);
+                    resolve(backup);
                 } catch (error) {
                     reject(new Error('Failed to parse backup file: ' + error.message));
                 }
@@ -565,6 +912,23 @@ const TEEPReports = {
                         </tbody>
                     </table>
                 </div>
+                ${(report.appendix || []).map(table => `
+                    <h4>${this.escapeHtml(table.title)}</h4>
+                    ${table.data.length > 0 ? `
+                        <div class="report-table-container">
+                            <table class="report-table">
+                                <thead>
+                                    <tr>${table.columns.map(col => `<th>${col}</th>`).join('')}</tr>
+                                </thead>
+                                <tbody>
+                                    ${table.data.map(row => `
+                                        <tr>${table.columns.map(col => `<td>${this.escapeHtml(String(row[col] ?? ''))}</td>`).join('')}</tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    ` : ''}
+                `).join('')}
             </div>
         `;
     },
@@ -572,16 +936,16 @@ const TEEPReports = {
     /**
      * Quick export to CSV
      */
-    async quickExportCSV(reportType) {
-        const report = await this.generateReport(reportType);
+    async quickExportCSV(reportType, options = {}) {
+        const report = await this.generateReport(reportType, options);
         this.exportCSV(report);
     },
 
     /**
      * Quick export to PDF
      */
-    async quickExportPDF(reportType) {
-        const report = await this.generateReport(reportType);
+    async quickExportPDF(reportType, options = {}) {
+        const report = await this.generateReport(reportType, options);
         this.exportPDF(report);
     },
 
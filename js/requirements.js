@@ -0,0 +1,487 @@
+/**
+ * TEEP Tracker - Requirements Module
+ * Requirement profiles (which qualifications apply to which Marines) and
+ * per-Marine "required vs. satisfied" compliance
+ */
+
+const TEEPRequirements = {
+    // Statuses that count as meeting a requirement (waived/exempt/n/a are added by isSatisfied)
+    SATISFIED_STATUSES: ['current', 'expiring', 'expiring_soon', 'grace'],
+
+    // State
+    profiles: [],
+    editingId: null,
+
+    /**
+     * Initialize the requirements module
+     */
+    async init() {
+        this.bindEvents();
+        await this.loadProfiles();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const newBtn = document.getElementById('newReqProfileBtn');
+        if (newBtn) {
+            newBtn.addEventListener('click', () => this.showEditor());
+        }
+
+        const saveBtn = document.getElementById('saveReqProfileBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleSave());
+        }
+
+        ['cancelReqProfileModal', 'closeReqProfileModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('reqProfileModal'));
+        });
+    },
+
+    /**
+     * Load requirement profiles from storage into the cache
+     */
+    async loadProfiles() {
+        this.profiles = await TEEPStorage.getRequirementProfiles();
+        return this.profiles;
+    },
+
+    /**
+     * Get requirement profiles, sorted by name. Disabled profiles only with includeInactive.
+     */
+    getProfiles(options = {}) {
+        return this.profiles
+            .filter(p => options.includeInactive || p.active !== false)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    // ==================== MATCHING ====================
+
+    /**
+     * Check if a Marine falls under a profile. Every criterion that is set must match;
+     * within a list any one value is enough. billetNames are the billets the Marine holds.
+     */
+    matchesProfile(marine, profile, billetNames = []) {
+        if (!TEEPQualifications.isRankInRange(marine.rank, profile.minRank, profile.maxRank)) {
+            return false;
+        }
+
+        if (profile.mos?.length && !profile.mos.some(pattern => this.matchesMos(marine.mos, pattern))) {
+            return false;
+        }
+
+        const matchesText = (value, list) => !list?.length ||
+            list.some(item => item.trim().toLowerCase() === (value || '').trim().toLowerCase());
+
+        return matchesText(marine.section, profile.sections) &&
+            (matchesText(marine.billet, profile.billets) || billetNames.some(name => matchesText(name, profile.billets))) &&
+            (!profile.statuses?.length || profile.statuses.includes(marine.status || 'present'));
+    },
+
+    /**
+     * Match an MOS against a pattern. X stands for any digit and a trailing * for anything,
+     * so 3531, 35XX and 35* all match 3531.
+     */
+    matchesMos(mos, pattern) {
+        if (!mos || !pattern) return false;
+
+        const source = pattern.trim()
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/[xX]/g, '\\d')
+            .replace(/\*/g, '.*');
+        return new RegExp(`^${source}$`, 'i').test(mos.trim());
+    },
+
+    /**
+     * Describe who a profile applies to, e.g. "Sgt - GySgt; MOS 35XX"
+     */
+    describeProfile(profile) {
+        const parts = [];
+
+        if (profile.minRank && profile.maxRank) {
+            parts.push(`${profile.minRank} - ${profile.maxRank}`);
+        } else if (profile.minRank) {
+            parts.push(`${profile.minRank} and above`);
+        } else if (profile.maxRank) {
+            parts.push(`${profile.maxRank} and below`);
+        }
+
+        if (profile.mos?.length) parts.push(`MOS ${profile.mos.join(', ')}`);
+        if (profile.sections?.length) parts.push(`Section ${profile.sections.join(', ')}`);
+        if (profile.billets?.length) parts.push(`Billet ${profile.billets.join(', ')}`);
+        if (profile.statuses?.length) parts.push(`Status ${profile.statuses.map(s => TEEPRoster.formatStatus(s)).join(', ')}`);
+
+        return parts.length ? parts.join('; ') : 'All Marines';
+    },
+
+    // ==================== COMPLIANCE ====================
+
+    /**
+     * Qualification types required of a Marine, each with the reasons it applies:
+     * the type's own required flag, its requiredRank, billets held, and any matching profiles.
+     * assignments are the Marine's billet assignments.
+     */
+    getRequirements(marine, assignments = []) {
+        const requirements = new Map();
+        const add = (qualType, source) => {
+            if (!requirements.has(qualType.id)) {
+                requirements.set(qualType.id, { type: qualType.id, qualType, sources: [] });
+            }
+            requirements.get(qualType.id).sources.push(source);
+        };
+
+        TEEPQualifications.getAllQualificationTypes().forEach(qualType => {
+            if (qualType.required) {
+                add(qualType, 'All Marines');
+            }
+            if (qualType.requiredRank && TEEPQualifications.isRankInRange(marine.rank, qualType.requiredRank)) {
+                add(qualType, `${qualType.requiredRank} and above`);
+            }
+        });
+
+        assignments.filter(a => TEEPBillets.isAssignmentActive(a)).forEach(assignment => {
+            const billet = TEEPBillets.getBillet(assignment.billetId);
+            (billet?.requiredQuals || []).forEach(typeId => {
+                const qualType = TEEPQualifications.getQualificationType(typeId);
+                if (qualType && !qualType.retired) {
+                    add(qualType, `${billet.name} billet`);
+                }
+            });
+        });
+
+        const billetNames = TEEPBillets.getActiveBilletNames(assignments);
+        this.getProfiles().forEach(profile => {
+            if (!this.matchesProfile(marine, profile, billetNames)) return;
+
+            (profile.qualTypes || []).forEach(typeId => {
+                const qualType = TEEPQualifications.getQualificationType(typeId);
+                if (qualType && !qualType.retired) {
+                    add(qualType, profile.name);
+                }
+            });
+        });
+
+        return [...requirements.values()];
+    },
+
+    /**
+     * Check if a status meets a requirement
+     */
+    isSatisfied(status) {
+        return this.SATISFIED_STATUSES.includes(status) || TEEPQualifications.isExcusedStatus(status);
+    },
+
+    /**
+     * Required vs. satisfied for one Marine.
+     * qualifications and assignments are the Marine's records; waivers is an index from indexActiveWaivers.
+     */
+    getCompliance(marine, qualifications, waivers = new Map(), assignments = []) {
+        const items = this.getRequirements(marine, assignments).map(requirement => {
+            const qualification = TEEPQualifications.getLatestQualification(qualifications, requirement.type);
+            const waiver = waivers.get(`${marine.id}|${requirement.type}`);
+            const status = TEEPQualifications.getQualificationStatus(qualification || {}, waiver);
+
+            return { ...requirement, qualification, status, satisfied: this.isSatisfied(status.status) };
+        });
+
+        items.sort((a, b) => Number(a.satisfied) - Number(b.satisfied) || a.qualType.name.localeCompare(b.qualType.name));
+
+        const satisfied = items.filter(item => item.satisfied).length;
+        return {
+            marine,
+            items,
+            required: items.length,
+            satisfied,
+            compliant: satisfied === items.length,
+            percent: items.length ? Math.round((satisfied / items.length) * 100) : 100
+        };
+    },
+
+    /**
+     * Compliance for every Marine (or options.marines)
+     */
+    async getUnitCompliance(options = {}) {
+        const marines = options.marines || await TEEPStorage.getAllMarines();
+        const allQuals = await TEEPStorage.getAllQualifications();
+        const waivers = TEEPQualifications.indexActiveWaivers(await TEEPStorage.getAllWaivers());
+        const assignmentsByMarine = await this.getAssignmentsByMarine();
+
+        const qualsByMarine = new Map();
+        allQuals.forEach(qual => {
+            if (!qualsByMarine.has(qual.marineId)) qualsByMarine.set(qual.marineId, []);
+            qualsByMarine.get(qual.marineId).push(qual);
+        });
+
+        return marines.map(marine => this.getCompliance(
+            marine, qualsByMarine.get(marine.id) || [], waivers, assignmentsByMarine.get(marine.id) || []
+        ));
+    },
+
+    /**
+     * All billet assignments grouped by Marine ID
+     */
+    async getAssignmentsByMarine() {
+        const byMarine = new Map();
+        (await TEEPStorage.getAllBilletAssignments()).forEach(assignment => {
+            if (!byMarine.has(assignment.marineId)) byMarine.set(assignment.marineId, []);
+            byMarine.get(assignment.marineId).push(assignment);
+        });
+        return byMarine;
+    },
+
+    /**
+     * Render the requirements summary for the Marine detail view
+     */
+    renderMarineCompliance(compliance) {
+        if (compliance.required === 0) {
+            return '';
+        }
+
+        return `
+            <div class="qualifications-section">
+                <div class="section-header">
+                    <h4>Required Qualifications</h4>
+                    <span class="badge ${compliance.compliant ? 'badge--success' : 'badge--warning'}">
+                        ${compliance.satisfied} of ${compliance.required} met
+                    </span>
+                </div>
+                <div class="requirement-list">
+                    ${compliance.items.map(item => `
+                        <span class="status-badge ${item.status.class}" title="${TEEPRoster.escapeHtml(`Required by: ${item.sources.join(', ')}`)}">
+                            ${TEEPRoster.escapeHtml(item.qualType.name)}: ${item.status.label}
+                        </span>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    },
+
+    // ==================== PROFILE EDITOR ====================
+
+    /**
+     * Render the requirement profiles table on the qualification types view
+     */
+    async renderProfiles() {
+        const tbody = document.querySelector('#reqProfileTable tbody');
+        if (!tbody) return;
+
+        const profiles = this.getProfiles({ includeInactive: true });
+        if (profiles.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="text-center">No requirement profiles</td></tr>';
+            return;
+        }
+
+        const marines = await TEEPStorage.getAllMarines();
+        const assignmentsByMarine = await this.getAssignmentsByMarine();
+        const billetNames = new Map(marines.map(m => [m.id, TEEPBillets.getActiveBilletNames(assignmentsByMarine.get(m.id) || [])]));
+
+        tbody.innerHTML = profiles.map(profile => `
+            <tr>
+                <td>
+                    ${TEEPRoster.escapeHtml(profile.name)}
+                    ${profile.active === false ? ' <span class="badge badge--secondary">Disabled</span>' : ''}
+                </td>
+                <td>${TEEPRoster.escapeHtml(this.describeProfile(profile))}</td>
+                <td>${TEEPRoster.escapeHtml((profile.qualTypes || []).map(id => TEEPReports.getQualLabel(id)).join(', '))}</td>
+                <td>${marines.filter(m => this.matchesProfile(m, profile, billetNames.get(m.id))).length}</td>
+                <td class="actions">
+                    <button class="btn btn--sm btn--outline" onclick="TEEPRequirements.showEditor(${profile.id})">Edit</button>
+                    <button class="btn btn--sm btn--outline" onclick="TEEPRequirements.setActive(${profile.id}, ${profile.active === false})">
+                        ${profile.active === false ? 'Enable' : 'Disable'}
+                    </button>
+                    <button class="btn btn--sm btn--danger" onclick="TEEPRequirements.deleteProfile(${profile.id})">Delete</button>
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * Open the editor for a new profile, or an existing one when an ID is given
+     */
+    showEditor(id = null) {
+        const profile = id ? this.profiles.find(p => p.id === id) : null;
+        if (id && !profile) {
+            alert('Requirement profile not found');
+            return;
+        }
+        this.editingId = id;
+
+        document.getElementById('reqProfileModalTitle').textContent = profile ? `Edit ${profile.name}` : 'New Requirement Profile';
+
+        const rankOptions = '<option value="">Any</option>' + TEEPQualifications.RANK_ORDER
+            .map(rank => `<option value="${rank}">${rank}</option>`)
+            .join('');
+        ['reqProfileMinRank', 'reqProfileMaxRank'].forEach(selectId => {
+            document.getElementById(selectId).innerHTML = rankOptions;
+        });
+
+        // Status choices come from the Marine form so the two never drift apart
+        const statuses = [...document.querySelectorAll('#marineStatus option')].map(o => ({ value: o.value, label: o.textContent }));
+        document.getElementById('reqProfileStatuses').innerHTML = statuses.map(status => `
+            <label class="checkbox-label">
+                <input type="checkbox" class="checkbox" value="${status.value}" ${profile?.statuses?.includes(status.value) ? 'checked' : ''}>
+                ${TEEPRoster.escapeHtml(status.label)}
+            </label>
+        `).join('');
+
+        const selectedTypes = new Set(profile?.qualTypes || []);
+        document.getElementById('reqProfileTypes').innerHTML = TEEPQualifications.getCategories().map(category => `
+            <div class="requirement-types__group">
+                <strong>${TEEPRoster.escapeHtml(category.name)}</strong>
+                ${TEEPQualifications.getTypesByCategory(category.id).map(type => `
+                    <label class="checkbox-label">
+                        <input type="checkbox" class="checkbox" value="${type.id}" ${selectedTypes.has(type.id) ? 'checked' : ''}>
+                        ${TEEPRoster.escapeHtml(type.name)}
+                    </label>
+                `).join('')}
+            </div>
+        `).join('');
+
+        document.getElementById('reqProfileName').value = profile ? profile.name : '';
+        document.getElementById('reqProfileMinRank').value = profile?.minRank || '';
+        document.getElementById('reqProfileMaxRank').value = profile?.maxRank || '';
+        document.getElementById('reqProfileMos').value = (profile?.mos || []).join(', ');
+        document.getElementById('reqProfileSections').value = (profile?.sections || []).join(', ');
+        document.getElementById('reqProfileBillets').value = (profile?.billets || []).join(', ');
+        document.getElementById('reqProfileActive').checked = profile ? profile.active !== false : true;
+
+        this.showError('');
+        TEEPApp.openModal('reqProfileModal');
+    },
+
+    /**
+     * Build a profile from the editor form
+     */
+    readForm() {
+        const existing = this.editingId ? this.profiles.find(p => p.id === this.editingId) : {};
+        const list = id => document.getElementById(id).value.split(',').map(v => v.trim()).filter(Boolean);
+        const checked = id => [...document.querySelectorAll(`#${id} input:checked`)].map(input => input.value);
+
+        const profile = {
+            ...existing,
+            name: document.getElementById('reqProfileName').value.trim(),
+            minRank: document.getElementById('reqProfileMinRank').value || null,
+            maxRank: document.getElementById('reqProfileMaxRank').value || null,
+            mos: list('reqProfileMos'),
+            sections: list('reqProfileSections'),
+            billets: list('reqProfileBillets'),
+            statuses: checked('reqProfileStatuses'),
+            qualTypes: checked('reqProfileTypes'),
+            active: document.getElementById('reqProfileActive').checked
+        };
+
+        if (!this.editingId) {
+            delete profile.id;
+        }
+
+        return profile;
+    },
+
+    /**
+     * Check a profile before saving. Returns a list of problems.
+     */
+    validateProfile(profile) {
+        const errors = [];
+
+        if (!profile.name) {
+            errors.push('Name is required');
+        } else if (this.profiles.some(p => p.id !== profile.id && p.name.toLowerCase() === profile.name.toLowerCase())) {
+            errors.push(`A profile named "${profile.name}" already exists`);
+        }
+
+        if (profile.minRank && profile.maxRank) {
+            if (TEEPQualifications.getRankGroup(profile.minRank) !== TEEPQualifications.getRankGroup(profile.maxRank)) {
+                errors.push('Minimum and maximum rank must both be enlisted, warrant officer, or officer ranks');
+            } else if (TEEPQualifications.compareRanks(profile.minRank, profile.maxRank) > 0) {
+                errors.push('Minimum rank is above the maximum rank');
+            }
+        }
+
+        if (profile.qualTypes.length === 0) {
+            errors.push('Select at least one required qualification');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Save the editor form
+     */
+    async handleSave() {
+        const profile = this.readForm();
+
+        const errors = this.validateProfile(profile);
+        if (errors.length > 0) {
+            this.showError(errors.join('. '));
+            return;
+        }
+
+        try {
+            await TEEPStorage.saveRequirementProfile(profile);
+            await this.loadProfiles();
+            TEEPApp.closeModal('reqProfileModal');
+            await this.refreshAfterChange();
+        } catch (error) {
+            alert('Error saving requirement profile: ' + error.message);
+        }
+    },
+
+    /**
+     * Disable a profile or turn it back on
+     */
+    async setActive(id, active) {
+        const profile = this.profiles.find(p => p.id === id);
+        if (!profile) return;
+
+        try {
+            await TEEPStorage.saveRequirementProfile({ ...profile, active });
+            await this.loadProfiles();
+            await this.refreshAfterChange();
+        } catch (error) {
+            alert('Error updating requirement profile: ' + error.message);
+        }
+    },
+
+    /**
+     * Delete a profile after confirmation
+     */
+    async deleteProfile(id) {
+        const profile = this.profiles.find(p => p.id === id);
+        if (!profile) return;
+
+        if (!confirm(`Delete the "${profile.name}" requirement profile? Qualification records are not affected.`)) {
+            return;
+        }
+
+        try {
+            await TEEPStorage.deleteRequirementProfile(id);
+            await this.loadProfiles();
+            await this.refreshAfterChange();
+        } catch (error) {
+            alert('Error deleting requirement profile: ' + error.message);
+        }
+    },
+
+    /**
+     * Refresh the profiles table and dashboard after a change
+     */
+    async refreshAfterChange() {
+        await this.renderProfiles();
+
+        if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
+            await TEEPApp.updateDashboard();
+        }
+    },
+
+    /**
+     * Show or clear the editor error
+     */
+    showError(message) {
+        const error = document.getElementById('reqProfileError');
+        if (!error) return;
+
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+};
@@ -12,6 +12,7 @@ const TEEPRoster = {
     filters: {
         status: 'all',
         section: 'all',
+        orgUnitId: 'all',
         rank: 'all',
         mos: 'all',
         search: ''
@@ -37,6 +38,9 @@ const TEEPRoster = {
             filterBtn.addEventListener('click', () => this.applyFilters());
         }
 
+        // Unit filter takes effect as soon as a unit is picked
+        document.getElementById('filterOrgUnit')?.addEventListener('change', () => this.applyFilters());
+
         // Search input
         const searchInput = document.getElementById('rosterSearch');
         if (searchInput) {
@@ -63,6 +67,12 @@ const TEEPRoster = {
             marineForm.addEventListener('submit', (e) => this.handleMarineFormSubmit(e));
         }
 
+        // The save button sits in the modal footer, outside the form
+        const saveMarineBtn = document.getElementById('saveMarineBtn');
+        if (saveMarineBtn && marineForm) {
+            saveMarineBtn.addEventListener('click', () => marineForm.requestSubmit());
+        }
+
         // Pagination controls
         document.querySelectorAll('[data-page-action]').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -133,6 +143,7 @@ const TEEPRoster = {
     applyFilters() {
         this.filters.status = document.getElementById('filterStatus')?.value || 'all';
         this.filters.section = document.getElementById('filterSection')?.value || 'all';
+        this.filters.orgUnitId = TEEPOrg.getSelectedUnit('filterOrgUnit') || 'all';
         this.filters.rank = document.getElementById('filterRank')?.value || 'all';
         this.filters.mos = document.getElementById('filterMOS')?.value || 'all';
         this.currentPage = 1;
@@ -290,6 +301,9 @@ const TEEPRoster = {
         const statusSelect = document.getElementById('marineStatus');
         if (statusSelect) statusSelect.value = 'present';
 
+        const unitSelect = document.getElementById('marineOrgUnit');
+        if (unitSelect) unitSelect.innerHTML = TEEPOrg.renderUnitOptions(null, 'Not assigned');
+
         TEEPApp.openModal('marineModal');
     },
 
@@ -315,11 +329,17 @@ const TEEPRoster = {
         document.getElementById('marineRank').value = marine.rank || '';
         document.getElementById('marineMOS').value = marine.mos || '';
         document.getElementById('marineSection').value = marine.section || '';
+        document.getElementById('marineOrgUnit').innerHTML = TEEPOrg.renderUnitOptions(TEEPOrg.getUnit(marine.orgUnitId) ? marine.orgUnitId : null, 'Not assigned');
+        document.getElementById('marineGender').value = marine.gender || '';
+        document.getElementById('marineDob').value = marine.dob || '';
         document.getElementById('marineBillet').value = marine.billet || '';
         document.getElementById('marineEAS').value = marine.eas || '';
         document.getElementById('marinePEBD').value = marine.pebd || '';
         document.getElementById('marineDOR').value = marine.dor || '';
         document.getElementById('marineStatus').value = marine.status || 'present';
+        const period = TEEPStatus.getCurrentPeriod(marine);
+        document.getElementById('marineStatusStart').value = period?.startDate || '';
+        document.getElementById('marineStatusEnd').value = period?.plannedEndDate || '';
         document.getElementById('marinePhone').value = marine.phone || '';
         document.getElementById('marineEmail').value = marine.email || '';
         document.getElementById('marineNotes').value = marine.notes || '';
@@ -341,6 +361,9 @@ const TEEPRoster = {
             rank: TEEPQualifications.normalizeRank(document.getElementById('marineRank').value.trim()),
             mos: document.getElementById('marineMOS').value.trim(),
             section: document.getElementById('marineSection').value.trim(),
+            orgUnitId: parseInt(document.getElementById('marineOrgUnit').value) || null,
+            gender: document.getElementById('marineGender').value || null,
+            dob: document.getElementById('marineDob').value || null,
             billet: document.getElementById('marineBillet').value.trim(),
             eas: document.getElementById('marineEAS').value || null,
             pebd: document.getElementById('marinePEBD').value || null,
@@ -362,15 +385,34 @@ const TEEPRoster = {
             return;
         }
 
+        // Each status change becomes a dated period; the Marine returns to present when it ends
+        marine.statusHistory = TEEPStatus.recordChange(
+            this.currentMarine,
+            marine.status,
+            document.getElementById('marineStatusStart').value || null,
+            marine.status === TEEPStatus.PRESENT ? null : document.getElementById('marineStatusEnd').value || null
+        );
+        const statusErrors = TEEPStatus.validatePeriods(marine.statusHistory);
+        if (statusErrors.length > 0) {
+            alert(statusErrors.join('\n'));
+            return;
+        }
+        marine.status = TEEPStatus.getStatusOn(marine, TEEPStatus.today());
+
         try {
+            const name = `${marine.rank} ${marine.lastName}`;
+            const easChanged = this.currentMarine && (this.currentMarine.eas || null) !== marine.eas;
+            const statusChanged = this.currentMarine &&
+                JSON.stringify(TEEPStatus.getPeriods(this.currentMarine)) !== JSON.stringify(marine.statusHistory);
             if (this.currentMarine) {
                 // Update existing
                 marine.id = this.currentMarine.id;
                 marine.createdAt = this.currentMarine.createdAt;
-                await TEEPStorage.updateMarine(marine);
+                // Keep fields the form doesn't edit, such as body composition programs
+                await TEEPHistory.run(`Edit ${name}`, () => TEEPStorage.updateMarine({ ...this.currentMarine, ...marine }));
             } else {
                 // Add new
-                await TEEPStorage.addMarine(marine);
+                await TEEPHistory.run(`Add ${name}`, () => TEEPStorage.addMarine(marine));
             }
 
             TEEPApp.closeModal('marineModal');
@@ -382,6 +424,11 @@ const TEEPRoster = {
                 TEEPApp.updateDashboard();
             }
 
+            // EAS caps EAS-aware license expirations; deployment and medical hold extend them
+            if (easChanged || statusChanged) {
+                await TEEPRecalc.review({ marineIds: [marine.id] }, `${easChanged ? 'EAS' : 'Status'} changed for ${name}`);
+            }
+
         } catch (error) {
             alert('Error saving Marine: ' + error.message);
         }
@@ -398,11 +445,13 @@ const TEEPRoster = {
         }
 
         const qualifications = await TEEPStorage.getQualificationsByMarine(id);
+        const waivers = await TEEPStorage.getWaiversByMarine(id);
+        const assignments = await TEEPStorage.getBilletAssignmentsByMarine(id);
 
         // Populate view modal
         const content = document.getElementById('viewMarineContent');
         if (content) {
-            content.innerHTML = this.renderMarineDetails(marine, qualifications);
+            content.innerHTML = this.renderMarineDetails(marine, qualifications, waivers, assignments);
         }
 
         // Store current marine ID for add qualification button
@@ -414,16 +463,21 @@ const TEEPRoster = {
     /**
      * Render Marine details HTML
      */
-    renderMarineDetails(marine, qualifications) {
-        // Group qualifications by category
+    renderMarineDetails(marine, qualifications, waivers = [], assignments = []) {
+        const activeWaivers = TEEPQualifications.indexActiveWaivers(waivers);
+        const compliance = TEEPRequirements.getCompliance(marine, qualifications, activeWaivers, assignments);
+        const billetNames = TEEPBillets.getActiveBilletNames(assignments);
+
+        // Group qualification history by category, then by type
         const qualsByCategory = {};
-        qualifications.forEach(qual => {
-            const qualType = TEEPQualifications.getQualificationType(qual.type);
+        const history = TEEPQualifications.getQualificationHistory(qualifications);
+        Object.entries(history).forEach(([type, records]) => {
+            const qualType = TEEPQualifications.getQualificationType(type);
             const category = qualType ? qualType.category : 'other';
             if (!qualsByCategory[category]) {
                 qualsByCategory[category] = [];
             }
-            qualsByCategory[category].push({ ...qual, qualType });
+            qualsByCategory[category].push({ type, qualType, records, waiver: activeWaivers.get(`${marine.id}|${type}`) });
         });
 
         return `
@@ -446,9 +500,13 @@ const TEEPRoster = {
                         <label>Section</label>
                         <span>${this.escapeHtml(marine.section || 'N/A')}</span>
                     </div>
+                    <div class="detail-item">
+                        <label>Unit</label>
+                        <span>${this.escapeHtml(TEEPOrg.getUnitPath(marine.orgUnitId) || 'Not assigned')}</span>
+                    </div>
                     <div class="detail-item">
                         <label>Billet</label>
-                        <span>${this.escapeHtml(marine.billet || 'N/A')}</span>
+                        <span>${this.escapeHtml([marine.billet, ...billetNames].filter(Boolean).join(', ') || 'N/A')}</span>
                     </div>
                     <div class="detail-item">
                         <label>EAS</label>
@@ -460,6 +518,12 @@ const TEEPRoster = {
                     </div>
                 </div>
 
+                ${TEEPRequirements.renderMarineCompliance(compliance)}
+
+                ${this.renderProgression(marine, qualifications)}
+
+                ${TEEPBodyComp.renderMarineBodyComp(marine, qualifications)}
+
                 <div class="qualifications-section">
                     <div class="section-header">
                         <h4>Qualifications</h4>
@@ -470,60 +534,197 @@ const TEEPRoster = {
 
                     ${Object.keys(qualsByCategory).length === 0 ? `
                         <p class="no-quals">No qualifications recorded</p>
-                    ` : Object.entries(qualsByCategory).map(([category, quals]) => `
+                    ` : Object.entries(qualsByCategory).map(([category, timelines]) => `
                         <div class="qual-category">
                             <h5>${TEEPQualifications.formatCategoryName(category)}</h5>
-                            <table class="quals-table">
-                                <thead>
-                                    <tr>
-                                        <th>Qualification</th>
-                                        <th>Completed</th>
-                                        <th>Expires</th>
-                                        <th>Status</th>
-                                        <th>Actions</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    ${quals.map(qual => {
-                                        const status = TEEPQualifications.getQualificationStatus(qual);
-                                        return `
-                                            <tr>
-                                                <td>${this.escapeHtml(qual.qualType?.name || qual.type)}</td>
-                                                <td>${TEEPQualifications.formatDate(qual.completionDate)}</td>
-                                                <td>${qual.expirationDate ? TEEPQualifications.formatDate(qual.expirationDate) : 'Never'}</td>
-                                                <td><span class="status-badge ${status.class}">${status.label}</span></td>
-                                                <td>
-                                                    <button class="btn btn-small btn-danger" onclick="TEEPRoster.deleteQualification(${qual.id}, ${marine.id})">
-                                                        Delete
-                                                    </button>
-                                                </td>
-                                            </tr>
-                                        `;
-                                    }).join('')}
-                                </tbody>
-                            </table>
+                            ${timelines.map(timeline => this.renderQualTimeline(marine, timeline)).join('')}
                         </div>
                     `).join('')}
                 </div>
+
+                ${TEEPBillets.renderMarineBillets(marine, assignments)}
+
+                ${TEEPStatus.renderMarineStatus(marine)}
+
+                ${TEEPWaivers.renderMarineWaivers(marine, waivers)}
+            </div>
+        `;
+    },
+
+    /**
+     * Render the highest level reached in each progression and what the Marine can earn next
+     */
+    renderProgression(marine, qualifications) {
+        // Hide families meant for another rank group (e.g. enlisted PME for officers)
+        const group = TEEPQualifications.getRankGroup(marine.rank);
+        const progressions = TEEPQualifications.getProgressions().filter(family => !group ||
+            family.types.some(type => !type.requiredRank || TEEPQualifications.getRankGroup(type.requiredRank) === group));
+        const nextEligible = TEEPQualifications.getNextEligible(marine, qualifications);
+        if (progressions.length === 0 && nextEligible.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="qualifications-section">
+                <div class="section-header">
+                    <h4>Progression</h4>
+                </div>
+                <div class="details-grid">
+                    ${progressions.map(family => {
+                        const highest = TEEPQualifications.getHighestAchieved(qualifications, family.id);
+                        return `
+                            <div class="detail-item">
+                                <label>${this.escapeHtml(family.name)}</label>
+                                <span>${highest ?
+                                    `${this.escapeHtml(highest.type.name)} (${TEEPQualifications.formatDate(highest.qualification.completionDate)})` :
+                                    'None'}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                    <div class="detail-item">
+                        <label>Next Eligible</label>
+                        <span>${nextEligible.length > 0 ? nextEligible.map(type => this.escapeHtml(type.name)).join(', ') : 'None'}</span>
+                    </div>
+                </div>
             </div>
         `;
     },
 
+    /**
+     * Badge for a weapons classification (Expert, Sharpshooter, ...)
+     */
+    renderClassificationBadge(classification) {
+        if (!classification) return '';
+
+        const badgeClass = TEEPQualifications.CLASSIFICATION_BADGES[classification] || 'badge--secondary';
+        return `<span class="badge ${badgeClass}">${this.escapeHtml(TEEPQualifications.formatClassification(classification))}</span>`;
+    },
+
+    /**
+     * Render the full history of one qualification type for a Marine, newest first
+     */
+    renderQualTimeline(marine, { type, qualType, records, waiver }) {
+        const latest = TEEPQualifications.getLatestQualification(records, type);
+        const latestStatus = latest || waiver ? TEEPQualifications.getQualificationStatus(latest || {}, waiver) : null;
+        const tracksScore = qualType && qualType.trackScore;
+        const classified = !!qualType?.scoreRanges || records.some(q => q.classification);
+
+        return `
+            <div class="qual-timeline">
+                <div class="qual-timeline__header">
+                    <strong>${this.escapeHtml(qualType?.name || type)}</strong>
+                    ${latestStatus ? `<span class="status-badge ${latestStatus.class}">${latestStatus.label}</span>` : '<span class="status-badge status-expired">No Valid Record</span>'}
+                    ${latest && classified ? this.renderClassificationBadge(TEEPQualifications.getRecordClassification(latest)) : ''}
+                    ${tracksScore ? this.renderSparkline(records) : ''}
+                </div>
+                <table class="quals-table">
+                    <thead>
+                        <tr>
+                            <th>Completed</th>
+                            ${tracksScore ? '<th>Score</th>' : ''}
+                            ${classified ? '<th>Classification</th>' : ''}
+                            <th>Expires</th>
+                            <th>Record</th>
+                            <th>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${records.map(qual => {
+                            const active = TEEPQualifications.isActiveRecord(qual);
+                            const classification = TEEPQualifications.getRecordClassification(qual);
+                            return `
+                                <tr class="${active ? '' : 'qual-record--inactive'}">
+                                    <td>${TEEPQualifications.formatDate(qual.completionDate)}</td>
+                                    ${tracksScore ? `<td title="${this.escapeHtml(TEEPScoring.describeBreakdown(qual.scoreBreakdown))}">
+                                        ${qual.score ?? '-'}
+                                        ${qual.scoreBreakdown ? `<span class="badge ${qual.scoreBreakdown.classification === 'fail' ? 'badge--error' : 'badge--info'}">${TEEPScoring.formatClass(qual.scoreBreakdown)}</span>` : ''}
+                                    </td>` : ''}
+                                    ${classified ? `<td>${classification ? this.renderClassificationBadge(classification) : '-'}</td>` : ''}
+                                    <td>
+                                        ${qual.expirationDate ? TEEPQualifications.formatDate(qual.expirationDate) : 'Never'}
+                                        ${qual.dueDate && TEEPQualifications.formatDate(qual.dueDate) !== TEEPQualifications.formatDate(qual.expirationDate) ?
+                                            `<div class="help-text">Due ${TEEPQualifications.formatDate(qual.dueDate)}</div>` : ''}
+                                        ${qual.extensionDays > 0 ? `<div class="help-text">Extended ${qual.extensionDays} days (deployed/med hold)</div>` : ''}
+                                    </td>
+                                    <td>
+                                        ${qual === latest ? '<span class="badge badge--success">Current Record</span>' : ''}
+                                        ${qual.bodyComp ? `<span title="${this.escapeHtml(TEEPBodyComp.describeBreakdown(qual.bodyComp))}">${TEEPBodyComp.renderResultBadge(qual.bodyComp)}</span>` : ''}
+                                        ${active ? '' : `<span class="badge badge--secondary" title="${this.escapeHtml(qual.recordStatusNote || '')}">${this.formatRecordStatus(qual.recordStatus)}</span>`}
+                                    </td>
+                                    <td class="actions">
+                                        ${active ? `
+                                            <button class="btn btn--sm btn--outline" onclick="TEEPRoster.markQualification(${qual.id}, ${marine.id}, 'superseded')">Superseded</button>
+                                            <button class="btn btn--sm btn--outline" onclick="TEEPRoster.markQualification(${qual.id}, ${marine.id}, 'erroneous')">Erroneous</button>
+                                        ` : `
+                                            <button class="btn btn--sm btn--outline" onclick="TEEPRoster.markQualification(${qual.id}, ${marine.id}, 'active')">Reinstate</button>
+                                        `}
+                                        <button class="btn btn--sm btn--danger" onclick="TEEPRoster.deleteQualification(${qual.id}, ${marine.id})">Delete</button>
+                                    </td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Inline SVG trend line of scores, oldest to newest. Erroneous records are left out.
+     */
+    renderSparkline(records, width = 120, height = 28) {
+        const points = records
+            .filter(q => q.score !== null && q.score !== '' && Number.isFinite(Number(q.score)) && q.recordStatus !== TEEPQualifications.RECORD_STATUSES.ERRONEOUS)
+            .sort((a, b) => new Date(a.completionDate) - new Date(b.completionDate));
+
+        if (points.length < 2) return '';
+
+        const scores = points.map(q => Number(q.score));
+        const min = Math.min(...scores);
+        const range = (Math.max(...scores) - min) || 1;
+        const step = width / (scores.length - 1);
+        const coords = scores.map((score, i) =>
+            `${(i * step).toFixed(1)},${(height - 2 - ((score - min) / range) * (height - 4)).toFixed(1)}`
+        );
+        const last = coords[coords.length - 1].split(',');
+        const title = points.map(q => `${TEEPQualifications.formatDate(q.completionDate)}: ${q.score}`).join('\n');
+
+        return `
+            <svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">
+                <title>${this.escapeHtml(title)}</title>
+                <polyline points="${coords.join(' ')}" fill="none" stroke="currentColor" stroke-width="1.5"/>
+                <circle cx="${last[0]}" cy="${last[1]}" r="2.5" fill="currentColor"/>
+            </svg>
+        `;
+    },
+
+    /**
+     * Display label for a qualification record status
+     */
+    formatRecordStatus(recordStatus) {
+        const labels = {
+            active: 'Active',
+            superseded: 'Superseded',
+            erroneous: 'Erroneous'
+        };
+        return labels[recordStatus] || 'Active';
+    },
+
     /**
      * Show add qualification modal
      */
     showAddQualificationModal(marineId) {
-        // Populate qualification type dropdown
-        const select = document.getElementById('qualificationType');
+        // Populate qualification type dropdown from the stored definitions
+        const select = document.getElementById('qualType');
         if (select) {
-            select.innerHTML = '<option value="">Select Qualification...</option>';
+            select.innerHTML = '<option value="">Select Qualification</option>';
 
             const categories = TEEPQualifications.getCategories();
             categories.forEach(category => {
                 const optgroup = document.createElement('optgroup');
                 optgroup.label = category.name;
 
-                TEEPQualifications.DEFAULT_QUAL_TYPES[category.id].forEach(qual => {
+                TEEPQualifications.getTypesByCategory(category.id).forEach(qual => {
                     const option = document.createElement('option');
                     option.value = qual.id;
                     option.textContent = qual.name;
@@ -535,31 +736,36 @@ const TEEPRoster = {
         }
 
         // Set default date to today
-        const dateInput = document.getElementById('qualificationDate');
+        const dateInput = document.getElementById('qualDate');
         if (dateInput) {
             dateInput.value = new Date().toISOString().split('T')[0];
         }
 
         // Store marine ID
-        document.getElementById('qualificationMarineId').value = marineId;
+        document.getElementById('qualMarineId').value = marineId;
 
-        // Reset score field
-        const scoreInput = document.getElementById('qualificationScore');
+        // Reset score and notes fields
+        const scoreInput = document.getElementById('qualScore');
         if (scoreInput) scoreInput.value = '';
+        const notesInput = document.getElementById('qualNotes');
+        if (notesInput) notesInput.value = '';
 
-        TEEPApp.openModal('qualificationModal');
+        TEEPScoring.prepareForm(marineId);
+        TEEPBodyComp.prepareForm(marineId);
+        TEEPApp.openModal('qualModal');
     },
 
     /**
      * Handle qualification form submission
      */
     async handleQualificationSubmit(e) {
-        e.preventDefault();
+        if (e) e.preventDefault();
 
-        const marineId = parseInt(document.getElementById('qualificationMarineId').value);
-        const qualType = document.getElementById('qualificationType').value;
-        const completionDate = document.getElementById('qualificationDate').value;
-        const score = document.getElementById('qualificationScore').value;
+        const marineId = parseInt(document.getElementById('qualMarineId').value);
+        const qualType = document.getElementById('qualType').value;
+        const completionDate = document.getElementById('qualDate').value;
+        const score = document.getElementById('qualScore').value.trim();
+        const notes = document.getElementById('qualNotes')?.value.trim();
 
         if (!qualType || !completionDate) {
             alert('Please select a qualification type and completion date');
@@ -574,20 +780,83 @@ const TEEPRoster = {
 
         const qualTypeObj = TEEPQualifications.getQualificationType(qualType);
 
+        // Imports and old paper records can leave gaps, so unmet prerequisites can be overridden
+        const existing = await TEEPStorage.getQualificationsByMarine(marineId);
+        const unmet = TEEPQualifications.checkPrerequisites(qualTypeObj, existing, completionDate);
+        if (unmet.length > 0) {
+            const details = unmet.map(item => `- ${item.type.name} (${item.reason})`).join('\n');
+            if (!confirm(`${qualTypeObj.name} requires:\n${details}\n\nAdd the record anyway?`)) {
+                return;
+            }
+        }
+
+        // A renewal before the earliest allowed date is kept but doesn't move the expiration
+        const context = TEEPQualifications.getDateContext(marine, existing, qualType, completionDate);
+        if (qualTypeObj && TEEPQualifications.isEarlyRenewal(qualTypeObj, completionDate, context.previousExpiration)) {
+            const earliest = TEEPQualifications.getEarliestRenewal(qualTypeObj, context.previousExpiration);
+            if (!confirm(`${qualTypeObj.name} can't be renewed before ${TEEPQualifications.formatDate(earliest)}. ` +
+                `This record will keep the current expiration of ${TEEPQualifications.formatDate(context.previousExpiration)}.\n\nAdd the record anyway?`)) {
+                return;
+            }
+        }
+
+        // PFT/CFT entered as raw events are scored from the tables
+        const rawEvents = TEEPScoring.readEventInputs();
+        let scoreBreakdown = null;
+        if (rawEvents) {
+            try {
+                scoreBreakdown = await TEEPScoring.scoreTest(qualType, rawEvents, marine, completionDate);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+        }
+
+        const bcaInputs = TEEPBodyComp.readInputs();
+        let bodyComp = null;
+        if (bcaInputs) {
+            try {
+                bodyComp = await TEEPBodyComp.assess(marine, bcaInputs, completionDate);
+            } catch (error) {
+                alert(error.message);
+                return;
+            }
+        }
+
+        const dates = qualTypeObj ?
+            TEEPQualifications.calculateDates(qualTypeObj, completionDate, marine.eas, context) :
+            { dueDate: null, expirationDate: null, extensionDays: 0 };
         const qualification = {
             marineId: marineId,
             type: qualType,
             completionDate: completionDate,
-            expirationDate: qualTypeObj ?
-                TEEPQualifications.calculateExpiration(qualTypeObj, completionDate, marine.eas) :
-                null,
-            score: score ? parseInt(score) : null,
+            expirationDate: dates.expirationDate,
+            dueDate: dates.dueDate,
+            extensionDays: dates.extensionDays,
+            // Numeric scores stay numbers; classifications like "Green Belt" are kept as text
+            score: score === '' ? null : (isNaN(Number(score)) ? score : Number(score)),
+            notes: notes || null,
             source: 'manual'
         };
 
+        if (scoreBreakdown) {
+            qualification.score = scoreBreakdown.total;
+            qualification.scoreBreakdown = scoreBreakdown;
+        }
+        if (bodyComp) {
+            qualification.bodyComp = bodyComp;
+        }
+
+        // Keep the classification earned under today's ranges, even if they change later
+        const classification = TEEPQualifications.getClassificationKey(qualTypeObj, qualification.score);
+        if (classification) {
+            qualification.classification = classification;
+        }
+
         try {
-            await TEEPStorage.addQualification(qualification);
-            TEEPApp.closeModal('qualificationModal');
+            const label = `Add ${qualTypeObj?.name || qualType} for ${marine.rank} ${marine.lastName}`;
+            await TEEPHistory.run(label, () => TEEPStorage.addQualification(qualification, { marine }));
+            TEEPApp.closeModal('qualModal');
 
             // Refresh the view
             await this.viewMarine(marineId);
@@ -596,6 +865,11 @@ const TEEPRoster = {
             if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
                 TEEPApp.updateDashboard();
             }
+
+            // Later renewals of the type may now run from this record's expiration
+            if (Number.isInteger(qualTypeObj?.renewalWindowDays)) {
+                await TEEPRecalc.review({ marineIds: [marineId], typeIds: [qualType] }, `${qualTypeObj.name} record added`);
+            }
         } catch (error) {
             alert('Error adding qualification: ' + error.message);
         }
@@ -605,12 +879,12 @@ const TEEPRoster = {
      * Delete a qualification
      */
     async deleteQualification(qualId, marineId) {
-        if (!confirm('Are you sure you want to delete this qualification?')) {
+        if (!confirm('Move this qualification to the Trash?')) {
             return;
         }
 
         try {
-            await TEEPStorage.deleteQualification(qualId);
+            await TEEPHistory.run('Delete qualification', () => TEEPStorage.deleteQualification(qualId));
             await this.viewMarine(marineId);
 
             // Update dashboard
@@ -622,6 +896,44 @@ const TEEPRoster = {
         }
     },
 
+    /**
+     * Mark a qualification record superseded or erroneous (kept in history but
+     * ignored for status), or reinstate it as active
+     */
+    async markQualification(qualId, marineId, recordStatus) {
+        const qual = await TEEPStorage.getQualification(qualId);
+        if (!qual) return;
+
+        let note = '';
+        if (recordStatus !== TEEPQualifications.RECORD_STATUSES.ACTIVE) {
+            note = prompt(`Reason for marking this record ${this.formatRecordStatus(recordStatus).toLowerCase()}:`, '');
+            if (note === null) return;
+        }
+
+        const updated = {
+            ...qual,
+            recordStatus,
+            recordStatusNote: note.trim() || null
+        };
+        if (recordStatus === TEEPQualifications.RECORD_STATUSES.ACTIVE) {
+            delete updated.recordStatus;
+            delete updated.recordStatusNote;
+        }
+
+        try {
+            const label = `Mark ${TEEPReports.getQualLabel(qual.type)} record ${this.formatRecordStatus(recordStatus).toLowerCase()}`;
+            await TEEPHistory.run(label, () => TEEPStorage.updateQualification(updated, { note: note.trim() || undefined }));
+            await this.viewMarine(marineId);
+
+            // Update dashboard
+            if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
+                TEEPApp.updateDashboard();
+            }
+        } catch (error) {
+            alert('Error updating qualification: ' + error.message);
+        }
+    },
+
     /**
      * Delete a Marine
      */
@@ -630,12 +942,12 @@ const TEEPRoster = {
         if (!marine) return;
 
         const name = `${marine.rank} ${marine.lastName}, ${marine.firstName}`;
-        if (!confirm(`Are you sure you want to delete ${name}? This will also delete all their qualifications.`)) {
+        if (!confirm(`Move ${name} and all their qualifications to the Trash? They can be restored from the Trash view.`)) {
             return;
         }
 
         try {
-            await TEEPStorage.deleteMarine(id);
+            await TEEPHistory.run(`Delete ${name}`, () => TEEPStorage.deleteMarine(id));
             await this.refreshRoster();
 
             // Update dashboard
@@ -658,7 +970,12 @@ const TEEPRoster = {
             deployment: 'Deployed',
             med_hold: 'Med Hold',
             light_duty: 'Light Duty',
-            legal_hold: 'Legal Hold'
+            legal_hold: 'Legal Hold',
+            siq: 'SIQ',
+            restriction: 'Restriction',
+            school: 'School',
+            pcs_pending: 'PCS Pending',
+            eas_pending: 'EAS Pending'
         };
         return statusLabels[status] || status || 'Unknown';
     },
@@ -670,5 +987,12 @@ const TEEPRoster = {
         const div = document.createElement('div');
         div.textContent = text;
         return div.innerHTML;
+    },
+
+    /**
+     * Escape text for a double-quoted HTML attribute
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
     }
 };
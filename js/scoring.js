@@ -0,0 +1,509 @@
+/**
+ * TEEP Tracker - Scoring Module
+ * PFT/CFT scoring from raw event performance, age and gender
+ */
+
+const TEEPScoring = {
+    // Age brackets shared by every scoring table; standards list one entry per bracket
+    AGE_BRACKETS: [
+        { label: '17-20', min: 0, max: 20 },
+        { label: '21-25', min: 21, max: 25 },
+        { label: '26-30', min: 26, max: 30 },
+        { label: '31-35', min: 31, max: 35 },
+        { label: '36-40', min: 36, max: 40 },
+        { label: '41-45', min: 41, max: 45 },
+        { label: '46-50', min: 46, max: 50 },
+        { label: '51+', min: 51, max: Infinity }
+    ],
+
+    GENDERS: {
+        male: 'Male',
+        female: 'Female'
+    },
+
+    CLASS_LABELS: {
+        first: '1st Class',
+        second: '2nd Class',
+        third: '3rd Class',
+        fail: 'Fail'
+    },
+
+    /**
+     * Default scoring tables, keyed by qualification type ID. Each standard is
+     * [value for minPoints, value for maxPoints]; points are interpolated between
+     * the two and rounded down. Times are in seconds. Values worse than the
+     * minimum score zero and fail the event. The defaults follow the published
+     * minimum and maximum standards; units can replace them (e.g. with every
+     * breakpoint from the current order) in Settings.
+     */
+    DEFAULT_TABLES: {
+        pft: {
+            classes: { first: 235, second: 200, third: 150 },
+            events: [
+                {
+                    id: 'pullups',
+                    name: 'Pull-ups',
+                    unit: 'reps',
+                    group: 'upper',
+                    minPoints: 40,
+                    maxPoints: 100,
+                    standards: {
+                        male: [[4, 20], [5, 23], [5, 23], [5, 23], [5, 21], [5, 20], [4, 19], [3, 19]],
+                        female: [[1, 7], [1, 11], [1, 12], [1, 11], [1, 10], [1, 8], [1, 6], [1, 4]]
+                    }
+                },
+                {
+                    id: 'pushups',
+                    name: 'Push-ups',
+                    unit: 'reps',
+                    group: 'upper',
+                    minPoints: 40,
+                    maxPoints: 70,
+                    standards: {
+                        male: [[42, 82], [40, 87], [39, 84], [36, 80], [34, 76], [30, 72], [25, 68], [20, 64]],
+                        female: [[19, 50], [18, 48], [18, 50], [16, 46], [14, 43], [12, 41], [11, 40], [10, 38]]
+                    }
+                },
+                {
+                    id: 'plank',
+                    name: 'Plank',
+                    unit: 'time',
+                    minPoints: 40,
+                    maxPoints: 100,
+                    standards: {
+                        // 1:03 - 3:45 for everyone
+                        male: Array(8).fill([63, 225]),
+                        female: Array(8).fill([63, 225])
+                    }
+                },
+                {
+                    id: 'run',
+                    name: '3-Mile Run',
+                    unit: 'time',
+                    minPoints: 40,
+                    maxPoints: 100,
+                    standards: {
+                        male: [[1660, 1080], [1660, 1080], [1680, 1080], [1700, 1080], [1720, 1080], [1740, 1110], [1760, 1140], [1780, 1170]],
+                        female: [[1860, 1260], [1850, 1260], [1860, 1260], [1870, 1260], [1890, 1260], [1910, 1260], [1930, 1290], [1950, 1320]]
+                    }
+                }
+            ]
+        },
+        cft: {
+            classes: { first: 235, second: 200, third: 150 },
+            events: [
+                {
+                    id: 'mtc',
+                    name: 'Movement to Contact',
+                    unit: 'time',
+                    minPoints: 40,
+                    maxPoints: 100,
+                    standards: {
+                        male: [[209, 158], [206, 159], [208, 165], [209, 166], [216, 170], [221, 175], [235, 181], [254, 189]],
+                        female: [[266, 183], [266, 181], [274, 183], [277, 186], [280, 194], [293, 199], [305, 209], [320, 216]]
+                    }
+                },
+                {
+                    id: 'al',
+                    name: 'Ammunition Lift',
+                    unit: 'reps',
+                    minPoints: 40,
+                    maxPoints: 100,
+                    standards: {
+                        male: [[62, 106], [66, 115], [67, 116], [64, 120], [62, 117], [55, 118], [50, 112], [44, 110]],
+                        female: [[30, 75], [30, 75], [30, 76], [30, 77], [30, 75], [28, 75], [25, 69], [20, 66]]
+                    }
+                },
+                {
+                    id: 'manuf',
+                    name: 'Maneuver Under Fire',
+                    unit: 'time',
+                    minPoints: 40,
+                    maxPoints: 100,
+                    standards: {
+                        male: [[208, 130], [197, 132], [200, 136], [203, 139], [207, 142], [213, 144], [227, 150], [241, 157]],
+                        female: [[290, 153], [270, 152], [280, 159], [290, 163], [300, 171], [310, 178], [330, 195], [345, 203]]
+                    }
+                }
+            ]
+        }
+    },
+
+    // Marine the Add Qualification form is scoring for
+    formMarine: null,
+
+    /**
+     * Initialize the scoring module
+     */
+    init() {
+        this.bindEvents();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        document.getElementById('qualType')?.addEventListener('change', () => this.renderEventInputs());
+        document.getElementById('qualDate')?.addEventListener('change', () => this.updatePreview());
+        document.getElementById('qualEventInputs')?.addEventListener('input', () => this.updatePreview());
+
+        document.getElementById('editScoringTablesBtn')?.addEventListener('click', () => this.showTablesEditor());
+        document.getElementById('saveScoringTablesBtn')?.addEventListener('click', () => this.handleTablesSave());
+        document.getElementById('resetScoringTablesBtn')?.addEventListener('click', () => this.resetTables());
+
+        ['cancelScoringTablesModal', 'closeScoringTablesModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('scoringTablesModal'));
+        });
+    },
+
+    // ==================== TABLES ====================
+
+    /**
+     * Scoring tables in use: the unit's saved tables, or the defaults
+     */
+    async getTables() {
+        return await TEEPStorage.getSetting('scoringTables', null) || this.DEFAULT_TABLES;
+    },
+
+    /**
+     * Check a set of tables. Returns a list of problems (empty when valid).
+     */
+    validateTables(tables) {
+        const errors = [];
+        if (!tables || typeof tables !== 'object' || Array.isArray(tables)) {
+            return ['Tables must be an object keyed by qualification type ID'];
+        }
+
+        Object.entries(tables).forEach(([typeId, table]) => {
+            const classes = table.classes || {};
+            if (!['first', 'second', 'third'].every(key => typeof classes[key] === 'number')) {
+                errors.push(`${typeId}: classes need numeric first, second and third cutoffs`);
+            }
+            if (!Array.isArray(table.events) || table.events.length === 0) {
+                errors.push(`${typeId}: at least one event is required`);
+                return;
+            }
+
+            table.events.forEach(event => {
+                const label = `${typeId} ${event.id || '(no id)'}`;
+                if (!event.id || !event.name) {
+                    errors.push(`${label}: id and name are required`);
+                }
+                if (!['reps', 'time'].includes(event.unit)) {
+                    errors.push(`${label}: unit must be reps or time`);
+                }
+                if (typeof event.minPoints !== 'number' || typeof event.maxPoints !== 'number') {
+                    errors.push(`${label}: minPoints and maxPoints must be numbers`);
+                }
+
+                Object.keys(this.GENDERS).forEach(gender => {
+                    const standards = event.standards?.[gender];
+                    const valid = Array.isArray(standards) && standards.length === this.AGE_BRACKETS.length &&
+                        standards.every(pair => Array.isArray(pair) && pair.length === 2 &&
+                            pair.every(value => typeof value === 'number') && pair[0] !== pair[1]);
+                    if (!valid) {
+                        errors.push(`${label}: ${gender} standards need ${this.AGE_BRACKETS.length} [minimum, maximum] pairs`);
+                    }
+                });
+            });
+        });
+
+        return errors;
+    },
+
+    // ==================== SCORING ====================
+
+    /**
+     * Parse an event value: a rep count, or a time as m:ss (or plain seconds)
+     */
+    parseValue(raw, unit) {
+        const text = String(raw ?? '').trim();
+        if (!text) return null;
+
+        if (unit === 'time' && text.includes(':')) {
+            const [minutes, seconds] = text.split(':');
+            if (!/^\d+$/.test(minutes) || !/^\d{1,2}(\.\d+)?$/.test(seconds) || Number(seconds) >= 60) {
+                return NaN;
+            }
+            return Number(minutes) * 60 + Number(seconds);
+        }
+
+        return /^\d+(\.\d+)?$/.test(text) ? Number(text) : NaN;
+    },
+
+    /**
+     * Format seconds as m:ss
+     */
+    formatTime(seconds) {
+        const whole = Math.round(seconds);
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Age in whole years on a date. Works on the YYYY-MM-DD parts so time zones
+     * can't move a birthday.
+     */
+    getAge(dob, onDate = new Date().toISOString().split('T')[0]) {
+        if (!dob) return null;
+
+        const [birthYear, birthMonth, birthDay] = dob.split('-').map(Number);
+        const [year, month, day] = onDate.split('-').map(Number);
+        const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+        return year - birthYear - (hadBirthday ? 0 : 1);
+    },
+
+    /**
+     * Index of the age bracket for an age
+     */
+    getBracketIndex(age) {
+        const index = this.AGE_BRACKETS.findIndex(bracket => age >= bracket.min && age <= bracket.max);
+        return index === -1 ? 0 : index;
+    },
+
+    /**
+     * Points for one event. Works for higher-is-better (reps, plank) and
+     * lower-is-better (run) standards alike.
+     */
+    scoreEvent(event, value, gender, age) {
+        const [minValue, maxValue] = event.standards[gender][this.getBracketIndex(age)];
+        const progress = (value - minValue) / (maxValue - minValue);
+
+        if (progress < 0) {
+            return { points: 0, failed: true };
+        }
+        if (progress >= 1) {
+            return { points: event.maxPoints, failed: false };
+        }
+        return {
+            points: Math.floor(event.minPoints + progress * (event.maxPoints - event.minPoints)),
+            failed: false
+        };
+    },
+
+    /**
+     * Class for a total, given the table's cutoffs
+     */
+    getClass(table, total, failed = false) {
+        if (failed) return 'fail';
+        if (total >= table.classes.first) return 'first';
+        if (total >= table.classes.second) return 'second';
+        if (total >= table.classes.third) return 'third';
+        return 'fail';
+    },
+
+    /**
+     * Score a test from raw events ({ eventId: '12' or '18:30' }) for a Marine
+     * on a date. Only one event per group (pull-ups or push-ups) may be entered.
+     * Returns the breakdown stored on the qualification record.
+     */
+    async scoreTest(typeId, rawEvents, marine, completionDate) {
+        const tables = await this.getTables();
+        const table = tables[typeId];
+        if (!table) {
+            throw new Error(`No scoring table for ${typeId}`);
+        }
+
+        if (!this.GENDERS[marine.gender] || !marine.dob) {
+            throw new Error(`${marine.rank} ${marine.lastName} needs a gender and date of birth on their record before events can be scored`);
+        }
+
+        const age = this.getAge(marine.dob, completionDate);
+        const groups = new Map();
+        const events = [];
+
+        for (const event of table.events) {
+            const raw = rawEvents[event.id];
+            const value = this.parseValue(raw, event.unit);
+
+            if (event.group) {
+                if (!groups.has(event.group)) groups.set(event.group, []);
+                if (value === null) continue;
+                groups.get(event.group).push(event.name);
+            }
+
+            if (value === null) {
+                throw new Error(`${event.name} is required`);
+            }
+            if (Number.isNaN(value)) {
+                throw new Error(`${event.name}: "${raw}" is not a valid ${event.unit === 'time' ? 'time (m:ss)' : 'number'}`);
+            }
+
+            events.push({
+                id: event.id,
+                name: event.name,
+                raw: event.unit === 'time' ? this.formatTime(value) : value,
+                ...this.scoreEvent(event, value, marine.gender, age)
+            });
+        }
+
+        for (const [group, names] of groups) {
+            const options = table.events.filter(e => e.group === group).map(e => e.name).join(' or ');
+            if (names.length !== 1) {
+                throw new Error(`Enter exactly one of ${options}`);
+            }
+        }
+
+        const total = events.reduce((sum, event) => sum + event.points, 0);
+        const classification = this.getClass(table, total, events.some(event => event.failed));
+
+        return {
+            test: typeId,
+            gender: marine.gender,
+            age,
+            bracket: this.AGE_BRACKETS[this.getBracketIndex(age)].label,
+            events,
+            total,
+            classification
+        };
+    },
+
+    /**
+     * Display label for a stored breakdown's class
+     */
+    formatClass(breakdown) {
+        return breakdown ? this.CLASS_LABELS[breakdown.classification] || breakdown.classification : '';
+    },
+
+    /**
+     * One-line description of a stored breakdown, e.g. Pull-ups 20 (100), Run 19:30 (92)
+     */
+    describeBreakdown(breakdown) {
+        if (!breakdown) return '';
+        return breakdown.events.map(event => `${event.name} ${event.raw} (${event.points})`).join(', ');
+    },
+
+    // ==================== QUALIFICATION FORM ====================
+
+    /**
+     * Get the Add Qualification form ready for a Marine
+     */
+    async prepareForm(marineId) {
+        this.formMarine = await TEEPStorage.getMarine(marineId);
+        await this.renderEventInputs();
+    },
+
+    /**
+     * Show event inputs when the selected type is scored from raw events
+     */
+    async renderEventInputs() {
+        const container = document.getElementById('qualEventInputs');
+        const group = document.getElementById('qualEventsGroup');
+        if (!container || !group) return;
+
+        const typeId = document.getElementById('qualType')?.value;
+        const table = (await this.getTables())[typeId];
+
+        group.classList.toggle('hidden', !table);
+        container.innerHTML = table ? table.events.map(event => `
+            <div class="form-group">
+                <label class="label" for="qualEvent_${event.id}">${TEEPRoster.escapeHtml(event.name)}</label>
+                <input type="text" class="input" id="qualEvent_${event.id}" data-event="${event.id}"
+                    inputmode="${event.unit === 'time' ? 'text' : 'numeric'}"
+                    placeholder="${event.unit === 'time' ? 'm:ss' : 'Reps'}">
+            </div>
+        `).join('') : '';
+
+        this.updatePreview();
+    },
+
+    /**
+     * Raw event values from the form, or null when none were entered
+     */
+    readEventInputs() {
+        const inputs = [...document.querySelectorAll('#qualEventInputs [data-event]')];
+        if (inputs.every(input => !input.value.trim())) {
+            return null;
+        }
+
+        return Object.fromEntries(inputs.map(input => [input.dataset.event, input.value.trim()]));
+    },
+
+    /**
+     * Score the entered events and show the result; fills in the score field
+     */
+    async updatePreview() {
+        const preview = document.getElementById('qualEventPreview');
+        if (!preview) return;
+
+        const typeId = document.getElementById('qualType')?.value;
+        const rawEvents = this.readEventInputs();
+        if (!rawEvents || !this.formMarine) {
+            preview.textContent = 'Enter each event to calculate the score, or leave blank and type the total score.';
+            return;
+        }
+
+        try {
+            const completionDate = document.getElementById('qualDate')?.value || new Date().toISOString().split('T')[0];
+            const breakdown = await this.scoreTest(typeId, rawEvents, this.formMarine, completionDate);
+            document.getElementById('qualScore').value = breakdown.total;
+            preview.textContent = `${breakdown.total} - ${this.formatClass(breakdown)} (${this.describeBreakdown(breakdown)}; age ${breakdown.age})`;
+        } catch (error) {
+            preview.textContent = error.message;
+        }
+    },
+
+    // ==================== TABLE EDITOR ====================
+
+    /**
+     * Open the scoring tables editor
+     */
+    async showTablesEditor() {
+        document.getElementById('scoringTablesJson').value = JSON.stringify(await this.getTables(), null, 2);
+        this.showError('');
+        TEEPApp.openModal('scoringTablesModal');
+    },
+
+    /**
+     * Save the edited tables
+     */
+    async handleTablesSave() {
+        let tables;
+        try {
+            tables = JSON.parse(document.getElementById('scoringTablesJson').value);
+        } catch (error) {
+            this.showError('Not valid JSON: ' + error.message);
+            return;
+        }
+
+        const errors = this.validateTables(tables);
+        if (errors.length > 0) {
+            this.showError(errors.join('. '));
+            return;
+        }
+
+        try {
+            await TEEPStorage.setSetting('scoringTables', tables);
+            TEEPApp.closeModal('scoringTablesModal');
+        } catch (error) {
+            alert('Error saving scoring tables: ' + error.message);
+        }
+    },
+
+    /**
+     * Go back to the default tables
+     */
+    async resetTables() {
+        if (!confirm('Replace the scoring tables with the defaults? Scores already recorded are not changed.')) {
+            return;
+        }
+
+        try {
+            await TEEPStorage.setSetting('scoringTables', null);
+            document.getElementById('scoringTablesJson').value = JSON.stringify(this.DEFAULT_TABLES, null, 2);
+            this.showError('');
+        } catch (error) {
+            alert('Error resetting scoring tables: ' + error.message);
+        }
+    },
+
+    /**
+     * Show or clear the editor error
+     */
+    showError(message) {
+        const error = document.getElementById('scoringTablesError');
+        if (!error) return;
+
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    }
+};
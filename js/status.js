@@ -0,0 +1,417 @@
+/**
+ * TEEP Tracker - Status History Module
+ * Dated personnel status periods (leave, TAD, deployment...), automatic return to
+ * present when a period ends, and "who is gone on a date" queries
+ */
+
+const TEEPStatus = {
+    PRESENT: 'present',
+
+    /**
+     * Initialize the status module and bring every Marine's status up to today
+     */
+    async init() {
+        this.bindEvents();
+        await this.applyScheduledChanges();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const saveBtn = document.getElementById('saveStatusPeriodBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handlePeriodSave());
+        }
+
+        ['cancelStatusPeriodModal', 'closeStatusPeriodModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('statusPeriodModal'));
+        });
+    },
+
+    // ==================== PERIODS ====================
+
+    /**
+     * Today as YYYY-MM-DD in local time
+     */
+    today() {
+        return TEEPBackup.localDay(new Date());
+    },
+
+    /**
+     * Whole days from one YYYY-MM-DD date to another
+     */
+    daysBetween(start, end) {
+        return Math.round((new Date(end) - new Date(start)) / (1000 * 60 * 60 * 24));
+    },
+
+    /**
+     * Status choices from the Marine form, leaving out present
+     */
+    getAwayStatuses() {
+        return [...document.querySelectorAll('#marineStatus option')]
+            .map(o => ({ value: o.value, label: o.textContent }))
+            .filter(o => o.value !== this.PRESENT);
+    },
+
+    /**
+     * A Marine's status periods, oldest first. Marines entered before status
+     * history was kept get an open period for their current status, starting
+     * the day the record was last changed.
+     */
+    getPeriods(marine) {
+        const periods = (marine.statusHistory || []).map(period => ({ ...period }));
+        if (periods.length === 0 && marine.status && marine.status !== this.PRESENT) {
+            periods.push({
+                status: marine.status,
+                startDate: TEEPBackup.localDay(new Date(marine.updatedAt || marine.createdAt || Date.now())),
+                plannedEndDate: null,
+                endDate: null
+            });
+        }
+        return periods.sort((a, b) => a.startDate.localeCompare(b.startDate));
+    },
+
+    /**
+     * Period covering a date. A period runs from its start up to, not including,
+     * its end date (the day the Marine was back); an open period runs to its
+     * planned return, or indefinitely without one.
+     */
+    getPeriodOn(marine, date) {
+        return this.getPeriods(marine).find(period => {
+            const end = period.endDate || period.plannedEndDate;
+            return period.startDate <= date && (!end || date < end);
+        }) || null;
+    },
+
+    /**
+     * Status a Marine had, or is planned to have, on a date
+     */
+    getStatusOn(marine, date) {
+        return this.getPeriodOn(marine, date)?.status || this.PRESENT;
+    },
+
+    /**
+     * The period a Marine is in today, or null when present
+     */
+    getCurrentPeriod(marine) {
+        return this.getPeriodOn(marine, this.today());
+    },
+
+    /**
+     * Marines away on a date, optionally in one status, with the covering period
+     */
+    getAwayOn(marines, date, status = null) {
+        return marines
+            .map(marine => ({ marine, period: this.getPeriodOn(marine, date) }))
+            .filter(({ period }) => period && (!status || period.status === status));
+    },
+
+    /**
+     * Problems with a set of periods: missing or backwards dates and overlaps
+     */
+    validatePeriods(periods) {
+        const errors = [];
+        const sorted = [...periods].sort((a, b) => (a.startDate || '').localeCompare(b.startDate || ''));
+
+        sorted.forEach((period, i) => {
+            const label = `${TEEPRoster.formatStatus(period.status)} from ${period.startDate || '?'}`;
+            if (!period.status || period.status === this.PRESENT) {
+                errors.push(`${label}: choose a status other than present`);
+            }
+            if (!period.startDate) {
+                errors.push(`${label}: start date is required`);
+                return;
+            }
+            if (period.plannedEndDate && period.plannedEndDate < period.startDate) {
+                errors.push(`${label}: planned return is before the start date`);
+            }
+            if (period.endDate && period.endDate < period.startDate) {
+                errors.push(`${label}: return date is before the start date`);
+            }
+
+            const next = sorted[i + 1];
+            const end = period.endDate || period.plannedEndDate;
+            if (next && (!end || end > next.startDate)) {
+                errors.push(`${label}: overlaps the ${TEEPRoster.formatStatus(next.status)} period starting ${next.startDate}`);
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Status history with a change from the Marine form recorded. The same status
+     * updates the current period's dates; a new one ends the current period on
+     * its start date and, unless present, opens a period of its own.
+     */
+    recordChange(previous, status, startDate, plannedEndDate) {
+        const periods = previous ? this.getPeriods(previous) : [];
+        const start = startDate || this.today();
+        const current = periods.find(period => !period.endDate && period.startDate <= start) || null;
+
+        if (current && current.status === status) {
+            current.startDate = startDate || current.startDate;
+            current.plannedEndDate = plannedEndDate || null;
+            return periods;
+        }
+        if (!current && status === this.PRESENT) {
+            return periods;
+        }
+
+        if (current) {
+            current.endDate = start;
+        }
+        if (status !== this.PRESENT) {
+            periods.push({ status, startDate: start, plannedEndDate: plannedEndDate || null, endDate: null });
+        }
+        return periods.sort((a, b) => a.startDate.localeCompare(b.startDate));
+    },
+
+    /**
+     * Marine with periods past their planned return closed out and status set
+     * to whatever period covers today. Returns null when nothing changes.
+     */
+    applySchedule(marine) {
+        const today = this.today();
+        let changed = false;
+
+        const periods = this.getPeriods(marine).map(period => {
+            if (!period.endDate && period.plannedEndDate && period.plannedEndDate <= today) {
+                changed = true;
+                return { ...period, endDate: period.plannedEndDate };
+            }
+            return period;
+        });
+
+        const updated = { ...marine, statusHistory: periods };
+        const status = this.getStatusOn(updated, today);
+        if (status !== (marine.status || this.PRESENT)) {
+            changed = true;
+            updated.status = status;
+        }
+
+        return changed ? updated : null;
+    },
+
+    /**
+     * Return Marines whose periods have ended and start periods scheduled for
+     * today, with an audit entry for each. Offers to recalculate expirations for
+     * Marines coming back from deployment or medical hold.
+     */
+    async applyScheduledChanges() {
+        const marines = await TEEPStorage.getAllMarines();
+        const extended = [];
+        let count = 0;
+
+        for (const marine of marines) {
+            if (!marine.statusHistory || marine.statusHistory.length === 0) continue;
+
+            const updated = this.applySchedule(marine);
+            if (!updated) continue;
+
+            await TEEPStorage.updateMarine(updated, {
+                origin: TEEPStorage.AUDIT_ORIGINS.AUTOMATIC,
+                note: updated.status === this.PRESENT ? 'Returned from status period' : 'Scheduled status period started'
+            });
+            count++;
+
+            if (TEEPQualifications.EXTENSION_STATUSES.includes(marine.status)) {
+                extended.push(marine.id);
+            }
+        }
+
+        if (extended.length > 0) {
+            await TEEPRecalc.review({ marineIds: extended }, 'Marines back from deployment or medical hold');
+        }
+
+        return count;
+    },
+
+    // ==================== MARINE DETAIL ====================
+
+    /**
+     * Render the status timeline section of the Marine detail view
+     */
+    renderMarineStatus(marine) {
+        const periods = this.getPeriods(marine);
+        const current = this.getCurrentPeriod(marine);
+        const today = this.today();
+
+        return `
+            <div class="qualifications-section">
+                <div class="section-header">
+                    <h4>Status History</h4>
+                    <button class="btn btn--sm btn--outline" onclick="TEEPStatus.showPeriodModal(${marine.id})">
+                        Add Period
+                    </button>
+                </div>
+
+                ${periods.length === 0 ? `
+                    <p class="no-quals">Present for duty, no status periods recorded</p>
+                ` : `
+                    <table class="quals-table">
+                        <thead>
+                            <tr>
+                                <th>Status</th>
+                                <th>Start</th>
+                                <th>Planned Return</th>
+                                <th>Returned</th>
+                                <th>Days</th>
+                                <th>Notes</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${periods.slice().reverse().map(period => {
+                                const index = periods.indexOf(period);
+                                const isCurrent = current && current.startDate === period.startDate;
+                                const upcoming = period.startDate > today;
+                                const end = period.endDate || (upcoming ? period.plannedEndDate : today);
+                                const days = end ? this.daysBetween(period.startDate, end) : null;
+                                return `
+                                    <tr class="${isCurrent || upcoming ? '' : 'qual-record--inactive'}">
+                                        <td>
+                                            <span class="status-badge status-${period.status}">${TEEPRoster.formatStatus(period.status)}</span>
+                                            ${isCurrent ? '<span class="badge badge--info">Current</span>' : ''}
+                                            ${upcoming ? '<span class="badge badge--secondary">Scheduled</span>' : ''}
+                                        </td>
+                                        <td>${TEEPQualifications.formatDate(period.startDate)}</td>
+                                        <td>${period.plannedEndDate ? TEEPQualifications.formatDate(period.plannedEndDate) : '-'}</td>
+                                        <td>${period.endDate ? TEEPQualifications.formatDate(period.endDate) : '-'}</td>
+                                        <td>${days !== null ? days : '-'}</td>
+                                        <td>${TEEPRoster.escapeHtml(period.notes || '')}</td>
+                                        <td class="actions">
+                                            <button class="btn btn--sm btn--outline" onclick="TEEPStatus.showPeriodModal(${marine.id}, ${index})">Edit</button>
+                                            ${isCurrent ? `<button class="btn btn--sm btn--outline" onclick="TEEPStatus.returnToday(${marine.id}, ${index})">Returned Today</button>` : ''}
+                                            <button class="btn btn--sm btn--danger" onclick="TEEPStatus.deletePeriod(${marine.id}, ${index})">Delete</button>
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `;
+    },
+
+    /**
+     * Open the period form to add a period, or edit one by its index in the timeline
+     */
+    async showPeriodModal(marineId, index = null) {
+        const marine = await TEEPStorage.getMarine(marineId);
+        if (!marine) return;
+        const period = index !== null ? this.getPeriods(marine)[index] : null;
+
+        const select = document.getElementById('statusPeriodStatus');
+        if (select) {
+            select.innerHTML = this.getAwayStatuses()
+                .map(s => `<option value="${s.value}">${TEEPRoster.escapeHtml(s.label)}</option>`).join('');
+        }
+
+        document.getElementById('statusPeriodModalTitle').textContent = period ? 'Edit Status Period' : 'Add Status Period';
+        document.getElementById('statusPeriodMarineId').value = marineId;
+        document.getElementById('statusPeriodIndex').value = index !== null ? index : '';
+        document.getElementById('statusPeriodStatus').value = period ? period.status : select?.options[0]?.value || '';
+        document.getElementById('statusPeriodStart').value = period ? period.startDate : this.today();
+        document.getElementById('statusPeriodPlannedEnd').value = period?.plannedEndDate || '';
+        document.getElementById('statusPeriodEnd').value = period?.endDate || '';
+        document.getElementById('statusPeriodNotes').value = period?.notes || '';
+
+        TEEPApp.openModal('statusPeriodModal');
+    },
+
+    /**
+     * Save the period form
+     */
+    async handlePeriodSave() {
+        const marineId = parseInt(document.getElementById('statusPeriodMarineId').value);
+        const indexValue = document.getElementById('statusPeriodIndex').value;
+        const index = indexValue === '' ? null : parseInt(indexValue);
+
+        const period = {
+            status: document.getElementById('statusPeriodStatus').value,
+            startDate: document.getElementById('statusPeriodStart').value,
+            plannedEndDate: document.getElementById('statusPeriodPlannedEnd').value || null,
+            endDate: document.getElementById('statusPeriodEnd').value || null,
+            notes: document.getElementById('statusPeriodNotes').value.trim() || null
+        };
+
+        const marine = await TEEPStorage.getMarine(marineId);
+        if (!marine) {
+            alert('Marine not found');
+            return;
+        }
+
+        const periods = this.getPeriods(marine);
+        if (index !== null) {
+            periods[index] = period;
+        } else {
+            periods.push(period);
+        }
+
+        const errors = this.validatePeriods(periods);
+        if (errors.length > 0) {
+            alert(errors.join('\n'));
+            return;
+        }
+
+        const label = `${index !== null ? 'Edit' : 'Add'} ${TEEPRoster.formatStatus(period.status)} period for ${marine.rank} ${marine.lastName}`;
+        TEEPApp.closeModal('statusPeriodModal');
+        await this.savePeriods(marine, periods, label);
+    },
+
+    /**
+     * Close the current period today
+     */
+    async returnToday(marineId, index) {
+        const marine = await TEEPStorage.getMarine(marineId);
+        if (!marine) return;
+
+        const periods = this.getPeriods(marine);
+        periods[index] = { ...periods[index], endDate: this.today() };
+        await this.savePeriods(marine, periods, `Return ${marine.rank} ${marine.lastName} to present`);
+    },
+
+    /**
+     * Delete a period entered in error
+     */
+    async deletePeriod(marineId, index) {
+        if (!confirm('Delete this status period? Use "Returned Today" instead if the Marine was away but is back.')) {
+            return;
+        }
+
+        const marine = await TEEPStorage.getMarine(marineId);
+        if (!marine) return;
+
+        const periods = this.getPeriods(marine);
+        periods.splice(index, 1);
+        await this.savePeriods(marine, periods, 'Delete status period');
+    },
+
+    /**
+     * Store edited periods, set the status that covers today, and offer to
+     * recalculate expirations the change may have moved
+     */
+    async savePeriods(marine, periods, label) {
+        const updated = {
+            ...marine,
+            statusHistory: periods.sort((a, b) => a.startDate.localeCompare(b.startDate))
+        };
+        updated.status = this.getStatusOn(updated, this.today());
+
+        try {
+            await TEEPHistory.run(label, () => TEEPStorage.updateMarine(updated));
+            await TEEPRoster.viewMarine(marine.id);
+
+            if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
+                TEEPApp.updateDashboard();
+            }
+
+            await TEEPRecalc.review({ marineIds: [marine.id] }, `Status history changed for ${marine.rank} ${marine.lastName}`);
+        } catch (error) {
+            alert('Error saving status history: ' + error.message);
+        }
+    }
+};
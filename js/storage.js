@@ -4,31 +4,34 @@
  */
 
 const TEEPStorage = {
-    DB_NAME: 'teep-tracker',
-    DB_VERSION: 1,
+    // One database per unit (see TEEPWorkspaces)
+    DB_NAME: TEEPWorkspaces.getDatabaseName(),
+    DB_VERSION: 10,
     db: null,
+    initPromise: null,
 
-    /**
-     * Initialize the IndexedDB database
-     */
-    async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
-
-            request.onerror = () => {
-                console.error('Failed to open database:', request.error);
-                reject(request.error);
-            };
+    // Pre-migration backup (kept in memory, and in localStorage when it fits)
+    // until the upgrade succeeds
+    migrationSnapshot: null,
 
-            request.onsuccess = () => {
-                this.db = request.result;
-                console.log('Database opened successfully');
-                resolve(this.db);
-            };
+    // Whether the last open failed inside a migration (and was rolled back)
+    migrationFailed: false,
 
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
+    // Stored encryption config (salt + passphrase verifier), null when encryption is off
+    encryptionConfig: null,
 
+    /**
+     * Versioned schema migrations, applied in order.
+     * Each step upgrades the database from (version - 1) to version and runs
+     * inside the single versionchange transaction, so a step that throws aborts
+     * the whole upgrade and IndexedDB rolls the database back to its old version.
+     * Steps may only await requests made against the upgrade transaction.
+     */
+    MIGRATIONS: [
+        {
+            version: 1,
+            description: 'Initial schema',
+            async upgrade(db) {
                 // Marines store - primary roster data
                 if (!db.objectStoreNames.contains('marines')) {
                     const marinesStore = db.createObjectStore('marines', { keyPath: 'id', autoIncrement: true });
@@ -67,9 +70,410 @@ const TEEPStorage = {
                 if (!db.objectStoreNames.contains('settings')) {
                     db.createObjectStore('settings', { keyPath: 'key' });
                 }
+            }
+        },
+        {
+            version: 2,
+            description: 'Index completion dates and recompute stored expiration dates',
+            async upgrade(db, tx) {
+                const qualsStore = tx.objectStore('qualifications');
+                if (!qualsStore.indexNames.contains('completionDate')) {
+                    qualsStore.createIndex('completionDate', 'completionDate', { unique: false });
+                }
+
+                // Qualification rules live in qualifications.js
+                if (typeof TEEPQualifications === 'undefined') return;
+
+                const marines = await TEEPStorage.getAllFromStore(tx.objectStore('marines'));
+                const easByMarine = new Map(marines.map(m => [m.id, m.eas]));
+
+                await TEEPStorage.updateEachInStore(qualsStore, qual => {
+                    const qualType = TEEPQualifications.getQualificationType(qual.type);
+                    if (!qualType || !qual.completionDate) return null;
+
+                    qual.expirationDate = TEEPQualifications.calculateExpiration(
+                        qualType, qual.completionDate, easByMarine.get(qual.marineId)
+                    );
+                    return qual;
+                });
+            }
+        },
+        {
+            version: 3,
+            description: 'Audit trail of roster and qualification changes',
+            async upgrade(db) {
+                if (!db.objectStoreNames.contains('auditLog')) {
+                    const auditStore = db.createObjectStore('auditLog', { keyPath: 'id', autoIncrement: true });
+                    auditStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    auditStore.createIndex('marineId', 'marineId', { unique: false });
+                    auditStore.createIndex('qualificationType', 'qualificationType', { unique: false });
+                    auditStore.createIndex('origin', 'origin', { unique: false });
+                }
+            }
+        },
+        {
+            version: 4,
+            description: 'Recycle bin for deleted Marines and qualifications',
+            async upgrade(db) {
+                if (!db.objectStoreNames.contains('trash')) {
+                    const trashStore = db.createObjectStore('trash', { keyPath: 'id', autoIncrement: true });
+                    trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+                    trashStore.createIndex('entity', 'entity', { unique: false });
+                }
+            }
+        },
+        {
+            version: 5,
+            description: 'Rolling local backup snapshots',
+            async upgrade(db) {
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    const snapshotStore = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                    snapshotStore.createIndex('createdAt', 'createdAt', { unique: false });
+                }
+            }
+        },
+        {
+            version: 6,
+            description: 'Qualification waivers and exemptions',
+            async upgrade(db) {
+                if (!db.objectStoreNames.contains('waivers')) {
+                    const waiverStore = db.createObjectStore('waivers', { keyPath: 'id', autoIncrement: true });
+                    waiverStore.createIndex('marineId', 'marineId', { unique: false });
+                    waiverStore.createIndex('type', 'type', { unique: false });
+                }
+            }
+        },
+        {
+            version: 7,
+            description: 'Requirement profiles',
+            async upgrade(db) {
+                if (!db.objectStoreNames.contains('requirementProfiles')) {
+                    db.createObjectStore('requirementProfiles', { keyPath: 'id', autoIncrement: true });
+                }
+            }
+        },
+        {
+            version: 8,
+            description: 'Billet catalog and billet assignments',
+            async upgrade(db) {
+                if (!db.objectStoreNames.contains('billets')) {
+                    const billetStore = db.createObjectStore('billets', { keyPath: 'id', autoIncrement: true });
+
+                    // Default billets live in billets.js
+                    if (typeof TEEPBillets !== 'undefined') {
+                        const createdAt = new Date().toISOString();
+                        TEEPBillets.DEFAULT_BILLETS.forEach(billet => billetStore.add({ ...billet, createdAt }));
+                    }
+                }
+                if (!db.objectStoreNames.contains('billetAssignments')) {
+                    const assignmentStore = db.createObjectStore('billetAssignments', { keyPath: 'id', autoIncrement: true });
+                    assignmentStore.createIndex('marineId', 'marineId', { unique: false });
+                    assignmentStore.createIndex('billetId', 'billetId', { unique: false });
+                }
+            }
+        },
+        {
+            version: 9,
+            description: 'Morning report snapshots',
+            async upgrade(db) {
+                if (!db.objectStoreNames.contains('morningReports')) {
+                    db.createObjectStore('morningReports', { keyPath: 'date' });
+                }
+            }
+        },
+        {
+            version: 10,
+            description: 'Unit organization tree',
+            async upgrade(db) {
+                if (!db.objectStoreNames.contains('orgUnits')) {
+                    db.createObjectStore('orgUnits', { keyPath: 'id', autoIncrement: true });
+                }
+            }
+        }
+    ],
+
+    /**
+     * localStorage key for this database's pre-migration snapshot
+     */
+    getMigrationSnapshotKey() {
+        return `${this.DB_NAME}-migration-snapshot`;
+    },
+
+    /**
+     * Close the open database and point storage at another one.
+     * Used to fill a new unit; the app reloads afterwards.
+     */
+    useDatabase(name) {
+        if (this.db) {
+            this.db.close();
+        }
+
+        this.DB_NAME = name;
+        this.db = null;
+        this.initPromise = null;
+        this.migrationSnapshot = null;
+        this.migrationFailed = false;
+        this.encryptionConfig = null;
+        TEEPCrypto.keys = null;
+    },
+
+    /**
+     * Initialize the IndexedDB database
+     */
+    async init() {
+        if (this.db) return this.db;
+
+        if (!this.initPromise) {
+            this.initPromise = this.openDatabase().catch(error => {
+                this.initPromise = null;
+                throw error;
+            });
+        }
+
+        return this.initPromise;
+    },
+
+    /**
+     * Open the database, snapshotting existing data first if a migration is pending
+     */
+    async openDatabase() {
+        const existing = await this.openExistingDatabase();
+        if (existing) {
+            if (existing.version < this.DB_VERSION) {
+                await this.createMigrationSnapshot(existing);
+            }
+            existing.close();
+        }
+
+        const db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            let migrationError = null;
+            let upgrading = false;
+
+            request.onerror = () => {
+                const error = migrationError || request.error;
+                this.migrationFailed = upgrading;
+                console.error('Failed to open database:', error);
+                reject(error);
+            };
+
+            request.onblocked = () => {
+                console.warn('Database upgrade blocked - close other TEEP Tracker tabs to continue');
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                this.migrationFailed = false;
+                this.clearMigrationSnapshot();
+                console.log('Database opened successfully');
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                upgrading = true;
+                this.runMigrations(request.result, request.transaction, event.oldVersion)
+                    .catch(error => {
+                        migrationError = error;
+                        console.error('Migration failed, rolling back:', error);
+                        try {
+                            request.transaction.abort();
+                        } catch (abortError) {
+                            // Transaction already finished
+                        }
+                    });
+            };
+        });
+
+        this.encryptionConfig = await this.getSetting('encryption', null);
+        return db;
+    },
+
+    /**
+     * Open the database at whatever version it is currently on.
+     * Resolves null if the database does not exist yet.
+     */
+    async openExistingDatabase() {
+        return new Promise((resolve) => {
+            const request = indexedDB.open(this.DB_NAME);
+
+            // No database yet - abort so we don't create an empty version 1
+            request.onupgradeneeded = () => request.transaction.abort();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = (event) => {
+                event.preventDefault();
+                resolve(null);
+            };
+        });
+    },
+
+    /**
+     * Apply every migration step newer than oldVersion
+     */
+    async runMigrations(db, tx, oldVersion) {
+        const pending = this.MIGRATIONS
+            .filter(m => m.version > oldVersion && m.version <= this.DB_VERSION)
+            .sort((a, b) => a.version - b.version);
+
+        for (const migration of pending) {
+            console.log(`Applying migration v${migration.version}: ${migration.description}`);
+            await migration.upgrade(db, tx);
+        }
+
+        console.log('Database schema created/upgraded');
+    },
+
+    /**
+     * Export all data from the pre-upgrade database so it can be restored
+     * by hand if a migration goes wrong
+     */
+    async createMigrationSnapshot(db) {
+        const previousDb = this.db;
+        this.db = db;
+
+        try {
+            const snapshot = await this.exportAllData();
+            this.migrationSnapshot = snapshot;
+
+            try {
+                localStorage.setItem(this.getMigrationSnapshotKey(), JSON.stringify(snapshot));
+            } catch (error) {
+                console.warn('Pre-migration snapshot too large for localStorage, kept in memory only');
+            }
+
+            console.log(`Pre-migration snapshot taken (schema v${db.version})`);
+        } finally {
+            this.db = previousDb;
+        }
+    },
+
+    /**
+     * Forget the pre-migration snapshot once the database is open on the
+     * current schema. It holds every record in plaintext.
+     */
+    clearMigrationSnapshot() {
+        this.migrationSnapshot = null;
+        try {
+            localStorage.removeItem(this.getMigrationSnapshotKey());
+        } catch (error) {
+            // localStorage unavailable - nothing was kept there
+        }
+    },
+
+    /**
+     * Get the most recent pre-migration snapshot, if any
+     */
+    getMigrationSnapshot() {
+        if (this.migrationSnapshot) return this.migrationSnapshot;
+
+        try {
+            const stored = localStorage.getItem(this.getMigrationSnapshotKey());
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    /**
+     * Read every record from a store inside an existing transaction
+     */
+    getAllFromStore(store) {
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Transform every record in a store in place.
+     * The transform returns the updated record, or null to leave it unchanged.
+     */
+    updateEachInStore(store, transform) {
+        return new Promise((resolve, reject) => {
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
 
-                console.log('Database schema created/upgraded');
+                try {
+                    const updated = transform(cursor.value);
+                    if (updated) cursor.update(updated);
+                    cursor.continue();
+                } catch (error) {
+                    reject(error);
+                }
             };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // Callbacks notified of every record written or removed (used by undo history)
+    changeListeners: [],
+
+    /**
+     * Subscribe to record changes. Listeners receive { storeName, key, before, after }.
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    },
+
+    /**
+     * Notify listeners that a record changed (before/after are null for add/delete)
+     */
+    notifyChange(storeName, key, before, after) {
+        if (this.changeListeners.length === 0) return;
+
+        const change = {
+            storeName,
+            key,
+            before: before ? structuredClone(before) : null,
+            after: after ? structuredClone(after) : null
+        };
+        this.changeListeners.forEach(listener => listener(change));
+    },
+
+    /**
+     * Get a record from any store by key
+     */
+    async getRecord(storeName, key) {
+        const store = await this.transaction(storeName);
+        return new Promise((resolve, reject) => {
+            const request = store.get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Write a set of record states in a single transaction, bypassing audit,
+     * trash and change notification. A null record deletes the key.
+     */
+    async applyChanges(changes) {
+        if (!this.db) await this.init();
+
+        const storeNames = [...new Set(changes.map(c => c.storeName))];
+        const tx = this.db.transaction(storeNames, 'readwrite');
+
+        return new Promise((resolve, reject) => {
+            changes.forEach(({ storeName, key, record }) => {
+                const store = tx.objectStore(storeName);
+                if (record) {
+                    store.put(record);
+                } else {
+                    store.delete(key);
+                }
+            });
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
         });
     },
 
@@ -86,50 +490,88 @@ const TEEPStorage = {
     /**
      * Add a new Marine to the roster
      */
-    async addMarine(marine) {
-        const store = await this.transaction('marines', 'readwrite');
-        return new Promise((resolve, reject) => {
-            // Ensure required fields
-            marine.createdAt = marine.createdAt || new Date().toISOString();
-            marine.updatedAt = new Date().toISOString();
-            marine.status = marine.status || 'present';
+    async addMarine(marine, options = {}) {
+        // Ensure required fields
+        marine.createdAt = marine.createdAt || new Date().toISOString();
+        marine.updatedAt = new Date().toISOString();
+        marine.status = marine.status || 'present';
 
-            const request = store.add(marine);
+        // Encrypt before opening the transaction - it would auto-commit while WebCrypto runs
+        const stored = await this.encodeMarine(marine);
+
+        const store = await this.transaction('marines', 'readwrite');
+        const id = await new Promise((resolve, reject) => {
+            const request = store.add(stored);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+
+        this.notifyChange('marines', id, null, { ...stored, id });
+        await this.logAudit('marine', null, { ...marine, id }, options);
+        return id;
     },
 
     /**
      * Update an existing Marine
      */
-    async updateMarine(marine) {
+    async updateMarine(marine, options = {}) {
+        const storedBefore = marine.id ? await this.getRecord('marines', marine.id) : null;
+        const before = await this.decodeMarine(storedBefore);
+
+        marine.updatedAt = new Date().toISOString();
+        const stored = await this.encodeMarine(marine);
+
         const store = await this.transaction('marines', 'readwrite');
-        return new Promise((resolve, reject) => {
-            marine.updatedAt = new Date().toISOString();
-            const request = store.put(marine);
+        const id = await new Promise((resolve, reject) => {
+            const request = store.put(stored);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+
+        this.notifyChange('marines', id, storedBefore, { ...stored, id });
+        await this.logAudit('marine', before, { ...marine, id }, options);
+        return id;
     },
 
     /**
-     * Delete a Marine and their qualifications
+     * Delete a Marine and their qualifications.
+     * Both go to the trash as one entry unless options.skipTrash is set.
      */
-    async deleteMarine(id) {
-        // Delete qualifications first
+    async deleteMarine(id, options = {}) {
+        const stored = await this.getRecord('marines', id);
+        const marine = await this.decodeMarine(stored);
+
+        // Delete qualifications, waivers and billet assignments first
         const quals = await this.getQualificationsByMarine(id);
         for (const qual of quals) {
-            await this.deleteQualification(qual.id);
+            await this.deleteQualification(qual.id, { ...options, marine, skipTrash: true });
+        }
+
+        const waivers = await this.getWaiversByMarine(id);
+        for (const waiver of waivers) {
+            await this.deleteWaiver(waiver.id, { ...options, marine });
+        }
+
+        const billetAssignments = await this.getBilletAssignmentsByMarine(id);
+        for (const assignment of billetAssignments) {
+            await this.deleteBilletAssignment(assignment.id, { ...options, marine });
         }
 
         // Delete the Marine
         const store = await this.transaction('marines', 'readwrite');
-        return new Promise((resolve, reject) => {
+        await new Promise((resolve, reject) => {
             const request = store.delete(id);
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
+
+        if (marine) {
+            this.notifyChange('marines', id, stored, null);
+            if (!options.skipTrash) {
+                await this.addToTrash({ entity: 'marine', record: marine, qualifications: quals, waivers, billetAssignments });
+            }
+            await this.logAudit('marine', marine, null, options);
+        }
     },
 
     /**
@@ -137,24 +579,27 @@ const TEEPStorage = {
      */
     async getMarine(id) {
         const store = await this.transaction('marines');
-        return new Promise((resolve, reject) => {
+        const stored = await new Promise((resolve, reject) => {
             const request = store.get(id);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        return this.decodeMarine(stored);
     },
 
     /**
      * Get a Marine by EDIPI
      */
     async getMarineByEdipi(edipi) {
+        const indexKey = await this.edipiIndexKey(edipi);
         const store = await this.transaction('marines');
-        return new Promise((resolve, reject) => {
+        const stored = await new Promise((resolve, reject) => {
             const index = store.index('edipi');
-            const request = index.get(edipi);
+            const request = index.get(indexKey);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        return this.decodeMarine(stored);
     },
 
     /**
@@ -162,11 +607,12 @@ const TEEPStorage = {
      */
     async getAllMarines() {
         const store = await this.transaction('marines');
-        return new Promise((resolve, reject) => {
+        const stored = await new Promise((resolve, reject) => {
             const request = store.getAll();
             request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => reject(request.error);
         });
+        return Promise.all(stored.map(record => this.decodeMarine(record)));
     },
 
     /**
@@ -174,6 +620,7 @@ const TEEPStorage = {
      */
     async searchMarines(filters = {}) {
         const allMarines = await this.getAllMarines();
+        const unitIds = filters.orgUnitId && filters.orgUnitId !== 'all' ? TEEPOrg.getDescendantIds(filters.orgUnitId) : null;
 
         return allMarines.filter(marine => {
             // Status filter
@@ -186,6 +633,11 @@ const TEEPStorage = {
                 if (marine.section !== filters.section) return false;
             }
 
+            // Unit filter, including every unit beneath the one picked
+            if (unitIds && !unitIds.has(marine.orgUnitId)) {
+                return false;
+            }
+
             // Rank filter
             if (filters.rank && filters.rank !== 'all') {
                 if (marine.rank !== filters.rank) return false;
@@ -217,28 +669,19 @@ const TEEPStorage = {
     },
 
     /**
-     * Get count of Marines by status
+     * Get count of Marines by status. Every status gets its own count, so
+     * statuses added to the Marine form are never lumped together.
      */
     async getMarineCountByStatus() {
         const marines = await this.getAllMarines();
         const counts = {
             total: marines.length,
-            present: 0,
-            leave: 0,
-            tad: 0,
-            deployment: 0,
-            med_hold: 0,
-            light_duty: 0,
-            legal_hold: 0,
-            other: 0
+            present: 0
         };
 
         marines.forEach(marine => {
-            if (counts.hasOwnProperty(marine.status)) {
-                counts[marine.status]++;
-            } else {
-                counts.other++;
-            }
+            const status = marine.status || 'present';
+            counts[status] = (counts[status] || 0) + 1;
         });
 
         return counts;
@@ -249,9 +692,9 @@ const TEEPStorage = {
     /**
      * Add a qualification to a Marine
      */
-    async addQualification(qualification) {
+    async addQualification(qualification, options = {}) {
         const store = await this.transaction('qualifications', 'readwrite');
-        return new Promise((resolve, reject) => {
+        const id = await new Promise((resolve, reject) => {
             qualification.createdAt = qualification.createdAt || new Date().toISOString();
             qualification.updatedAt = new Date().toISOString();
 
@@ -259,31 +702,95 @@ const TEEPStorage = {
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+
+        this.notifyChange('qualifications', id, null, { ...qualification, id });
+        await this.logAudit('qualification', null, { ...qualification, id }, options);
+        return id;
     },
 
     /**
      * Update a qualification
      */
-    async updateQualification(qualification) {
+    async updateQualification(qualification, options = {}) {
+        const before = qualification.id ? await this.getQualification(qualification.id) : null;
         const store = await this.transaction('qualifications', 'readwrite');
-        return new Promise((resolve, reject) => {
+        const id = await new Promise((resolve, reject) => {
             qualification.updatedAt = new Date().toISOString();
             const request = store.put(qualification);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+
+        this.notifyChange('qualifications', id, before, { ...qualification, id });
+        await this.logAudit('qualification', before, { ...qualification, id }, options);
+        return id;
+    },
+
+    /**
+     * Update several qualifications in a single transaction, then notify and audit each one
+     */
+    async updateQualifications(qualifications, options = {}) {
+        if (qualifications.length === 0) return;
+
+        const before = new Map();
+        for (const qual of qualifications) {
+            before.set(qual.id, await this.getQualification(qual.id));
+        }
+
+        const updatedAt = new Date().toISOString();
+        const records = qualifications.map(qual => ({ ...qual, updatedAt }));
+        await this.applyChanges(records.map(record => ({ storeName: 'qualifications', key: record.id, record })));
+
+        const marines = new Map();
+        for (const record of records) {
+            if (!marines.has(record.marineId)) {
+                marines.set(record.marineId, await this.getMarine(record.marineId));
+            }
+
+            this.notifyChange('qualifications', record.id, before.get(record.id), record);
+            await this.logAudit('qualification', before.get(record.id), record, {
+                ...options,
+                marine: marines.get(record.marineId)
+            });
+        }
     },
 
     /**
-     * Delete a qualification
+     * Delete a qualification (moved to the trash unless options.skipTrash is set)
      */
-    async deleteQualification(id) {
+    async deleteQualification(id, options = {}) {
+        const before = await this.getQualification(id);
         const store = await this.transaction('qualifications', 'readwrite');
-        return new Promise((resolve, reject) => {
+        await new Promise((resolve, reject) => {
             const request = store.delete(id);
             request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
+
+        if (before) {
+            this.notifyChange('qualifications', id, before, null);
+            if (!options.skipTrash) {
+                const marine = options.marine || await this.getMarine(before.marineId);
+                await this.addToTrash({
+                    entity: 'qualification',
+                    record: before,
+                    marineEdipi: marine ? marine.edipi : null
+                });
+            }
+            await this.logAudit('qualification', before, null, options);
+        }
+    },
+
+    /**
+     * Get a qualification by ID
+     */
+    async getQualification(id) {
+        const store = await this.transaction('qualifications');
+        return new Promise((resolve, reject) => {
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     },
 
     /**
@@ -300,95 +807,843 @@ const TEEPStorage = {
     },
 
     /**
-     * Get all qualifications of a specific type
+     * Get all qualifications of a specific type
+     */
+    async getQualificationsByType(type) {
+        const store = await this.transaction('qualifications');
+        return new Promise((resolve, reject) => {
+            const index = store.index('type');
+            const request = index.getAll(type);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get all qualifications
+     */
+    async getAllQualifications() {
+        const store = await this.transaction('qualifications');
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get expiring qualifications within a date range
+     */
+    async getExpiringQualifications(daysAhead = 30) {
+        // Older and superseded records are history, not expirations
+        const allQuals = await this.getUnwaivedQualifications();
+        const now = new Date();
+        const futureDate = new Date();
+        futureDate.setDate(futureDate.getDate() + daysAhead);
+
+        // Records in a grace period have expired but aren't overdue yet
+        return allQuals.filter(qual => {
+            if (!qual.expirationDate) return false;
+            const expDate = new Date(qual.expirationDate);
+            return TEEPQualifications.getGraceEnd(qual) >= now && expDate <= futureDate;
+        }).sort((a, b) => new Date(a.expirationDate) - new Date(b.expirationDate));
+    },
+
+    /**
+     * Get overdue qualifications: past their due date and grace period, not just their expiration
+     */
+    async getOverdueQualifications() {
+        const allQuals = await this.getUnwaivedQualifications();
+        const now = new Date();
+
+        return allQuals.filter(qual => {
+            const overdueDate = TEEPQualifications.getOverdueDate(qual);
+            return overdueDate && new Date(overdueDate) < now;
+        }).sort((a, b) => new Date(a.expirationDate) - new Date(b.expirationDate));
+    },
+
+    /**
+     * Latest record per Marine and type, leaving out any covered by an active waiver
+     */
+    async getUnwaivedQualifications() {
+        const latest = TEEPQualifications.getLatestQualifications(await this.getAllQualifications());
+        const waivers = TEEPQualifications.indexActiveWaivers(await this.getAllWaivers());
+        return latest.filter(qual => !waivers.has(`${qual.marineId}|${qual.type}`));
+    },
+
+    // ==================== WAIVERS ====================
+
+    /**
+     * Add a waiver, exemption or not-applicable ruling for a Marine and qualification type
+     */
+    async addWaiver(waiver, options = {}) {
+        waiver.createdAt = waiver.createdAt || new Date().toISOString();
+        waiver.updatedAt = new Date().toISOString();
+
+        // Encrypt before opening the transaction - it would auto-commit while WebCrypto runs
+        const stored = await this.encodeWaiver(waiver);
+
+        const store = await this.transaction('waivers', 'readwrite');
+        const id = await new Promise((resolve, reject) => {
+            const request = store.add(stored);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        this.notifyChange('waivers', id, null, { ...stored, id });
+        await this.logAudit('waiver', null, { ...waiver, id }, options);
+        return id;
+    },
+
+    /**
+     * Update a waiver
+     */
+    async updateWaiver(waiver, options = {}) {
+        const storedBefore = await this.getRecord('waivers', waiver.id);
+        const before = await this.decodeWaiver(storedBefore);
+
+        waiver.updatedAt = new Date().toISOString();
+        const stored = await this.encodeWaiver(waiver);
+
+        const store = await this.transaction('waivers', 'readwrite');
+        const id = await new Promise((resolve, reject) => {
+            const request = store.put(stored);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        this.notifyChange('waivers', id, storedBefore, { ...stored, id });
+        await this.logAudit('waiver', before, { ...waiver, id }, options);
+        return id;
+    },
+
+    /**
+     * Delete a waiver
+     */
+    async deleteWaiver(id, options = {}) {
+        const stored = await this.getRecord('waivers', id);
+        const store = await this.transaction('waivers', 'readwrite');
+        await new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        if (stored) {
+            this.notifyChange('waivers', id, stored, null);
+            await this.logAudit('waiver', await this.decodeWaiver(stored), null, options);
+        }
+    },
+
+    /**
+     * Get a waiver by ID
+     */
+    async getWaiver(id) {
+        return this.decodeWaiver(await this.getRecord('waivers', id));
+    },
+
+    /**
+     * Get all waivers for a Marine
+     */
+    async getWaiversByMarine(marineId) {
+        const store = await this.transaction('waivers');
+        const waivers = await new Promise((resolve, reject) => {
+            const request = store.index('marineId').getAll(marineId);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        return Promise.all(waivers.map(waiver => this.decodeWaiver(waiver)));
+    },
+
+    /**
+     * Get all waivers
+     */
+    async getAllWaivers() {
+        const store = await this.transaction('waivers');
+        const waivers = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+        return Promise.all(waivers.map(waiver => this.decodeWaiver(waiver)));
+    },
+
+    // ==================== BILLETS ====================
+
+    /**
+     * Add or update a billet in the catalog. Resolves with its ID.
+     */
+    async saveBillet(billet) {
+        const store = await this.transaction('billets', 'readwrite');
+        return new Promise((resolve, reject) => {
+            const request = store.put({ ...billet, updatedAt: new Date().toISOString() });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get the billet catalog
+     */
+    async getBillets() {
+        const store = await this.transaction('billets');
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Delete a billet from the catalog
+     */
+    async deleteBillet(id) {
+        const store = await this.transaction('billets', 'readwrite');
+        return new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Assign a Marine to a billet
+     */
+    async addBilletAssignment(assignment, options = {}) {
+        assignment.createdAt = assignment.createdAt || new Date().toISOString();
+        assignment.updatedAt = new Date().toISOString();
+
+        const store = await this.transaction('billetAssignments', 'readwrite');
+        const id = await new Promise((resolve, reject) => {
+            const request = store.add(assignment);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        this.notifyChange('billetAssignments', id, null, { ...assignment, id });
+        await this.logAudit('billet', null, { ...assignment, id }, options);
+        return id;
+    },
+
+    /**
+     * Update a billet assignment
+     */
+    async updateBilletAssignment(assignment, options = {}) {
+        const before = await this.getRecord('billetAssignments', assignment.id);
+
+        assignment.updatedAt = new Date().toISOString();
+
+        const store = await this.transaction('billetAssignments', 'readwrite');
+        const id = await new Promise((resolve, reject) => {
+            const request = store.put(assignment);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        this.notifyChange('billetAssignments', id, before, { ...assignment, id });
+        await this.logAudit('billet', before, { ...assignment, id }, options);
+        return id;
+    },
+
+    /**
+     * Delete a billet assignment
+     */
+    async deleteBilletAssignment(id, options = {}) {
+        const before = await this.getRecord('billetAssignments', id);
+        const store = await this.transaction('billetAssignments', 'readwrite');
+        await new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        if (before) {
+            this.notifyChange('billetAssignments', id, before, null);
+            await this.logAudit('billet', before, null, options);
+        }
+    },
+
+    /**
+     * Get a billet assignment by ID
+     */
+    async getBilletAssignment(id) {
+        return this.getRecord('billetAssignments', id);
+    },
+
+    /**
+     * Get all billet assignments for a Marine
+     */
+    async getBilletAssignmentsByMarine(marineId) {
+        const store = await this.transaction('billetAssignments');
+        return new Promise((resolve, reject) => {
+            const request = store.index('marineId').getAll(marineId);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get all billet assignments
+     */
+    async getAllBilletAssignments() {
+        const store = await this.transaction('billetAssignments');
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // ==================== ORGANIZATION ====================
+
+    /**
+     * Add or update a unit in the organization tree. Resolves with its ID.
+     */
+    async saveOrgUnit(unit) {
+        const store = await this.transaction('orgUnits', 'readwrite');
+        return new Promise((resolve, reject) => {
+            const request = store.put({ ...unit, updatedAt: new Date().toISOString() });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get every unit in the organization tree
+     */
+    async getOrgUnits() {
+        const store = await this.transaction('orgUnits');
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Delete a unit from the organization tree. Its sub-units and Marines move to
+     * parentId (null for the top level) in the same transaction, so the whole
+     * delete is one change for undo.
+     */
+    async deleteOrgUnit(id, parentId = null, options = {}) {
+        const unit = await this.getRecord('orgUnits', id);
+        if (!unit) return;
+
+        const store = await this.transaction('marines');
+        const storedMarines = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+
+        const now = new Date().toISOString();
+        const children = (await this.getOrgUnits()).filter(child => child.parentId === id);
+        const changes = [
+            ...children.map(child => ({ storeName: 'orgUnits', key: child.id, before: child, record: { ...child, parentId, updatedAt: now } })),
+            ...storedMarines
+                .filter(marine => marine.orgUnitId === id)
+                .map(marine => ({ storeName: 'marines', key: marine.id, before: marine, record: { ...marine, orgUnitId: parentId, updatedAt: now } })),
+            { storeName: 'orgUnits', key: id, before: unit, record: null }
+        ];
+
+        await this.applyChanges(changes);
+
+        for (const change of changes) {
+            this.notifyChange(change.storeName, change.key, change.before, change.record);
+            if (change.storeName === 'marines') {
+                await this.logAudit('marine', await this.decodeMarine(change.before), await this.decodeMarine(change.record), options);
+            }
+        }
+    },
+
+    // ==================== MORNING REPORTS ====================
+
+    /**
+     * Store a morning report snapshot, replacing any for the same date
+     */
+    async saveMorningReport(snapshot) {
+        const store = await this.transaction('morningReports', 'readwrite');
+        return new Promise((resolve, reject) => {
+            const request = store.put(snapshot);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get the morning report snapshot for a date (YYYY-MM-DD)
+     */
+    async getMorningReport(date) {
+        return this.getRecord('morningReports', date);
+    },
+
+    /**
+     * Get all morning report snapshots, newest first
+     */
+    async getMorningReports() {
+        const store = await this.transaction('morningReports');
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve((request.result || []).sort((a, b) => b.date.localeCompare(a.date)));
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get the latest snapshot taken for a day before the given date
+     */
+    async getPreviousMorningReport(date) {
+        const reports = await this.getMorningReports();
+        return reports.find(report => report.date < date) || null;
+    },
+
+    // ==================== QUALIFICATION TYPES ====================
+
+    /**
+     * Add or update a qualification type definition
+     */
+    async saveQualificationType(qualType) {
+        const store = await this.transaction('qualificationTypes', 'readwrite');
+        return new Promise((resolve, reject) => {
+            const request = store.put(qualType);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get all qualification types
+     */
+    async getQualificationTypes() {
+        const store = await this.transaction('qualificationTypes');
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Delete a qualification type
+     */
+    async deleteQualificationType(id) {
+        const store = await this.transaction('qualificationTypes', 'readwrite');
+        return new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // ==================== REQUIREMENT PROFILES ====================
+
+    /**
+     * Add or update a requirement profile. Resolves with its ID.
+     */
+    async saveRequirementProfile(profile) {
+        const store = await this.transaction('requirementProfiles', 'readwrite');
+        return new Promise((resolve, reject) => {
+            const request = store.put({ ...profile, updatedAt: new Date().toISOString() });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get all requirement profiles
+     */
+    async getRequirementProfiles() {
+        const store = await this.transaction('requirementProfiles');
+        return new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Delete a requirement profile
+     */
+    async deleteRequirementProfile(id) {
+        const store = await this.transaction('requirementProfiles', 'readwrite');
+        return new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    // ==================== TRASH ====================
+
+    /**
+     * Add a deleted record to the trash
+     */
+    async addToTrash(entry) {
+        entry.deletedAt = new Date().toISOString();
+        entry.deletedBy = await this.getSetting('operatorName', '') || 'Unknown';
+        const stored = await this.encodeTrashEntry(entry);
+
+        const store = await this.transaction('trash', 'readwrite');
+        const id = await new Promise((resolve, reject) => {
+            const request = store.add(stored);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        this.notifyChange('trash', id, null, { ...stored, id });
+        return id;
+    },
+
+    /**
+     * Get all trash entries, most recently deleted first
+     */
+    async getTrash() {
+        const store = await this.transaction('trash');
+        const stored = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => {
+                const results = request.result || [];
+                results.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+                resolve(results);
+            };
+            request.onerror = () => reject(request.error);
+        });
+        return Promise.all(stored.map(entry => this.decodeTrashEntry(entry)));
+    },
+
+    /**
+     * Get a trash entry by ID
+     */
+    async getTrashEntry(id) {
+        const store = await this.transaction('trash');
+        const stored = await new Promise((resolve, reject) => {
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.decodeTrashEntry(stored);
+    },
+
+    /**
+     * Restore a trash entry. Marines come back with their original ID so their
+     * qualifications re-link; a lone qualification is re-linked to its Marine by
+     * ID, or by EDIPI if the Marine has since been re-added.
+     */
+    async restoreFromTrash(id, options = {}) {
+        const entry = await this.getTrashEntry(id);
+        if (!entry) {
+            throw new Error('Trash entry not found');
+        }
+
+        const restoreOptions = { ...options, note: options.note || 'Restored from trash' };
+
+        if (entry.entity === 'marine') {
+            const marine = entry.record;
+            const existing = marine.edipi ? await this.getMarineByEdipi(marine.edipi) : null;
+            if (existing && existing.id !== marine.id) {
+                throw new Error(`A Marine with EDIPI ${marine.edipi} is already on the roster`);
+            }
+
+            await this.addMarine({ ...marine }, restoreOptions);
+            for (const qual of entry.qualifications || []) {
+                await this.addQualification({ ...qual, marineId: marine.id }, { ...restoreOptions, marine });
+            }
+            for (const waiver of entry.waivers || []) {
+                await this.addWaiver({ ...waiver, marineId: marine.id }, { ...restoreOptions, marine });
+            }
+            for (const assignment of entry.billetAssignments || []) {
+                await this.addBilletAssignment({ ...assignment, marineId: marine.id }, { ...restoreOptions, marine });
+            }
+        } else {
+            const qual = { ...entry.record };
+            let marine = await this.getMarine(qual.marineId);
+            if (!marine && entry.marineEdipi) {
+                marine = await this.getMarineByEdipi(entry.marineEdipi);
+            }
+            if (!marine) {
+                throw new Error('The Marine for this qualification is not on the roster. Restore the Marine first.');
+            }
+
+            qual.marineId = marine.id;
+            await this.addQualification(qual, { ...restoreOptions, marine });
+        }
+
+        await this.purgeTrashEntry(id);
+    },
+
+    /**
+     * Permanently delete a trash entry
+     */
+    async purgeTrashEntry(id) {
+        const before = await this.getRecord('trash', id);
+        const store = await this.transaction('trash', 'readwrite');
+        await new Promise((resolve, reject) => {
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        if (before) {
+            this.notifyChange('trash', id, before, null);
+        }
+    },
+
+    /**
+     * Permanently delete trash entries older than the retention period.
+     * A retention of 0 days keeps deleted records forever.
+     */
+    async purgeExpiredTrash(retentionDays) {
+        if (!retentionDays || retentionDays <= 0) return 0;
+
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - retentionDays);
+
+        const entries = await this.getTrash();
+        const expired = entries.filter(entry => new Date(entry.deletedAt) < cutoff);
+
+        for (const entry of expired) {
+            await this.purgeTrashEntry(entry.id);
+        }
+
+        if (expired.length > 0) {
+            console.log(`Purged ${expired.length} expired trash entries`);
+        }
+        return expired.length;
+    },
+
+    // ==================== SNAPSHOTS ====================
+
+    /**
+     * Save a local backup snapshot
+     */
+    async addSnapshot(snapshot) {
+        const stored = await this.encodeSnapshot(snapshot);
+        const store = await this.transaction('snapshots', 'readwrite');
+        return new Promise((resolve, reject) => {
+            const request = store.add(stored);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get all snapshots, newest first
+     */
+    async getSnapshots() {
+        const store = await this.transaction('snapshots');
+        const stored = await new Promise((resolve, reject) => {
+            const request = store.getAll();
+            request.onsuccess = () => {
+                const results = request.result || [];
+                results.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+                resolve(results);
+            };
+            request.onerror = () => reject(request.error);
+        });
+        return Promise.all(stored.map(snapshot => this.decodeSnapshot(snapshot)));
+    },
+
+    /**
+     * Get a snapshot by ID
      */
-    async getQualificationsByType(type) {
-        const store = await this.transaction('qualifications');
-        return new Promise((resolve, reject) => {
-            const index = store.index('type');
-            const request = index.getAll(type);
-            request.onsuccess = () => resolve(request.result || []);
+    async getSnapshot(id) {
+        const store = await this.transaction('snapshots');
+        const stored = await new Promise((resolve, reject) => {
+            const request = store.get(id);
+            request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+        return this.decodeSnapshot(stored);
     },
 
     /**
-     * Get all qualifications
+     * Delete a snapshot
      */
-    async getAllQualifications() {
-        const store = await this.transaction('qualifications');
+    async deleteSnapshot(id) {
+        const store = await this.transaction('snapshots', 'readwrite');
         return new Promise((resolve, reject) => {
-            const request = store.getAll();
-            request.onsuccess = () => resolve(request.result || []);
+            const request = store.delete(id);
+            request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     },
 
     /**
-     * Get expiring qualifications within a date range
+     * Replace all Marines, qualifications, waivers and qualification types with
+     * the contents of a backup of this database, keeping record IDs. Settings,
+     * the audit log, trash and snapshots are left alone.
      */
-    async getExpiringQualifications(daysAhead = 30) {
-        const allQuals = await this.getAllQualifications();
-        const now = new Date();
-        const futureDate = new Date();
-        futureDate.setDate(futureDate.getDate() + daysAhead);
+    async replaceAllData(backup) {
+        if (!this.db) await this.init();
 
-        return allQuals.filter(qual => {
-            if (!qual.expirationDate) return false;
-            const expDate = new Date(qual.expirationDate);
-            return expDate >= now && expDate <= futureDate;
-        }).sort((a, b) => new Date(a.expirationDate) - new Date(b.expirationDate));
+        const marines = [];
+        for (const marine of backup.data.marines || []) {
+            marines.push(await this.encodeMarine(marine));
+        }
+
+        const waivers = [];
+        for (const waiver of backup.data.waivers || []) {
+            waivers.push(await this.encodeWaiver(waiver));
+        }
+
+        const storeNames = ['marines', 'qualifications', 'waivers', 'qualificationTypes', 'requirementProfiles', 'billets', 'billetAssignments', 'morningReports', 'orgUnits'];
+        const tx = this.db.transaction(storeNames, 'readwrite');
+
+        return new Promise((resolve, reject) => {
+            // Backups made before profiles, billets, morning reports and units existed leave the current ones in place
+            storeNames
+                .filter(name => !['requirementProfiles', 'billets', 'morningReports', 'orgUnits'].includes(name) || backup.data[name])
+                .forEach(name => tx.objectStore(name).clear());
+
+            marines.forEach(marine => tx.objectStore('marines').put(marine));
+            (backup.data.qualifications || []).forEach(qual => tx.objectStore('qualifications').put(qual));
+            waivers.forEach(waiver => tx.objectStore('waivers').put(waiver));
+            (backup.data.qualificationTypes || []).forEach(type => tx.objectStore('qualificationTypes').put(type));
+            (backup.data.requirementProfiles || []).forEach(profile => tx.objectStore('requirementProfiles').put(profile));
+            (backup.data.billets || []).forEach(billet => tx.objectStore('billets').put(billet));
+            (backup.data.billetAssignments || []).forEach(assignment => tx.objectStore('billetAssignments').put(assignment));
+            (backup.data.morningReports || []).forEach(report => tx.objectStore('morningReports').put(report));
+            (backup.data.orgUnits || []).forEach(unit => tx.objectStore('orgUnits').put(unit));
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
     },
 
+    // ==================== AUDIT LOG ====================
+
     /**
-     * Get overdue (expired) qualifications
+     * Where a change came from
      */
-    async getOverdueQualifications() {
-        const allQuals = await this.getAllQualifications();
-        const now = new Date();
-
-        return allQuals.filter(qual => {
-            if (!qual.expirationDate) return false;
-            return new Date(qual.expirationDate) < now;
-        }).sort((a, b) => new Date(a.expirationDate) - new Date(b.expirationDate));
+    AUDIT_ORIGINS: {
+        MANUAL: 'manual',
+        IMPORT: 'import',
+        RESTORE: 'restore',
+        RECALCULATION: 'recalculation',
+        AUTOMATIC: 'automatic'
     },
 
-    // ==================== QUALIFICATION TYPES ====================
+    // Bookkeeping fields that are not reported as changes
+    AUDIT_IGNORED_FIELDS: ['createdAt', 'updatedAt'],
 
     /**
-     * Add or update a qualification type definition
+     * Record a mutation in the audit log.
+     * Pass before = null for a create and after = null for a delete.
      */
-    async saveQualificationType(qualType) {
-        const store = await this.transaction('qualificationTypes', 'readwrite');
+    async logAudit(entity, before, after, options = {}) {
+        const record = after || before;
+        const action = !before ? 'create' : (!after ? 'delete' : 'update');
+        const changes = this.diffRecords(before, after);
+
+        // Nothing actually changed
+        if (action === 'update' && Object.keys(changes).length === 0) return null;
+
+        const marine = entity === 'marine' ? record :
+            (options.marine || await this.getMarine(record.marineId));
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            operator: await this.getSetting('operatorName', '') || 'Unknown',
+            origin: options.origin || this.AUDIT_ORIGINS.MANUAL,
+            action,
+            entity,
+            recordId: record.id,
+            marineId: entity === 'marine' ? record.id : record.marineId,
+            marineName: marine ? `${marine.rank || ''} ${marine.lastName || ''}, ${marine.firstName || ''}`.trim() : '',
+            qualificationType: entity === 'marine' ? null : record.type,
+            ...(entity === 'billet' ? { billetId: record.billetId } : {}),
+            changes,
+            note: options.note || null
+        };
+        const stored = await this.encodeAuditEntry(entry);
+
+        const store = await this.transaction('auditLog', 'readwrite');
         return new Promise((resolve, reject) => {
-            const request = store.put(qualType);
+            const request = store.add(stored);
             request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
     },
 
     /**
-     * Get all qualification types
+     * Field-level differences between two versions of a record
      */
-    async getQualificationTypes() {
-        const store = await this.transaction('qualificationTypes');
-        return new Promise((resolve, reject) => {
+    diffRecords(before, after) {
+        const changes = {};
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        fields.forEach(field => {
+            if (this.AUDIT_IGNORED_FIELDS.includes(field)) return;
+
+            const oldValue = before ? before[field] : undefined;
+            const newValue = after ? after[field] : undefined;
+
+            if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+                changes[field] = {
+                    before: oldValue === undefined ? null : oldValue,
+                    after: newValue === undefined ? null : newValue
+                };
+            }
+        });
+
+        return changes;
+    },
+
+    /**
+     * Get audit log entries, newest first
+     */
+    async getAuditLog(filters = {}) {
+        const store = await this.transaction('auditLog');
+        const stored = await new Promise((resolve, reject) => {
             const request = store.getAll();
             request.onsuccess = () => resolve(request.result || []);
             request.onerror = () => reject(request.error);
         });
+        const entries = await Promise.all(stored.map(entry => this.decodeAuditEntry(entry)));
+
+        return entries.filter(entry => {
+            if (filters.marineId && filters.marineId !== 'all') {
+                if (entry.marineId !== filters.marineId) return false;
+            }
+
+            if (filters.qualificationType && filters.qualificationType !== 'all') {
+                if (entry.qualificationType !== filters.qualificationType) return false;
+            }
+
+            // The date inputs hold local days; timestamps are UTC
+            const day = TEEPBackup.localDay(new Date(entry.timestamp));
+            if (filters.startDate && day < filters.startDate) return false;
+            if (filters.endDate && day > filters.endDate) return false;
+
+            return true;
+        }).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     },
 
     /**
-     * Delete a qualification type
+     * Add historical audit entries from a backup, skipping ones already present
      */
-    async deleteQualificationType(id) {
-        const store = await this.transaction('qualificationTypes', 'readwrite');
-        return new Promise((resolve, reject) => {
-            const request = store.delete(id);
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+    async importAuditLog(entries) {
+        const existing = await this.getAuditLog();
+        const entryKey = e => `${e.timestamp}|${e.entity}|${e.recordId}|${e.action}`;
+        const seen = new Set(existing.map(entryKey));
+        let added = 0;
+
+        for (const entry of entries) {
+            if (seen.has(entryKey(entry))) continue;
+
+            const { id, ...record } = entry;
+            const stored = await this.encodeAuditEntry(record);
+            const store = await this.transaction('auditLog', 'readwrite');
+            await new Promise((resolve, reject) => {
+                const request = store.add(stored);
+                request.onsuccess = () => resolve();
+                request.onerror = () => reject(request.error);
+            });
+            added++;
+        }
+
+        return added;
     },
 
     // ==================== IMPORT HISTORY ====================
@@ -422,6 +1677,293 @@ const TEEPStorage = {
         });
     },
 
+    // ==================== ENCRYPTION ====================
+
+    // Marine fields encrypted at rest. Rank, section, status and names stay
+    // in plaintext so the roster can still be filtered and sorted.
+    SENSITIVE_FIELDS: ['edipi', 'dob', 'phone', 'email', 'notes', 'reason'],
+
+    // Settings that belong to this database and are never exported or restored
+    LOCAL_SETTINGS: ['encryption', 'lockConfig', 'lockFailedAttempts', 'lockLockoutUntil', 'lastBackupDownloadedAt'],
+
+    /**
+     * Whether sensitive fields are being encrypted
+     */
+    isEncryptionEnabled() {
+        return !!this.encryptionConfig;
+    },
+
+    /**
+     * Whether encryption is on but the passphrase has not been entered yet
+     */
+    isLocked() {
+        return this.isEncryptionEnabled() && !TEEPCrypto.keys;
+    },
+
+    /**
+     * Unlock the database with its passphrase. Resolves false if it is wrong.
+     */
+    async unlock(passphrase) {
+        if (!this.encryptionConfig) return true;
+
+        const keys = await TEEPCrypto.unlockConfig(this.encryptionConfig, passphrase);
+        if (!keys) return false;
+
+        TEEPCrypto.keys = keys;
+        return true;
+    },
+
+    /**
+     * Turn on encryption, or change the passphrase if it is already on
+     */
+    async enableEncryption(passphrase) {
+        const { config, keys } = await TEEPCrypto.createConfig(passphrase);
+        await this.rewriteEncryptedData(config, keys);
+    },
+
+    /**
+     * Turn off encryption and store everything in plaintext again
+     */
+    async disableEncryption() {
+        await this.rewriteEncryptedData(null, null);
+    },
+
+    /**
+     * Re-write every record holding sensitive data under a new encryption
+     * config, in one transaction so a failure leaves the old data intact.
+     */
+    async rewriteEncryptedData(config, keys) {
+        if (this.isLocked()) {
+            throw new Error('Unlock the database first');
+        }
+
+        const marines = await this.getAllMarines();
+        const waivers = await this.getAllWaivers();
+        const trash = await this.getTrash();
+        const auditLog = await this.getAuditLog();
+        const snapshots = await this.getSnapshots();
+
+        const previous = { config: this.encryptionConfig, keys: TEEPCrypto.keys };
+        this.encryptionConfig = config;
+        TEEPCrypto.keys = keys;
+
+        try {
+            const changes = [
+                config ?
+                    { storeName: 'settings', key: 'encryption', record: { key: 'encryption', value: config } } :
+                    { storeName: 'settings', key: 'encryption', record: null }
+            ];
+
+            for (const marine of marines) {
+                changes.push({ storeName: 'marines', key: marine.id, record: await this.encodeMarine(marine) });
+            }
+            for (const waiver of waivers) {
+                changes.push({ storeName: 'waivers', key: waiver.id, record: await this.encodeWaiver(waiver) });
+            }
+            for (const entry of trash) {
+                changes.push({ storeName: 'trash', key: entry.id, record: await this.encodeTrashEntry(entry) });
+            }
+            for (const entry of auditLog) {
+                changes.push({ storeName: 'auditLog', key: entry.id, record: await this.encodeAuditEntry(entry) });
+            }
+            for (const snapshot of snapshots) {
+                changes.push({ storeName: 'snapshots', key: snapshot.id, record: await this.encodeSnapshot(snapshot) });
+            }
+
+            await this.applyChanges(changes);
+        } catch (error) {
+            this.encryptionConfig = previous.config;
+            TEEPCrypto.keys = previous.keys;
+            throw error;
+        }
+    },
+
+    /**
+     * Keys for writing sensitive data; refuses while locked
+     */
+    requireKeys() {
+        if (!TEEPCrypto.keys) {
+            throw new Error('The database is locked. Enter the passphrase to make changes.');
+        }
+        return TEEPCrypto.keys;
+    },
+
+    /**
+     * The value stored in the edipi index for an EDIPI
+     */
+    async edipiIndexKey(edipi) {
+        if (!this.isEncryptionEnabled() || !edipi) return edipi;
+        return TEEPCrypto.blindIndex(this.requireKeys().indexKey, edipi);
+    },
+
+    /**
+     * Marine record as stored: sensitive fields sealed, EDIPI replaced by its blind index
+     */
+    async encodeMarine(marine) {
+        if (!this.isEncryptionEnabled()) return marine;
+
+        const keys = this.requireKeys();
+        const record = { ...marine };
+        const sensitive = {};
+
+        this.SENSITIVE_FIELDS.forEach(field => {
+            if (field in record) {
+                sensitive[field] = record[field];
+                delete record[field];
+            }
+        });
+
+        if (sensitive.edipi) {
+            record.edipi = await TEEPCrypto.blindIndex(keys.indexKey, sensitive.edipi);
+        }
+        record.sealed = await TEEPCrypto.encryptJSON(keys.dataKey, sensitive);
+        return record;
+    },
+
+    /**
+     * Marine record as used by the app. Left sealed while locked.
+     */
+    async decodeMarine(record) {
+        if (!record || !record.sealed || !TEEPCrypto.keys) return record;
+
+        const { sealed, ...marine } = record;
+        const sensitive = await TEEPCrypto.decryptJSON(TEEPCrypto.keys.dataKey, sealed);
+        return { ...marine, ...sensitive };
+    },
+
+    /**
+     * Decode a raw record read with getRecord()
+     */
+    async decodeRecord(storeName, record) {
+        if (storeName === 'marines') return this.decodeMarine(record);
+        if (storeName === 'waivers') return this.decodeWaiver(record);
+        return record;
+    },
+
+    /**
+     * Waiver as stored: reason and notes sealed
+     */
+    async encodeWaiver(waiver) {
+        if (!this.isEncryptionEnabled()) return waiver;
+
+        const record = { ...waiver };
+        const sensitive = {};
+        this.SENSITIVE_FIELDS.forEach(field => {
+            if (field in record) {
+                sensitive[field] = record[field];
+                delete record[field];
+            }
+        });
+
+        record.sealed = await TEEPCrypto.encryptJSON(this.requireKeys().dataKey, sensitive);
+        return record;
+    },
+
+    /**
+     * Waiver as used by the app. Left sealed while locked.
+     */
+    async decodeWaiver(record) {
+        if (!record || !record.sealed || !TEEPCrypto.keys) return record;
+
+        const { sealed, ...waiver } = record;
+        return { ...waiver, ...await TEEPCrypto.decryptJSON(TEEPCrypto.keys.dataKey, sealed) };
+    },
+
+    /**
+     * Trash entry as stored
+     */
+    async encodeTrashEntry(entry) {
+        if (!this.isEncryptionEnabled()) return entry;
+
+        const { marineEdipi, ...stored } = entry;
+        if (stored.entity === 'marine') {
+            stored.record = await this.encodeMarine(stored.record);
+            if (stored.waivers) {
+                stored.waivers = await Promise.all(stored.waivers.map(waiver => this.encodeWaiver(waiver)));
+            }
+        }
+        if (marineEdipi) {
+            stored.sealed = await TEEPCrypto.encryptJSON(this.requireKeys().dataKey, { marineEdipi });
+        }
+        return stored;
+    },
+
+    /**
+     * Trash entry as used by the app
+     */
+    async decodeTrashEntry(entry) {
+        if (!entry || !TEEPCrypto.keys) return entry;
+
+        const { sealed, ...decoded } = entry;
+        if (decoded.entity === 'marine') {
+            decoded.record = await this.decodeMarine(decoded.record);
+            if (decoded.waivers) {
+                decoded.waivers = await Promise.all(decoded.waivers.map(waiver => this.decodeWaiver(waiver)));
+            }
+        }
+        if (sealed) {
+            Object.assign(decoded, await TEEPCrypto.decryptJSON(TEEPCrypto.keys.dataKey, sealed));
+        }
+        return decoded;
+    },
+
+    /**
+     * Snapshot as stored: the whole backup is sealed
+     */
+    async encodeSnapshot(snapshot) {
+        if (!this.isEncryptionEnabled()) return snapshot;
+
+        const { backup, ...stored } = snapshot;
+        stored.sealed = await TEEPCrypto.encryptJSON(this.requireKeys().dataKey, backup);
+        return stored;
+    },
+
+    /**
+     * Snapshot as used by the app
+     */
+    async decodeSnapshot(snapshot) {
+        if (!snapshot || !snapshot.sealed || !TEEPCrypto.keys) return snapshot;
+
+        const { sealed, ...decoded } = snapshot;
+        decoded.backup = await TEEPCrypto.decryptJSON(TEEPCrypto.keys.dataKey, sealed);
+        return decoded;
+    },
+
+    /**
+     * Audit entry as stored: changes to sensitive fields are sealed
+     */
+    async encodeAuditEntry(entry) {
+        if (!this.isEncryptionEnabled()) return entry;
+
+        const changes = { ...entry.changes };
+        const sensitive = {};
+        this.SENSITIVE_FIELDS.forEach(field => {
+            if (field in changes) {
+                sensitive[field] = changes[field];
+                delete changes[field];
+            }
+        });
+
+        if (Object.keys(sensitive).length === 0) return entry;
+
+        return {
+            ...entry,
+            changes,
+            sealedChanges: await TEEPCrypto.encryptJSON(this.requireKeys().dataKey, sensitive)
+        };
+    },
+
+    /**
+     * Audit entry as used by the app
+     */
+    async decodeAuditEntry(entry) {
+        if (!entry.sealedChanges || !TEEPCrypto.keys) return entry;
+
+        const { sealedChanges, ...decoded } = entry;
+        const sensitive = await TEEPCrypto.decryptJSON(TEEPCrypto.keys.dataKey, sealedChanges);
+        return { ...decoded, changes: { ...decoded.changes, ...sensitive } };
+    },
+
     // ==================== SETTINGS ====================
 
     /**
@@ -471,7 +2013,7 @@ const TEEPStorage = {
                     if (existing) {
                         if (options.updateExisting) {
                             marine.id = existing.id;
-                            await this.updateMarine(marine);
+                            await this.updateMarine(marine, { origin: this.AUDIT_ORIGINS.IMPORT });
                             results.updated++;
                         } else {
                             results.skipped++;
@@ -480,7 +2022,7 @@ const TEEPStorage = {
                     }
                 }
 
-                await this.addMarine(marine);
+                await this.addMarine(marine, { origin: this.AUDIT_ORIGINS.IMPORT });
                 results.added++;
             } catch (error) {
                 results.errors.push({
@@ -527,7 +2069,7 @@ const TEEPStorage = {
                     }
                 }
 
-                await this.addQualification(qual);
+                await this.addQualification(qual, { origin: this.AUDIT_ORIGINS.IMPORT });
                 results.added++;
             } catch (error) {
                 results.errors.push({
@@ -555,17 +2097,33 @@ const TEEPStorage = {
     async exportAllData() {
         const marines = await this.getAllMarines();
         const qualifications = await this.getAllQualifications();
+        // Stores added by later migrations may not exist yet when snapshotting before an upgrade
+        const waivers = this.db.objectStoreNames.contains('waivers') ? await this.getAllWaivers() : [];
         const qualificationTypes = await this.getQualificationTypes();
+        const requirementProfiles = this.db.objectStoreNames.contains('requirementProfiles') ? await this.getRequirementProfiles() : [];
+        const billets = this.db.objectStoreNames.contains('billets') ? await this.getBillets() : [];
+        const billetAssignments = this.db.objectStoreNames.contains('billetAssignments') ? await this.getAllBilletAssignments() : [];
+        const morningReports = this.db.objectStoreNames.contains('morningReports') ? await this.getMorningReports() : [];
+        const orgUnits = this.db.objectStoreNames.contains('orgUnits') ? await this.getOrgUnits() : [];
         const settings = await this.getAllSettings();
+        const auditLog = this.db.objectStoreNames.contains('auditLog') ? await this.getAuditLog() : [];
 
         return {
-            version: this.DB_VERSION,
+            version: this.db ? this.db.version : this.DB_VERSION,
             exportDate: new Date().toISOString(),
+            workspace: TEEPWorkspaces.getActive().name,
             data: {
                 marines,
                 qualifications,
+                waivers,
                 qualificationTypes,
-                settings
+                requirementProfiles,
+                billets,
+                billetAssignments,
+                morningReports,
+                orgUnits,
+                settings,
+                auditLog
             }
         };
     },
@@ -580,6 +2138,7 @@ const TEEPStorage = {
             request.onsuccess = () => {
                 const settings = {};
                 (request.result || []).forEach(s => {
+                    if (this.LOCAL_SETTINGS.includes(s.key)) return;
                     settings[s.key] = s.value;
                 });
                 resolve(settings);
@@ -599,8 +2158,15 @@ const TEEPStorage = {
         const results = {
             marines: { added: 0, errors: [] },
             qualifications: { added: 0, errors: [] },
-            qualificationTypes: { added: 0, errors: [] }
+            waivers: { added: 0, errors: [] },
+            qualificationTypes: { added: 0, errors: [] },
+            requirementProfiles: { added: 0, errors: [] },
+            billets: { added: 0, errors: [] },
+            billetAssignments: { added: 0, errors: [] },
+            orgUnits: { added: 0, errors: [] },
+            auditLog: { added: 0, errors: [] }
         };
+        const restoreOptions = { origin: this.AUDIT_ORIGINS.RESTORE };
 
         // Import qualification types first
         if (backup.data.qualificationTypes) {
@@ -614,17 +2180,52 @@ const TEEPStorage = {
             }
         }
 
+        if (backup.data.requirementProfiles) {
+            for (const profile of backup.data.requirementProfiles) {
+                try {
+                    await this.saveRequirementProfile(profile);
+                    results.requirementProfiles.added++;
+                } catch (error) {
+                    results.requirementProfiles.errors.push(error.message);
+                }
+            }
+        }
+
+        // The billet catalog keeps its IDs so assignments still point at the right billet
+        if (backup.data.billets) {
+            for (const billet of backup.data.billets) {
+                try {
+                    await this.saveBillet(billet);
+                    results.billets.added++;
+                } catch (error) {
+                    results.billets.errors.push(error.message);
+                }
+            }
+        }
+
+        // Units keep their IDs too, so each Marine's unit survives the import
+        if (backup.data.orgUnits) {
+            for (const unit of backup.data.orgUnits) {
+                try {
+                    await this.saveOrgUnit(unit);
+                    results.orgUnits.added++;
+                } catch (error) {
+                    results.orgUnits.errors.push(error.message);
+                }
+            }
+        }
+
+        // Create ID mapping for qualifications and audit entries
+        const idMap = new Map();
+
         // Import Marines
         if (backup.data.marines) {
-            // Create ID mapping for qualifications
-            const idMap = new Map();
-
             for (const marine of backup.data.marines) {
                 const oldId = marine.id;
                 delete marine.id; // Let IndexedDB assign new ID
 
                 try {
-                    const newId = await this.addMarine(marine);
+                    const newId = await this.addMarine(marine, restoreOptions);
                     idMap.set(oldId, newId);
                     results.marines.added++;
                 } catch (error) {
@@ -641,7 +2242,7 @@ const TEEPStorage = {
                         delete qual.id;
 
                         try {
-                            await this.addQualification(qual);
+                            await this.addQualification(qual, restoreOptions);
                             results.qualifications.added++;
                         } catch (error) {
                             results.qualifications.errors.push(error.message);
@@ -649,11 +2250,71 @@ const TEEPStorage = {
                     }
                 }
             }
+
+            // Import waivers with updated Marine IDs
+            if (backup.data.waivers) {
+                for (const waiver of backup.data.waivers) {
+                    const newMarineId = idMap.get(waiver.marineId);
+                    if (newMarineId) {
+                        const { id, ...record } = waiver;
+
+                        try {
+                            await this.addWaiver({ ...record, marineId: newMarineId }, restoreOptions);
+                            results.waivers.added++;
+                        } catch (error) {
+                            results.waivers.errors.push(error.message);
+                        }
+                    }
+                }
+            }
+
+            // Import billet assignments with updated Marine IDs
+            if (backup.data.billetAssignments) {
+                for (const assignment of backup.data.billetAssignments) {
+                    const newMarineId = idMap.get(assignment.marineId);
+                    if (newMarineId) {
+                        const { id, ...record } = assignment;
+
+                        try {
+                            await this.addBilletAssignment({ ...record, marineId: newMarineId }, restoreOptions);
+                            results.billetAssignments.added++;
+                        } catch (error) {
+                            results.billetAssignments.errors.push(error.message);
+                        }
+                    }
+                }
+            }
+        }
+
+        // Unit leaders point at the Marines' new IDs
+        for (const unit of backup.data.orgUnits || []) {
+            if (!unit.leaderId && !unit.assistantId) continue;
+            try {
+                await this.saveOrgUnit({
+                    ...unit,
+                    leaderId: idMap.get(unit.leaderId) || null,
+                    assistantId: idMap.get(unit.assistantId) || null
+                });
+            } catch (error) {
+                results.orgUnits.errors.push(error.message);
+            }
+        }
+
+        // Carry over the previous owner's audit trail
+        if (backup.data.auditLog) {
+            try {
+                const entries = backup.data.auditLog.map(entry => idMap.has(entry.marineId) ?
+                    { ...entry, marineId: idMap.get(entry.marineId) } : entry);
+                results.auditLog.added = await this.importAuditLog(entries);
+            } catch (error) {
+                results.auditLog.errors.push(error.message);
+            }
         }
 
         // Import settings
         if (backup.data.settings) {
             for (const [key, value] of Object.entries(backup.data.settings)) {
+                if (this.LOCAL_SETTINGS.includes(key)) continue;
                 await this.setSetting(key, value);
             }
         }
@@ -665,9 +2326,15 @@ const TEEPStorage = {
      * Clear all data (with confirmation)
      */
     async clearAllData() {
-        const stores = ['marines', 'qualifications', 'qualificationTypes', 'importHistory'];
+        await this.clearStores(['marines', 'qualifications', 'waivers', 'qualificationTypes', 'requirementProfiles', 'billets', 'billetAssignments', 'orgUnits', 'importHistory', 'trash']);
+        console.log('All data cleared');
+    },
 
-        for (const storeName of stores) {
+    /**
+     * Empty the given stores
+     */
+    async clearStores(storeNames) {
+        for (const storeName of storeNames) {
             const store = await this.transaction(storeName, 'readwrite');
             await new Promise((resolve, reject) => {
                 const request = store.clear();
@@ -675,8 +2342,6 @@ const TEEPStorage = {
                 request.onerror = () => reject(request.error);
             });
         }
-
-        console.log('All data cleared');
     },
 
     /**
@@ -0,0 +1,146 @@
+/**
+ * TEEP Tracker - Trash Module
+ * Lists deleted Marines and qualifications with restore and permanent purge
+ */
+
+const TEEPTrash = {
+    DEFAULT_RETENTION_DAYS: 30,
+
+    /**
+     * Initialize the trash module and purge anything past retention
+     */
+    async init() {
+        this.bindEvents();
+        await TEEPStorage.purgeExpiredTrash(await this.getRetentionDays());
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const emptyBtn = document.getElementById('emptyTrashBtn');
+        if (emptyBtn) {
+            emptyBtn.addEventListener('click', () => this.emptyTrash());
+        }
+    },
+
+    /**
+     * Get the configured retention period in days
+     */
+    async getRetentionDays() {
+        return TEEPStorage.getSetting('trashRetentionDays', this.DEFAULT_RETENTION_DAYS);
+    },
+
+    /**
+     * Refresh the trash view
+     */
+    async refresh() {
+        const entries = await TEEPStorage.getTrash();
+        const retentionDays = await this.getRetentionDays();
+        this.renderTrashTable(entries, retentionDays);
+    },
+
+    /**
+     * Render the trash table
+     */
+    renderTrashTable(entries, retentionDays) {
+        const tbody = document.querySelector('#trashTable tbody');
+        if (!tbody) return;
+
+        const count = document.getElementById('trashCount');
+        if (count) count.textContent = entries.length;
+
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">Trash is empty</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = entries.map(entry => {
+            let purgeDate = 'Never';
+            if (retentionDays > 0) {
+                const date = new Date(entry.deletedAt);
+                date.setDate(date.getDate() + retentionDays);
+                purgeDate = TEEPQualifications.formatDate(date);
+            }
+
+            return `<tr>
+                <td>${entry.entity === 'marine' ? 'Marine' : 'Qualification'}</td>
+                <td>${TEEPRoster.escapeHtml(this.describeEntry(entry))}</td>
+                <td>${TEEPQualifications.formatDate(entry.deletedAt)}</td>
+                <td>${TEEPRoster.escapeHtml(entry.deletedBy || '')}</td>
+                <td>${purgeDate}</td>
+                <td class="actions">
+                    <button class="btn btn--sm btn--primary" onclick="TEEPTrash.restore(${entry.id})">Restore</button>
+                    <button class="btn btn--sm btn--danger" onclick="TEEPTrash.purge(${entry.id})">Delete Forever</button>
+                </td>
+            </tr>`;
+        }).join('');
+    },
+
+    /**
+     * One-line description of a trash entry
+     */
+    describeEntry(entry) {
+        const record = entry.record;
+
+        if (entry.entity === 'marine') {
+            const quals = (entry.qualifications || []).length;
+            return `${record.rank || ''} ${record.lastName || ''}, ${record.firstName || ''} (${quals} qualification${quals === 1 ? '' : 's'})`;
+        }
+
+        const label = TEEPReports.getQualLabel(record.type);
+        return `${label} - completed ${TEEPQualifications.formatDate(record.completionDate)}` +
+            (entry.marineEdipi ? ` (EDIPI ${entry.marineEdipi})` : '');
+    },
+
+    /**
+     * Restore a trash entry
+     */
+    async restore(id) {
+        try {
+            await TEEPHistory.run('Restore from trash', () => TEEPStorage.restoreFromTrash(id));
+            await this.refresh();
+
+            await TEEPRoster.refreshRoster();
+            await TEEPRoster.loadFilterOptions();
+            if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
+                TEEPApp.updateDashboard();
+            }
+        } catch (error) {
+            alert('Error restoring: ' + error.message);
+        }
+    },
+
+    /**
+     * Permanently delete a trash entry
+     */
+    async purge(id) {
+        if (!confirm('Permanently delete this record? This cannot be undone.')) {
+            return;
+        }
+
+        try {
+            await TEEPStorage.purgeTrashEntry(id);
+            await this.refresh();
+        } catch (error) {
+            alert('Error deleting: ' + error.message);
+        }
+    },
+
+    /**
+     * Permanently delete everything in the trash
+     */
+    async emptyTrash() {
+        const entries = await TEEPStorage.getTrash();
+        if (entries.length === 0) return;
+
+        if (!confirm(`Permanently delete all ${entries.length} records in the trash? This cannot be undone.`)) {
+            return;
+        }
+
+        for (const entry of entries) {
+            await TEEPStorage.purgeTrashEntry(entry.id);
+        }
+        await this.refresh();
+    }
+};
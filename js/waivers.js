@@ -0,0 +1,237 @@
+/**
+ * TEEP Tracker - Waivers Module
+ * Per-Marine waivers, exemptions and not-applicable rulings for qualifications
+ */
+
+const TEEPWaivers = {
+    KIND_LABELS: {
+        waived: 'Waiver',
+        exempt: 'Exemption',
+        na: 'Not Applicable'
+    },
+
+    /**
+     * Initialize the waivers module and close out waivers whose end date has passed
+     */
+    async init() {
+        this.bindEvents();
+        await this.expireWaivers();
+    },
+
+    /**
+     * Bind event listeners
+     */
+    bindEvents() {
+        const saveBtn = document.getElementById('saveWaiverBtn');
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.handleSave());
+        }
+
+        ['cancelWaiverModal', 'closeWaiverModal'].forEach(id => {
+            document.getElementById(id)?.addEventListener('click', () => TEEPApp.closeModal('waiverModal'));
+        });
+    },
+
+    /**
+     * Mark waivers past their end date as expired, with an audit entry for each
+     */
+    async expireWaivers() {
+        const waivers = await TEEPStorage.getAllWaivers();
+        const ended = waivers.filter(w => !w.expiredAt && w.endDate && !TEEPQualifications.isWaiverActive(w));
+
+        for (const waiver of ended) {
+            await TEEPStorage.updateWaiver({ ...waiver, expiredAt: new Date().toISOString() }, {
+                origin: TEEPStorage.AUDIT_ORIGINS.AUTOMATIC,
+                note: 'Waiver end date passed'
+            });
+        }
+
+        return ended.length;
+    },
+
+    /**
+     * Render the waivers section of the Marine detail view
+     */
+    renderMarineWaivers(marine, waivers) {
+        const sorted = [...waivers].sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+
+        return `
+            <div class="qualifications-section">
+                <div class="section-header">
+                    <h4>Waivers &amp; Exemptions</h4>
+                    <button class="btn btn--sm btn--outline" onclick="TEEPWaivers.showWaiverModal(${marine.id})">
+                        Add Waiver
+                    </button>
+                </div>
+
+                ${sorted.length === 0 ? `
+                    <p class="no-quals">No waivers or exemptions</p>
+                ` : `
+                    <table class="quals-table">
+                        <thead>
+                            <tr>
+                                <th>Qualification</th>
+                                <th>Type</th>
+                                <th>Reason</th>
+                                <th>Authority</th>
+                                <th>Effective</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${sorted.map(waiver => {
+                                const active = TEEPQualifications.isWaiverActive(waiver);
+                                return `
+                                    <tr class="${active ? '' : 'qual-record--inactive'}">
+                                        <td>${TEEPRoster.escapeHtml(TEEPReports.getQualLabel(waiver.type))}</td>
+                                        <td>${this.KIND_LABELS[waiver.kind] || waiver.kind}</td>
+                                        <td title="${TEEPRoster.escapeHtml(waiver.notes || '')}">${TEEPRoster.escapeHtml(waiver.reason || '')}</td>
+                                        <td>${TEEPRoster.escapeHtml(waiver.authority || '')}</td>
+                                        <td>${TEEPQualifications.formatDate(waiver.startDate)} - ${waiver.endDate ? TEEPQualifications.formatDate(waiver.endDate) : 'Open-ended'}</td>
+                                        <td>${active ? '<span class="badge badge--info">Active</span>' : `<span class="badge badge--secondary">${waiver.startDate && new Date(waiver.startDate) > new Date() ? 'Pending' : 'Ended'}</span>`}</td>
+                                        <td class="actions">
+                                            <button class="btn btn--sm btn--outline" onclick="TEEPWaivers.showWaiverModal(${marine.id}, ${waiver.id})">Edit</button>
+                                            ${active ? `<button class="btn btn--sm btn--outline" onclick="TEEPWaivers.endWaiver(${waiver.id}, ${marine.id})">End Today</button>` : ''}
+                                            <button class="btn btn--sm btn--danger" onclick="TEEPWaivers.deleteWaiver(${waiver.id}, ${marine.id})">Delete</button>
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                `}
+            </div>
+        `;
+    },
+
+    /**
+     * Open the waiver form for a new waiver, or to edit one
+     */
+    async showWaiverModal(marineId, waiverId = null) {
+        const waiver = waiverId ? await TEEPStorage.getWaiver(waiverId) : null;
+
+        const select = document.getElementById('waiverType');
+        if (select) {
+            select.innerHTML = TEEPQualifications.getCategories().map(category => `
+                <optgroup label="${TEEPRoster.escapeHtml(category.name)}">
+                    ${TEEPQualifications.getTypesByCategory(category.id).map(type =>
+                        `<option value="${type.id}">${TEEPRoster.escapeHtml(type.name)}</option>`
+                    ).join('')}
+                </optgroup>
+            `).join('');
+        }
+
+        document.getElementById('waiverModalTitle').textContent = waiver ? 'Edit Waiver' : 'Add Waiver';
+        document.getElementById('waiverMarineId').value = marineId;
+        document.getElementById('waiverId').value = waiver ? waiver.id : '';
+        document.getElementById('waiverType').value = waiver ? waiver.type : select?.options[0]?.value || '';
+        document.getElementById('waiverKind').value = waiver ? waiver.kind : TEEPQualifications.WAIVER_KINDS.WAIVED;
+        document.getElementById('waiverReason').value = waiver ? waiver.reason || '' : '';
+        document.getElementById('waiverAuthority').value = waiver ? waiver.authority || '' : '';
+        document.getElementById('waiverStart').value = waiver ? waiver.startDate || '' : new Date().toISOString().split('T')[0];
+        document.getElementById('waiverEnd').value = waiver ? waiver.endDate || '' : '';
+        document.getElementById('waiverNotes').value = waiver ? waiver.notes || '' : '';
+
+        TEEPApp.openModal('waiverModal');
+    },
+
+    /**
+     * Save the waiver form
+     */
+    async handleSave() {
+        const marineId = parseInt(document.getElementById('waiverMarineId').value);
+        const waiverId = parseInt(document.getElementById('waiverId').value) || null;
+
+        const waiver = {
+            marineId,
+            type: document.getElementById('waiverType').value,
+            kind: document.getElementById('waiverKind').value,
+            reason: document.getElementById('waiverReason').value.trim(),
+            authority: document.getElementById('waiverAuthority').value.trim(),
+            startDate: document.getElementById('waiverStart').value,
+            endDate: document.getElementById('waiverEnd').value || null,
+            notes: document.getElementById('waiverNotes').value.trim()
+        };
+
+        if (!waiver.type || !waiver.reason || !waiver.startDate) {
+            alert('Qualification, reason and start date are required');
+            return;
+        }
+
+        if (waiver.endDate && waiver.endDate < waiver.startDate) {
+            alert('End date cannot be before the start date');
+            return;
+        }
+
+        const marine = await TEEPStorage.getMarine(marineId);
+        if (!marine) {
+            alert('Marine not found');
+            return;
+        }
+
+        try {
+            const label = `${waiverId ? 'Edit' : 'Add'} ${TEEPReports.getQualLabel(waiver.type)} waiver for ${marine.rank} ${marine.lastName}`;
+            if (waiverId) {
+                const existing = await TEEPStorage.getWaiver(waiverId);
+                // A new end date reopens a waiver that had expired
+                await TEEPHistory.run(label, () => TEEPStorage.updateWaiver(
+                    { ...existing, ...waiver, id: waiverId, expiredAt: null },
+                    { marine }
+                ));
+            } else {
+                await TEEPHistory.run(label, () => TEEPStorage.addWaiver(waiver, { marine }));
+            }
+
+            TEEPApp.closeModal('waiverModal');
+            await this.refreshAfterChange(marineId);
+        } catch (error) {
+            alert('Error saving waiver: ' + error.message);
+        }
+    },
+
+    /**
+     * End an active waiver today
+     */
+    async endWaiver(id, marineId) {
+        const waiver = await TEEPStorage.getWaiver(id);
+        if (!waiver) return;
+
+        try {
+            const today = new Date().toISOString().split('T')[0];
+            await TEEPHistory.run(`End ${TEEPReports.getQualLabel(waiver.type)} waiver`, () =>
+                TEEPStorage.updateWaiver({ ...waiver, endDate: today })
+            );
+            await this.refreshAfterChange(marineId);
+        } catch (error) {
+            alert('Error ending waiver: ' + error.message);
+        }
+    },
+
+    /**
+     * Delete a waiver entered in error
+     */
+    async deleteWaiver(id, marineId) {
+        if (!confirm('Delete this waiver? Use "End Today" instead if it was valid but no longer applies.')) {
+            return;
+        }
+
+        try {
+            await TEEPHistory.run('Delete waiver', () => TEEPStorage.deleteWaiver(id));
+            await this.refreshAfterChange(marineId);
+        } catch (error) {
+            alert('Error deleting waiver: ' + error.message);
+        }
+    },
+
+    /**
+     * Refresh the Marine detail view and dashboard after a change
+     */
+    async refreshAfterChange(marineId) {
+        await TEEPRoster.viewMarine(marineId);
+
+        if (typeof TEEPApp !== 'undefined' && TEEPApp.updateDashboard) {
+            TEEPApp.updateDashboard();
+        }
+    }
+};
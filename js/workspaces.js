@@ -0,0 +1,361 @@
+/**
+ * TEEP Tracker - Workspaces Module
+ * Multiple units in one browser profile, each in its own IndexedDB database
+ */
+
+const TEEPWorkspaces = {
+    REGISTRY_KEY: 'teep-tracker-workspaces',
+    DB_PREFIX: 'teep-tracker',
+
+    // The original single database becomes the default unit
+    DEFAULT_ID: 'default',
+    DEFAULT_NAME: 'My Unit',
+
+    /**
+     * Load the unit registry from localStorage
+     */
+    getRegistry() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.REGISTRY_KEY));
+            if (stored && Array.isArray(stored.workspaces) && stored.workspaces.length > 0) {
+                return stored;
+            }
+        } catch (error) {
+            console.warn('Unit registry unreadable, starting over');
+        }
+
+        return {
+            activeId: this.DEFAULT_ID,
+            workspaces: [{ id: this.DEFAULT_ID, name: this.DEFAULT_NAME, createdAt: new Date().toISOString() }]
+        };
+    },
+
+    /**
+     * Save the unit registry
+     */
+    saveRegistry(registry) {
+        localStorage.setItem(this.REGISTRY_KEY, JSON.stringify(registry));
+    },
+
+    /**
+     * Get all units, sorted by name
+     */
+    getWorkspaces() {
+        return [...this.getRegistry().workspaces].sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Get a unit by ID
+     */
+    getWorkspace(id) {
+        return this.getRegistry().workspaces.find(w => w.id === id) || null;
+    },
+
+    /**
+     * Get the unit currently open
+     */
+    getActive() {
+        const registry = this.getRegistry();
+        return registry.workspaces.find(w => w.id === registry.activeId) || registry.workspaces[0];
+    },
+
+    /**
+     * IndexedDB database name for a unit
+     */
+    getDatabaseName(id = this.getActive().id) {
+        return id === this.DEFAULT_ID ? this.DB_PREFIX : `${this.DB_PREFIX}-${id}`;
+    },
+
+    /**
+     * Create a new, empty unit. Returns its ID.
+     */
+    create(name) {
+        const workspace = this.prepare(name);
+        this.register(workspace);
+        return workspace.id;
+    },
+
+    /**
+     * Check a new unit's name and pick its ID. Nothing is saved until it is registered.
+     */
+    prepare(name) {
+        name = (name || '').trim();
+        if (!name) {
+            throw new Error('Unit name is required');
+        }
+
+        const registry = this.getRegistry();
+        if (registry.workspaces.some(w => w.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`A unit named "${name}" already exists`);
+        }
+
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'unit';
+        const id = `${slug}-${Date.now().toString(36)}`;
+
+        return { id, name, createdAt: new Date().toISOString() };
+    },
+
+    /**
+     * Add a prepared unit to the registry
+     */
+    register(workspace) {
+        const registry = this.getRegistry();
+        registry.workspaces.push(workspace);
+        this.saveRegistry(registry);
+    },
+
+    /**
+     * Rename a unit
+     */
+    rename(id, name) {
+        name = (name || '').trim();
+        if (!name) {
+            throw new Error('Unit name is required');
+        }
+
+        const registry = this.getRegistry();
+        const workspace = registry.workspaces.find(w => w.id === id);
+        if (!workspace) {
+            throw new Error('Unit not found');
+        }
+        if (registry.workspaces.some(w => w.id !== id && w.name.toLowerCase() === name.toLowerCase())) {
+            throw new Error(`A unit named "${name}" already exists`);
+        }
+
+        workspace.name = name;
+        this.saveRegistry(registry);
+    },
+
+    /**
+     * Delete a unit and its database. The open unit cannot be deleted.
+     */
+    async remove(id) {
+        const registry = this.getRegistry();
+        if (id === registry.activeId) {
+            throw new Error('Switch to another unit before deleting this one');
+        }
+
+        await this.deleteDatabase(id);
+
+        registry.workspaces = registry.workspaces.filter(w => w.id !== id);
+        this.saveRegistry(registry);
+    },
+
+    /**
+     * Delete a unit's database and its migration snapshot
+     */
+    async deleteDatabase(id) {
+        const dbName = this.getDatabaseName(id);
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(dbName);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Close other TEEP Tracker tabs using this unit and try again'));
+        });
+        localStorage.removeItem(`${dbName}-migration-snapshot`);
+    },
+
+    /**
+     * Open a different unit. Reloads the app so every module starts clean.
+     */
+    switchTo(id) {
+        const registry = this.getRegistry();
+        if (!registry.workspaces.some(w => w.id === id)) {
+            throw new Error('Unit not found');
+        }
+
+        registry.activeId = id;
+        this.saveRegistry(registry);
+        location.reload();
+    },
+
+    // ==================== UI ====================
+
+    /**
+     * Initialize the header unit switcher
+     */
+    init() {
+        const select = document.getElementById('workspaceSelect');
+        if (select) {
+            select.addEventListener('change', () => {
+                if (select.value === '__manage') {
+                    select.value = this.getActive().id;
+                    TEEPApp.showView('settings');
+                    return;
+                }
+                this.switchTo(select.value);
+            });
+        }
+
+        const createBtn = document.getElementById('createWorkspaceBtn');
+        if (createBtn) {
+            createBtn.addEventListener('click', () => this.handleCreate());
+        }
+
+        const importBtn = document.getElementById('importWorkspaceBtn');
+        if (importBtn) {
+            importBtn.addEventListener('click', () => this.handleImport());
+        }
+
+        this.renderSwitcher();
+    },
+
+    /**
+     * Render the header unit switcher
+     */
+    renderSwitcher() {
+        const select = document.getElementById('workspaceSelect');
+        if (!select) return;
+
+        const active = this.getActive();
+        select.innerHTML = this.getWorkspaces()
+            .map(w => `<option value="${w.id}">${TEEPRoster.escapeHtml(w.name)}</option>`)
+            .join('') + '<option value="__manage">Manage units...</option>';
+        select.value = active.id;
+    },
+
+    /**
+     * Render the units table in settings
+     */
+    renderList() {
+        const tbody = document.querySelector('#workspaceTable tbody');
+        if (!tbody) return;
+
+        const active = this.getActive();
+        tbody.innerHTML = this.getWorkspaces().map(w => `
+            <tr>
+                <td>${TEEPRoster.escapeHtml(w.name)}${w.id === active.id ? ' <span class="badge badge--success">Open</span>' : ''}</td>
+                <td>${TEEPQualifications.formatDate(w.createdAt)}</td>
+                <td class="actions">
+                    ${w.id === active.id ? '' : `<button class="btn btn--sm btn--primary" onclick="TEEPWorkspaces.switchTo('${w.id}')">Open</button>`}
+                    <button class="btn btn--sm btn--outline" onclick="TEEPWorkspaces.handleRename('${w.id}')">Rename</button>
+                    ${w.id === active.id ? '' : `<button class="btn btn--sm btn--danger" onclick="TEEPWorkspaces.handleDelete('${w.id}')">Delete</button>`}
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    /**
+     * Create a unit from the settings form and open it
+     */
+    handleCreate() {
+        const input = document.getElementById('newWorkspaceName');
+
+        try {
+            const id = this.create(input ? input.value : '');
+            if (confirm('Unit created. Open it now?')) {
+                this.switchTo(id);
+                return;
+            }
+            if (input) input.value = '';
+            this.renderSwitcher();
+            this.renderList();
+        } catch (error) {
+            alert('Error creating unit: ' + error.message);
+        }
+    },
+
+    /**
+     * Rename a unit
+     */
+    handleRename(id) {
+        const workspace = this.getWorkspace(id);
+        if (!workspace) return;
+
+        const name = prompt('New name for this unit:', workspace.name);
+        if (name === null) return;
+
+        try {
+            this.rename(id, name);
+            this.renderSwitcher();
+            this.renderList();
+        } catch (error) {
+            alert('Error renaming unit: ' + error.message);
+        }
+    },
+
+    /**
+     * Delete a unit after confirmation
+     */
+    async handleDelete(id) {
+        const workspace = this.getWorkspace(id);
+        if (!workspace) return;
+
+        if (!confirm(`Permanently delete "${workspace.name}" and all of its Marines, qualifications, and settings? Export a backup first if you may need it. This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await this.remove(id);
+            this.renderSwitcher();
+            this.renderList();
+        } catch (error) {
+            alert('Error deleting unit: ' + error.message);
+        }
+    },
+
+    /**
+     * Import a JSON backup into a new unit, then open it
+     */
+    handleImport() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json';
+
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            let backup;
+            try {
+                backup = await TEEPReports.readBackupFile(file);
+            } catch (error) {
+                alert('Import failed: ' + error.message);
+                return;
+            }
+
+            const validation = await TEEPBackup.validateBackup(backup);
+            if (validation.errors.length > 0) {
+                alert(`This backup cannot be restored:\n\n${validation.errors.slice(0, 10).join('\n')}` +
+                    (validation.errors.length > 10 ? `\n...and ${validation.errors.length - 10} more` : ''));
+                return;
+            }
+
+            const data = backup.data;
+            const summary = `The new unit will contain:\n\nMarines: ${(data.marines || []).length}\n` +
+                `Qualifications: ${(data.qualifications || []).length}\n` +
+                `Qualification Types: ${(data.qualificationTypes || []).length}` +
+                (validation.warnings.length ? `\n\nWarnings:\n${validation.warnings.slice(0, 10).join('\n')}` : '');
+            if (!confirm(summary + '\n\nContinue?')) return;
+
+            const name = prompt('Name for the new unit:', backup.workspace || file.name.replace(/\.json$/i, ''));
+            if (name === null) return;
+
+            // The unit is only registered once its data is in
+            let workspace;
+            try {
+                workspace = this.prepare(name);
+                TEEPStorage.useDatabase(this.getDatabaseName(workspace.id));
+                await TEEPStorage.init();
+                // The new database was seeded with the default billets; the backup brings its own catalog
+                if (backup.data.billets) {
+                    await TEEPStorage.clearStores(['billets']);
+                }
+                const results = await TEEPStorage.importFromBackup(backup);
+                this.register(workspace);
+                alert(`Unit "${workspace.name}" created.\n\nMarines: ${results.marines.added}\nQualifications: ${results.qualifications.added}\nQualification Types: ${results.qualificationTypes.added}`);
+                this.switchTo(workspace.id);
+            } catch (error) {
+                alert('Import failed: ' + error.message);
+                // Drop the partly filled database, then put the app back on the unit that was open
+                if (workspace) {
+                    TEEPStorage.useDatabase(this.getDatabaseName());
+                    await this.deleteDatabase(workspace.id).catch(console.error);
+                }
+                location.reload();
+            }
+        };
+
+        input.click();
+    }
+};
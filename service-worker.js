@@ -3,17 +3,34 @@
  * Provides offline support and caching
  */
 
-const CACHE_NAME = 'teep-tracker-v1';
+const CACHE_NAME = 'teep-tracker-v2';
 
 const ASSETS_TO_CACHE = [
     './',
     './index.html',
     './css/styles.css',
+    './js/crypto.js',
+    './js/workspaces.js',
     './js/storage.js',
     './js/qualifications.js',
     './js/import.js',
     './js/roster.js',
     './js/reports.js',
+    './js/history.js',
+    './js/qualtypes.js',
+    './js/recalc.js',
+    './js/waivers.js',
+    './js/requirements.js',
+    './js/billets.js',
+    './js/org.js',
+    './js/scoring.js',
+    './js/bodycomp.js',
+    './js/status.js',
+    './js/morning.js',
+    './js/audit.js',
+    './js/trash.js',
+    './js/backup.js',
+    './js/lock.js',
     './js/app.js',
     './manifest.json'
 ];
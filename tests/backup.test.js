@@ -0,0 +1,112 @@
+/**
+ * TEEP Tracker - Backup validation checks
+ * Data exported by TEEPStorage.exportAllData() must pass TEEPBackup.validateBackup(),
+ * both as the snapshot object and after a trip through a JSON file.
+ * Run with: node tests/backup.test.js
+ */
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The database never opens here; the stores below stand in for it
+const context = vm.createContext({
+    console,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    setTimeout,
+    indexedDB: { open: () => ({}) },
+    TEEPWorkspaces: { getDatabaseName: () => 'TEEPTracker', getActive: () => ({ id: 'default', name: 'Test Unit' }) },
+    TEEPRoster: { formatStatus: status => status }
+});
+['crypto', 'qualifications', 'status', 'scoring', 'org', 'storage', 'backup'].forEach(name => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', `${name}.js`), 'utf8'), context, { filename: `${name}.js` });
+});
+const { TEEPStorage, TEEPBackup } = vm.runInContext('({ TEEPStorage, TEEPBackup })', context);
+
+const stores = {
+    marines: [{
+        id: 1, lastName: 'Smith', firstName: 'John', rank: 'Cpl', edipi: '1234567890', gender: 'male',
+        dob: '2000-04-12', eas: '2028-06-30', orgUnitId: 1,
+        statusHistory: [{ status: 'deployment', startDate: '2026-01-05', plannedEndDate: '2026-07-05', endDate: null }]
+    }],
+    qualifications: [
+        // Calculated dates as roster.js and import.js store them
+        { id: 1, marineId: 1, type: 'pft', completionDate: '2026-03-10', expirationDate: new Date(2027, 0, 15), dueDate: new Date(2027, 0, 15), extensionDays: 0 },
+        { id: 2, marineId: 1, type: 'swim', completionDate: '2025-08-01', expirationDate: null, dueDate: null }
+    ],
+    waivers: [{ id: 1, marineId: 1, type: 'cft', kind: 'waived', startDate: '2026-02-01', endDate: '2026-08-01' }],
+    qualificationTypes: [{ id: 'swim', name: 'Swim Qual', cycleType: 'rolling' }],
+    requirementProfiles: [{ id: 1, name: 'Infantry', qualTypes: ['pft', 'cft'] }],
+    billets: [{ id: 1, name: 'Squad Leader' }],
+    billetAssignments: [{ id: 1, marineId: 1, billetId: 1, startDate: '2026-01-01', endDate: null }],
+    morningReports: [{ date: '2026-10-01', takenAt: '2026-10-01T11:00:00.000Z', entries: [] }],
+    orgUnits: [{ id: 1, name: '1st Platoon', kind: 'platoon', parentId: null, leaderId: 1 }],
+    settings: [{ key: 'operatorName', value: 'SSgt Jones' }],
+    auditLog: [{ id: 1, timestamp: '2026-10-01T22:30:00.000Z', entity: 'marine', action: 'create', marineId: 1 }]
+};
+
+TEEPStorage.db = { version: TEEPStorage.DB_VERSION, objectStoreNames: { contains: () => true } };
+TEEPStorage.transaction = async storeName => ({
+    getAll() {
+        const request = {};
+        setTimeout(() => {
+            request.result = stores[storeName].map(record => ({ ...record }));
+            request.onsuccess();
+        });
+        return request;
+    }
+});
+
+/**
+ * Export the stores and stamp the result as a downloaded backup would be
+ */
+async function exportBackup() {
+    return TEEPBackup.addIntegrity(await TEEPStorage.exportAllData());
+}
+
+const checks = [
+    ['a snapshot of exportAllData() validates with Date fields intact', async () => {
+        const backup = await exportBackup();
+        assert.equal(Object.prototype.toString.call(backup.data.qualifications[0].expirationDate), '[object Date]');
+
+        const validation = await TEEPBackup.validateBackup(backup);
+        assert.deepEqual([...validation.errors], []);
+    }],
+
+    ['an exported JSON file validates after being read back', async () => {
+        const backup = JSON.parse(JSON.stringify(await exportBackup()));
+        assert.match(backup.data.qualifications[0].expirationDate, /T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+
+        const validation = await TEEPBackup.validateBackup(backup);
+        assert.deepEqual([...validation.errors], []);
+    }],
+
+    ['invalid calculated dates are still rejected', async () => {
+        const backup = JSON.parse(JSON.stringify(await exportBackup()));
+        backup.data.qualifications[0].expirationDate = 'next year';
+        backup.data.qualifications[0].dueDate = '2027-02-30';
+        delete backup.checksum;
+
+        const validation = await TEEPBackup.validateBackup(backup);
+        assert.equal(validation.errors.length, 2);
+    }]
+];
+
+(async () => {
+    let failed = 0;
+    for (const [name, check] of checks) {
+        try {
+            await check();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`not ok - ${name}\n  ${error.message.split('\n').join('\n  ')}`);
+        }
+    }
+
+    console.log(`${checks.length - failed} of ${checks.length} passed`);
+    process.exitCode = failed > 0 ? 1 : 0;
+})();
@@ -0,0 +1,105 @@
+/**
+ * TEEP Tracker - Period model checks
+ * Due and expiration dates for calendar_window and fiscal_year types.
+ * Run with: node tests/periods.test.js
+ */
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', 'js', 'qualifications.js'), 'utf8');
+const TEEPQualifications = vm.runInNewContext(`${source}\nTEEPQualifications;`, {});
+
+/**
+ * YYYY-MM-DD of a local date
+ */
+function day(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Due and expiration dates for a completion as YYYY-MM-DD
+ */
+function dates(qualType, completionDate) {
+    const result = TEEPQualifications.calculateDates(qualType, completionDate);
+    return { due: day(result.dueDate), expires: day(result.expirationDate) };
+}
+
+const checks = [
+    ['annual calendar window ending Jun 30', () => {
+        const type = { cycleType: 'calendar_window', windowEnd: { month: 6, day: 30 } };
+        assert.deepEqual(dates(type, '2025-03-01'), { due: '2026-06-30', expires: '2026-06-30' });
+        assert.deepEqual(dates(type, '2025-06-30'), { due: '2026-06-30', expires: '2026-06-30' });
+        assert.deepEqual(dates(type, '2025-07-01'), { due: '2027-06-30', expires: '2027-06-30' });
+    }],
+
+    ['semiannual window ending Jun 30 ends periods on Dec 31', () => {
+        const type = { cycleType: 'calendar_window', windowEnd: { month: 6, day: 30 }, periodMonths: 6 };
+        assert.deepEqual(dates(type, '2025-03-01'), { due: '2025-12-31', expires: '2025-12-31' });
+        assert.deepEqual(dates(type, '2025-08-15'), { due: '2026-06-30', expires: '2026-06-30' });
+    }],
+
+    ['semiannual window ending Feb 28 ends periods on Aug 31', () => {
+        const type = { cycleType: 'calendar_window', windowEnd: { month: 2, day: 28 }, periodMonths: 6 };
+        assert.deepEqual(dates(type, '2025-01-15'), { due: '2025-08-31', expires: '2025-08-31' });
+        assert.deepEqual(dates(type, '2025-03-01'), { due: '2026-02-28', expires: '2026-02-28' });
+        assert.deepEqual(dates(type, '2023-10-01'), { due: '2024-08-31', expires: '2024-08-31' });
+        assert.deepEqual({ ...TEEPQualifications.getPeriodAnchor(type) }, { month: 2, day: 31 });
+    }],
+
+    ['window ending mid-month keeps its day', () => {
+        const type = { cycleType: 'calendar_window', windowEnd: { month: 9, day: 15 } };
+        assert.deepEqual(dates(type, '2025-09-15'), { due: '2026-09-15', expires: '2026-09-15' });
+        assert.deepEqual(dates(type, '2025-09-16'), { due: '2027-09-15', expires: '2027-09-15' });
+    }],
+
+    ['fiscal year with the default October start', () => {
+        const type = { cycleType: 'fiscal_year' };
+        assert.deepEqual(dates(type, '2025-09-30'), { due: '2026-09-30', expires: '2026-09-30' });
+        assert.deepEqual(dates(type, '2025-10-01'), { due: '2027-09-30', expires: '2027-09-30' });
+    }],
+
+    ['fiscal year with a custom July start', () => {
+        const type = { cycleType: 'fiscal_year', fiscalYearStart: 7 };
+        assert.deepEqual({ ...TEEPQualifications.getPeriodAnchor(type) }, { month: 6, day: 31 });
+        assert.deepEqual(dates(type, '2025-06-30'), { due: '2026-06-30', expires: '2026-06-30' });
+        assert.deepEqual(dates(type, '2025-07-01'), { due: '2027-06-30', expires: '2027-06-30' });
+    }],
+
+    ['fiscal year with a January start matches the calendar year', () => {
+        const type = { cycleType: 'fiscal_year', fiscalYearStart: 1 };
+        assert.deepEqual(dates(type, '2025-05-10'), { due: '2026-12-31', expires: '2026-12-31' });
+    }],
+
+    ['current_period expires at the end of the period but is due a period later', () => {
+        const window = { cycleType: 'calendar_window', windowEnd: { month: 6, day: 30 }, validity: 'current_period' };
+        assert.deepEqual(dates(window, '2025-03-01'), { due: '2026-06-30', expires: '2025-06-30' });
+
+        const fiscal = { cycleType: 'fiscal_year', fiscalYearStart: 7, validity: 'current_period' };
+        assert.deepEqual(dates(fiscal, '2025-07-01'), { due: '2027-06-30', expires: '2026-06-30' });
+    }],
+
+    ['next_period expires and is due at the end of the following period', () => {
+        const type = { cycleType: 'fiscal_year', validity: 'next_period' };
+        const result = dates(type, '2025-11-05');
+        assert.equal(result.due, result.expires);
+        assert.equal(result.expires, '2027-09-30');
+    }]
+];
+
+let failed = 0;
+checks.forEach(([name, check]) => {
+    try {
+        check();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`not ok - ${name}\n  ${error.message.split('\n').join('\n  ')}`);
+    }
+});
+
+console.log(`${checks.length - failed} of ${checks.length} passed`);
+process.exitCode = failed > 0 ? 1 : 0;